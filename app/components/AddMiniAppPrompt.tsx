@@ -0,0 +1,249 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { AddMiniApp, sdk } from '@farcaster/miniapp-sdk';
+import type { AddMiniAppError } from '../../shared/types';
+import { api } from '~/lib/api.generated';
+import { META_CONFIG } from '~/meta-config';
+import { useMiniAppContext } from './FarcasterProvider';
+
+/**
+ * How a call to `addMiniApp()` ended; `error` covers host failures other
+ * than the two the SDK reports
+ */
+export type AddMiniAppOutcome = 'added' | AddMiniAppError | 'error';
+
+interface TrackedState {
+  added: boolean;
+  notificationsEnabled: boolean;
+  lastAddError?: AddMiniAppError;
+}
+
+export interface AddMiniAppState {
+  added: boolean;
+  notificationsEnabled: boolean;
+  /** Inside a Farcaster client and not added yet */
+  canAdd: boolean;
+  isAdding: boolean;
+  /** Why the last add attempt failed, cleared once the app is added */
+  error: AddMiniAppError | null;
+  addMiniApp: () => Promise<AddMiniAppOutcome>;
+}
+
+const NOT_ADDED: TrackedState = { added: false, notificationsEnabled: false };
+
+/**
+ * Whether the user has added the app and enabled notifications, starting
+ * from `context.client` and following the host's events. Every change is
+ * reported to the backend (`PUT /webhook/state`) so both sides agree.
+ */
+export function useAddMiniApp(): AddMiniAppState {
+  const { context, isInMiniApp } = useMiniAppContext();
+  // Null until the host context arrives, so nothing is reported before then
+  const [state, setState] = useState<TrackedState | null>(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const reported = useRef<string | null>(null);
+
+  useEffect(() => {
+    if (context) {
+      setState((prev) => prev ?? {
+        added: context.client.added,
+        notificationsEnabled: !!context.client.notificationDetails,
+      });
+    }
+  }, [context]);
+
+  // Follow changes the user makes from the host's menus
+  useEffect(() => {
+    if (!isInMiniApp) return;
+
+    const onAdded = ({ notificationDetails }: { notificationDetails?: unknown }) =>
+      setState({ added: true, notificationsEnabled: !!notificationDetails });
+    const onAddRejected = ({ reason }: { reason: AddMiniAppError }) =>
+      setState((prev) => ({ ...(prev ?? NOT_ADDED), lastAddError: reason }));
+    const onRemoved = () => setState(NOT_ADDED);
+    const onNotificationsEnabled = () =>
+      setState((prev) => ({ ...(prev ?? NOT_ADDED), added: true, notificationsEnabled: true }));
+    const onNotificationsDisabled = () =>
+      setState((prev) => ({ ...(prev ?? NOT_ADDED), notificationsEnabled: false }));
+
+    sdk.on('miniAppAdded', onAdded);
+    sdk.on('miniAppAddRejected', onAddRejected);
+    sdk.on('miniAppRemoved', onRemoved);
+    sdk.on('notificationsEnabled', onNotificationsEnabled);
+    sdk.on('notificationsDisabled', onNotificationsDisabled);
+    return () => {
+      sdk.off('miniAppAdded', onAdded);
+      sdk.off('miniAppAddRejected', onAddRejected);
+      sdk.off('miniAppRemoved', onRemoved);
+      sdk.off('notificationsEnabled', onNotificationsEnabled);
+      sdk.off('notificationsDisabled', onNotificationsDisabled);
+    };
+  }, [isInMiniApp]);
+
+  useEffect(() => {
+    if (!isInMiniApp || !state) return;
+
+    const key = JSON.stringify(state);
+    if (reported.current === key) return;
+    reported.current = key;
+
+    // Needs a Quick Auth session; a failed report is retried on the next change
+    api.miniApp.reportState(state).catch((error) => {
+      reported.current = null;
+      console.warn('Could not sync mini app state:', error);
+    });
+  }, [isInMiniApp, state]);
+
+  const addMiniApp = useCallback(async (): Promise<AddMiniAppOutcome> => {
+    setIsAdding(true);
+    try {
+      const { notificationDetails } = await sdk.actions.addMiniApp();
+      setState({ added: true, notificationsEnabled: !!notificationDetails });
+      return 'added';
+    } catch (error) {
+      let reason: AddMiniAppError;
+      if (error instanceof AddMiniApp.RejectedByUser) {
+        reason = 'rejected_by_user';
+      } else if (error instanceof AddMiniApp.InvalidDomainManifest) {
+        reason = 'invalid_domain_manifest';
+        console.error(
+          'Cannot add the mini app: /.well-known/farcaster.json is missing or signed for another domain'
+        );
+      } else {
+        console.error('Failed to add the mini app:', error);
+        return 'error';
+      }
+      setState((prev) => ({ ...(prev ?? NOT_ADDED), lastAddError: reason }));
+      return reason;
+    } finally {
+      setIsAdding(false);
+    }
+  }, []);
+
+  const { added, notificationsEnabled, lastAddError } = state ?? NOT_ADDED;
+  return {
+    added,
+    notificationsEnabled,
+    canAdd: isInMiniApp && !!state && !added,
+    isAdding,
+    error: lastAddError ?? null,
+    addMiniApp,
+  };
+}
+
+const SNOOZE_KEY = 'add-mini-app-prompt:snoozed-until';
+
+function isSnoozed(): boolean {
+  try {
+    return Number(localStorage.getItem(SNOOZE_KEY)) > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+function snooze(days: number): void {
+  try {
+    localStorage.setItem(SNOOZE_KEY, String(Date.now() + days * 24 * 60 * 60 * 1000));
+  } catch {
+    // Storage can be unavailable in embedded webviews; the prompt just returns
+  }
+}
+
+export interface AddMiniAppPromptProps {
+  /** Show only once this is true, e.g. after the user's first success (default true) */
+  when?: boolean;
+  /** Milliseconds to wait after `when` before showing (default 0) */
+  delayMs?: number;
+  /** Days to stay hidden after the user says no (default 7) */
+  snoozeDays?: number;
+  title?: string;
+  description?: string;
+  onResult?: (outcome: AddMiniAppOutcome | 'dismissed') => void;
+}
+
+/**
+ * Asks the user to add the app (and so allow notifications), or to turn
+ * notifications on when the app is added without them. Renders nothing
+ * outside a Farcaster client.
+ */
+export function AddMiniAppPrompt({
+  when = true,
+  delayMs = 0,
+  snoozeDays = 7,
+  title = `Add ${META_CONFIG.title}`,
+  description = 'Keep it in your apps and get notified about updates.',
+  onResult,
+}: AddMiniAppPromptProps) {
+  const { added, notificationsEnabled, canAdd, isAdding, error, addMiniApp } = useAddMiniApp();
+  const [visible, setVisible] = useState(false);
+
+  const wanted = canAdd || (added && !notificationsEnabled);
+
+  useEffect(() => {
+    if (!when || !wanted || isSnoozed()) {
+      setVisible(false);
+      return;
+    }
+    const timer = setTimeout(() => setVisible(true), delayMs);
+    return () => clearTimeout(timer);
+  }, [when, wanted, delayMs]);
+
+  if (!visible) {
+    return null;
+  }
+
+  const dismiss = () => {
+    snooze(snoozeDays);
+    setVisible(false);
+    onResult?.('dismissed');
+  };
+
+  const add = async () => {
+    const outcome = await addMiniApp();
+    if (outcome === 'rejected_by_user') {
+      snooze(snoozeDays);
+      setVisible(false);
+    }
+    onResult?.(outcome);
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-label={canAdd ? title : 'Turn on notifications'}
+      className="w-[684px] max-w-[90vw] rounded-2xl border border-sky-200 bg-sky-50 p-6 shadow-sm dark:border-sky-900 dark:bg-sky-950"
+    >
+      <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+        {canAdd ? title : 'Turn on notifications'}
+      </p>
+      <p className="mt-1 text-xs text-gray-600 dark:text-gray-300">
+        {canAdd
+          ? description
+          : "Open the app's menu in your Farcaster client and enable notifications."}
+      </p>
+      {error === 'invalid_domain_manifest' && (
+        <p className="mt-2 text-xs text-red-600 dark:text-red-400">
+          This app can&apos;t be added here: its manifest doesn&apos;t match this domain.
+        </p>
+      )}
+      <div className="mt-4 flex gap-3">
+        {canAdd && error !== 'invalid_domain_manifest' && (
+          <button
+            type="button"
+            onClick={add}
+            disabled={isAdding}
+            className="rounded-md bg-sky-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-sky-700 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-sky-600 disabled:opacity-50"
+          >
+            {isAdding ? 'Adding…' : 'Add app'}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={dismiss}
+          className="rounded-md px-3 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-800"
+        >
+          {canAdd ? 'Not now' : 'Got it'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { sdk, type Context } from '@farcaster/miniapp-sdk';
+import { getQuickAuthToken } from '~/lib/quick-auth';
+
+/**
+ * - `loading`: still talking to the host
+ * - `ready`: running inside a Farcaster client, context available
+ * - `unavailable`: plain browser, no Farcaster client around the app
+ * - `error`: the host was detected but the SDK failed to initialize
+ */
+export type MiniAppStatus = 'loading' | 'ready' | 'unavailable' | 'error';
+
+export interface MiniAppState {
+  status: MiniAppStatus;
+  isLoading: boolean;
+  isInMiniApp: boolean;
+  context: Context.MiniAppContext | null;
+  error: Error | null;
+}
+
+type MiniAppStatusFields = Pick<MiniAppState, 'status' | 'isLoading' | 'isInMiniApp' | 'error'>;
+
+const NO_INSETS: Context.SafeAreaInsets = { top: 0, bottom: 0, left: 0, right: 0 };
+
+const initialState: MiniAppState = {
+  status: 'loading',
+  isLoading: true,
+  isInMiniApp: false,
+  context: null,
+  error: null,
+};
+
+const FarcasterContext = createContext<MiniAppState | null>(null);
+
+export function FarcasterProvider({ children }: { children: React.ReactNode }) {
+  const [state, setState] = useState<MiniAppState>(initialState);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const initializeSDK = async () => {
+      try {
+        if (!(await sdk.isInMiniApp())) {
+          if (!cancelled) {
+            setState({ ...initialState, status: 'unavailable', isLoading: false });
+          }
+          return;
+        }
+
+        const context = await sdk.context;
+        if (cancelled) return;
+        setState({ status: 'ready', isLoading: false, isInMiniApp: true, context, error: null });
+
+        // Signal that the app is ready so the host hides the splash screen
+        await sdk.actions.ready();
+        console.log('Farcaster SDK initialized successfully');
+
+        // Sign in with Quick Auth so API calls carry a session token
+        const token = await getQuickAuthToken();
+        if (token) {
+          console.log('Signed in with Quick Auth');
+        }
+      } catch (error) {
+        console.error('Failed to initialize Farcaster SDK:', error);
+        if (!cancelled) {
+          setState((prev) => ({
+            ...prev,
+            status: 'error',
+            isLoading: false,
+            isInMiniApp: true,
+            error: error instanceof Error ? error : new Error(String(error)),
+          }));
+        }
+      }
+    };
+
+    initializeSDK();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return <FarcasterContext.Provider value={state}>{children}</FarcasterContext.Provider>;
+}
+
+/**
+ * Full mini app host context plus loading and error state
+ */
+export function useMiniAppContext(): MiniAppState {
+  const state = useContext(FarcasterContext);
+  if (!state) {
+    throw new Error('useMiniAppContext must be used within a FarcasterProvider');
+  }
+  return state;
+}
+
+function statusFields({ status, isLoading, isInMiniApp, error }: MiniAppState): MiniAppStatusFields {
+  return { status, isLoading, isInMiniApp, error };
+}
+
+/**
+ * The Farcaster user viewing the app, null outside a Farcaster client
+ */
+export function useFarcasterUser(): MiniAppStatusFields & { user: Context.UserContext | null } {
+  const state = useMiniAppContext();
+  return { ...statusFields(state), user: state.context?.user ?? null };
+}
+
+/**
+ * Insets to keep content clear of the host's chrome; zero in a plain browser
+ */
+export function useSafeAreaInsets(): MiniAppStatusFields & { insets: Context.SafeAreaInsets } {
+  const state = useMiniAppContext();
+  return { ...statusFields(state), insets: state.context?.client.safeAreaInsets ?? NO_INSETS };
+}
+
+/**
+ * Where the app was launched from (cast embed, notification, launcher, ...)
+ */
+export function useLaunchLocation(): MiniAppStatusFields & { location: Context.LocationContext | null } {
+  const state = useMiniAppContext();
+  return { ...statusFields(state), location: state.context?.location ?? null };
+}
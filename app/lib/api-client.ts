@@ -0,0 +1,93 @@
+import { HTTPError } from 'ky';
+import type { ApiResponse, RouterResponse } from '../../shared/types';
+import { META_CONFIG } from '~/meta-config';
+import { authedKy } from './quick-auth';
+
+export type HttpMethod = 'get' | 'post' | 'put' | 'patch' | 'delete';
+
+/**
+ * Per-call options accepted by every generated client method
+ */
+export interface CallOptions {
+  /** Milliseconds before each attempt is aborted (default 10000) */
+  timeout?: number;
+  /**
+   * Retries on network errors and 408/413/429/5xx responses (default 2).
+   * POST and PATCH are never retried.
+   */
+  retries?: number;
+  signal?: AbortSignal;
+}
+
+export interface RequestOptions extends CallOptions {
+  query?: object;
+  json?: unknown;
+}
+
+const DEFAULT_TIMEOUT = 10_000;
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Error response from a function, with the router's envelope
+ */
+export class ApiError extends Error {
+  constructor(readonly status: number, readonly response: RouterResponse) {
+    super(response.message);
+    this.name = 'ApiError';
+  }
+
+  get code(): string | undefined {
+    return this.response.code;
+  }
+
+  /** Per-field validation problems, empty for other errors */
+  get errors() {
+    return this.response.errors ?? [];
+  }
+}
+
+/**
+ * Base URL of the function router
+ */
+export function getApiBaseUrl(): string {
+  const baseUrl = import.meta.env.VITE_API_BASE_URL || META_CONFIG.config?.homeUrl || 'http://localhost:8000';
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Call a function endpoint, attaching the Quick Auth token when signed in.
+ * Resolves with the response envelope; rejects with `ApiError` on 4xx/5xx.
+ */
+export async function request<T = unknown>(
+  method: HttpMethod,
+  path: string,
+  { query, json, timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, signal }: RequestOptions = {}
+): Promise<ApiResponse<T>> {
+  const searchParams = new URLSearchParams();
+  Object.entries(query ?? {}).forEach(([key, value]) => {
+    if (value !== undefined) {
+      searchParams.set(key, String(value));
+    }
+  });
+
+  try {
+    return await authedKy(`${getApiBaseUrl()}${path}`, {
+      method,
+      json,
+      searchParams,
+      timeout,
+      retry: { limit: retries },
+      signal,
+    }).json<ApiResponse<T>>();
+  } catch (error) {
+    if (error instanceof HTTPError) {
+      const body = await error.response.json().catch(() => null) as RouterResponse | null;
+      throw new ApiError(error.response.status, body ?? {
+        success: false,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,56 @@
+import ky from 'ky';
+
+/**
+ * The parts of the functions' `/openapi.json` document the UI reads
+ */
+export interface OpenApiDocument {
+  tags?: Array<{ name: string; description?: string; 'x-displayName'?: string }>;
+  paths: Record<
+    string,
+    Record<
+      string,
+      {
+        operationId: string;
+        summary?: string;
+        tags?: string[];
+        parameters?: Array<{ name: string; in: string; required: boolean }>;
+      }
+    >
+  >;
+}
+
+export interface FunctionEndpoint {
+  name: string;
+  endpoint: string;
+  description: string;
+}
+
+/**
+ * One endpoint per function: the first GET operation that needs no
+ * parameters, so it can be called with a single click
+ */
+export function listFunctionEndpoints(document: OpenApiDocument): FunctionEndpoint[] {
+  return (document.tags ?? []).flatMap((tag) => {
+    const endpoint = Object.entries(document.paths).find(([, methods]) => {
+      const get = methods.get;
+      return get?.tags?.includes(tag.name) &&
+        !get.parameters?.some((parameter) => parameter.required);
+    })?.[0];
+
+    if (!endpoint) {
+      return [];
+    }
+    return [{
+      name: tag['x-displayName'] ?? tag.name,
+      endpoint,
+      description: tag.description ?? document.paths[endpoint].get.summary ?? endpoint,
+    }];
+  });
+}
+
+/**
+ * Fetch the OpenAPI document served by the function router
+ */
+export function fetchOpenApiDocument(apiBaseUrl: string): Promise<OpenApiDocument> {
+  return ky.get(`${apiBaseUrl}/openapi.json`).json<OpenApiDocument>();
+}
@@ -0,0 +1,89 @@
+// This file is auto-generated by scripts/generate-api-client.js
+// Do not edit manually - change the function routes and run `pnpm generate:api-client`
+
+import type { Me, MiniAppState, User, UserList } from '../../shared/types';
+import { request, type CallOptions } from './api-client';
+
+export interface UsersListQuery {
+  /** Maximum number of users to return */
+  limit?: number;
+  /** Number of users to skip */
+  offset?: number;
+}
+
+export interface UsersCreateBody {
+  name: string;
+  email: string;
+}
+
+export interface UsersGetParams {
+  id: number;
+}
+
+export interface UsersReplaceParams {
+  id: number;
+}
+
+export interface UsersReplaceBody {
+  name: string;
+  email: string;
+}
+
+export interface UsersUpdateParams {
+  id: number;
+}
+
+export interface UsersUpdateBody {
+  name?: string;
+  email?: string;
+}
+
+export interface UsersDeleteParams {
+  id: number;
+}
+
+export interface MiniAppReportStateBody {
+  added: boolean;
+  notificationsEnabled: boolean;
+  /** Why the user's last add prompt failed */
+  lastAddError?: "rejected_by_user" | "invalid_domain_manifest";
+}
+
+/**
+ * Typed client for the function router (Farcaster Mini App Functions 1.0.0)
+ */
+export const api = {
+  users: {
+    /** List users */
+    list: (query?: UsersListQuery, options?: CallOptions) =>
+      request<UserList>('get', '/api/users', { ...options, query }),
+    /** Create a user */
+    create: (body: UsersCreateBody, options?: CallOptions) =>
+      request<User>('post', '/api/users', { ...options, json: body }),
+    /** Get a user */
+    get: (params: UsersGetParams, options?: CallOptions) =>
+      request<User>('get', `/api/users/${encodeURIComponent(params.id)}`, { ...options }),
+    /** Replace a user's name and email */
+    replace: (params: UsersReplaceParams, body: UsersReplaceBody, options?: CallOptions) =>
+      request<User>('put', `/api/users/${encodeURIComponent(params.id)}`, { ...options, json: body }),
+    /** Update a user's name and/or email */
+    update: (params: UsersUpdateParams, body: UsersUpdateBody, options?: CallOptions) =>
+      request<User>('patch', `/api/users/${encodeURIComponent(params.id)}`, { ...options, json: body }),
+    /** Delete a user */
+    delete: (params: UsersDeleteParams, options?: CallOptions) =>
+      request<User>('delete', `/api/users/${encodeURIComponent(params.id)}`, { ...options }),
+  },
+  me: {
+    /** Get the signed-in user's FID and token lifetime */
+    get: (options?: CallOptions) =>
+      request<Me>('get', '/me', { ...options }),
+  },
+  miniApp: {
+    /** Get the signed-in user's add and notification state */
+    getState: (options?: CallOptions) =>
+      request<MiniAppState>('get', '/webhook/state', { ...options }),
+    /** Report the user's state after an add prompt */
+    reportState: (body: MiniAppReportStateBody, options?: CallOptions) =>
+      request<MiniAppState>('put', '/webhook/state', { ...options, json: body }),
+  },
+};
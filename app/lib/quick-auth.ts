@@ -0,0 +1,40 @@
+import { sdk } from '@farcaster/miniapp-sdk';
+import ky from 'ky';
+
+let inMiniApp: Promise<boolean> | undefined;
+
+/**
+ * Returns a Quick Auth session token, or undefined outside a Farcaster client
+ * or when the user declines to sign in.
+ */
+export async function getQuickAuthToken(): Promise<string | undefined> {
+  inMiniApp ??= sdk.isInMiniApp();
+  if (!(await inMiniApp)) {
+    return undefined;
+  }
+
+  try {
+    // The SDK reuses the in-memory token until it expires
+    const { token } = await sdk.quickAuth.getToken();
+    return token;
+  } catch (error) {
+    console.warn('Quick Auth sign-in failed:', error);
+    return undefined;
+  }
+}
+
+/**
+ * ky instance that attaches the Quick Auth token to every request
+ */
+export const authedKy = ky.create({
+  hooks: {
+    beforeRequest: [
+      async (request) => {
+        const token = await getQuickAuthToken();
+        if (token) {
+          request.headers.set('Authorization', `Bearer ${token}`);
+        }
+      },
+    ],
+  },
+});
@@ -6,7 +6,7 @@ import {
   ScrollRestoration,
 } from "@remix-run/react";
 import type { LinksFunction, MetaFunction } from "@remix-run/node";
-import { FarcasterSDK } from "./components/FarcasterSDK";
+import { FarcasterProvider } from "./components/FarcasterProvider";
 import { META_CONFIG } from "~/meta-config";
 
 import "./tailwind.css";
@@ -27,6 +27,12 @@ export const meta: MetaFunction = () => {
 };
 
 export const links: LinksFunction = () => [
+  // Written by scripts/generate-flux-images.js from the app icon; the ICO
+  // holds the FAVICON_SIZES of scripts/lib/image-processing.js
+  { rel: "icon", href: "/favicon.ico", sizes: "16x16 32x32 48x48" },
+  { rel: "apple-touch-icon", href: "/apple-touch-icon.png" },
+  { rel: "apple-touch-icon", sizes: "167x167", href: "/apple-touch-icon-167x167.png" },
+  { rel: "apple-touch-icon", sizes: "152x152", href: "/apple-touch-icon-152x152.png" },
   { rel: "preconnect", href: "https://fonts.googleapis.com" },
   {
     rel: "preconnect",
@@ -49,8 +55,7 @@ export function Layout({ children }: { children: React.ReactNode }) {
         <Links />
       </head>
       <body>
-        <FarcasterSDK />
-        {children}
+        <FarcasterProvider>{children}</FarcasterProvider>
         <ScrollRestoration />
         <Scripts />
       </body>
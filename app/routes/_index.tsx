@@ -1,14 +1,27 @@
-import type { MetaFunction } from "@remix-run/cloudflare";
-import { useState } from "react";
-import ky from "ky";
+import type { MetaDescriptor, MetaFunction } from "@remix-run/cloudflare";
+import { useEffect, useState } from "react";
 import { META_CONFIG } from "~/meta-config";
+import { ApiError, getApiBaseUrl, request } from "~/lib/api-client";
+import { fetchOpenApiDocument, listFunctionEndpoints, type FunctionEndpoint } from "~/lib/api-docs";
+import { useFarcasterUser, useSafeAreaInsets } from "~/components/FarcasterProvider";
+import { AddMiniAppPrompt } from "~/components/AddMiniAppPrompt";
+import type { RouterResponse } from "../../shared/types";
 
 export const meta: MetaFunction = () => {
-  const metaTags = [
+  const metaTags: MetaDescriptor[] = [
     { title: META_CONFIG.title },
     { name: "description", content: META_CONFIG.description },
+    { property: "og:title", content: META_CONFIG.og.title },
+    { property: "og:description", content: META_CONFIG.og.description },
   ];
 
+  if (META_CONFIG.og.imageUrl) {
+    metaTags.push({ property: "og:image", content: META_CONFIG.og.imageUrl });
+  }
+  if (META_CONFIG.noindex) {
+    metaTags.push({ name: "robots", content: "noindex" });
+  }
+
   // Add Fardata
   metaTags.push({
     name: "fc:miniapp",
@@ -19,38 +32,71 @@ export const meta: MetaFunction = () => {
 };
 
 export default function Index() {
-  const { title, homeUrl, config } = META_CONFIG.config ? 
-    { title: META_CONFIG.title, homeUrl: META_CONFIG.config.homeUrl, config: META_CONFIG.config } : 
-    { title: "New Remix App", homeUrl: "http://localhost:3000", config: null };
+  const title = META_CONFIG.config ? META_CONFIG.title : "New Remix App";
+  const { user, status } = useFarcasterUser();
+  const { insets } = useSafeAreaInsets();
   const [copied, setCopied] = useState(false);
-  const [apiResults, setApiResults] = useState<Record<string, any>>({});
+  const [apiResults, setApiResults] = useState<Record<string, RouterResponse>>({});
   const [loading, setLoading] = useState<Record<string, boolean>>({});
+  const [functionEndpoints, setFunctionEndpoints] = useState<FunctionEndpoint[]>([]);
+  const [endpointsError, setEndpointsError] = useState(false);
   const ghCommand = `gh repo create my-farcaster-app --template uratmangun/farcaster-mini-app --public --clone`;
+  const apiBaseUrl = getApiBaseUrl();
+
+  useEffect(() => {
+    fetchOpenApiDocument(apiBaseUrl)
+      .then((document) => setFunctionEndpoints(listFunctionEndpoints(document)))
+      .catch((error) => {
+        console.error("Error loading API document:", error);
+        setEndpointsError(true);
+      });
+  }, [apiBaseUrl]);
 
   const callFunction = async (functionName: string, endpoint: string) => {
     setLoading(prev => ({ ...prev, [functionName]: true }));
     try {
-      const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || homeUrl || 'http://localhost:8000';
-      const fullUrl = `${apiBaseUrl}${endpoint}`;
-      const response = await ky.get(fullUrl).json();
+      const response = await request("get", endpoint);
       setApiResults(prev => ({ ...prev, [functionName]: response }));
     } catch (error) {
       console.error(`Error calling ${functionName}:`, error);
       setApiResults(prev => ({ 
         ...prev, 
-        [functionName]: { error: `Failed to call ${functionName}` }
+        [functionName]: error instanceof ApiError ? error.response : {
+          success: false,
+          message: `Failed to call ${functionName}`,
+          timestamp: new Date().toISOString(),
+        }
       }));
     } finally {
       setLoading(prev => ({ ...prev, [functionName]: false }));
     }
   };
   return (
-    <div className="flex h-screen items-center justify-center">
+    <div
+      className="flex h-screen items-center justify-center"
+      style={{
+        paddingTop: insets.top,
+        paddingBottom: insets.bottom,
+        paddingLeft: insets.left,
+        paddingRight: insets.right,
+      }}
+    >
       <div className="flex flex-col items-center gap-16">
         <header className="flex flex-col items-center gap-9">
           <h1 className="leading text-2xl font-bold text-gray-800 dark:text-gray-100">
             Welcome to <span className="sr-only">{title}</span>
           </h1>
+          {user && (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Signed in as {user.displayName || `@${user.username ?? user.fid}`}
+            </p>
+          )}
+          {status === "unavailable" && (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Open this app in a Farcaster client to sign in
+            </p>
+          )}
+          <AddMiniAppPrompt delayMs={2000} />
           <div className="w-[684px] max-w-[90vw] rounded-2xl border border-gray-200 bg-white p-6 shadow-sm dark:border-gray-700 dark:bg-gray-900">
             <div className="mb-3 flex items-center justify-between">
               <div>
@@ -88,15 +134,20 @@ export default function Index() {
           <p className="leading-6 text-gray-700 dark:text-gray-200">
             Test API Functions
           </p>
+          {endpointsError && (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Could not load <code>/openapi.json</code> from {apiBaseUrl}
+            </p>
+          )}
           <ul className="w-full">
-            {functionEndpoints.map(({ name, endpoint, description, icon }) => (
+            {functionEndpoints.map(({ name, endpoint, description }) => (
               <li key={name} className="mb-4">
                 <button
                   onClick={() => callFunction(name, endpoint)}
                   disabled={loading[name]}
                   className="group flex items-center gap-3 w-full p-3 leading-normal text-blue-700 hover:bg-blue-50 dark:text-blue-500 dark:hover:bg-blue-900/20 rounded-lg transition-colors disabled:opacity-50"
                 >
-                  {icon}
+                  {functionIcon}
                   <div className="flex-1 text-left">
                     <div className="font-medium">{name}</div>
                     <div className="text-xs text-gray-600 dark:text-gray-400">{description}</div>
@@ -121,27 +172,20 @@ export default function Index() {
   );
 }
 
-const functionEndpoints = [
-  {
-    name: "Users API",
-    endpoint: "/api",
-    description: "REST API with user data and pagination",
-    icon: (
-      <svg
-        xmlns="http://www.w3.org/2000/svg"
-        width="24"
-        height="20"
-        viewBox="0 0 20 20"
-        fill="none"
-        className="stroke-gray-600 group-hover:stroke-current dark:stroke-gray-300"
-      >
-        <path
-          d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197m13.5-9a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0z"
-          strokeWidth="1.5"
-          strokeLinecap="round"
-          strokeLinejoin="round"
-        />
-      </svg>
-    ),
-  },
-];
+const functionIcon = (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="24"
+    height="20"
+    viewBox="0 0 24 24"
+    fill="none"
+    className="stroke-gray-600 group-hover:stroke-current dark:stroke-gray-300"
+  >
+    <path
+      d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"
+      strokeWidth="1.5"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
@@ -1,109 +1,184 @@
 /**
  * API Function - Deno Deploy
- * Simple REST API endpoints for demonstration
+ * REST API for users, persisted in Deno KV
  */
 
-export interface ApiResponse {
-  success: boolean;
-  message: string;
-  data?: unknown;
-  timestamp: string;
-}
+import type { ApiResponse, FunctionContext } from "./router.ts";
+import { AuthError } from "./lib/auth.ts";
+import { HttpError } from "./lib/errors.ts";
+import { getKv } from "./lib/kv.ts";
+import type { RateLimit } from "./lib/rate-limit.ts";
+import { RouteTable } from "./lib/routes.ts";
+import { type Infer, schema } from "./lib/schema.ts";
+import { UserStore } from "./lib/users.ts";
+
+const listQuery = schema.object({
+  limit: schema.integer({ min: 1, max: 100 }).default(10)
+    .describe("Maximum number of users to return"),
+  offset: schema.integer({ min: 0 }).default(0)
+    .describe("Number of users to skip"),
+});
+
+const userParams = schema.object({
+  id: schema.integer({ min: 1 }),
+});
+
+const userBody = schema.object({
+  name: schema.string({ trim: true, minLength: 1, maxLength: 100 }),
+  email: schema.string({ trim: true, maxLength: 254, format: "email" }),
+});
+
+const userPatch = userBody.partial({ minProperties: 1 });
+
+type UserParams = Infer<typeof userParams>;
+
+// Writes share budgets across the route aliases, per signed-in FID (or IP)
+const createLimit: RateLimit = {
+  name: "users:create",
+  limit: 10,
+  window: 60,
+  key: "fid",
+};
+const writeLimit: RateLimit = {
+  name: "users:write",
+  limit: 30,
+  window: 60,
+  key: "fid",
+};
 
-// Sample data store
-const users = [
-  { id: 1, name: "Alice Johnson", email: "alice@example.com" },
-  { id: 2, name: "Bob Smith", email: "bob@example.com" },
-  { id: 3, name: "Carol Davis", email: "carol@example.com" },
-];
+let store: Promise<UserStore> | null = null;
+
+/**
+ * Open the user store, loading the sample users when SEED_USERS=true
+ */
+function getUserStore(): Promise<UserStore> {
+  store ??= (async () => {
+    const userStore = new UserStore(await getKv());
+    if (Deno.env.get("SEED_USERS") === "true") {
+      await userStore.seed();
+    }
+    return userStore;
+  })().catch((error) => {
+    // Allow the next request to retry a failed open
+    store = null;
+    throw error;
+  });
+  return store;
+}
 
 /**
- * Main handler for the API function
+ * FID of the signed-in caller. Write routes require auth, so this only
+ * guards against misconfiguration.
  */
-export default async function handler(req: Request): Promise<Response> {
-  const url = new URL(req.url);
-  const method = req.method;
-  const searchParams = url.searchParams;
-
-  // CORS headers
-  const corsHeaders = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-  };
-
-  // Handle preflight requests
-  if (method === "OPTIONS") {
-    return new Response(null, {
-      status: 200,
-      headers: corsHeaders,
-    });
+function callerFid(ctx: FunctionContext<unknown, unknown, unknown>): number {
+  if (!ctx.auth) {
+    throw new AuthError("Authentication required", "missing_token");
   }
+  return ctx.auth.fid;
+}
 
-  try {
-    // GET /api - List all users
-    if (method === "GET") {
-      const limit = parseInt(searchParams.get("limit") || "10");
-      const offset = parseInt(searchParams.get("offset") || "0");
-      
-      const paginatedUsers = users.slice(offset, offset + limit);
-      
-      return jsonResponse({
-        success: true,
-        message: "Users retrieved successfully",
-        data: {
-          users: paginatedUsers,
-          total: users.length,
-          limit,
-          offset,
-        },
-        timestamp: new Date().toISOString(),
-      }, corsHeaders);
-    }
+/**
+ * GET /api, GET /api/users - List users with pagination
+ */
+async function listUsers(
+  _req: Request,
+  ctx: FunctionContext<unknown, Infer<typeof listQuery>>,
+): Promise<Response> {
+  const { limit, offset } = ctx.query;
+  const { users, total } = await (await getUserStore()).list({ limit, offset });
 
-    // POST /api - Create new user
-    if (method === "POST") {
-      const body = await req.json();
-      
-      if (!body.name || !body.email) {
-        return jsonResponse({
-          success: false,
-          message: "Name and email are required",
-          timestamp: new Date().toISOString(),
-        }, corsHeaders, 400);
-      }
-
-      const newUser = {
-        id: users.length + 1,
-        name: body.name,
-        email: body.email,
-      };
-      
-      users.push(newUser);
-      
-      return jsonResponse({
-        success: true,
-        message: "User created successfully",
-        data: newUser,
-        timestamp: new Date().toISOString(),
-      }, corsHeaders, 201);
-    }
+  return jsonResponse({
+    success: true,
+    message: "Users retrieved successfully",
+    data: {
+      users,
+      total,
+      limit,
+      offset,
+    },
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * POST /api, POST /api/users - Create new user
+ */
+async function createUser(
+  _req: Request,
+  ctx: FunctionContext<unknown, unknown, Infer<typeof userBody>>,
+): Promise<Response> {
+  const newUser = await (await getUserStore()).create({
+    ...ctx.body,
+    createdBy: callerFid(ctx),
+  });
 
-    // Method not allowed
-    return jsonResponse({
-      success: false,
-      message: `Method ${method} not allowed`,
-      timestamp: new Date().toISOString(),
-    }, corsHeaders, 405);
-
-  } catch (error) {
-    console.error("API Error:", error);
-    return jsonResponse({
-      success: false,
-      message: "Internal server error",
-      timestamp: new Date().toISOString(),
-    }, corsHeaders, 500);
+  return jsonResponse({
+    success: true,
+    message: "User created successfully",
+    data: newUser,
+    timestamp: new Date().toISOString(),
+  }, 201);
+}
+
+/**
+ * GET /api/users/:id - Get a single user
+ */
+async function getUser(
+  _req: Request,
+  ctx: FunctionContext<UserParams>,
+): Promise<Response> {
+  const { id } = ctx.params;
+  const user = await (await getUserStore()).get(id);
+  if (!user) {
+    throw new HttpError(404, `User ${id} not found`);
   }
+
+  return jsonResponse({
+    success: true,
+    message: "User retrieved successfully",
+    data: user,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * PUT /api/users/:id - Replace a user's name and email
+ * PATCH /api/users/:id - Update some of a user's fields
+ * Only the FID that created the user may change it.
+ */
+async function updateUser(
+  _req: Request,
+  ctx: FunctionContext<UserParams, unknown, Infer<typeof userPatch>>,
+): Promise<Response> {
+  const user = await (await getUserStore()).update(ctx.params.id, ctx.body, {
+    owner: callerFid(ctx),
+  });
+
+  return jsonResponse({
+    success: true,
+    message: "User updated successfully",
+    data: user,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * DELETE /api/users/:id - Delete a user, only by the FID that created it
+ */
+async function deleteUser(
+  _req: Request,
+  ctx: FunctionContext<UserParams>,
+): Promise<Response> {
+  const user = await (await getUserStore()).delete(ctx.params.id, {
+    owner: callerFid(ctx),
+  });
+
+  return jsonResponse({
+    success: true,
+    message: "User deleted successfully",
+    data: user,
+    timestamp: new Date().toISOString(),
+  });
 }
 
 /**
@@ -111,20 +186,93 @@ export default async function handler(req: Request): Promise<Response> {
  */
 function jsonResponse(
   data: ApiResponse,
-  headers: Record<string, string> = {},
   status = 200
 ): Response {
   return new Response(JSON.stringify(data, null, 2), {
     status,
     headers: {
       "Content-Type": "application/json",
-      ...headers,
     },
   });
 }
 
+/**
+ * Routes for the API function, mounted at /api
+ */
+const routes = new RouteTable({
+  title: "Users API",
+  description: "REST API with user data and pagination",
+})
+  .get("/", listUsers, {
+    schema: { query: listQuery },
+    summary: "List users (alias of /api/users)",
+  })
+  .post("/", createUser, {
+    schema: { body: userBody },
+    auth: "required",
+    rateLimit: createLimit,
+    summary: "Create a user (alias of /api/users)",
+  })
+  .get("/users", listUsers, {
+    schema: { query: listQuery },
+    operationId: "users.list",
+    dataType: "UserList",
+    summary: "List users",
+    description: "Users ordered by ID, paginated with limit and offset",
+  })
+  .post("/users", createUser, {
+    schema: { body: userBody },
+    auth: "required",
+    rateLimit: createLimit,
+    operationId: "users.create",
+    dataType: "User",
+    summary: "Create a user",
+    description:
+      "Emails are unique (case-insensitive); a duplicate returns 409. The caller's FID is recorded as `createdBy`",
+  })
+  .get("/users/:id", getUser, {
+    schema: { params: userParams },
+    operationId: "users.get",
+    dataType: "User",
+    summary: "Get a user",
+  })
+  .put("/users/:id", updateUser, {
+    schema: { params: userParams, body: userBody },
+    auth: "required",
+    rateLimit: writeLimit,
+    operationId: "users.replace",
+    dataType: "User",
+    summary: "Replace a user's name and email",
+    description:
+      "Only the FID that created the user may do this; others get 403",
+  })
+  .patch("/users/:id", updateUser, {
+    schema: { params: userParams, body: userPatch },
+    auth: "required",
+    rateLimit: writeLimit,
+    operationId: "users.update",
+    dataType: "User",
+    summary: "Update a user's name and/or email",
+    description:
+      "Only the FID that created the user may do this; others get 403",
+  })
+  .delete("/users/:id", deleteUser, {
+    schema: { params: userParams },
+    auth: "required",
+    rateLimit: writeLimit,
+    operationId: "users.delete",
+    dataType: "User",
+    summary: "Delete a user",
+    description:
+      "Only the FID that created the user may do this; others get 403",
+  });
+
+export default routes;
+
 // For local development with Deno serve
 if (import.meta.main) {
-  console.log("📡 API function starting on port 8002");
-  Deno.serve({ port: 8002 }, handler);
+  // Imported lazily: the router statically imports this module
+  const { default: router } = await import("./router.ts");
+  console.log("📡 API function starting on port 8002 (served at /api)");
+  Deno.serve({ port: 8002 }, router);
 }
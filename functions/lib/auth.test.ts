@@ -0,0 +1,227 @@
+/**
+ * Quick Auth verifier tests, against tokens minted with a local key the way
+ * scripts/mint-quick-auth-token.js does
+ */
+
+import assert from "node:assert/strict";
+import {
+  AuthError,
+  type AuthErrorCode,
+  getBearerToken,
+  QUICK_AUTH_ISSUER,
+  QuickAuthVerifier,
+} from "./auth.ts";
+
+const KEY_ID = "local-dev";
+const DOMAIN = "miniapp.example";
+const NOW = 1_750_000_000_000;
+
+interface TestKey {
+  privateKey: CryptoKey;
+  jwksPath: string;
+}
+
+async function createKey(kid = KEY_ID): Promise<TestKey> {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    "Ed25519",
+    true,
+    ["sign", "verify"],
+  ) as CryptoKeyPair;
+  const jwk = await crypto.subtle.exportKey("jwk", publicKey);
+  const jwksPath = await Deno.makeTempFile({ suffix: ".json" });
+  await Deno.writeTextFile(
+    jwksPath,
+    JSON.stringify({ keys: [{ ...jwk, kid, alg: "EdDSA", use: "sig" }] }),
+  );
+  return { privateKey, jwksPath };
+}
+
+function base64Url(value: string | Uint8Array): string {
+  const bytes = typeof value === "string"
+    ? new TextEncoder().encode(value)
+    : value;
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function mintToken(
+  privateKey: CryptoKey,
+  claims: Record<string, unknown> = {},
+  header: Record<string, unknown> = {},
+): Promise<string> {
+  const now = Math.floor(NOW / 1000);
+  const signingInput = [
+    base64Url(
+      JSON.stringify({ alg: "EdDSA", typ: "JWT", kid: KEY_ID, ...header }),
+    ),
+    base64Url(JSON.stringify({
+      iss: QUICK_AUTH_ISSUER,
+      sub: 3621,
+      aud: DOMAIN,
+      iat: now,
+      exp: now + 3600,
+      ...claims,
+    })),
+  ].join(".");
+  const signature = await crypto.subtle.sign(
+    "Ed25519",
+    privateKey,
+    new TextEncoder().encode(signingInput),
+  );
+  return `${signingInput}.${base64Url(new Uint8Array(signature))}`;
+}
+
+function verifierFor(key: TestKey): QuickAuthVerifier {
+  return new QuickAuthVerifier({
+    audience: DOMAIN,
+    jwksPath: key.jwksPath,
+    now: () => NOW,
+  });
+}
+
+function bearer(authorization: string): Request {
+  return new Request("http://localhost:8000/me", {
+    headers: { Authorization: authorization },
+  });
+}
+
+async function assertAuthError(
+  promise: Promise<unknown>,
+  code: AuthErrorCode,
+): Promise<void> {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.code, code);
+    assert.equal(error.status, 401);
+    return true;
+  });
+}
+
+Deno.test("verifies a locally minted token", async () => {
+  const key = await createKey();
+  const token = await mintToken(key.privateKey);
+
+  const auth = await verifierFor(key).authenticate(bearer(`Bearer ${token}`));
+  assert.equal(auth?.fid, 3621);
+  assert.equal(auth?.token, token);
+  assert.equal(auth?.payload.aud, DOMAIN);
+});
+
+Deno.test("rejects an expired token", async () => {
+  const key = await createKey();
+  const now = Math.floor(NOW / 1000);
+  const token = await mintToken(key.privateKey, {
+    iat: now - 7200,
+    exp: now - 3600,
+  });
+
+  await assertAuthError(verifierFor(key).verify(token), "token_expired");
+});
+
+Deno.test("rejects a token for another domain", async () => {
+  const key = await createKey();
+  const token = await mintToken(key.privateKey, { aud: "evil.example" });
+
+  await assertAuthError(verifierFor(key).verify(token), "invalid_audience");
+});
+
+Deno.test("rejects a token from another issuer", async () => {
+  const key = await createKey();
+  const token = await mintToken(key.privateKey, {
+    iss: "https://auth.evil.example",
+  });
+
+  await assertAuthError(verifierFor(key).verify(token), "invalid_issuer");
+});
+
+Deno.test("rejects a token signed by another key", async () => {
+  const key = await createKey();
+  const other = await createKey();
+  const token = await mintToken(other.privateKey);
+
+  await assertAuthError(verifierFor(key).verify(token), "invalid_signature");
+});
+
+Deno.test("rejects a token whose payload was changed", async () => {
+  const key = await createKey();
+  const [header, , signature] = (await mintToken(key.privateKey)).split(".");
+  const payload = base64Url(JSON.stringify({
+    iss: QUICK_AUTH_ISSUER,
+    sub: 1,
+    aud: DOMAIN,
+    iat: Math.floor(NOW / 1000),
+    exp: Math.floor(NOW / 1000) + 3600,
+  }));
+
+  await assertAuthError(
+    verifierFor(key).verify(`${header}.${payload}.${signature}`),
+    "invalid_signature",
+  );
+});
+
+Deno.test("rejects a token with an unknown kid", async () => {
+  const key = await createKey();
+  const token = await mintToken(key.privateKey, {}, { kid: "rotated-out" });
+
+  await assertAuthError(verifierFor(key).verify(token), "unknown_key");
+});
+
+Deno.test("rejects tokens that are not EdDSA JWTs", async () => {
+  const key = await createKey();
+  const verifier = verifierFor(key);
+
+  await assertAuthError(verifier.verify("not-a-jwt"), "malformed_token");
+  await assertAuthError(
+    verifier.verify(await mintToken(key.privateKey, {}, { alg: "HS256" })),
+    "malformed_token",
+  );
+});
+
+Deno.test("keeps token text out of the WWW-Authenticate header", async () => {
+  const key = await createKey();
+  const verifier = verifierFor(key);
+  const tokens = [
+    await mintToken(key.privateKey, {}, { alg: 'none"\r\nSet-Cookie: a=b' }),
+    await mintToken(key.privateKey, {}, { kid: 'x", error="\r\n' }),
+  ];
+
+  for (const token of tokens) {
+    await assert.rejects(verifier.verify(token), (error) => {
+      assert.ok(error instanceof AuthError);
+      const challenge = new Response(null, { headers: error.headers })
+        .headers.get("WWW-Authenticate");
+      assert.match(
+        challenge ?? "",
+        /^Bearer error="invalid_token", error_description="[^"\r\n]*"$/,
+      );
+      return true;
+    });
+  }
+});
+
+Deno.test("rejects a token without an issue time", async () => {
+  const key = await createKey();
+  const token = await mintToken(key.privateKey, { iat: undefined });
+
+  await assertAuthError(verifierFor(key).verify(token), "malformed_token");
+});
+
+Deno.test("treats a missing or non-Bearer Authorization header as anonymous", async () => {
+  const verifier = verifierFor(await createKey());
+
+  assert.equal(
+    await verifier.authenticate(new Request("http://localhost:8000/me")),
+    null,
+  );
+  assert.equal(getBearerToken(bearer("Basic dXNlcjpwYXNz")), null);
+  assert.equal(await verifier.authenticate(bearer("Basic dXNlcjpwYXNz")), null);
+});
+
+Deno.test("rejects a Bearer header without a single token", () => {
+  for (const header of ["Bearer", "Bearer a b"]) {
+    assert.throws(
+      () => getBearerToken(bearer(header)),
+      (error) => error instanceof AuthError && error.code === "malformed_token",
+    );
+  }
+});
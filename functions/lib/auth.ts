@@ -0,0 +1,287 @@
+/**
+ * Quick Auth - Deno Deploy
+ * Verifies Farcaster Quick Auth session tokens (EdDSA-signed JWTs)
+ */
+
+import { HttpError } from "./errors.ts";
+
+export const QUICK_AUTH_ISSUER = "https://auth.farcaster.xyz";
+export const QUICK_AUTH_JWKS_URL = `${QUICK_AUTH_ISSUER}/.well-known/jwks.json`;
+
+export type AuthErrorCode =
+  | "missing_token"
+  | "malformed_token"
+  | "unknown_key"
+  | "invalid_signature"
+  | "token_expired"
+  | "token_not_yet_valid"
+  | "invalid_issuer"
+  | "invalid_audience"
+  | "invalid_subject";
+
+/**
+ * `error_description`s for the `WWW-Authenticate` challenge. Messages can
+ * quote the unverified token, which must not reach a header.
+ */
+const AUTH_ERROR_DESCRIPTIONS: Record<AuthErrorCode, string> = {
+  missing_token: "Token is missing",
+  malformed_token: "Token is malformed",
+  unknown_key: "Token is signed by an unknown key",
+  invalid_signature: "Token signature is invalid",
+  token_expired: "Token has expired",
+  token_not_yet_valid: "Token is not yet valid",
+  invalid_issuer: "Token issuer is not Quick Auth",
+  invalid_audience: "Token is for another domain",
+  invalid_subject: "Token subject is not a FID",
+};
+
+export class AuthError extends HttpError {
+  declare readonly code: AuthErrorCode;
+
+  constructor(message: string, code: AuthErrorCode) {
+    super(401, message, {
+      code,
+      headers: {
+        "WWW-Authenticate": code === "missing_token"
+          ? "Bearer"
+          : `Bearer error="invalid_token", error_description="${
+            AUTH_ERROR_DESCRIPTIONS[code]
+          }"`,
+      },
+    });
+    this.name = "AuthError";
+  }
+}
+
+export interface QuickAuthPayload {
+  iss: string;
+  sub: number;
+  aud: string;
+  exp: number;
+  iat: number;
+  [claim: string]: unknown;
+}
+
+export interface AuthContext {
+  fid: number;
+  token: string;
+  payload: QuickAuthPayload;
+}
+
+export interface Jwk {
+  kty: string;
+  crv: string;
+  x: string;
+  kid?: string;
+  alg?: string;
+  use?: string;
+}
+
+export interface Jwks {
+  keys: Jwk[];
+}
+
+export interface QuickAuthOptions {
+  /** Expected `iss` claim */
+  issuer?: string;
+  /** Expected `aud` claim (the mini app domain); skipped when unset */
+  audience?: string;
+  /** Local JWKS file, takes precedence over `jwksUrl` */
+  jwksPath?: string;
+  jwksUrl?: string;
+  clockToleranceSeconds?: number;
+  now?: () => number;
+}
+
+/**
+ * Read verifier options from the environment
+ */
+export function quickAuthOptionsFromEnv(): QuickAuthOptions {
+  return {
+    issuer: Deno.env.get("QUICK_AUTH_ISSUER") || QUICK_AUTH_ISSUER,
+    audience: Deno.env.get("QUICK_AUTH_DOMAIN") ||
+      Deno.env.get("FARCASTER_DOMAIN")?.replace(/^https?:\/\//, ""),
+    jwksPath: Deno.env.get("QUICK_AUTH_JWKS_PATH"),
+    jwksUrl: Deno.env.get("QUICK_AUTH_JWKS_URL") || QUICK_AUTH_JWKS_URL,
+  };
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header. Other
+ * schemes (e.g. Basic from a proxy in front of the app) are not Quick Auth
+ * credentials, so the request counts as anonymous.
+ */
+export function getBearerToken(req: Request): string | null {
+  const header = req.headers.get("Authorization")?.trim();
+  if (!header || !/^Bearer(\s|$)/i.test(header)) {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw new AuthError(
+      "Bearer token is missing or contains spaces",
+      "malformed_token",
+    );
+  }
+
+  return match[1];
+}
+
+export class QuickAuthVerifier {
+  private keys: Promise<Map<string, CryptoKey>> | null = null;
+
+  constructor(private readonly options: QuickAuthOptions = {}) {}
+
+  /**
+   * Verify the request's bearer token, resolving to null when none was sent
+   */
+  async authenticate(req: Request): Promise<AuthContext | null> {
+    const token = getBearerToken(req);
+    return token ? await this.verify(token) : null;
+  }
+
+  /**
+   * Verify a token's signature and claims
+   */
+  async verify(token: string): Promise<AuthContext> {
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+      throw new AuthError("Token is not a JWT", "malformed_token");
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeSegment(encodedHeader);
+    const payload = decodeSegment(encodedPayload) as QuickAuthPayload;
+
+    if (header.alg !== "EdDSA") {
+      throw new AuthError(
+        `Unsupported algorithm: ${String(header.alg)}`,
+        "malformed_token",
+      );
+    }
+
+    const key = await this.getKey(
+      typeof header.kid === "string" ? header.kid : undefined,
+    );
+    const valid = await crypto.subtle.verify(
+      "Ed25519",
+      key,
+      base64UrlDecode(encodedSignature),
+      new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`),
+    );
+    if (!valid) {
+      throw new AuthError("Token signature is invalid", "invalid_signature");
+    }
+
+    this.checkClaims(payload);
+
+    return { fid: Number(payload.sub), token, payload };
+  }
+
+  private checkClaims(payload: QuickAuthPayload): void {
+    const now = Math.floor((this.options.now?.() ?? Date.now()) / 1000);
+    const tolerance = this.options.clockToleranceSeconds ?? 30;
+    const issuer = this.options.issuer ?? QUICK_AUTH_ISSUER;
+
+    if (typeof payload.exp !== "number" || payload.exp + tolerance <= now) {
+      throw new AuthError("Token has expired", "token_expired");
+    }
+    if (typeof payload.iat !== "number") {
+      throw new AuthError("Token has no issue time", "malformed_token");
+    }
+    if (payload.iat - tolerance > now) {
+      throw new AuthError("Token is not yet valid", "token_not_yet_valid");
+    }
+    if (payload.iss !== issuer) {
+      throw new AuthError(
+        `Unexpected issuer: ${payload.iss}`,
+        "invalid_issuer",
+      );
+    }
+    if (this.options.audience && payload.aud !== this.options.audience) {
+      throw new AuthError(
+        `Unexpected audience: ${payload.aud}`,
+        "invalid_audience",
+      );
+    }
+
+    const fid = Number(payload.sub);
+    if (!Number.isSafeInteger(fid) || fid <= 0) {
+      throw new AuthError("Token subject is not a FID", "invalid_subject");
+    }
+  }
+
+  private async getKey(kid: string | undefined): Promise<CryptoKey> {
+    if (!this.keys) {
+      this.keys = this.loadKeys().catch((error) => {
+        // Allow the next request to retry a failed load
+        this.keys = null;
+        throw error;
+      });
+    }
+
+    const keys = await this.keys;
+    const key = kid ? keys.get(kid) : keys.values().next().value;
+    if (!key) {
+      throw new AuthError(
+        `No signing key found for kid '${kid}'`,
+        "unknown_key",
+      );
+    }
+    return key;
+  }
+
+  private async loadKeys(): Promise<Map<string, CryptoKey>> {
+    const { jwksPath, jwksUrl = QUICK_AUTH_JWKS_URL } = this.options;
+    let jwks: Jwks;
+
+    if (jwksPath) {
+      jwks = JSON.parse(await Deno.readTextFile(jwksPath));
+    } else {
+      const response = await fetch(jwksUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch JWKS: ${response.status}`);
+      }
+      jwks = await response.json();
+    }
+
+    const keys = new Map<string, CryptoKey>();
+    for (const [index, jwk] of jwks.keys.entries()) {
+      if (jwk.kty !== "OKP" || jwk.crv !== "Ed25519") {
+        continue;
+      }
+      const key = await crypto.subtle.importKey(
+        "jwk",
+        { kty: jwk.kty, crv: jwk.crv, x: jwk.x },
+        "Ed25519",
+        false,
+        ["verify"],
+      );
+      keys.set(jwk.kid ?? String(index), key);
+    }
+
+    return keys;
+  }
+}
+
+function decodeSegment(segment: string): Record<string, unknown> {
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+  } catch {
+    throw new AuthError("Token segment is not valid JSON", "malformed_token");
+  }
+}
+
+function base64UrlDecode(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(
+    base64.length + (4 - base64.length % 4) % 4,
+    "=",
+  );
+  try {
+    return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+  } catch {
+    throw new AuthError("Token is not valid base64url", "malformed_token");
+  }
+}
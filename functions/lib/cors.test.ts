@@ -0,0 +1,79 @@
+/**
+ * CORS policy tests
+ */
+
+import assert from "node:assert/strict";
+import {
+  allowOriginHeaders,
+  type CorsPolicy,
+  corsPolicyFromEnv,
+  DEFAULT_CORS_POLICY,
+  isOriginAllowed,
+} from "./cors.ts";
+
+const ORIGIN = "https://evil.example";
+
+function withEnv(env: Record<string, string>, test: () => void) {
+  const previous = Object.keys(env).map((key) => [key, Deno.env.get(key)]);
+  Object.entries(env).forEach(([key, value]) => Deno.env.set(key, value));
+  try {
+    test();
+  } finally {
+    for (const [key, value] of previous) {
+      if (value === undefined) {
+        Deno.env.delete(key as string);
+      } else {
+        Deno.env.set(key as string, value);
+      }
+    }
+  }
+}
+
+Deno.test("does not allow credentials by default", () => {
+  assert.equal(DEFAULT_CORS_POLICY.credentials, false);
+  assert.deepEqual(
+    allowOriginHeaders(DEFAULT_CORS_POLICY, "https://farcaster.xyz"),
+    { "Access-Control-Allow-Origin": "https://farcaster.xyz" },
+  );
+});
+
+Deno.test("answers a literal * without credentials for any origin", () => {
+  const policy: CorsPolicy = {
+    ...DEFAULT_CORS_POLICY,
+    origins: "*",
+    credentials: true,
+  };
+
+  assert.ok(isOriginAllowed(policy, ORIGIN));
+  assert.deepEqual(allowOriginHeaders(policy, ORIGIN), {
+    "Access-Control-Allow-Origin": "*",
+  });
+});
+
+Deno.test("echoes allowlisted origins with credentials when enabled", () => {
+  const policy: CorsPolicy = {
+    ...DEFAULT_CORS_POLICY,
+    origins: ["https://*.ngrok.app"],
+    credentials: true,
+  };
+
+  assert.ok(isOriginAllowed(policy, "https://abc.ngrok.app"));
+  assert.ok(!isOriginAllowed(policy, ORIGIN));
+  assert.deepEqual(allowOriginHeaders(policy, "https://abc.ngrok.app"), {
+    "Access-Control-Allow-Origin": "https://abc.ngrok.app",
+    "Access-Control-Allow-Credentials": "true",
+  });
+});
+
+Deno.test("reads CORS_ORIGINS=* and CORS_ALLOW_CREDENTIALS from the environment", () => {
+  withEnv({ CORS_ORIGINS: "*", CORS_ALLOW_CREDENTIALS: "true" }, () => {
+    const policy = corsPolicyFromEnv();
+    assert.equal(policy.origins, "*");
+    assert.deepEqual(allowOriginHeaders(policy, ORIGIN), {
+      "Access-Control-Allow-Origin": "*",
+    });
+  });
+  withEnv({ CORS_ORIGINS: "", CORS_ALLOW_CREDENTIALS: "" }, () => {
+    assert.equal(corsPolicyFromEnv().credentials, false);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * CORS Policy - Deno Deploy
+ * Origin allowlist and header rules applied by the router's cors() middleware
+ */
+
+import { isProduction } from "./errors.ts";
+
+export interface CorsPolicy {
+  /**
+   * Allowed origins, e.g. `https://myapp.com`. `https://*.ngrok.app` matches
+   * any subdomain; `"*"` allows every origin.
+   */
+  origins: string[] | "*";
+  methods: string[];
+  /** Request headers browsers may send; `"*"` allows whatever they ask for */
+  allowHeaders: string[] | "*";
+  /** Response headers readable by browser code */
+  exposeHeaders: string[];
+  /**
+   * Allow cookies and HTTP auth (off by default: the app sends Quick Auth
+   * tokens as bearer headers). Never sent with a `"*"` origin.
+   */
+  credentials: boolean;
+  /** Seconds browsers may cache a preflight answer */
+  maxAge: number;
+}
+
+/**
+ * Per-function changes to the router's policy
+ */
+export type CorsOverride = Partial<CorsPolicy>;
+
+/**
+ * Web origins of Farcaster clients that host mini apps
+ */
+export const FARCASTER_CLIENT_ORIGINS = [
+  "https://farcaster.xyz",
+  "https://client.farcaster.xyz",
+  "https://warpcast.com",
+  "https://client.warpcast.com",
+];
+
+// Remix dev server and the function router itself
+const DEV_ORIGINS = ["http://localhost:5173", "http://localhost:8000"];
+
+export const DEFAULT_CORS_POLICY: CorsPolicy = {
+  origins: FARCASTER_CLIENT_ORIGINS,
+  methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowHeaders: ["Authorization", "Content-Type", "X-Request-Id"],
+  exposeHeaders: [
+    "X-Request-Id",
+    "Server-Timing",
+    "Retry-After",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+  ],
+  credentials: false,
+  maxAge: 600,
+};
+
+/**
+ * Policy from the environment: the Farcaster client origins, the app's
+ * `homeUrl` (from FARCASTER_DOMAIN), CORS_ORIGINS, and localhost outside
+ * production. `CORS_ORIGINS=*` allows every origin.
+ */
+export function corsPolicyFromEnv(): CorsPolicy {
+  const extra = (Deno.env.get("CORS_ORIGINS") ?? "")
+    .split(",")
+    .map((origin: string) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  const domain = Deno.env.get("FARCASTER_DOMAIN")?.replace(/^https?:\/\//, "");
+  const credentials = Deno.env.get("CORS_ALLOW_CREDENTIALS");
+  const maxAge = Number(Deno.env.get("CORS_MAX_AGE"));
+
+  return {
+    ...DEFAULT_CORS_POLICY,
+    origins: extra.includes("*") ? "*" : [
+      ...FARCASTER_CLIENT_ORIGINS,
+      ...(domain ? [`https://${domain.replace(/\/+$/, "")}`] : []),
+      ...extra,
+      ...(isProduction() ? [] : DEV_ORIGINS),
+    ],
+    credentials: credentials === "true",
+    maxAge: Number.isFinite(maxAge) && maxAge > 0
+      ? maxAge
+      : DEFAULT_CORS_POLICY.maxAge,
+  };
+}
+
+/**
+ * Whether the policy allows an `Origin` header value
+ */
+export function isOriginAllowed(policy: CorsPolicy, origin: string): boolean {
+  if (policy.origins === "*") {
+    return true;
+  }
+  return policy.origins.some((allowed) => {
+    if (allowed === origin) {
+      return true;
+    }
+    const wildcard = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+    return !!wildcard && origin.startsWith(wildcard[1]) &&
+      origin.endsWith(`.${wildcard[2]}`);
+  });
+}
+
+/**
+ * `Access-Control-Allow-Origin` and `-Credentials` for an allowed origin
+ */
+export function allowOriginHeaders(
+  policy: CorsPolicy,
+  origin: string,
+): Record<string, string> {
+  // Echoing any origin with credentials would let every site make
+  // credentialed calls, so "*" stays a literal "*" and browsers send none
+  if (policy.origins === "*") {
+    return { "Access-Control-Allow-Origin": "*" };
+  }
+  return {
+    "Access-Control-Allow-Origin": origin,
+    ...(policy.credentials && { "Access-Control-Allow-Credentials": "true" }),
+  };
+}
+
+/**
+ * Headers allowed in answer to a preflight's `Access-Control-Request-Headers`.
+ * Headers the policy does not allow are left out, so the browser blocks the
+ * request instead of the server receiving it.
+ */
+export function allowedRequestHeaders(
+  policy: CorsPolicy,
+  requested: string | null,
+): string[] {
+  const names = (requested ?? "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => /^[!#$%&'*+.^_`|~\w-]+$/.test(name));
+
+  if (policy.allowHeaders === "*") {
+    return names;
+  }
+  const allowed = new Set(policy.allowHeaders.map((h) => h.toLowerCase()));
+  return names.filter((name) => allowed.has(name));
+}
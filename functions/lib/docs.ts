@@ -0,0 +1,110 @@
+/**
+ * Docs Page - Deno Deploy
+ * Static HTML reference rendered from the OpenAPI document
+ */
+
+import type { OpenApiDocument, OpenApiOperation } from "./openapi.ts";
+
+const STYLES = `
+  body { font: 15px/1.5 system-ui, sans-serif; max-width: 860px; margin: 0 auto; padding: 24px; color: #1f2937; }
+  h1 { margin-bottom: 0; }
+  h2 { margin-top: 40px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  section { margin: 16px 0; padding: 12px 16px; border: 1px solid #e5e7eb; border-radius: 8px; }
+  code, pre { font: 13px ui-monospace, monospace; }
+  pre { background: #f9fafb; padding: 8px; overflow-x: auto; border-radius: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f3f4f6; }
+  .method { display: inline-block; min-width: 56px; font-weight: 600; text-transform: uppercase; }
+  .get { color: #0369a1; } .post { color: #15803d; } .put, .patch { color: #b45309; } .delete { color: #b91c1c; }
+  .muted { color: #6b7280; font-size: 13px; }
+`;
+
+/**
+ * Render the document as a self-contained HTML page (no scripts)
+ */
+export function renderDocsPage(document: OpenApiDocument): string {
+  const sections = document.tags.map((tag) => {
+    const operations = Object.entries(document.paths).flatMap((
+      [path, methods],
+    ) =>
+      Object.entries(methods)
+        .filter(([, op]) => op.tags.includes(tag.name))
+        .map(([method, op]) => renderOperation(method, path, op))
+    );
+
+    return `
+    <h2>${escape(tag["x-displayName"] ?? tag.name)}</h2>
+    ${tag.description ? `<p>${escape(tag.description)}</p>` : ""}
+    ${operations.join("")}`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escape(document.info.title)} - API Docs</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escape(document.info.title)}</h1>
+  <p class="muted">Version ${escape(document.info.version)} ·
+    <a href="/openapi.json">openapi.json</a></p>
+  ${sections.join("")}
+</body>
+</html>
+`;
+}
+
+function renderOperation(
+  method: string,
+  path: string,
+  op: OpenApiOperation,
+): string {
+  const authRequired = !op.security.some((s) => Object.keys(s).length === 0);
+  const parameters = op.parameters ?? [];
+  const body = op.requestBody?.content["application/json"].schema;
+
+  return `
+    <section id="${escape(op.operationId)}">
+      <div><span class="method ${method}">${method}</span> <code>${
+    escape(path)
+  }</code></div>
+      ${op.summary ? `<p><strong>${escape(op.summary)}</strong></p>` : ""}
+      ${op.description ? `<p>${escape(op.description)}</p>` : ""}
+      <p class="muted">Quick Auth token ${
+    authRequired ? "required" : "optional"
+  } · <code>${escape(op.operationId)}</code></p>
+      ${
+    parameters.length > 0
+      ? `<table>
+        <tr><th>Parameter</th><th>In</th><th>Schema</th></tr>
+        ${
+        parameters.map((p) =>
+          `<tr><td><code>${escape(p.name)}</code>${
+            p.required ? " *" : ""
+          }</td><td>${p.in}</td><td><code>${
+            escape(JSON.stringify(p.schema))
+          }</code></td></tr>`
+        ).join("")
+      }
+      </table>`
+      : ""
+  }
+      ${
+    body
+      ? `<p class="muted">JSON body</p><pre>${
+        escape(JSON.stringify(body, null, 2))
+      }</pre>`
+      : ""
+  }
+    </section>`;
+}
+
+function escape(text: string): string {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
@@ -0,0 +1,73 @@
+/**
+ * HTTP Errors - Deno Deploy
+ * Typed errors that the router's error mapper turns into JSON responses
+ */
+
+import type { FieldError } from "./schema.ts";
+
+export interface HttpErrorOptions {
+  /** Machine-readable error code, defaults to one derived from the status */
+  code?: string;
+  /** Extra response headers, e.g. `Allow` or `WWW-Authenticate` */
+  headers?: Record<string, string>;
+  /** Structured details included in the response body */
+  details?: unknown;
+  /** Whether the message is safe to show in production (default: status < 500) */
+  expose?: boolean;
+}
+
+const DEFAULT_CODES: Record<number, string> = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  422: "unprocessable_entity",
+  429: "too_many_requests",
+  500: "internal_error",
+};
+
+export class HttpError extends Error {
+  readonly code: string;
+  readonly headers: Record<string, string>;
+  readonly details?: unknown;
+  readonly expose: boolean;
+
+  constructor(
+    readonly status: number,
+    message: string,
+    options: HttpErrorOptions = {},
+  ) {
+    super(message);
+    this.name = "HttpError";
+    this.code = options.code ?? DEFAULT_CODES[status] ?? "error";
+    this.headers = options.headers ?? {};
+    this.details = options.details;
+    this.expose = options.expose ?? status < 500;
+  }
+}
+
+/**
+ * Request failed schema validation; `errors` lists problems per field
+ */
+export class ValidationError extends HttpError {
+  constructor(
+    readonly errors: FieldError[],
+    status = 422,
+    message = "Validation failed",
+    code = "validation_failed",
+  ) {
+    super(status, message, { code });
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Whether the functions run in production, where internal error messages
+ * must not reach clients
+ */
+export function isProduction(): boolean {
+  const env = Deno.env.get("APP_ENV");
+  return env ? env === "production" : !!Deno.env.get("DENO_DEPLOYMENT_ID");
+}
@@ -0,0 +1,244 @@
+/**
+ * JSON Farcaster Signatures - Deno Deploy
+ * Verifies the signed events Farcaster clients post to the app's webhookUrl
+ */
+
+import { HttpError } from "./errors.ts";
+import { log } from "./log.ts";
+import { notificationsInsecureDev } from "./notifications.ts";
+
+/**
+ * A JSON Farcaster Signature: base64url-encoded header, payload and
+ * signature, where the signature covers `${header}.${payload}`
+ */
+export interface SignedMessage {
+  header: string;
+  payload: string;
+  signature: string;
+}
+
+export interface JfsHeader {
+  fid: number;
+  type: "app_key" | "custody" | "auth";
+  /** Hex-encoded public key, `0x`-prefixed */
+  key: string;
+}
+
+export interface VerifiedMessage<T> {
+  fid: number;
+  /** The app key that signed the message */
+  appKey: string;
+  payload: T;
+}
+
+export type SignatureErrorCode =
+  | "malformed_signature"
+  | "invalid_signature"
+  | "invalid_app_key"
+  | "app_key_check_failed";
+
+export class SignatureError extends HttpError {
+  declare readonly code: SignatureErrorCode;
+
+  constructor(message: string, code: SignatureErrorCode) {
+    const status = code === "malformed_signature"
+      ? 400
+      : code === "app_key_check_failed"
+      ? 503
+      : 401;
+    super(status, message, { code, expose: true });
+    this.name = "SignatureError";
+  }
+}
+
+/**
+ * Whether `key` is an active app key (signer) of `fid`
+ */
+export type AppKeyVerifier = (fid: number, key: string) => Promise<boolean>;
+
+interface SignerEvent {
+  signerEventBody?: { eventType?: string };
+}
+
+/**
+ * Check app keys against a Farcaster hub's on-chain signer events
+ */
+export function hubAppKeyVerifier(
+  hubUrl: string,
+  apiKey?: string,
+): AppKeyVerifier {
+  const baseUrl = hubUrl.replace(/\/+$/, "");
+
+  return async (fid, key) => {
+    const url = `${baseUrl}/v1/onChainSignersByFid?fid=${fid}&signer=${key}`;
+    let response: Response;
+    try {
+      response = await fetch(url, {
+        headers: apiKey ? { "x-api-key": apiKey } : {},
+      });
+    } catch (error) {
+      throw new SignatureError(
+        `Hub request failed: ${
+          error instanceof Error ? error.message : String(error)
+        }`,
+        "app_key_check_failed",
+      );
+    }
+
+    // Hubs answer 400/404 for a key that was never added
+    if (response.status === 400 || response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new SignatureError(
+        `Hub returned ${response.status} for the app key check`,
+        "app_key_check_failed",
+      );
+    }
+
+    // One on-chain event, or a list of them from older hubs
+    const body = await response.json() as SignerEvent & {
+      events?: SignerEvent[];
+    };
+    const events = Array.isArray(body.events) ? body.events : [body];
+    return events.some((event) =>
+      event.signerEventBody?.eventType === "SIGNER_EVENT_TYPE_ADD"
+    );
+  };
+}
+
+let warnedUnverified = false;
+
+/**
+ * App key verifier for FARCASTER_HUB_URL (with FARCASTER_HUB_API_KEY).
+ * Without a hub anyone could sign an event for any FID, so events are
+ * rejected unless NOTIFICATIONS_INSECURE_DEV=true (outside production),
+ * which returns null to trust any correctly signed key.
+ */
+export function appKeyVerifierFromEnv(): AppKeyVerifier | null {
+  const hubUrl = Deno.env.get("FARCASTER_HUB_URL");
+  if (hubUrl) {
+    return hubAppKeyVerifier(hubUrl, Deno.env.get("FARCASTER_HUB_API_KEY"));
+  }
+  const insecureDev = notificationsInsecureDev();
+  if (!warnedUnverified) {
+    warnedUnverified = true;
+    log(
+      insecureDev ? "warn" : "error",
+      insecureDev
+        ? "FARCASTER_HUB_URL unset; app keys are not checked"
+        : "FARCASTER_HUB_URL unset; webhook events are rejected",
+    );
+  }
+  if (insecureDev) {
+    return null;
+  }
+  return () => {
+    throw new SignatureError(
+      "FARCASTER_HUB_URL is not set, so app keys cannot be checked",
+      "app_key_check_failed",
+    );
+  };
+}
+
+/**
+ * Decode and verify a signed message. The signature must be made by the
+ * header's Ed25519 app key, and `verifyAppKey` (when given) must confirm
+ * the key belongs to the header's FID.
+ */
+export async function verifySignedMessage<T>(
+  message: SignedMessage,
+  verifyAppKey: AppKeyVerifier | null = appKeyVerifierFromEnv(),
+): Promise<VerifiedMessage<T>> {
+  const header = decodeJson(message.header, "header") as Partial<JfsHeader>;
+  const payload = decodeJson(message.payload, "payload") as T;
+
+  if (
+    typeof header.fid !== "number" || !Number.isSafeInteger(header.fid) ||
+    header.fid <= 0
+  ) {
+    throw new SignatureError("Header has no valid fid", "malformed_signature");
+  }
+  if (header.type !== "app_key") {
+    throw new SignatureError(
+      `Unsupported signature type: ${String(header.type)}`,
+      "malformed_signature",
+    );
+  }
+  const key = typeof header.key === "string" ? header.key.toLowerCase() : "";
+  if (!/^0x[0-9a-f]{64}$/.test(key)) {
+    throw new SignatureError(
+      "Header key is not an Ed25519 public key",
+      "malformed_signature",
+    );
+  }
+
+  const publicKey = await crypto.subtle.importKey(
+    "raw",
+    hexToBytes(key.slice(2)),
+    "Ed25519",
+    false,
+    ["verify"],
+  );
+  const valid = await crypto.subtle.verify(
+    "Ed25519",
+    publicKey,
+    decodeBase64Url(message.signature, "signature"),
+    new TextEncoder().encode(`${message.header}.${message.payload}`),
+  );
+  if (!valid) {
+    throw new SignatureError("Signature is invalid", "invalid_signature");
+  }
+
+  if (verifyAppKey && !(await verifyAppKey(header.fid, key))) {
+    throw new SignatureError(
+      `Key is not an app key of FID ${header.fid}`,
+      "invalid_app_key",
+    );
+  }
+
+  return { fid: header.fid, appKey: key, payload };
+}
+
+function decodeBase64Url(
+  value: string,
+  part: string,
+): Uint8Array<ArrayBuffer> {
+  try {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  } catch {
+    throw new SignatureError(
+      `The ${part} is not base64url`,
+      "malformed_signature",
+    );
+  }
+}
+
+function decodeJson(value: string, part: string): Record<string, unknown> {
+  try {
+    const json = JSON.parse(
+      new TextDecoder().decode(decodeBase64Url(value, part)),
+    );
+    if (json && typeof json === "object" && !Array.isArray(json)) {
+      return json;
+    }
+  } catch (error) {
+    if (error instanceof SignatureError) {
+      throw error;
+    }
+  }
+  throw new SignatureError(
+    `The ${part} is not a JSON object`,
+    "malformed_signature",
+  );
+}
+
+function hexToBytes(hex: string): Uint8Array<ArrayBuffer> {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
@@ -0,0 +1,14 @@
+/**
+ * Deno KV - Deno Deploy
+ * Shared KV connection for function storage
+ */
+
+let kv: Promise<Deno.Kv> | null = null;
+
+/**
+ * Open the KV database once per isolate. `KV_PATH` selects a local file, or
+ * `:memory:` for a throwaway store; on Deno Deploy it is left unset.
+ */
+export function getKv(): Promise<Deno.Kv> {
+  return kv ??= Deno.openKv(Deno.env.get("KV_PATH") || undefined);
+}
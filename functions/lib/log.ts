@@ -0,0 +1,27 @@
+/**
+ * Structured Logging - Deno Deploy
+ * One JSON object per line so Deno Deploy logs can be filtered by field
+ */
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+export function log(
+  level: LogLevel,
+  message: string,
+  fields: Record<string, unknown> = {},
+): void {
+  const line = JSON.stringify({
+    level,
+    message,
+    ...fields,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
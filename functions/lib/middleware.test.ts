@@ -0,0 +1,211 @@
+/**
+ * Middleware pipeline tests: ordering, request IDs, error mapping, access
+ * logs and Server-Timing
+ */
+
+import assert from "node:assert/strict";
+import { HttpError, ValidationError } from "./errors.ts";
+import {
+  accessLog,
+  compose,
+  errorMapper,
+  type Middleware,
+  type RequestContext,
+  type RequestHandler,
+  requestId,
+  serverTiming,
+} from "./middleware.ts";
+import { RouteTable } from "./routes.ts";
+
+const routes = new RouteTable().get("/users/:id", () => new Response("ok"));
+
+function context(path = "/users/1"): RequestContext {
+  const url = new URL(path, "http://localhost:8000");
+  return {
+    url,
+    requestId: "",
+    startTime: performance.now(),
+    timings: [],
+    match: routes.match("GET", url.pathname),
+    auth: null,
+    clientIp: null,
+  };
+}
+
+function run(
+  middlewares: Middleware[],
+  handler: RequestHandler,
+  headers: HeadersInit = {},
+): Promise<Response> {
+  const ctx = context();
+  return compose(middlewares, handler)(new Request(ctx.url, { headers }), ctx);
+}
+
+/**
+ * Collect the JSON lines `log()` writes while `test` runs
+ */
+async function captureLogs(
+  test: () => Promise<void>,
+): Promise<Record<string, unknown>[]> {
+  const lines: Record<string, unknown>[] = [];
+  const { log, error } = console;
+  console.log = console.error = (line: string) => lines.push(JSON.parse(line));
+  try {
+    await test();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+function throwing(error: unknown): RequestHandler {
+  return () => Promise.reject(error);
+}
+
+Deno.test("runs middlewares outermost first around the handler", async () => {
+  const calls: string[] = [];
+  const step = (name: string): Middleware => async (_req, _ctx, next) => {
+    calls.push(`${name} in`);
+    const response = await next();
+    calls.push(`${name} out`);
+    return response;
+  };
+  const skip: Middleware = () => Promise.resolve(new Response("early"));
+
+  await run([step("a"), step("b")], () => {
+    calls.push("handler");
+    return Promise.resolve(new Response("ok"));
+  });
+  assert.deepEqual(calls, ["a in", "b in", "handler", "b out", "a out"]);
+
+  calls.length = 0;
+  const response = await run([step("a"), skip, step("b")], () => {
+    calls.push("handler");
+    return Promise.resolve(new Response("ok"));
+  });
+  assert.equal(await response.text(), "early");
+  assert.deepEqual(calls, ["a in", "a out"]);
+});
+
+Deno.test("reuses a sane X-Request-Id and shares it with inner steps", async () => {
+  let seen = "";
+  const handler: RequestHandler = (_req, ctx) => {
+    seen = ctx.requestId;
+    return Promise.resolve(new Response("ok"));
+  };
+
+  const reused = await run([requestId()], handler, {
+    "X-Request-Id": "client-123",
+  });
+  assert.equal(reused.headers.get("X-Request-Id"), "client-123");
+  assert.equal(seen, "client-123");
+
+  const replaced = await run([requestId()], handler, {
+    "X-Request-Id": "bad id <script>",
+  });
+  assert.match(seen, /^[0-9a-f-]{36}$/);
+  assert.equal(replaced.headers.get("X-Request-Id"), seen);
+
+  const failed = await run(
+    [requestId(), errorMapper()],
+    throwing(new HttpError(404, "Nope")),
+    { "X-Request-Id": "client-456" },
+  );
+  assert.equal(failed.headers.get("X-Request-Id"), "client-456");
+  assert.equal((await failed.json()).requestId, "client-456");
+});
+
+Deno.test("maps HttpErrors to envelopes with their status and headers", async () => {
+  const response = await run(
+    [errorMapper()],
+    throwing(
+      new HttpError(429, "Slow down", {
+        code: "rate_limited",
+        headers: { "Retry-After": "5" },
+        details: { limit: 1 },
+      }),
+    ),
+  );
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get("Content-Type"), "application/json");
+  assert.equal(response.headers.get("Retry-After"), "5");
+  const body = await response.json();
+  assert.equal(body.success, false);
+  assert.equal(body.message, "Slow down");
+  assert.equal(body.code, "rate_limited");
+  assert.deepEqual(body.details, { limit: 1 });
+});
+
+Deno.test("lists validation errors", async () => {
+  const errors = [{
+    field: "body.name",
+    code: "required",
+    message: "Required",
+  }];
+  const response = await run(
+    [errorMapper()],
+    throwing(new ValidationError(errors)),
+  );
+
+  assert.equal(response.status, 422);
+  const body = await response.json();
+  assert.equal(body.code, "validation_failed");
+  assert.deepEqual(body.errors, errors);
+});
+
+Deno.test("hides unexpected errors unless internals are exposed", async () => {
+  let hidden: Response | undefined;
+  const logs = await captureLogs(async () => {
+    hidden = await run(
+      [errorMapper({ exposeInternals: false })],
+      throwing(new Error("database password is hunter2")),
+    );
+  });
+
+  assert.equal(hidden?.status, 500);
+  const body = await hidden!.json();
+  assert.equal(body.message, "Internal server error");
+  assert.equal(body.code, "internal_error");
+  assert.equal(logs[0].level, "error");
+  assert.equal(logs[0].error, "database password is hunter2");
+
+  await captureLogs(async () => {
+    const exposed = await run(
+      [errorMapper({ exposeInternals: true })],
+      throwing(new Error("boom")),
+    );
+    assert.equal((await exposed.json()).message, "boom");
+  });
+});
+
+Deno.test("logs one line per request with its route and status", async () => {
+  const logs = await captureLogs(async () => {
+    await run(
+      [requestId(), accessLog(), errorMapper()],
+      throwing(new HttpError(404, "Nope")),
+      { "X-Request-Id": "client-789" },
+    );
+  });
+
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].level, "info");
+  assert.equal(logs[0].message, "request");
+  assert.equal(logs[0].requestId, "client-789");
+  assert.equal(logs[0].route, "/users/:id");
+  assert.equal(logs[0].status, 404);
+  assert.equal(typeof logs[0].durationMs, "number");
+});
+
+Deno.test("reports recorded timings and the total in Server-Timing", async () => {
+  const response = await run([serverTiming()], (_req, ctx) => {
+    ctx.timings.push({ name: "auth", dur: 1.24 });
+    ctx.timings.push({ name: "db", dur: 3, desc: "kv" });
+    return Promise.resolve(new Response("ok"));
+  });
+
+  assert.match(
+    response.headers.get("Server-Timing") ?? "",
+    /^auth;dur=1\.2, db;dur=3\.0;desc="kv", total;dur=\d+\.\d$/,
+  );
+});
@@ -0,0 +1,361 @@
+/**
+ * Middleware - Deno Deploy
+ * Composable request pipeline for the function router
+ */
+
+import type { RouterResponse } from "../router.ts";
+import { type AuthContext, AuthError, type QuickAuthVerifier } from "./auth.ts";
+import {
+  allowedRequestHeaders,
+  allowOriginHeaders,
+  type CorsPolicy,
+  corsPolicyFromEnv,
+  isOriginAllowed,
+} from "./cors.ts";
+import { HttpError, isProduction, ValidationError } from "./errors.ts";
+import { log } from "./log.ts";
+import {
+  type RateLimit,
+  rateLimitClientKey,
+  RateLimiter,
+  rateLimitHeaders,
+  type RateLimitStore,
+  rateLimitStoreFromEnv,
+} from "./rate-limit.ts";
+import type { RouteMatch } from "./routes.ts";
+
+export interface ServerTimingEntry {
+  name: string;
+  dur: number;
+  desc?: string;
+}
+
+/**
+ * Per-request state shared by middlewares and the router
+ */
+export interface RequestContext {
+  url: URL;
+  requestId: string;
+  /** `performance.now()` when the request entered the pipeline */
+  startTime: number;
+  timings: ServerTimingEntry[];
+  /** Route matched for the request, resolved before middlewares run */
+  match: RouteMatch;
+  auth: AuthContext | null;
+  /** Address of the connecting client, when the server provides it */
+  clientIp: string | null;
+}
+
+export type Next = () => Promise<Response>;
+
+export type Middleware = (
+  req: Request,
+  ctx: RequestContext,
+  next: Next,
+) => Promise<Response>;
+
+export type RequestHandler = (
+  req: Request,
+  ctx: RequestContext,
+) => Promise<Response>;
+
+/**
+ * Chain middlewares around a handler, first middleware outermost
+ */
+export function compose(
+  middlewares: Middleware[],
+  handler: RequestHandler,
+): RequestHandler {
+  return (req, ctx) => {
+    const dispatch = (index: number): Promise<Response> => {
+      const middleware = middlewares[index];
+      return middleware
+        ? middleware(req, ctx, () => dispatch(index + 1))
+        : handler(req, ctx);
+    };
+    return dispatch(0);
+  };
+}
+
+/**
+ * Copy a response with extra headers (fetched responses have immutable headers)
+ */
+export function withHeaders(
+  response: Response,
+  headers: Record<string, string>,
+): Response {
+  const merged = new Headers(response.headers);
+  Object.entries(headers).forEach(([key, value]) => merged.set(key, value));
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: merged,
+  });
+}
+
+/**
+ * Assign each request an ID, reusing a sane incoming `X-Request-Id`
+ */
+export function requestId(): Middleware {
+  return async (req, ctx, next) => {
+    const incoming = req.headers.get("X-Request-Id");
+    ctx.requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+    const response = await next();
+    return withHeaders(response, { "X-Request-Id": ctx.requestId });
+  };
+}
+
+/**
+ * Log one JSON line per request
+ */
+export function accessLog(): Middleware {
+  return async (req, ctx, next) => {
+    const response = await next();
+    const match = ctx.match.type === "found" ? ctx.match : null;
+
+    log(response.status >= 500 ? "error" : "info", "request", {
+      requestId: ctx.requestId,
+      method: req.method,
+      path: ctx.url.pathname,
+      route: match?.route.path,
+      status: response.status,
+      durationMs: Math.round((performance.now() - ctx.startTime) * 100) / 100,
+      fid: ctx.auth?.fid,
+    });
+
+    return response;
+  };
+}
+
+/**
+ * Report recorded timings plus the total in a `Server-Timing` header
+ */
+export function serverTiming(): Middleware {
+  return async (_req, ctx, next) => {
+    const response = await next();
+    const entries = [
+      ...ctx.timings,
+      { name: "total", dur: performance.now() - ctx.startTime },
+    ];
+
+    return withHeaders(response, {
+      "Server-Timing": entries
+        .map(({ name, dur, desc }) =>
+          `${name};dur=${dur.toFixed(1)}` + (desc ? `;desc="${desc}"` : "")
+        )
+        .join(", "),
+    });
+  };
+}
+
+/**
+ * Add a value to the `Vary` header without dropping existing ones
+ */
+function appendVary(headers: Headers, ...names: string[]): void {
+  const vary = (headers.get("Vary") ?? "").split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!vary.some((v) => v.toLowerCase() === name.toLowerCase())) {
+      vary.push(name);
+    }
+  }
+  headers.set("Vary", vary.join(", "));
+}
+
+/**
+ * Answer preflight requests and add CORS headers for allowed origins. The
+ * matched function's override is merged into the policy, and responses that
+ * already carry `Access-Control-Allow-Origin` keep the handler's headers.
+ */
+export function cors(policy: CorsPolicy = corsPolicyFromEnv()): Middleware {
+  return async (req, ctx, next) => {
+    const effective = ctx.match.type === "found" && ctx.match.cors
+      ? { ...policy, ...ctx.match.cors }
+      : policy;
+    const origin = req.headers.get("Origin");
+    const allowed = origin !== null && isOriginAllowed(effective, origin);
+
+    if (
+      req.method === "OPTIONS" && origin !== null &&
+      req.headers.has("Access-Control-Request-Method")
+    ) {
+      const headers = new Headers();
+      appendVary(
+        headers,
+        "Origin",
+        "Access-Control-Request-Method",
+        "Access-Control-Request-Headers",
+      );
+      if (allowed) {
+        const requestHeaders = allowedRequestHeaders(
+          effective,
+          req.headers.get("Access-Control-Request-Headers"),
+        );
+        Object.entries(allowOriginHeaders(effective, origin))
+          .forEach(([key, value]) => headers.set(key, value));
+        headers.set(
+          "Access-Control-Allow-Methods",
+          effective.methods.join(", "),
+        );
+        if (requestHeaders.length > 0) {
+          headers.set(
+            "Access-Control-Allow-Headers",
+            requestHeaders.join(", "),
+          );
+        }
+        headers.set("Access-Control-Max-Age", String(effective.maxAge));
+      }
+      return new Response(null, { status: 204, headers });
+    }
+
+    const response = await next();
+    const headers = new Headers(response.headers);
+    appendVary(headers, "Origin");
+
+    if (allowed && !headers.has("Access-Control-Allow-Origin")) {
+      Object.entries(allowOriginHeaders(effective, origin))
+        .forEach(([key, value]) => headers.set(key, value));
+      if (effective.exposeHeaders.length > 0) {
+        headers.set(
+          "Access-Control-Expose-Headers",
+          effective.exposeHeaders.join(", "),
+        );
+      }
+    }
+
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    });
+  };
+}
+
+export interface ErrorMapperOptions {
+  /** Include messages of unexpected errors in responses (default: not in production) */
+  exposeInternals?: boolean;
+}
+
+/**
+ * Turn thrown errors into `RouterResponse` envelopes. `HttpError`s keep their
+ * status and message; anything else becomes an opaque 500 in production.
+ */
+export function errorMapper(options: ErrorMapperOptions = {}): Middleware {
+  const exposeInternals = options.exposeInternals ?? !isProduction();
+
+  return async (req, ctx, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      const httpError = error instanceof HttpError ? error : null;
+      const status = httpError?.status ?? 500;
+
+      if (status >= 500) {
+        log("error", "unhandled error", {
+          requestId: ctx.requestId,
+          method: req.method,
+          path: ctx.url.pathname,
+          error: error instanceof Error ? error.message : String(error),
+          stack: error instanceof Error ? error.stack : undefined,
+        });
+      }
+
+      let message = "Internal server error";
+      if (httpError?.expose || exposeInternals) {
+        message = error instanceof Error ? error.message : String(error);
+      }
+
+      const responseData: RouterResponse = {
+        success: false,
+        message,
+        code: httpError?.code ?? "internal_error",
+        details: httpError?.details,
+        errors: error instanceof ValidationError ? error.errors : undefined,
+        requestId: ctx.requestId,
+        timestamp: new Date().toISOString(),
+      };
+
+      return new Response(JSON.stringify(responseData, null, 2), {
+        status,
+        headers: {
+          "Content-Type": "application/json",
+          ...httpError?.headers,
+        },
+      });
+    }
+  };
+}
+
+/**
+ * Verify the Quick Auth token and enforce the matched route's auth mode
+ */
+export function authenticate(verifier: QuickAuthVerifier): Middleware {
+  return async (req, ctx, next) => {
+    if (ctx.match.type === "found") {
+      const start = performance.now();
+      ctx.auth = await verifier.authenticate(req);
+      ctx.timings.push({ name: "auth", dur: performance.now() - start });
+
+      if (!ctx.auth && ctx.match.auth === "required") {
+        throw new AuthError("Authentication required", "missing_token");
+      }
+    }
+    return await next();
+  };
+}
+
+export interface RateLimitOptions {
+  /** Limit for routes without their own `rateLimit` option */
+  default?: RateLimit;
+  /** Counter storage (default: Deno KV, see `rateLimitStoreFromEnv()`) */
+  store?: RateLimitStore;
+}
+
+/**
+ * Enforce the matched route's request limit, answering 429 with
+ * `Retry-After` once it is used up. Runs after `authenticate()` so limits
+ * can be keyed by FID.
+ */
+export function rateLimit(options: RateLimitOptions = {}): Middleware {
+  let limiter: Promise<RateLimiter> | null = null;
+
+  return async (req, ctx, next) => {
+    const match = ctx.match.type === "found" ? ctx.match : null;
+    const limit = match?.route.rateLimit === false
+      ? null
+      : match?.route.rateLimit ?? options.default;
+    if (!match || !limit) {
+      return await next();
+    }
+
+    const start = performance.now();
+    limiter ??=
+      (options.store ? Promise.resolve(options.store) : rateLimitStoreFromEnv())
+        .then((store) => new RateLimiter(store));
+    const client = await rateLimitClientKey(limit.key, req, {
+      ip: ctx.clientIp,
+      auth: ctx.auth,
+    });
+    const result = await (await limiter).hit(
+      limit.name ?? `${match.route.method} ${match.pattern}`,
+      client,
+      limit,
+    );
+    ctx.timings.push({ name: "ratelimit", dur: performance.now() - start });
+
+    const headers = rateLimitHeaders(result, limit);
+    if (!result.allowed) {
+      throw new HttpError(
+        429,
+        `Too many requests, retry in ${result.retryAfter}s`,
+        { code: "rate_limited", headers },
+      );
+    }
+    return withHeaders(await next(), headers);
+  };
+}
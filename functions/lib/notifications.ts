@@ -0,0 +1,514 @@
+/**
+ * Notifications - Deno Deploy
+ * Notification tokens per FID in Deno KV, and delivery to Farcaster clients
+ */
+
+import type { MiniAppState } from "../../shared/types.ts";
+import { isProduction } from "./errors.ts";
+import { getKv } from "./kv.ts";
+import { log } from "./log.ts";
+
+/**
+ * A user's add and notification state as last reported by the app
+ */
+export type ReportedState = Pick<
+  MiniAppState,
+  "added" | "notificationsEnabled" | "lastAddError" | "updatedAt"
+>;
+
+/**
+ * Where and how a client accepts notifications for one user, from the
+ * `notificationDetails` of a webhook event
+ */
+export interface NotificationDetails {
+  url: string;
+  token: string;
+}
+
+export interface NotificationSubscription extends NotificationDetails {
+  fid: number;
+  /** App key of the client that sent the details; one entry per client */
+  appKey: string;
+  updatedAt: string;
+}
+
+export interface Notification {
+  /** Clients drop repeats of an ID for the same user within 24 hours */
+  notificationId: string;
+  title: string;
+  body: string;
+  targetUrl: string;
+}
+
+/**
+ * What happened to the tokens of one send
+ */
+export interface DeliveryReport {
+  successful: number;
+  /** Tokens the client no longer accepts; they have been removed */
+  invalid: number;
+  /** Tokens still rate limited after the last retry */
+  rateLimited: number;
+  /** Tokens whose client could not be reached or rejected the request */
+  failed: number;
+}
+
+const SUBSCRIPTIONS = "notifications";
+const SUBSCRIPTIONS_BY_TOKEN = "notification_tokens";
+const REPORTED_STATES = "miniapp_states";
+
+// Limits from the Farcaster send notification spec
+export const MAX_TOKENS_PER_REQUEST = 100;
+export const MAX_TITLE_LENGTH = 32;
+export const MAX_BODY_LENGTH = 128;
+export const MAX_NOTIFICATION_ID_LENGTH = 128;
+
+// Retries when a concurrent write wins the atomic check
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Hosts of the Farcaster clients' notification endpoints. The server POSTs
+ * to whatever URL a signed event registers, so other hosts are refused;
+ * add more with NOTIFICATION_HOSTS.
+ */
+export const FARCASTER_NOTIFICATION_HOSTS = [
+  "api.farcaster.xyz",
+  "api.warpcast.com",
+];
+
+// Where scripts/mock-notification-server.js listens in development
+const DEV_NOTIFICATION_HOSTS = ["localhost", "127.0.0.1"];
+
+export interface NotificationUrlPolicy {
+  /** Hostnames notification URLs may point at */
+  hosts: string[];
+  /** Accept http: URLs as well as https: */
+  allowHttp: boolean;
+}
+
+/**
+ * Whether NOTIFICATIONS_INSECURE_DEV=true relaxes the notification checks
+ * for local testing. Never outside development: production ignores it.
+ */
+export function notificationsInsecureDev(): boolean {
+  return Deno.env.get("NOTIFICATIONS_INSECURE_DEV") === "true" &&
+    !isProduction();
+}
+
+/**
+ * The known Farcaster hosts plus NOTIFICATION_HOSTS (comma-separated), and
+ * http://localhost with NOTIFICATIONS_INSECURE_DEV
+ */
+export function notificationUrlPolicyFromEnv(): NotificationUrlPolicy {
+  const insecureDev = notificationsInsecureDev();
+  const extraHosts = (Deno.env.get("NOTIFICATION_HOSTS") ?? "").split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    hosts: [
+      ...FARCASTER_NOTIFICATION_HOSTS,
+      ...extraHosts,
+      ...(insecureDev ? DEV_NOTIFICATION_HOSTS : []),
+    ],
+    allowHttp: insecureDev,
+  };
+}
+
+/**
+ * Whether the server may POST notifications to `url`: https (or http when
+ * allowed) on one of the policy's hosts, without credentials
+ */
+export function isNotificationUrlAllowed(
+  policy: NotificationUrlPolicy,
+  url: string,
+): boolean {
+  if (!URL.canParse(url)) {
+    return false;
+  }
+  const { protocol, hostname, username, password } = new URL(url);
+  if (protocol !== "https:" && !(policy.allowHttp && protocol === "http:")) {
+    return false;
+  }
+  return !username && !password &&
+    policy.hosts.includes(hostname.toLowerCase());
+}
+
+export class NotificationStore {
+  constructor(private readonly kv: Deno.Kv) {}
+
+  /**
+   * Save a client's notification details, replacing its previous token
+   */
+  async save(
+    fid: number,
+    appKey: string,
+    details: NotificationDetails,
+  ): Promise<NotificationSubscription> {
+    const key = [SUBSCRIPTIONS, fid, appKey];
+    const subscription: NotificationSubscription = {
+      fid,
+      appKey,
+      url: details.url,
+      token: details.token,
+      updatedAt: new Date().toISOString(),
+    };
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const existing = await this.kv.get<NotificationSubscription>(key);
+      const op = this.kv.atomic()
+        .check(existing)
+        .set(key, subscription)
+        .set([SUBSCRIPTIONS_BY_TOKEN, details.token], [fid, appKey]);
+      if (existing.value && existing.value.token !== details.token) {
+        op.delete([SUBSCRIPTIONS_BY_TOKEN, existing.value.token]);
+      }
+      if ((await op.commit()).ok) {
+        return subscription;
+      }
+    }
+
+    throw new Error(`Could not save notification details for FID ${fid}`);
+  }
+
+  /**
+   * Forget a client's notification details, returning whether any existed
+   */
+  async remove(fid: number, appKey: string): Promise<boolean> {
+    const key = [SUBSCRIPTIONS, fid, appKey];
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const existing = await this.kv.get<NotificationSubscription>(key);
+      if (!existing.value) {
+        return false;
+      }
+      const result = await this.kv.atomic()
+        .check(existing)
+        .delete(key)
+        .delete([SUBSCRIPTIONS_BY_TOKEN, existing.value.token])
+        .commit();
+      if (result.ok) {
+        return true;
+      }
+    }
+
+    throw new Error(`Could not remove notification details for FID ${fid}`);
+  }
+
+  /**
+   * Remove subscriptions by token, e.g. the invalid tokens of a send
+   */
+  async removeTokens(tokens: string[]): Promise<void> {
+    for (const token of tokens) {
+      const entry = await this.kv.get<[number, string]>(
+        [SUBSCRIPTIONS_BY_TOKEN, token],
+      );
+      if (!entry.value) {
+        continue;
+      }
+      const [fid, appKey] = entry.value;
+      const subscription = await this.kv.get<NotificationSubscription>(
+        [SUBSCRIPTIONS, fid, appKey],
+      );
+      // Skip entries the client has since replaced with a new token
+      if (subscription.value?.token === token) {
+        await this.remove(fid, appKey);
+      } else {
+        await this.kv.delete([SUBSCRIPTIONS_BY_TOKEN, token]);
+      }
+    }
+  }
+
+  /**
+   * A user's state combining the app's last report with stored tokens
+   */
+  async getState(fid: number): Promise<MiniAppState> {
+    const [reported, subscriptions] = await Promise.all([
+      this.kv.get<ReportedState>([REPORTED_STATES, fid]),
+      this.list([fid]),
+    ]);
+    const hasNotificationToken = subscriptions.length > 0;
+
+    // Before the app reports anything, the webhook's tokens are all we know
+    return {
+      fid,
+      ...(reported.value ?? {
+        added: hasNotificationToken,
+        notificationsEnabled: hasNotificationToken,
+        updatedAt: subscriptions[0]?.updatedAt ?? new Date().toISOString(),
+      }),
+      hasNotificationToken,
+    };
+  }
+
+  /**
+   * Record the state the app saw after prompting the user
+   */
+  async reportState(
+    fid: number,
+    state: Omit<ReportedState, "updatedAt">,
+  ): Promise<MiniAppState> {
+    const reported: ReportedState = {
+      added: state.added,
+      notificationsEnabled: state.notificationsEnabled,
+      ...(state.lastAddError && { lastAddError: state.lastAddError }),
+      updatedAt: new Date().toISOString(),
+    };
+    await this.kv.set([REPORTED_STATES, fid], reported);
+    return await this.getState(fid);
+  }
+
+  /**
+   * Subscriptions of the given FIDs, or of every user
+   */
+  async list(fids?: number[]): Promise<NotificationSubscription[]> {
+    const subscriptions: NotificationSubscription[] = [];
+    const prefixes = fids
+      ? fids.map((fid) => [SUBSCRIPTIONS, fid])
+      : [[SUBSCRIPTIONS]];
+
+    for (const prefix of prefixes) {
+      for await (
+        const entry of this.kv.list<NotificationSubscription>({ prefix })
+      ) {
+        subscriptions.push(entry.value);
+      }
+    }
+    return subscriptions;
+  }
+}
+
+export interface SenderOptions {
+  /** Attempts per batch, counting the first (default 3) */
+  maxAttempts?: number;
+  /** Delay before the first retry, doubled for each one after (default 1s) */
+  retryDelayMs?: number;
+  /** Longest wait honoured from a `Retry-After` header (default 30s) */
+  maxRetryDelayMs?: number;
+  /**
+   * How long after a send starts retries may still be scheduled (default
+   * 10s), so `POST /notify` answers promptly; later retries are skipped
+   */
+  maxRetryTimeMs?: number;
+  /** Timeout of each request to a client (default 10s) */
+  requestTimeoutMs?: number;
+  /** Client URLs the sender may POST to (default: from the environment) */
+  urlPolicy?: NotificationUrlPolicy;
+  fetch?: typeof fetch;
+  sleep?: (ms: number) => Promise<void>;
+}
+
+interface SendResult {
+  successfulTokens?: string[];
+  invalidTokens?: string[];
+  rateLimitedTokens?: string[];
+}
+
+type PostOutcome =
+  | { type: "result"; result: SendResult; retryAfterMs?: number }
+  | { type: "retry" | "rejected"; retryAfterMs?: number };
+
+/**
+ * Sends notifications to every client URL in batches of up to 100 tokens.
+ * Invalid tokens are removed from the store; rate-limited tokens, 429s,
+ * 5xx responses and network errors are retried with exponential backoff.
+ * URLs outside the policy are skipped, and redirects are not followed.
+ */
+export class NotificationSender {
+  private readonly maxAttempts: number;
+  private readonly retryDelayMs: number;
+  private readonly maxRetryDelayMs: number;
+  private readonly maxRetryTimeMs: number;
+  private readonly requestTimeoutMs: number;
+  private readonly urlPolicy: NotificationUrlPolicy;
+  private readonly fetch: typeof fetch;
+  private readonly sleep: (ms: number) => Promise<void>;
+
+  constructor(
+    private readonly store: NotificationStore,
+    options: SenderOptions = {},
+  ) {
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs ?? 30_000;
+    this.maxRetryTimeMs = options.maxRetryTimeMs ?? 10_000;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 10_000;
+    this.urlPolicy = options.urlPolicy ?? notificationUrlPolicyFromEnv();
+    this.fetch = options.fetch ?? fetch;
+    this.sleep = options.sleep ??
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Send a notification to the given FIDs, or to every subscribed user
+   */
+  async send(
+    notification: Notification,
+    fids?: number[],
+  ): Promise<DeliveryReport> {
+    const tokensByUrl = new Map<string, string[]>();
+    for (const { url, token } of await this.store.list(fids)) {
+      tokensByUrl.set(url, [...(tokensByUrl.get(url) ?? []), token]);
+    }
+
+    const report: DeliveryReport = {
+      successful: 0,
+      invalid: 0,
+      rateLimited: 0,
+      failed: 0,
+    };
+    const retryDeadline = Date.now() + this.maxRetryTimeMs;
+    for (const [url, tokens] of tokensByUrl) {
+      // Stored before the policy existed or since removed from it
+      if (!isNotificationUrlAllowed(this.urlPolicy, url)) {
+        log("warn", "notification URL not allowed, skipping", {
+          url,
+          tokens: tokens.length,
+        });
+        report.failed += tokens.length;
+        continue;
+      }
+      for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_REQUEST) {
+        const batch = tokens.slice(i, i + MAX_TOKENS_PER_REQUEST);
+        const result = await this.sendBatch(
+          url,
+          notification,
+          batch,
+          retryDeadline,
+        );
+        report.successful += result.successful;
+        report.invalid += result.invalid;
+        report.rateLimited += result.rateLimited;
+        report.failed += result.failed;
+      }
+    }
+    return report;
+  }
+
+  private async sendBatch(
+    url: string,
+    notification: Notification,
+    tokens: string[],
+    retryDeadline: number,
+  ): Promise<DeliveryReport> {
+    const report: DeliveryReport = {
+      successful: 0,
+      invalid: 0,
+      rateLimited: 0,
+      failed: 0,
+    };
+    let pending = tokens;
+    let outcome: PostOutcome = { type: "retry" };
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      outcome = await this.post(url, notification, pending);
+
+      if (outcome.type === "result") {
+        const { successfulTokens = [], invalidTokens = [] } = outcome.result;
+        report.successful += successfulTokens.length;
+        report.invalid += invalidTokens.length;
+        if (invalidTokens.length > 0) {
+          await this.store.removeTokens(invalidTokens);
+        }
+        const rateLimited = new Set(outcome.result.rateLimitedTokens ?? []);
+        pending = pending.filter((token) => rateLimited.has(token));
+      }
+
+      if (
+        outcome.type === "rejected" || attempt >= this.maxAttempts ||
+        pending.length === 0
+      ) {
+        break;
+      }
+      const backoff = this.retryDelayMs * 2 ** (attempt - 1);
+      const delay = Math.min(
+        outcome.retryAfterMs ?? backoff,
+        this.maxRetryDelayMs,
+      );
+      // Out of retry time for this send
+      if (Date.now() + delay > retryDeadline) {
+        break;
+      }
+      await this.sleep(delay);
+    }
+
+    if (pending.length > 0) {
+      log("warn", "notification batch not fully delivered", {
+        url,
+        notificationId: notification.notificationId,
+        tokens: pending.length,
+      });
+      // Tokens left after a client answered were rate limited every time
+      if (outcome.type === "result") {
+        report.rateLimited += pending.length;
+      } else {
+        report.failed += pending.length;
+      }
+    }
+    return report;
+  }
+
+  /**
+   * POST one batch, classifying the outcome for the retry loop
+   */
+  private async post(
+    url: string,
+    notification: Notification,
+    tokens: string[],
+  ): Promise<PostOutcome> {
+    let response: Response;
+    try {
+      response = await this.fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...notification, tokens }),
+        // A redirect could lead anywhere; it is rejected like other 3xx
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.requestTimeoutMs),
+      });
+    } catch (error) {
+      log("warn", "notification request failed", {
+        url,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      return { type: "retry" };
+    }
+
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    const retryAfterMs = Number.isFinite(retryAfter) && retryAfter > 0
+      ? retryAfter * 1000
+      : undefined;
+
+    if (response.ok) {
+      const body = await response.json()
+        .catch(() => ({})) as { result?: SendResult };
+      return { type: "result", result: body.result ?? {}, retryAfterMs };
+    }
+
+    await response.body?.cancel();
+    log("warn", "notification request rejected", {
+      url,
+      status: response.status,
+    });
+    return {
+      type: response.status === 429 || response.status >= 500
+        ? "retry"
+        : "rejected",
+      retryAfterMs,
+    };
+  }
+}
+
+let store: Promise<NotificationStore> | null = null;
+
+/**
+ * Open the notification store once per isolate
+ */
+export function getNotificationStore(): Promise<NotificationStore> {
+  store ??= getKv().then((kv) => new NotificationStore(kv)).catch((error) => {
+    // Allow the next request to retry a failed open
+    store = null;
+    throw error;
+  });
+  return store;
+}
@@ -0,0 +1,292 @@
+/**
+ * OpenAPI - Deno Deploy
+ * Builds an OpenAPI 3.1 document from the registered functions' route tables
+ */
+
+import type { FunctionInfo } from "../router.ts";
+import type { AuthMode, HttpMethod, ListedRoute } from "./routes.ts";
+import type { JsonSchema } from "./schema.ts";
+
+export interface OpenApiParameter {
+  name: string;
+  in: "path" | "query";
+  required: boolean;
+  description?: string;
+  schema: JsonSchema;
+}
+
+export interface OpenApiOperation {
+  operationId: string;
+  summary?: string;
+  description?: string;
+  tags: string[];
+  parameters?: OpenApiParameter[];
+  requestBody?: {
+    required: boolean;
+    content: { "application/json": { schema: JsonSchema } };
+  };
+  responses: Record<string, { $ref: string }>;
+  security: Array<Record<string, string[]>>;
+  /** `shared/types.ts` type of the response's `data`, for the client generator */
+  "x-data-type"?: string;
+}
+
+export interface OpenApiTag {
+  name: string;
+  description?: string;
+  /** Human-readable tag title (Redoc convention) */
+  "x-displayName"?: string;
+}
+
+export interface OpenApiDocument {
+  openapi: "3.1.0";
+  info: { title: string; version: string; description?: string };
+  servers?: Array<{ url: string }>;
+  tags: OpenApiTag[];
+  paths: Record<
+    string,
+    Partial<Record<Lowercase<HttpMethod>, OpenApiOperation>>
+  >;
+  components: {
+    schemas: Record<string, unknown>;
+    responses: Record<string, unknown>;
+    securitySchemes: Record<string, unknown>;
+  };
+}
+
+export interface OpenApiOptions {
+  title?: string;
+  version?: string;
+  description?: string;
+  /** Base URL of the router, added as the only server */
+  serverUrl?: string;
+}
+
+// Methods a catch-all ("*") route is documented under
+const ALL_METHODS = ["get", "post", "put", "patch", "delete"] as const;
+
+const COMPONENTS: OpenApiDocument["components"] = {
+  schemas: {
+    FieldError: {
+      type: "object",
+      properties: {
+        field: { type: "string", description: "e.g. body.email" },
+        code: { type: "string" },
+        message: { type: "string" },
+      },
+      required: ["field", "code", "message"],
+    },
+    ApiResponse: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        data: {},
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["success", "message", "timestamp"],
+    },
+    ErrorResponse: {
+      type: "object",
+      properties: {
+        success: { type: "boolean", enum: [false] },
+        message: { type: "string" },
+        code: { type: "string" },
+        details: {},
+        errors: {
+          type: "array",
+          items: { $ref: "#/components/schemas/FieldError" },
+        },
+        requestId: { type: "string" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["success", "message", "code", "timestamp"],
+    },
+  },
+  responses: {
+    Success: response("Successful response", "ApiResponse"),
+    BadRequest: response(
+      "Invalid parameters or malformed JSON",
+      "ErrorResponse",
+    ),
+    Unauthorized: response(
+      "Missing or invalid Quick Auth token",
+      "ErrorResponse",
+    ),
+    ValidationFailed: response(
+      "Request body failed validation",
+      "ErrorResponse",
+    ),
+    TooManyRequests: response(
+      "Rate limit exceeded; see the Retry-After header",
+      "ErrorResponse",
+    ),
+    Error: response("Error", "ErrorResponse"),
+  },
+  securitySchemes: {
+    quickAuth: {
+      type: "http",
+      scheme: "bearer",
+      bearerFormat: "JWT",
+      description: "Farcaster Quick Auth session token",
+    },
+  },
+};
+
+/**
+ * Describe every route of the given functions. Paths use OpenAPI templates
+ * (`/api/users/{id}`) and each function becomes a tag.
+ */
+export function buildOpenApiDocument(
+  functions: FunctionInfo[],
+  options: OpenApiOptions = {},
+): OpenApiDocument {
+  const document: OpenApiDocument = {
+    openapi: "3.1.0",
+    info: {
+      title: options.title ?? "Farcaster Mini App Functions",
+      version: options.version ?? "1.0.0",
+      ...(options.description && { description: options.description }),
+    },
+    ...(options.serverUrl && { servers: [{ url: options.serverUrl }] }),
+    tags: [],
+    paths: {},
+    components: COMPONENTS,
+  };
+
+  for (const func of functions) {
+    const { title, description } = func.routes.info;
+    document.tags.push({
+      name: func.name,
+      ...(description && { description }),
+      ...(title && { "x-displayName": title }),
+    });
+
+    for (const listed of func.routes.list(`/${func.name}`)) {
+      const path = toTemplatePath(listed.path);
+      const methods = listed.route.method === "*"
+        ? ALL_METHODS
+        : [listed.route.method.toLowerCase() as Lowercase<HttpMethod>];
+
+      for (const method of methods) {
+        const operations = document.paths[path] ??= {};
+        // The first route registered for a method wins, as in matching
+        operations[method] ??= describeOperation(
+          func,
+          listed,
+          method,
+          path,
+        );
+      }
+    }
+  }
+
+  return document;
+}
+
+function describeOperation(
+  func: FunctionInfo,
+  { route, auth, path: pattern }: ListedRoute,
+  method: string,
+  path: string,
+): OpenApiOperation {
+  const params = route.schema?.params?.toJsonSchema();
+  const query = route.schema?.query?.toJsonSchema();
+  const body = route.schema?.body?.toJsonSchema();
+  const mode: AuthMode = auth ?? func.auth;
+
+  const parameters: OpenApiParameter[] = [
+    ...pathParamNames(pattern).map((name) => ({
+      name,
+      in: "path" as const,
+      required: true,
+      schema: params?.properties?.[name] ?? { type: "string" },
+    })),
+    ...Object.entries(query?.properties ?? {}).map(([name, schema]) => ({
+      name,
+      in: "query" as const,
+      required: query?.required?.includes(name) ?? false,
+      ...(schema.description && { description: schema.description }),
+      schema,
+    })),
+  ];
+
+  const responses: OpenApiOperation["responses"] = {
+    "200": { $ref: "#/components/responses/Success" },
+  };
+  if (params || query || body) {
+    responses["400"] = { $ref: "#/components/responses/BadRequest" };
+  }
+  if (mode === "required") {
+    responses["401"] = { $ref: "#/components/responses/Unauthorized" };
+  }
+  if (body) {
+    responses["422"] = { $ref: "#/components/responses/ValidationFailed" };
+  }
+  if (route.rateLimit !== false) {
+    responses["429"] = { $ref: "#/components/responses/TooManyRequests" };
+  }
+  responses.default = { $ref: "#/components/responses/Error" };
+
+  return {
+    operationId: route.operationId ??
+      defaultOperationId(func.name, method, path),
+    ...(route.summary && { summary: route.summary }),
+    ...(route.description && { description: route.description }),
+    tags: [func.name],
+    ...(parameters.length > 0 && { parameters }),
+    ...(body && {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: body } },
+      },
+    }),
+    responses,
+    ...(route.dataType && { "x-data-type": route.dataType }),
+    // An empty requirement marks the token as optional
+    security: mode === "required"
+      ? [{ quickAuth: [] }]
+      : [{}, { quickAuth: [] }],
+  };
+}
+
+function response(description: string, schema: string) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: { $ref: `#/components/schemas/${schema}` },
+      },
+    },
+  };
+}
+
+/**
+ * `/users/:id` -> `/users/{id}`; a trailing `*` is dropped since it may be empty
+ */
+function toTemplatePath(pattern: string): string {
+  const segments = pattern.split("/").filter((s) => s && s !== "*");
+  return "/" + segments
+    .map((s) => s.startsWith(":") ? `{${s.slice(1)}}` : s)
+    .join("/");
+}
+
+function pathParamNames(pattern: string): string[] {
+  return pattern.split("/")
+    .filter((s) => s.startsWith(":"))
+    .map((s) => s.slice(1));
+}
+
+/**
+ * e.g. `get` `/api/users/{id}` -> `api_get_users_id`
+ */
+function defaultOperationId(
+  name: string,
+  method: string,
+  path: string,
+): string {
+  const rest = path.split("/").slice(2)
+    .map((s) => s.replace(/[^\w]/g, ""))
+    .filter(Boolean);
+  return [name, method, ...rest].join("_");
+}
@@ -0,0 +1,202 @@
+/**
+ * Rate limiter tests, with counters in memory and a fixed clock
+ */
+
+import assert from "node:assert/strict";
+import { compose, errorMapper, rateLimit } from "./middleware.ts";
+import {
+  MemoryRateLimitStore,
+  type RateLimit,
+  rateLimitClientKey,
+  RateLimiter,
+  rateLimitHeaders,
+} from "./rate-limit.ts";
+import { RouteTable } from "./routes.ts";
+
+// The start of a 60 second window
+const WINDOW_START = 1_750_000_020_000;
+const LIMIT: RateLimit = { limit: 10, window: 60 };
+
+async function hits(
+  limiter: RateLimiter,
+  count: number,
+  now: number,
+): Promise<boolean[]> {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push((await limiter.hit("test", "ip:1", LIMIT, now)).allowed);
+  }
+  return results;
+}
+
+Deno.test("counts requests within a window", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+  const now = WINDOW_START + 50_000;
+
+  const first = await limiter.hit("test", "ip:1", LIMIT, now);
+  assert.deepEqual(first, {
+    allowed: true,
+    limit: 10,
+    remaining: 9,
+    reset: 10,
+  });
+  assert.deepEqual(await hits(limiter, 9, now), Array(9).fill(true));
+
+  const rejected = await limiter.hit("test", "ip:1", LIMIT, now);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.remaining, 0);
+  assert.ok(rejected.retryAfter! > 10, "waits past the window boundary");
+
+  // Other clients and counters have their own budget
+  assert.ok((await limiter.hit("test", "ip:2", LIMIT, now)).allowed);
+  assert.ok((await limiter.hit("other", "ip:1", LIMIT, now)).allowed);
+});
+
+Deno.test("weighs the previous window in across a boundary", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+  await hits(limiter, 10, WINDOW_START + 50_000);
+
+  // 14.5s into the next window, 75.8% of the previous 10 still count
+  const now = WINDOW_START + 74_500;
+  const first = await limiter.hit("test", "ip:1", LIMIT, now);
+  assert.deepEqual(first, {
+    allowed: true,
+    limit: 10,
+    remaining: 1,
+    reset: 46,
+  });
+  assert.equal((await limiter.hit("test", "ip:1", LIMIT, now)).remaining, 0);
+
+  const rejected = await limiter.hit("test", "ip:1", LIMIT, now);
+  assert.equal(rejected.allowed, false);
+  // 10 * (1 - t) + 2 + 1 <= 10 at t = 0.3, 3.5 seconds on
+  assert.equal(rejected.retryAfter, 4);
+  assert.ok(
+    (await limiter.hit("test", "ip:1", LIMIT, now + 4_000)).allowed,
+  );
+
+  // After a window without requests, the old counts are gone
+  assert.deepEqual(
+    await hits(limiter, 10, WINDOW_START + 180_000),
+    Array(10).fill(true),
+  );
+});
+
+Deno.test("expires memory counters", async () => {
+  const store = new MemoryRateLimitStore();
+  await store.increment(["test", "ip:1", "1"], 60_000);
+  await store.increment(["test", "ip:1", "1"], 60_000);
+  await store.increment(["test", "ip:1", "2"], 0);
+
+  assert.deepEqual(
+    await store.get([["test", "ip:1", "1"], ["test", "ip:1", "2"]]),
+    [2, 0],
+  );
+});
+
+Deno.test("keys clients by FID, API key hash or IP", async () => {
+  const auth = { fid: 3621, token: "", payload: {} as never };
+  const req = new Request("http://localhost:8000/notify", {
+    headers: { "X-API-Key": "secret" },
+  });
+  const anonymous = new Request("http://localhost:8000/notify");
+
+  assert.equal(
+    await rateLimitClientKey("fid", req, { ip: "10.0.0.1", auth }),
+    "fid:3621",
+  );
+  assert.equal(
+    await rateLimitClientKey("fid", req, { ip: "10.0.0.1", auth: null }),
+    "ip:10.0.0.1",
+  );
+  const keyed = await rateLimitClientKey("apiKey", req, {
+    ip: "10.0.0.1",
+    auth: null,
+  });
+  assert.match(keyed, /^key:[0-9a-f]{32}$/);
+  assert.ok(!keyed.includes("secret"));
+  assert.equal(
+    await rateLimitClientKey("apiKey", anonymous, { ip: null, auth: null }),
+    "ip:unknown",
+  );
+});
+
+Deno.test("sends RateLimit headers, and Retry-After once limited", () => {
+  assert.deepEqual(
+    rateLimitHeaders(
+      { allowed: true, limit: 10, remaining: 4, reset: 30 },
+      LIMIT,
+    ),
+    {
+      "RateLimit-Limit": "10",
+      "RateLimit-Remaining": "4",
+      "RateLimit-Reset": "30",
+      "RateLimit-Policy": "10;w=60",
+    },
+  );
+  assert.equal(
+    rateLimitHeaders(
+      { allowed: false, limit: 10, remaining: 0, reset: 30, retryAfter: 7 },
+      LIMIT,
+    )["Retry-After"],
+    "7",
+  );
+});
+
+Deno.test("answers 429 with Retry-After once a route's limit is used", async () => {
+  const routes = new RouteTable()
+    .get("/limited", () => new Response("ok"), {
+      rateLimit: { limit: 2, window: 60 },
+    })
+    .get("/open", () => new Response("ok"), { rateLimit: false });
+  const handle = compose(
+    [
+      errorMapper(),
+      rateLimit({
+        default: { limit: 1, window: 60 },
+        store: new MemoryRateLimitStore(),
+      }),
+    ],
+    (req, ctx) =>
+      ctx.match.type === "found"
+        ? Promise.resolve(ctx.match.route.handler(req, {
+          auth: null,
+          params: {},
+          query: {},
+          body: undefined,
+          requestId: ctx.requestId,
+        }))
+        : Promise.resolve(new Response(null, { status: 404 })),
+  );
+  const request = (path: string) => {
+    const url = new URL(path, "http://localhost:8000");
+    return handle(new Request(url), {
+      url,
+      requestId: "test",
+      startTime: performance.now(),
+      timings: [],
+      match: routes.match("GET", url.pathname),
+      auth: null,
+      clientIp: "10.0.0.1",
+    });
+  };
+
+  const first = await request("/limited");
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("RateLimit-Limit"), "2");
+  assert.equal(first.headers.get("RateLimit-Remaining"), "1");
+  assert.equal(first.headers.get("RateLimit-Policy"), "2;w=60");
+  assert.equal((await request("/limited")).status, 200);
+
+  const limited = await request("/limited");
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).code, "rate_limited");
+  assert.equal(limited.headers.get("RateLimit-Remaining"), "0");
+  assert.ok(Number(limited.headers.get("Retry-After")) >= 1);
+
+  for (let i = 0; i < 3; i++) {
+    const open = await request("/open");
+    assert.equal(open.status, 200);
+    assert.equal(open.headers.get("RateLimit-Limit"), null);
+  }
+});
@@ -0,0 +1,261 @@
+/**
+ * Rate Limiting - Deno Deploy
+ * Sliding-window request limits with counters in Deno KV or memory
+ */
+
+import type { AuthContext } from "./auth.ts";
+import { getKv } from "./kv.ts";
+import { log } from "./log.ts";
+
+// Retries when a concurrent request updates the same counter
+const MAX_ATTEMPTS = 5;
+
+/**
+ * What a limit counts requests by. "fid" uses the verified Quick Auth FID
+ * and falls back to the IP for anonymous requests; "apiKey" uses the
+ * `X-API-Key` header and falls back to the IP.
+ */
+export type RateLimitKey =
+  | "fid"
+  | "ip"
+  | "apiKey"
+  | ((req: Request, client: RateLimitClient) => string | Promise<string>);
+
+export interface RateLimit {
+  /** Requests allowed per window */
+  limit: number;
+  /** Window length in seconds */
+  window: number;
+  key?: RateLimitKey;
+  /**
+   * Counter name; routes with the same name share a budget. Defaults to the
+   * route's method and path.
+   */
+  name?: string;
+}
+
+/**
+ * Request facts a limit can be keyed by
+ */
+export interface RateLimitClient {
+  ip: string | null;
+  auth: AuthContext | null;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  /** Seconds until the full budget is available again */
+  reset: number;
+  /** Seconds to wait before retrying, set when not allowed */
+  retryAfter?: number;
+}
+
+/**
+ * Counter storage. Counts are per fixed window; the limiter weighs the
+ * previous window in to approximate a sliding one.
+ */
+export interface RateLimitStore {
+  get(keys: string[][]): Promise<number[]>;
+  /** Add one to a counter that expires after `ttlMs` */
+  increment(key: string[], ttlMs: number): Promise<void>;
+}
+
+export class KvRateLimitStore implements RateLimitStore {
+  constructor(private readonly kv: Deno.Kv) {}
+
+  async get(keys: string[][]): Promise<number[]> {
+    const entries = await this.kv.getMany<Deno.KvU64[]>(
+      keys.map((key) => ["rate_limit", ...key]),
+    );
+    return entries.map((entry) => Number(entry.value?.value ?? 0n));
+  }
+
+  async increment(key: string[], ttlMs: number): Promise<void> {
+    const kvKey = ["rate_limit", ...key];
+
+    // `sum` cannot set an expiry, so counters are updated with a check
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const entry = await this.kv.get<Deno.KvU64>(kvKey);
+      const count = (entry.value?.value ?? 0n) + 1n;
+      const result = await this.kv.atomic()
+        .check(entry)
+        .set(kvKey, new Deno.KvU64(count), { expireIn: ttlMs })
+        .commit();
+      if (result.ok) {
+        return;
+      }
+    }
+
+    // Losing a count under heavy contention beats failing the request
+    log("warn", "rate limit counter not updated", { key: key.join("/") });
+  }
+}
+
+/**
+ * Per-isolate counters, for tests and local development
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private counters = new Map<string, { count: number; expiresAt: number }>();
+
+  get(keys: string[][]): Promise<number[]> {
+    const now = Date.now();
+    return Promise.resolve(keys.map((key) => {
+      const counter = this.counters.get(key.join("\u0000"));
+      return counter && counter.expiresAt > now ? counter.count : 0;
+    }));
+  }
+
+  increment(key: string[], ttlMs: number): Promise<void> {
+    const id = key.join("\u0000");
+    const now = Date.now();
+    const counter = this.counters.get(id);
+
+    if (counter && counter.expiresAt > now) {
+      counter.count++;
+    } else {
+      this.counters.set(id, { count: 1, expiresAt: now + ttlMs });
+    }
+    if (this.counters.size > 10_000) {
+      this.sweep(now);
+    }
+    return Promise.resolve();
+  }
+
+  private sweep(now: number): void {
+    for (const [id, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(id);
+    }
+  }
+}
+
+export class RateLimiter {
+  constructor(private readonly store: RateLimitStore) {}
+
+  /**
+   * Count a request against `limit` for `client`. Rejected requests are not
+   * counted, so a client that backs off regains access on schedule.
+   */
+  async hit(
+    name: string,
+    client: string,
+    { limit, window }: RateLimit,
+    now = Date.now(),
+  ): Promise<RateLimitResult> {
+    const windowMs = window * 1000;
+    const index = Math.floor(now / windowMs);
+    const elapsed = (now % windowMs) / windowMs;
+    const current = [name, client, String(index)];
+
+    const [count, previous] = await this.store.get([
+      current,
+      [name, client, String(index - 1)],
+    ]);
+    // Sliding window estimate: the previous window's share still in range
+    const used = previous * (1 - elapsed) + count;
+    const reset = Math.ceil((1 - elapsed) * window);
+
+    if (used + 1 > limit) {
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        reset,
+        retryAfter: retryAfter(limit, count, previous, elapsed, window),
+      };
+    }
+
+    await this.store.increment(current, windowMs * 2);
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used - 1)),
+      reset,
+    };
+  }
+}
+
+/**
+ * Seconds until the estimate drops enough for one more request
+ */
+function retryAfter(
+  limit: number,
+  count: number,
+  previous: number,
+  elapsed: number,
+  window: number,
+): number {
+  if (count + 1 <= limit && previous > 0) {
+    // previous * (1 - t) + count + 1 <= limit, solved for t
+    const t = 1 - (limit - count - 1) / previous;
+    return Math.max(1, Math.ceil((t - elapsed) * window));
+  }
+  // Wait for this window to become the previous one and decay from there
+  const next = count > 0 ? Math.max(0, 1 - (limit - 1) / count) : 0;
+  return Math.max(1, Math.ceil((1 - elapsed + next) * window));
+}
+
+/**
+ * Client identifier for a limit's key
+ */
+export async function rateLimitClientKey(
+  key: RateLimitKey = "ip",
+  req: Request,
+  client: RateLimitClient,
+): Promise<string> {
+  if (typeof key === "function") {
+    return await key(req, client);
+  }
+  if (key === "fid" && client.auth) {
+    return `fid:${client.auth.fid}`;
+  }
+  const apiKey = req.headers.get("X-API-Key");
+  if (key === "apiKey" && apiKey) {
+    // Never keep raw API keys in storage
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(apiKey),
+    );
+    const hex = [...new Uint8Array(digest).slice(0, 16)]
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+    return `key:${hex}`;
+  }
+  return `ip:${client.ip ?? "unknown"}`;
+}
+
+/**
+ * Headers from the IETF RateLimit header draft
+ */
+export function rateLimitHeaders(
+  result: RateLimitResult,
+  { limit, window }: RateLimit,
+): Record<string, string> {
+  return {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+    "RateLimit-Policy": `${limit};w=${window}`,
+    ...(result.retryAfter !== undefined &&
+      { "Retry-After": String(result.retryAfter) }),
+  };
+}
+
+/**
+ * Counters in Deno KV, or in memory with RATE_LIMIT_STORE=memory or when KV
+ * cannot be opened
+ */
+export async function rateLimitStoreFromEnv(): Promise<RateLimitStore> {
+  if (Deno.env.get("RATE_LIMIT_STORE") === "memory") {
+    return new MemoryRateLimitStore();
+  }
+  try {
+    return new KvRateLimitStore(await getKv());
+  } catch (error) {
+    log("warn", "rate limit counters fall back to memory", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return new MemoryRateLimitStore();
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Route table tests: patterns, methods and nested mounts
+ */
+
+import assert from "node:assert/strict";
+import { ValidationError } from "./errors.ts";
+import { type FunctionContext, routeServes, RouteTable } from "./routes.ts";
+import { schema } from "./schema.ts";
+
+const ok = () => new Response("ok");
+
+function context(params: Record<string, string>): FunctionContext {
+  return { auth: null, params, query: {}, body: undefined, requestId: "test" };
+}
+
+Deno.test("matches static, :param and * segments", () => {
+  const routes = new RouteTable()
+    .get("/users", ok)
+    .get("/users/:id", ok)
+    .get("/users/:id/posts/:postId", ok)
+    .get("/files/*", ok);
+
+  const user = routes.match("GET", "/users/42/");
+  assert.equal(user.type, "found");
+  assert.equal(user.type === "found" && user.pattern, "/users/:id");
+  assert.deepEqual(user.type === "found" && user.params, { id: "42" });
+
+  const post = routes.match("GET", "/users/42/posts/a%20b");
+  assert.deepEqual(post.type === "found" && post.params, {
+    id: "42",
+    postId: "a b",
+  });
+
+  const file = routes.match("GET", "/files/docs/readme.md");
+  assert.deepEqual(file.type === "found" && file.params, {
+    "*": "docs/readme.md",
+  });
+
+  assert.deepEqual(routes.match("GET", "/users/42/comments"), {
+    type: "not_found",
+  });
+  assert.deepEqual(routes.match("GET", "/teams"), { type: "not_found" });
+});
+
+Deno.test("types params from the path and coerces them by schema", async () => {
+  const routes = new RouteTable()
+    .get("/users/:id/posts/:postId", (_req, ctx) => {
+      const id: string = ctx.params.id;
+      const postId: string = ctx.params.postId;
+      // @ts-expect-error not a segment of the path
+      ctx.params.slug;
+      return Response.json({ id, postId });
+    })
+    .get("/teams/:id", (_req, ctx) => Response.json(ctx.params), {
+      schema: { params: schema.object({ id: schema.integer({ min: 1 }) }) },
+    });
+
+  const team = routes.match("GET", "/teams/7");
+  assert.ok(team.type === "found");
+  const response = await team.route.handler(
+    new Request("http://localhost:8000/teams/7"),
+    context(team.params),
+  );
+  assert.deepEqual(await response.json(), { id: 7 });
+
+  const bad = routes.match("GET", "/teams/seven");
+  assert.ok(bad.type === "found");
+  await assert.rejects(
+    async () =>
+      await bad.route.handler(
+        new Request("http://localhost:8000/teams/seven"),
+        context(bad.params),
+      ),
+    (error) =>
+      error instanceof ValidationError && error.status === 400 &&
+      error.errors[0].field === "params.id",
+  );
+});
+
+Deno.test("lists the allowed methods for another method", () => {
+  const routes = new RouteTable()
+    .get("/users", ok)
+    .post("/users", ok)
+    .delete("/users/:id", ok);
+
+  assert.deepEqual(routes.match("PUT", "/users"), {
+    type: "method_not_allowed",
+    allow: ["GET", "HEAD", "POST", "OPTIONS"],
+  });
+  assert.deepEqual(routes.match("OPTIONS", "/users/1"), {
+    type: "method_not_allowed",
+    allow: ["DELETE", "OPTIONS"],
+  });
+  assert.equal(routes.match("post", "/users").type, "found");
+});
+
+Deno.test("serves HEAD from GET routes unless a HEAD route exists", () => {
+  const head = () => new Response(null);
+  const routes = new RouteTable()
+    .get("/users", ok)
+    .get("/files", ok)
+    .on("HEAD", "/files", head);
+
+  const users = routes.match("HEAD", "/users");
+  assert.equal(users.type === "found" && users.route.method, "GET");
+  const files = routes.match("HEAD", "/files");
+  assert.equal(files.type === "found" && files.route.handler, head);
+
+  assert.ok(users.type === "found" && routeServes(users.route, "HEAD"));
+  assert.ok(users.type === "found" && !routeServes(users.route, "POST"));
+});
+
+Deno.test("serves every method on all() routes", () => {
+  const routes = RouteTable.fromHandler(ok);
+
+  for (const method of ["GET", "POST", "OPTIONS"]) {
+    const match = routes.match(method, "/anything/below");
+    assert.equal(match.type, "found");
+    assert.ok(match.type === "found" && routeServes(match.route, method));
+  }
+});
+
+Deno.test("matches nested mounts with their prefixes and options", () => {
+  const comments = new RouteTable().get("/:commentId", ok, {
+    auth: "required",
+  });
+  const posts = new RouteTable()
+    .get("/", ok)
+    .mount("/:postId/comments", comments);
+  const routes = new RouteTable()
+    .mount("/blog", new RouteTable().mount("/posts", posts), {
+      auth: "optional",
+      cors: { origins: "*" },
+    });
+
+  const index = routes.match("GET", "/blog/posts");
+  assert.ok(index.type === "found");
+  assert.equal(index.pattern, "/blog/posts");
+  assert.equal(index.auth, "optional");
+  assert.deepEqual(index.cors, { origins: "*" });
+
+  const comment = routes.match("GET", "/blog/posts/3/comments/9");
+  assert.ok(comment.type === "found");
+  assert.equal(comment.pattern, "/blog/posts/:postId/comments/:commentId");
+  assert.deepEqual(comment.params, { postId: "3", commentId: "9" });
+  assert.equal(comment.auth, "required");
+
+  assert.deepEqual(routes.match("DELETE", "/blog/posts/3/comments/9"), {
+    type: "method_not_allowed",
+    allow: ["GET", "HEAD", "OPTIONS"],
+  });
+  assert.deepEqual(
+    routes.list().map(({ path, auth }) => [path, auth]),
+    [
+      ["/blog/posts", "optional"],
+      ["/blog/posts/:postId/comments/:commentId", "required"],
+    ],
+  );
+});
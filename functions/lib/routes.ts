@@ -0,0 +1,479 @@
+/**
+ * Route Table - Deno Deploy
+ * Method + path pattern routing with typed params and nested mounts
+ */
+
+import type { AuthContext } from "./auth.ts";
+import type { CorsOverride } from "./cors.ts";
+import type { RateLimit } from "./rate-limit.ts";
+import { ValidationError } from "./errors.ts";
+import type { FieldError, Schema } from "./schema.ts";
+
+export type HttpMethod =
+  | "GET"
+  | "HEAD"
+  | "POST"
+  | "PUT"
+  | "PATCH"
+  | "DELETE"
+  | "OPTIONS";
+
+/**
+ * "required" rejects anonymous requests, "optional" only rejects bad tokens
+ */
+export type AuthMode = "required" | "optional";
+
+/**
+ * Context passed to every function handler alongside the request
+ */
+export interface FunctionContext<
+  Params = Record<string, string>,
+  Query = Record<string, string>,
+  Body = unknown,
+> {
+  /** Verified Quick Auth session, or null for anonymous requests */
+  auth: AuthContext | null;
+  /** Values captured by `:name` and `*` segments of the route path */
+  params: Params;
+  /** Query string values, parsed by the route's `query` schema if it has one */
+  query: Query;
+  /** JSON body parsed by the route's `body` schema, otherwise undefined */
+  body: Body;
+  /** ID echoed in the `X-Request-Id` response header */
+  requestId: string;
+}
+
+export type FunctionHandler<
+  Params = Record<string, string>,
+  Query = Record<string, string>,
+  Body = unknown,
+> = (
+  req: Request,
+  ctx: FunctionContext<Params, Query, Body>,
+) => Response | Promise<Response>;
+
+type ParamNames<Path extends string> = Path extends
+  `${string}:${infer Name}/${infer Rest}` ? Name | ParamNames<`/${Rest}`>
+  : Path extends `${string}:${infer Name}` ? Name
+  : Path extends `${string}*` ? "*"
+  : never;
+
+/**
+ * Params object for a path pattern, e.g. `"/users/:id"` -> `{ id: string }`
+ */
+export type RouteParams<Path extends string> = {
+  [Name in ParamNames<Path>]: string;
+};
+
+/**
+ * Schemas a route's input must satisfy before its handler runs. Params and
+ * query failures answer 400, body failures 422.
+ */
+export interface RequestSchema {
+  params?: Schema<unknown>;
+  query?: Schema<unknown>;
+  body?: Schema<unknown>;
+}
+
+export interface RouteOptions<RS extends RequestSchema = RequestSchema> {
+  auth?: AuthMode;
+  schema?: RS;
+  /** One-line summary shown in the OpenAPI document and docs page */
+  summary?: string;
+  description?: string;
+  /**
+   * Stable name for the operation. Dotted names (`users.list`) become
+   * methods of the generated client (`api.users.list()`).
+   */
+  operationId?: string;
+  /** Name of the `shared/types.ts` type returned in the envelope's `data` */
+  dataType?: string;
+  /** Request limit for this route; `false` exempts it from the router default */
+  rateLimit?: RateLimit | false;
+  /**
+   * Runs before the schema is checked and throws to turn the caller away,
+   * e.g. for an API key
+   */
+  guard?: (req: Request) => void | Promise<void>;
+}
+
+/**
+ * Handler for a path pattern, with `ctx` typed by the route's schemas
+ */
+export type RouteHandler<
+  Path extends string,
+  RS extends RequestSchema = RequestSchema,
+> = FunctionHandler<
+  RS extends { params: Schema<infer P> } ? P : RouteParams<Path>,
+  RS extends { query: Schema<infer Q> } ? Q : Record<string, string>,
+  RS extends { body: Schema<infer B> } ? B : undefined
+>;
+
+export interface RouteDefinition extends RouteOptions {
+  /** `"*"` matches any method */
+  method: HttpMethod | "*";
+  path: string;
+  handler: FunctionHandler;
+}
+
+export type RouteMatch =
+  | {
+    type: "found";
+    route: RouteDefinition;
+    /** Full path pattern including mount prefixes, e.g. `/api/users/:id` */
+    pattern: string;
+    params: Record<string, string>;
+    auth?: AuthMode;
+    /** CORS changes of the function the route belongs to */
+    cors?: CorsOverride;
+  }
+  | { type: "method_not_allowed"; allow: string[] }
+  | { type: "not_found" };
+
+export interface MountOptions {
+  auth?: AuthMode;
+  cors?: CorsOverride;
+}
+
+interface Mount extends MountOptions {
+  prefix: string;
+  table: RouteTable;
+}
+
+/**
+ * Title and description of a function, used for its OpenAPI tag
+ */
+export interface RouteTableInfo {
+  title?: string;
+  description?: string;
+}
+
+/**
+ * A route flattened out of nested mounts
+ */
+export interface ListedRoute {
+  /** Full pattern including mount prefixes, e.g. `/users/:id` */
+  path: string;
+  route: RouteDefinition;
+  auth?: AuthMode;
+}
+
+type Entry =
+  | { kind: "route"; segments: string[]; route: RouteDefinition }
+  | { kind: "mount"; segments: string[]; mount: Mount };
+
+export class RouteTable {
+  private entries: Entry[] = [];
+
+  constructor(readonly info: RouteTableInfo = {}) {}
+
+  /**
+   * Wrap a plain `(req) => Response` handler so it serves every method on
+   * its mount path and anything below it
+   */
+  static fromHandler(
+    handler: FunctionHandler,
+    info?: RouteTableInfo,
+  ): RouteTable {
+    return new RouteTable(info).all("/*", handler);
+  }
+
+  get<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("GET", path, handler, options);
+  }
+
+  post<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("POST", path, handler, options);
+  }
+
+  put<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("PUT", path, handler, options);
+  }
+
+  patch<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("PATCH", path, handler, options);
+  }
+
+  delete<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("DELETE", path, handler, options);
+  }
+
+  all<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options?: RouteOptions<RS>,
+  ): this {
+    return this.on("*", path, handler, options);
+  }
+
+  on<Path extends string, RS extends RequestSchema = Record<never, never>>(
+    method: HttpMethod | "*",
+    path: Path,
+    handler: RouteHandler<Path, RS>,
+    options: RouteOptions<RS> = {},
+  ): this {
+    const { schema, guard } = options;
+    const run = handler as FunctionHandler;
+    const validated: FunctionHandler = schema
+      ? async (req, ctx) => run(req, await validateRequest(schema, req, ctx))
+      : run;
+
+    this.entries.push({
+      kind: "route",
+      segments: splitPath(path),
+      route: {
+        ...options,
+        method,
+        path,
+        handler: guard
+          ? async (req, ctx) => {
+            await guard(req);
+            return await validated(req, ctx);
+          }
+          : validated,
+      },
+    });
+    return this;
+  }
+
+  /**
+   * Serve another table's routes below `prefix`
+   */
+  mount(
+    prefix: string,
+    table: RouteTable,
+    options: MountOptions = {},
+  ): this {
+    this.entries.push({
+      kind: "mount",
+      segments: splitPath(prefix),
+      mount: { ...options, prefix, table },
+    });
+    return this;
+  }
+
+  /**
+   * Every route in registration order, with mount prefixes joined in
+   */
+  list(prefix = ""): ListedRoute[] {
+    return this.entries.flatMap((entry): ListedRoute[] => {
+      if (entry.kind === "route") {
+        return [{
+          path: joinPath(prefix, entry.route.path),
+          route: entry.route,
+          auth: entry.route.auth,
+        }];
+      }
+      return entry.mount.table
+        .list(joinPath(prefix, entry.mount.prefix))
+        .map((listed) => ({
+          ...listed,
+          auth: listed.auth ?? entry.mount.auth,
+        }));
+    });
+  }
+
+  /**
+   * Find the route for a request. HEAD falls back to GET routes.
+   */
+  match(method: string, pathname: string): RouteMatch {
+    return this.matchSegments(method.toUpperCase(), splitPath(pathname), {});
+  }
+
+  private matchSegments(
+    method: string,
+    segments: string[],
+    params: Record<string, string>,
+  ): RouteMatch {
+    const allow = new Set<string>();
+    let headFallback: RouteMatch | null = null;
+
+    for (const entry of this.entries) {
+      if (entry.kind === "mount") {
+        const captured = matchPattern(entry.segments, segments, true);
+        if (!captured) continue;
+
+        const result = entry.mount.table.matchSegments(
+          method,
+          segments.slice(entry.segments.length),
+          { ...params, ...captured },
+        );
+        if (result.type === "found") {
+          return {
+            ...result,
+            pattern: joinPath(entry.mount.prefix, result.pattern),
+            auth: result.auth ?? entry.mount.auth,
+            cors: result.cors ?? entry.mount.cors,
+          };
+        }
+        if (result.type === "method_not_allowed") {
+          result.allow.forEach((m) => allow.add(m));
+        }
+        continue;
+      }
+
+      const captured = matchPattern(entry.segments, segments, false);
+      if (!captured) continue;
+
+      const { route } = entry;
+      const found: RouteMatch = {
+        type: "found",
+        route,
+        pattern: route.path,
+        params: { ...params, ...captured },
+        auth: route.auth,
+      };
+      if (route.method === "*" || route.method === method) {
+        return found;
+      }
+      if (method === "HEAD" && route.method === "GET") {
+        headFallback ??= found;
+      }
+      allow.add(route.method);
+      if (route.method === "GET") allow.add("HEAD");
+    }
+
+    if (headFallback) {
+      return headFallback;
+    }
+    if (allow.size > 0) {
+      allow.add("OPTIONS");
+      return { type: "method_not_allowed", allow: [...allow] };
+    }
+    return { type: "not_found" };
+  }
+}
+
+/**
+ * Whether `route` handles `method`, HEAD being served by GET routes
+ */
+export function routeServes(route: RouteDefinition, method: string): boolean {
+  return route.method === "*" || route.method === method ||
+    (method === "HEAD" && route.method === "GET");
+}
+
+/**
+ * Parse params, query and body with the route's schemas. Params and query
+ * are checked together so one response lists every bad parameter.
+ */
+async function validateRequest(
+  schema: RequestSchema,
+  req: Request,
+  ctx: FunctionContext,
+): Promise<FunctionContext> {
+  const validated: FunctionContext = { ...ctx };
+  const errors: FieldError[] = [];
+
+  for (const part of ["params", "query"] as const) {
+    const result = schema[part]?.parse(ctx[part], { coerce: true, path: part });
+    if (!result) continue;
+    if (result.ok) {
+      validated[part] = result.value as Record<string, string>;
+    } else {
+      errors.push(...result.errors);
+    }
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(
+      errors,
+      400,
+      "Invalid request parameters",
+      "invalid_parameters",
+    );
+  }
+
+  if (schema.body) {
+    let body: unknown;
+    try {
+      body = await req.json();
+    } catch {
+      throw new ValidationError(
+        [{
+          field: "body",
+          code: "invalid_json",
+          message: "Must be valid JSON",
+        }],
+        400,
+        "Request body is not valid JSON",
+        "invalid_json",
+      );
+    }
+
+    const result = schema.body.parse(body, { path: "body" });
+    if (!result.ok) {
+      throw new ValidationError(result.errors);
+    }
+    validated.body = result.value;
+  }
+
+  return validated;
+}
+
+function splitPath(path: string): string[] {
+  return path.split("/").filter(Boolean);
+}
+
+function joinPath(prefix: string, path: string): string {
+  return "/" + [...splitPath(prefix), ...splitPath(path)].join("/");
+}
+
+function decodeSegment(segment: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Match pattern segments against path segments, returning captured params.
+ * `prefix` allows extra trailing path segments (used for mounts).
+ */
+function matchPattern(
+  pattern: string[],
+  segments: string[],
+  prefix: boolean,
+): Record<string, string> | null {
+  const params: Record<string, string> = {};
+
+  for (let i = 0; i < pattern.length; i++) {
+    const part = pattern[i];
+    if (part === "*") {
+      params["*"] = segments.slice(i).map(decodeSegment).join("/");
+      return params;
+    }
+    if (i >= segments.length) {
+      return null;
+    }
+    if (part.startsWith(":")) {
+      params[part.slice(1)] = decodeSegment(segments[i]);
+    } else if (part !== segments[i]) {
+      return null;
+    }
+  }
+
+  if (!prefix && segments.length !== pattern.length) {
+    return null;
+  }
+  return params;
+}
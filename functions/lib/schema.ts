@@ -0,0 +1,489 @@
+/**
+ * Schemas - Deno Deploy
+ * Declarative validation for request bodies, query strings and path params
+ */
+
+import type { FieldError } from "../../shared/types.ts";
+
+export type { FieldError };
+
+/**
+ * JSON Schema subset produced by `toJsonSchema()`
+ */
+export interface JsonSchema {
+  type?: string;
+  format?: string;
+  description?: string;
+  enum?: unknown[];
+  default?: unknown;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minItems?: number;
+  maxItems?: number;
+  minProperties?: number;
+  items?: JsonSchema;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+}
+
+export type ParseResult<T> =
+  | { ok: true; value: T }
+  | { ok: false; errors: FieldError[] };
+
+export interface ParseOptions {
+  /** Convert strings to numbers and booleans (query strings, path params) */
+  coerce?: boolean;
+  /** Prefix for error field paths */
+  path?: string;
+}
+
+interface Issues {
+  errors: FieldError[];
+  coerce: boolean;
+}
+
+const INVALID = Symbol("invalid");
+type Checked<T> = T | typeof INVALID;
+
+export abstract class Schema<T> {
+  description?: string;
+
+  /**
+   * Validate a value, returning it with defaults applied and strings trimmed
+   * or coerced as configured
+   */
+  parse(value: unknown, options: ParseOptions = {}): ParseResult<T> {
+    const issues: Issues = { errors: [], coerce: options.coerce ?? false };
+    const result = this.check(value, options.path ?? "", issues);
+
+    return result === INVALID || issues.errors.length > 0
+      ? { ok: false, errors: issues.errors }
+      : { ok: true, value: result };
+  }
+
+  optional(): OptionalSchema<T> {
+    return new OptionalSchema(this);
+  }
+
+  default(value: T): DefaultSchema<T> {
+    return new DefaultSchema(this, value);
+  }
+
+  describe(description: string): this {
+    this.description = description;
+    return this;
+  }
+
+  toJsonSchema(): JsonSchema {
+    const json = this.jsonSchema();
+    return this.description ? { ...json, description: this.description } : json;
+  }
+
+  /** @internal */
+  abstract check(value: unknown, path: string, issues: Issues): Checked<T>;
+
+  protected abstract jsonSchema(): JsonSchema;
+
+  protected fail(
+    issues: Issues,
+    path: string,
+    code: string,
+    message: string,
+  ): typeof INVALID {
+    issues.errors.push({ field: path || "value", code, message });
+    return INVALID;
+  }
+}
+
+export class OptionalSchema<T> extends Schema<T | undefined> {
+  constructor(readonly inner: Schema<T>) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<T | undefined> {
+    return value === undefined
+      ? undefined
+      : this.inner.check(value, path, issues);
+  }
+
+  protected jsonSchema(): JsonSchema {
+    return this.inner.toJsonSchema();
+  }
+}
+
+export class DefaultSchema<T> extends Schema<T> {
+  constructor(readonly inner: Schema<T>, readonly defaultValue: T) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<T> {
+    return value === undefined || value === ""
+      ? this.defaultValue
+      : this.inner.check(value, path, issues);
+  }
+
+  protected jsonSchema(): JsonSchema {
+    return { ...this.inner.toJsonSchema(), default: this.defaultValue };
+  }
+}
+
+export interface StringOptions {
+  minLength?: number;
+  maxLength?: number;
+  pattern?: RegExp;
+  format?: "email" | "url";
+  /** Trim whitespace before checking lengths */
+  trim?: boolean;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class StringSchema extends Schema<string> {
+  constructor(private readonly options: StringOptions = {}) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<string> {
+    if (typeof value !== "string") {
+      return this.fail(issues, path, "invalid_type", "Must be a string");
+    }
+
+    const { minLength, maxLength, pattern, format, trim } = this.options;
+    const text = trim ? value.trim() : value;
+
+    if (minLength !== undefined && text.length < minLength) {
+      return this.fail(
+        issues,
+        path,
+        "too_short",
+        minLength === 1
+          ? "Must not be empty"
+          : `Must be at least ${minLength} characters`,
+      );
+    }
+    if (maxLength !== undefined && text.length > maxLength) {
+      return this.fail(
+        issues,
+        path,
+        "too_long",
+        `Must be at most ${maxLength} characters`,
+      );
+    }
+    if (format === "email" && !EMAIL_PATTERN.test(text)) {
+      return this.fail(
+        issues,
+        path,
+        "invalid_email",
+        "Must be a valid email address",
+      );
+    }
+    if (format === "url" && !URL.canParse(text)) {
+      return this.fail(issues, path, "invalid_url", "Must be a valid URL");
+    }
+    if (pattern && !pattern.test(text)) {
+      return this.fail(
+        issues,
+        path,
+        "invalid_format",
+        `Must match ${pattern.source}`,
+      );
+    }
+
+    return text;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    const { minLength, maxLength, pattern, format } = this.options;
+    return {
+      type: "string",
+      ...(format && { format }),
+      ...(minLength !== undefined && { minLength }),
+      ...(maxLength !== undefined && { maxLength }),
+      ...(pattern && { pattern: pattern.source }),
+    };
+  }
+}
+
+export interface NumberOptions {
+  integer?: boolean;
+  min?: number;
+  max?: number;
+}
+
+export class NumberSchema extends Schema<number> {
+  constructor(private readonly options: NumberOptions = {}) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<number> {
+    let number = value;
+    if (issues.coerce && typeof value === "string" && value.trim() !== "") {
+      number = Number(value);
+    }
+
+    const { integer, min, max } = this.options;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return this.fail(
+        issues,
+        path,
+        "invalid_type",
+        integer ? "Must be an integer" : "Must be a number",
+      );
+    }
+    if (integer && !Number.isInteger(number)) {
+      return this.fail(issues, path, "invalid_type", "Must be an integer");
+    }
+    if (min !== undefined && number < min) {
+      return this.fail(issues, path, "too_small", `Must be at least ${min}`);
+    }
+    if (max !== undefined && number > max) {
+      return this.fail(issues, path, "too_large", `Must be at most ${max}`);
+    }
+
+    return number;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    const { integer, min, max } = this.options;
+    return {
+      type: integer ? "integer" : "number",
+      ...(min !== undefined && { minimum: min }),
+      ...(max !== undefined && { maximum: max }),
+    };
+  }
+}
+
+export class BooleanSchema extends Schema<boolean> {
+  check(value: unknown, path: string, issues: Issues): Checked<boolean> {
+    if (issues.coerce && (value === "true" || value === "false")) {
+      return value === "true";
+    }
+    if (typeof value !== "boolean") {
+      return this.fail(issues, path, "invalid_type", "Must be a boolean");
+    }
+    return value;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    return { type: "boolean" };
+  }
+}
+
+export class EnumSchema<T extends string> extends Schema<T> {
+  constructor(private readonly values: readonly T[]) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<T> {
+    if (!this.values.includes(value as T)) {
+      return this.fail(
+        issues,
+        path,
+        "invalid_enum",
+        `Must be one of: ${this.values.join(", ")}`,
+      );
+    }
+    return value as T;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    return { type: "string", enum: [...this.values] };
+  }
+}
+
+export interface ArrayOptions {
+  minItems?: number;
+  maxItems?: number;
+}
+
+export class ArraySchema<T> extends Schema<T[]> {
+  constructor(
+    private readonly item: Schema<T>,
+    private readonly options: ArrayOptions = {},
+  ) {
+    super();
+  }
+
+  check(value: unknown, path: string, issues: Issues): Checked<T[]> {
+    if (!Array.isArray(value)) {
+      return this.fail(issues, path, "invalid_type", "Must be an array");
+    }
+
+    const { minItems, maxItems } = this.options;
+    if (minItems !== undefined && value.length < minItems) {
+      return this.fail(
+        issues,
+        path,
+        "too_small",
+        `Must have at least ${minItems} items`,
+      );
+    }
+    if (maxItems !== undefined && value.length > maxItems) {
+      return this.fail(
+        issues,
+        path,
+        "too_large",
+        `Must have at most ${maxItems} items`,
+      );
+    }
+
+    const items: T[] = [];
+    let valid = true;
+    value.forEach((item, index) => {
+      const result = this.item.check(item, `${path}[${index}]`, issues);
+      if (result === INVALID) {
+        valid = false;
+      } else {
+        items.push(result);
+      }
+    });
+    return valid ? items : INVALID;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    return {
+      type: "array",
+      items: this.item.toJsonSchema(),
+      ...this.options,
+    };
+  }
+}
+
+type Shape = Record<string, Schema<unknown>>;
+
+export type Infer<S> = S extends Schema<infer T> ? T : never;
+
+type OptionalKeys<S extends Shape> = {
+  [K in keyof S]: S[K] extends OptionalSchema<unknown> ? K : never;
+}[keyof S];
+
+export type InferShape<S extends Shape> =
+  & { [K in Exclude<keyof S, OptionalKeys<S>>]: Infer<S[K]> }
+  & { [K in OptionalKeys<S>]?: Infer<S[K]> };
+
+type PartialShape<S extends Shape> = {
+  [K in keyof S]: OptionalSchema<Exclude<Infer<S[K]>, undefined>>;
+};
+
+export interface ObjectOptions {
+  /** Require at least this many known fields to be present (e.g. PATCH bodies) */
+  minProperties?: number;
+}
+
+export class ObjectSchema<S extends Shape> extends Schema<InferShape<S>> {
+  constructor(
+    readonly shape: S,
+    private readonly options: ObjectOptions = {},
+  ) {
+    super();
+  }
+
+  /**
+   * Same fields, all optional
+   */
+  partial(options: ObjectOptions = {}): ObjectSchema<PartialShape<S>> {
+    const shape: Shape = {};
+    for (const [key, schema] of Object.entries(this.shape)) {
+      shape[key] = schema instanceof OptionalSchema
+        ? schema
+        : schema.optional();
+    }
+    return new ObjectSchema(shape as PartialShape<S>, options);
+  }
+
+  check(
+    value: unknown,
+    path: string,
+    issues: Issues,
+  ): Checked<InferShape<S>> {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return this.fail(issues, path, "invalid_type", "Must be an object");
+    }
+
+    const input = value as Record<string, unknown>;
+    const output: Record<string, unknown> = {};
+    let valid = true;
+    let present = 0;
+
+    for (const [key, schema] of Object.entries(this.shape)) {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (input[key] !== undefined) {
+        present++;
+      } else if (
+        !(schema instanceof OptionalSchema || schema instanceof DefaultSchema)
+      ) {
+        this.fail(issues, fieldPath, "required", "Is required");
+        valid = false;
+        continue;
+      }
+
+      const result = schema.check(input[key], fieldPath, issues);
+      if (result === INVALID) {
+        valid = false;
+      } else if (result !== undefined) {
+        output[key] = result;
+      }
+    }
+
+    const { minProperties } = this.options;
+    if (valid && minProperties !== undefined && present < minProperties) {
+      return this.fail(
+        issues,
+        path,
+        "too_few_fields",
+        `Must include at least ${minProperties} of: ${
+          Object.keys(this.shape).join(", ")
+        }`,
+      );
+    }
+
+    return valid ? output as InferShape<S> : INVALID;
+  }
+
+  protected jsonSchema(): JsonSchema {
+    const properties: Record<string, JsonSchema> = {};
+    const required: string[] = [];
+
+    for (const [key, schema] of Object.entries(this.shape)) {
+      properties[key] = schema.toJsonSchema();
+      if (
+        !(schema instanceof OptionalSchema || schema instanceof DefaultSchema)
+      ) {
+        required.push(key);
+      }
+    }
+
+    return {
+      type: "object",
+      properties,
+      ...(required.length > 0 && { required }),
+      ...(this.options.minProperties !== undefined &&
+        { minProperties: this.options.minProperties }),
+    };
+  }
+}
+
+/**
+ * Schema builders
+ *
+ * @example
+ * const body = schema.object({
+ *   name: schema.string({ minLength: 1, trim: true }),
+ *   email: schema.string({ format: "email" }),
+ * });
+ */
+export const schema = {
+  string: (options?: StringOptions) => new StringSchema(options),
+  number: (options?: NumberOptions) => new NumberSchema(options),
+  integer: (options?: Omit<NumberOptions, "integer">) =>
+    new NumberSchema({ ...options, integer: true }),
+  boolean: () => new BooleanSchema(),
+  enum: <T extends string>(values: readonly T[]) => new EnumSchema(values),
+  array: <T>(item: Schema<T>, options?: ArrayOptions) =>
+    new ArraySchema(item, options),
+  object: <S extends Shape>(shape: S, options?: ObjectOptions) =>
+    new ObjectSchema(shape, options),
+};
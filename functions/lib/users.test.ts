@@ -0,0 +1,68 @@
+/**
+ * User store tests, against an in-memory Deno KV
+ */
+
+import assert from "node:assert/strict";
+import { HttpError } from "./errors.ts";
+import { UserStore } from "./users.ts";
+
+async function withStore(test: (store: UserStore) => Promise<void>) {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    await test(new UserStore(kv));
+  } finally {
+    kv.close();
+  }
+}
+
+function isHttpError(status: number, code: string) {
+  return (error: unknown) =>
+    error instanceof HttpError && error.status === status &&
+    error.code === code;
+}
+
+Deno.test("lets the creating FID update and delete a user", () =>
+  withStore(async (store) => {
+    const user = await store.create({
+      name: "Dan",
+      email: "dan@example.com",
+      createdBy: 3621,
+    });
+
+    const updated = await store.update(user.id, { name: "Dan R" }, {
+      owner: 3621,
+    });
+    assert.equal(updated.name, "Dan R");
+    assert.equal((await store.delete(user.id, { owner: 3621 })).id, user.id);
+    assert.equal(await store.get(user.id), null);
+  }));
+
+Deno.test("refuses writes by another FID", () =>
+  withStore(async (store) => {
+    const user = await store.create({
+      name: "Dan",
+      email: "dan@example.com",
+      createdBy: 3621,
+    });
+
+    await assert.rejects(
+      store.update(user.id, { name: "Mallory" }, { owner: 1 }),
+      isHttpError(403, "not_owner"),
+    );
+    await assert.rejects(
+      store.delete(user.id, { owner: 1 }),
+      isHttpError(403, "not_owner"),
+    );
+    assert.equal((await store.get(user.id))?.name, "Dan");
+  }));
+
+Deno.test("keeps seeded users read-only", () =>
+  withStore(async (store) => {
+    await store.seed();
+    const { users } = await store.list({ limit: 10, offset: 0 });
+
+    await assert.rejects(
+      store.delete(users[0].id, { owner: 3621 }),
+      isHttpError(403, "not_owner"),
+    );
+  }));
@@ -0,0 +1,219 @@
+/**
+ * User Store - Deno Deploy
+ * Users persisted in Deno KV with unique emails and monotonic IDs
+ */
+
+import type { User } from "../../shared/types.ts";
+import { HttpError } from "./errors.ts";
+
+export type { User };
+
+export interface UserInput {
+  name: string;
+  email: string;
+  createdBy?: number;
+}
+
+export type UserChanges = Partial<Pick<User, "name" | "email">>;
+
+export interface UserWriteOptions {
+  /** FID that must have created the user; anyone else gets a `403` */
+  owner?: number;
+}
+
+const USERS = "users";
+const USERS_BY_EMAIL = "users_by_email";
+const USER_ID_COUNTER = ["counters", "user_id"];
+const SEEDED = ["meta", "users_seeded"];
+
+// Retries when a concurrent write wins the atomic check
+const MAX_ATTEMPTS = 10;
+
+export const SAMPLE_USERS: UserInput[] = [
+  { name: "Alice Johnson", email: "alice@example.com" },
+  { name: "Bob Smith", email: "bob@example.com" },
+  { name: "Carol Davis", email: "carol@example.com" },
+];
+
+export class UserStore {
+  constructor(private readonly kv: Deno.Kv) {}
+
+  /**
+   * List users ordered by ID
+   */
+  async list(
+    { limit, offset }: { limit: number; offset: number },
+  ): Promise<{ users: User[]; total: number }> {
+    const users: User[] = [];
+    let total = 0;
+
+    for await (const entry of this.kv.list<User>({ prefix: [USERS] })) {
+      if (total >= offset && users.length < limit) {
+        users.push(entry.value);
+      }
+      total++;
+    }
+
+    return { users, total };
+  }
+
+  async get(id: number): Promise<User | null> {
+    return (await this.kv.get<User>([USERS, id])).value;
+  }
+
+  /**
+   * Create a user with the next ID. IDs are never reused, even after deletes.
+   */
+  async create(input: UserInput): Promise<User> {
+    const emailKey = [USERS_BY_EMAIL, normalizeEmail(input.email)];
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const counter = await this.kv.get<Deno.KvU64>(USER_ID_COUNTER);
+      const id = Number((counter.value?.value ?? 0n) + 1n);
+      const now = new Date().toISOString();
+      const user: User = {
+        id,
+        name: input.name,
+        email: input.email,
+        ...(input.createdBy !== undefined && { createdBy: input.createdBy }),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      const result = await this.kv.atomic()
+        .check(counter)
+        .check({ key: emailKey, versionstamp: null })
+        .set(USER_ID_COUNTER, new Deno.KvU64(BigInt(id)))
+        .set([USERS, id], user)
+        .set(emailKey, id)
+        .commit();
+
+      if (result.ok) {
+        return user;
+      }
+      await this.assertEmailAvailable(input.email);
+    }
+
+    throw new Error("Could not create user after concurrent updates");
+  }
+
+  /**
+   * Apply changes to a user; PUT passes every field, PATCH a subset
+   */
+  async update(
+    id: number,
+    changes: UserChanges,
+    options: UserWriteOptions = {},
+  ): Promise<User> {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const entry = await this.kv.get<User>([USERS, id]);
+      if (!entry.value) {
+        throw userNotFound(id);
+      }
+      assertOwner(entry.value, options);
+
+      const current = entry.value;
+      const user: User = {
+        ...current,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+
+      const op = this.kv.atomic().check(entry).set([USERS, id], user);
+
+      const oldEmail = normalizeEmail(current.email);
+      const newEmail = normalizeEmail(user.email);
+      if (newEmail !== oldEmail) {
+        op.check({ key: [USERS_BY_EMAIL, newEmail], versionstamp: null })
+          .delete([USERS_BY_EMAIL, oldEmail])
+          .set([USERS_BY_EMAIL, newEmail], id);
+      }
+
+      if ((await op.commit()).ok) {
+        return user;
+      }
+      if (newEmail !== oldEmail) {
+        await this.assertEmailAvailable(user.email, id);
+      }
+    }
+
+    throw new Error("Could not update user after concurrent updates");
+  }
+
+  async delete(id: number, options: UserWriteOptions = {}): Promise<User> {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const entry = await this.kv.get<User>([USERS, id]);
+      if (!entry.value) {
+        throw userNotFound(id);
+      }
+      assertOwner(entry.value, options);
+
+      const result = await this.kv.atomic()
+        .check(entry)
+        .delete([USERS, id])
+        .delete([USERS_BY_EMAIL, normalizeEmail(entry.value.email)])
+        .commit();
+
+      if (result.ok) {
+        return entry.value;
+      }
+    }
+
+    throw new Error("Could not delete user after concurrent updates");
+  }
+
+  /**
+   * Load sample users into a store that has never been seeded
+   */
+  async seed(users: UserInput[] = SAMPLE_USERS): Promise<void> {
+    const claim = await this.kv.atomic()
+      .check({ key: SEEDED, versionstamp: null })
+      .set(SEEDED, new Date().toISOString())
+      .commit();
+    if (!claim.ok) {
+      return;
+    }
+
+    for (const user of users) {
+      const existing = await this.kv.get<number>([
+        USERS_BY_EMAIL,
+        normalizeEmail(user.email),
+      ]);
+      if (existing.value === null) {
+        await this.create(user);
+      }
+    }
+  }
+
+  private async assertEmailAvailable(email: string, ownerId?: number) {
+    const existing = await this.kv.get<number>([
+      USERS_BY_EMAIL,
+      normalizeEmail(email),
+    ]);
+    if (existing.value !== null && existing.value !== ownerId) {
+      throw new HttpError(409, `Email ${email} is already registered`, {
+        code: "email_taken",
+      });
+    }
+  }
+}
+
+function normalizeEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+function userNotFound(id: number): HttpError {
+  return new HttpError(404, `User ${id} not found`);
+}
+
+/**
+ * Seeded users, and ones created before writes required sign-in, have no
+ * owner and can't be changed through the API
+ */
+function assertOwner(user: User, { owner }: UserWriteOptions): void {
+  if (owner !== undefined && user.createdBy !== owner) {
+    throw new HttpError(403, `User ${user.id} was created by another account`, {
+      code: "not_owner",
+    });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Me Function - Deno Deploy
+ * Returns the Farcaster identity behind the Quick Auth token
+ */
+
+import type { ApiResponse, FunctionContext } from "./router.ts";
+import type { Me } from "../shared/types.ts";
+import { AuthError } from "./lib/auth.ts";
+import { RouteTable } from "./lib/routes.ts";
+
+/**
+ * GET /me - Identity of the signed-in user
+ */
+function handler(
+  _req: Request,
+  ctx: FunctionContext,
+): Response {
+  // The route requires auth, so this only guards against misconfiguration
+  if (!ctx.auth) {
+    throw new AuthError("Authentication required", "missing_token");
+  }
+
+  const responseData: ApiResponse<Me> = {
+    success: true,
+    message: "Authenticated",
+    data: {
+      fid: ctx.auth.fid,
+      issuedAt: new Date(ctx.auth.payload.iat * 1000).toISOString(),
+      expiresAt: new Date(ctx.auth.payload.exp * 1000).toISOString(),
+    },
+    timestamp: new Date().toISOString(),
+  };
+
+  return new Response(JSON.stringify(responseData, null, 2), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export default new RouteTable({
+  title: "Who am I",
+  description: "Returns your FID from the Quick Auth token",
+}).get("/", handler, {
+  operationId: "me.get",
+  dataType: "Me",
+  summary: "Get the signed-in user's FID and token lifetime",
+});
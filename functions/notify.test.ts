@@ -0,0 +1,75 @@
+/**
+ * Notify tests through the router: the API key is checked before the body
+ * and before a key gets its own rate limit budget
+ */
+
+import assert from "node:assert/strict";
+
+Deno.env.set("KV_PATH", ":memory:");
+Deno.env.set("RATE_LIMIT_STORE", "memory");
+Deno.env.set("NOTIFY_API_KEY", "dev-secret");
+const { default: handler } = await import("./router.ts");
+
+const NOTIFICATION = {
+  title: "Hello",
+  body: "From the tests",
+  targetUrl: "https://miniapp.example/",
+  fids: [999],
+};
+
+async function notify(
+  apiKey: string,
+  body: unknown,
+  ip = "10.0.0.1",
+): Promise<{ status: number; code?: string }> {
+  const response = await handler(
+    new Request("http://localhost:8000/notify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-API-Key": apiKey },
+      body: JSON.stringify(body),
+    }),
+    {
+      remoteAddr: { transport: "tcp", hostname: ip, port: 443 },
+      completed: Promise.resolve(),
+    },
+  );
+  const { code } = await response.json();
+  return { status: response.status, code };
+}
+
+Deno.test("checks the API key before the body", async () => {
+  assert.deepEqual(await notify("wrong", { title: "" }, "10.0.0.2"), {
+    status: 401,
+    code: "invalid_api_key",
+  });
+  assert.deepEqual(await notify("dev-secret", { title: "" }, "10.0.0.2"), {
+    status: 422,
+    code: "validation_failed",
+  });
+  assert.deepEqual(await notify("dev-secret", NOTIFICATION, "10.0.0.2"), {
+    status: 200,
+    code: undefined,
+  });
+});
+
+Deno.test("limits unverified keys per IP", async () => {
+  for (let i = 0; i < 30; i++) {
+    assert.equal(
+      (await notify(crypto.randomUUID(), NOTIFICATION, "10.0.0.3")).status,
+      401,
+    );
+  }
+  assert.deepEqual(
+    await notify(crypto.randomUUID(), NOTIFICATION, "10.0.0.3"),
+    {
+      status: 429,
+      code: "rate_limited",
+    },
+  );
+
+  // The real key has its own budget
+  assert.equal(
+    (await notify("dev-secret", NOTIFICATION, "10.0.0.3")).status,
+    200,
+  );
+});
@@ -0,0 +1,141 @@
+/**
+ * Notify Function - Deno Deploy
+ * Sends push notifications to users who enabled them, for trusted servers
+ * holding NOTIFY_API_KEY
+ */
+
+import type { ApiResponse, FunctionContext } from "./router.ts";
+import type { NotifyResult } from "../shared/types.ts";
+import { HttpError } from "./lib/errors.ts";
+import {
+  getNotificationStore,
+  MAX_BODY_LENGTH,
+  MAX_NOTIFICATION_ID_LENGTH,
+  MAX_TITLE_LENGTH,
+  NotificationSender,
+} from "./lib/notifications.ts";
+import { type RateLimit, rateLimitClientKey } from "./lib/rate-limit.ts";
+import { RouteTable } from "./lib/routes.ts";
+import { type Infer, schema } from "./lib/schema.ts";
+
+const notifyBody = schema.object({
+  notificationId: schema.string({
+    trim: true,
+    minLength: 1,
+    maxLength: MAX_NOTIFICATION_ID_LENGTH,
+  }).optional()
+    .describe(
+      "Repeats of an ID within 24 hours are dropped; defaults to a random ID",
+    ),
+  title: schema.string({
+    trim: true,
+    minLength: 1,
+    maxLength: MAX_TITLE_LENGTH,
+  }),
+  body: schema.string({ trim: true, minLength: 1, maxLength: MAX_BODY_LENGTH }),
+  targetUrl: schema.string({ format: "url", maxLength: 1024 })
+    .describe("Opened when the notification is tapped; on the app's domain"),
+  fids: schema.array(schema.integer({ min: 1 }), {
+    minItems: 1,
+    maxItems: 1000,
+  })
+    .optional()
+    .describe("Recipients; every user with notifications enabled when omitted"),
+});
+
+// Per API key once it checks out, else per IP, so made-up keys get no
+// budget of their own; each send may fan out to many clients
+const notifyLimit: RateLimit = {
+  limit: 30,
+  window: 60,
+  key: async (req, client) =>
+    await rateLimitClientKey(
+      await hasApiKey(req) ? "apiKey" : "ip",
+      req,
+      client,
+    ),
+};
+
+/**
+ * Whether `X-API-Key` holds the NOTIFY_API_KEY
+ */
+async function hasApiKey(req: Request): Promise<boolean> {
+  const expected = Deno.env.get("NOTIFY_API_KEY");
+  if (!expected) {
+    return false;
+  }
+
+  // Compare digests so the time taken does not reveal the key
+  const encoder = new TextEncoder();
+  const [given, wanted] = await Promise.all(
+    [req.headers.get("X-API-Key") ?? "", expected].map(async (key) =>
+      new Uint8Array(
+        await crypto.subtle.digest("SHA-256", encoder.encode(key)),
+      )
+    ),
+  );
+  const difference = given.reduce(
+    (diff, byte, i) => diff | byte ^ wanted[i],
+    0,
+  );
+  return difference === 0;
+}
+
+/**
+ * Reject callers without the NOTIFY_API_KEY in `X-API-Key`, before their
+ * body is parsed
+ */
+async function requireApiKey(req: Request): Promise<void> {
+  if (!Deno.env.get("NOTIFY_API_KEY")) {
+    throw new HttpError(503, "Notifications are not configured", {
+      code: "not_configured",
+      expose: true,
+    });
+  }
+  if (!await hasApiKey(req)) {
+    throw new HttpError(401, "Missing or invalid API key", {
+      code: "invalid_api_key",
+    });
+  }
+}
+
+/**
+ * POST /notify - Send a notification
+ */
+async function sendNotification(
+  _req: Request,
+  ctx: FunctionContext<unknown, unknown, Infer<typeof notifyBody>>,
+): Promise<Response> {
+  const { fids, ...fields } = ctx.body;
+  const notification = {
+    ...fields,
+    notificationId: fields.notificationId ?? crypto.randomUUID(),
+  };
+  const sender = new NotificationSender(await getNotificationStore());
+  const report = await sender.send(notification, fids);
+
+  const responseData: ApiResponse<NotifyResult> = {
+    success: true,
+    message: `Notification sent to ${report.successful} token(s)`,
+    data: { notificationId: notification.notificationId, ...report },
+    timestamp: new Date().toISOString(),
+  };
+
+  return new Response(JSON.stringify(responseData, null, 2), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export default new RouteTable({
+  title: "Notifications",
+  description: "Send push notifications to users who enabled them",
+}).post("/", sendNotification, {
+  schema: { body: notifyBody },
+  guard: requireApiKey,
+  rateLimit: notifyLimit,
+  dataType: "NotifyResult",
+  summary: "Send a notification",
+  description:
+    "Requires the X-API-Key header. Tokens are sent in batches of 100 per " +
+    "client; invalid tokens are removed and rate-limited ones retried.",
+});
@@ -0,0 +1,142 @@
+/**
+ * Router tests: method routing and preflights, with a Quick Auth token
+ * minted by a local key the way scripts/mint-quick-auth-token.js does
+ */
+
+import assert from "node:assert/strict";
+import { QUICK_AUTH_ISSUER } from "./lib/auth.ts";
+
+const KEY_ID = "local-dev";
+const DOMAIN = "miniapp.example";
+
+const { privateKey, publicKey } = await crypto.subtle.generateKey(
+  "Ed25519",
+  true,
+  ["sign", "verify"],
+) as CryptoKeyPair;
+const jwksPath = await Deno.makeTempFile({ suffix: ".json" });
+await Deno.writeTextFile(
+  jwksPath,
+  JSON.stringify({
+    keys: [{
+      ...await crypto.subtle.exportKey("jwk", publicKey),
+      kid: KEY_ID,
+      alg: "EdDSA",
+      use: "sig",
+    }],
+  }),
+);
+
+Deno.env.set("KV_PATH", ":memory:");
+Deno.env.set("RATE_LIMIT_STORE", "memory");
+Deno.env.set("QUICK_AUTH_JWKS_PATH", jwksPath);
+Deno.env.set("QUICK_AUTH_DOMAIN", DOMAIN);
+const { default: handler } = await import("./router.ts");
+
+function base64Url(value: string | Uint8Array): string {
+  const bytes = typeof value === "string"
+    ? new TextEncoder().encode(value)
+    : value;
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function mintToken(fid: number): Promise<string> {
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = [
+    base64Url(JSON.stringify({ alg: "EdDSA", typ: "JWT", kid: KEY_ID })),
+    base64Url(JSON.stringify({
+      iss: QUICK_AUTH_ISSUER,
+      sub: fid,
+      aud: DOMAIN,
+      iat: now,
+      exp: now + 3600,
+    })),
+  ].join(".");
+  const signature = await crypto.subtle.sign(
+    "Ed25519",
+    privateKey,
+    new TextEncoder().encode(signingInput),
+  );
+  return `${signingInput}.${base64Url(new Uint8Array(signature))}`;
+}
+
+async function userCount(): Promise<number> {
+  const response = await handler(
+    new Request("http://localhost:8000/api/users"),
+  );
+  return (await response.json()).data.total;
+}
+
+const NEW_USER = JSON.stringify({ name: "Eve", email: "eve@example.com" });
+
+Deno.test("does not run handlers for OPTIONS requests without an Origin", async () => {
+  const before = await userCount();
+
+  const response = await handler(
+    new Request("http://localhost:8000/api/users", {
+      method: "OPTIONS",
+      headers: {
+        "Access-Control-Request-Method": "POST",
+        "Authorization": `Bearer ${await mintToken(3621)}`,
+        "Content-Type": "application/json",
+      },
+      body: NEW_USER,
+    }),
+  );
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get("Allow"), "GET, HEAD, POST, OPTIONS");
+  assert.equal(await userCount(), before);
+});
+
+Deno.test("answers preflights without running the handler", async () => {
+  const before = await userCount();
+
+  const response = await handler(
+    new Request("http://localhost:8000/api/users", {
+      method: "OPTIONS",
+      headers: {
+        "Origin": "https://evil.example",
+        "Access-Control-Request-Method": "POST",
+        "Authorization": `Bearer ${await mintToken(3621)}`,
+        "Content-Type": "application/json",
+      },
+      body: NEW_USER,
+    }),
+  );
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get("Access-Control-Allow-Origin"), null);
+  assert.equal(await userCount(), before);
+});
+
+Deno.test("runs the handler for the request's own method", async () => {
+  const before = await userCount();
+
+  const response = await handler(
+    new Request("http://localhost:8000/api/users", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${await mintToken(3621)}`,
+        "Content-Type": "application/json",
+      },
+      body: NEW_USER,
+    }),
+  );
+  assert.equal(response.status, 201);
+  assert.equal(await userCount(), before + 1);
+});
+
+Deno.test("answers 405 with Allow, and HEAD from GET routes", async () => {
+  const response = await handler(
+    new Request("http://localhost:8000/api/users", { method: "PUT" }),
+  );
+  assert.equal(response.status, 405);
+  assert.equal(response.headers.get("Allow"), "GET, HEAD, POST, OPTIONS");
+  assert.equal((await response.json()).code, "method_not_allowed");
+
+  const head = await handler(
+    new Request("http://localhost:8000/api/users", { method: "HEAD" }),
+  );
+  assert.equal(head.status, 200);
+  assert.equal(head.body, null);
+});
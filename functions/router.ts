@@ -5,130 +5,254 @@
 
 // Static imports of all function handlers
 import apiHandler from "./api.ts";
+import meHandler from "./me.ts";
+import notifyHandler from "./notify.ts";
+import webhookHandler from "./webhook.ts";
+import { QuickAuthVerifier, quickAuthOptionsFromEnv } from "./lib/auth.ts";
+import { renderDocsPage } from "./lib/docs.ts";
+import { HttpError } from "./lib/errors.ts";
+import type { CorsOverride } from "./lib/cors.ts";
+import { log } from "./lib/log.ts";
+import type { RateLimit } from "./lib/rate-limit.ts";
+import {
+  accessLog,
+  authenticate,
+  compose,
+  cors,
+  errorMapper,
+  type Middleware,
+  rateLimit,
+  type RequestContext,
+  requestId,
+  serverTiming,
+} from "./lib/middleware.ts";
+import { buildOpenApiDocument, type OpenApiDocument } from "./lib/openapi.ts";
+import {
+  type AuthMode,
+  type FunctionHandler,
+  RouteTable,
+  routeServes,
+} from "./lib/routes.ts";
+import type { RouterIndex, RouterResponse } from "../shared/types.ts";
+
+export type {
+  AuthMode,
+  FunctionContext,
+  FunctionHandler,
+  RequestSchema,
+  RouteHandler,
+  RouteParams,
+} from "./lib/routes.ts";
+export type {
+  ApiResponse,
+  FieldError,
+  RouterResponse,
+} from "../shared/types.ts";
+export type { Middleware, RequestContext } from "./lib/middleware.ts";
 
 export interface FunctionInfo {
   name: string;
-  handler: (req: Request) => Response | Promise<Response>;
+  routes: RouteTable;
+  auth: AuthMode;
+  cors?: CorsOverride;
 }
 
-export interface RouterResponse {
-  success: boolean;
-  message: string;
-  data?: unknown;
-  timestamp: string;
-}
+/**
+ * Limit for routes without their own `rateLimit` option
+ */
+const DEFAULT_RATE_LIMIT: RateLimit = { limit: 120, window: 60, key: "fid" };
 
 class FunctionRouter {
   private functions = new Map<string, FunctionInfo>();
+  private routes = new RouteTable();
+  private verifier = new QuickAuthVerifier(quickAuthOptionsFromEnv());
+  private middlewares: Middleware[] = [];
 
   constructor() {
     // Register all functions statically
     this.registerFunctions();
+
+    // Built-in pipeline, outermost first
+    this
+      .use(requestId())
+      .use(accessLog())
+      .use(serverTiming())
+      .use(cors())
+      .use(errorMapper())
+      .use(authenticate(this.verifier))
+      .use(rateLimit({ default: DEFAULT_RATE_LIMIT }));
+  }
+
+  /**
+   * Add a middleware; it runs inside the ones added before it
+   */
+  use(middleware: Middleware): this {
+    this.middlewares.push(middleware);
+    return this;
   }
 
   /**
    * Register all function handlers statically
    */
   private registerFunctions(): void {
-    console.log("🔍 Registering functions...");
-    
-    // Register each function handler
-    const functionHandlers: Array<[string, (req: Request) => Response | Promise<Response>]> = [
-      ["api", apiHandler],
+    // Register each function handler. Plain handlers serve every method on
+    // /<name> and below; route tables are mounted at /<name>. An optional
+    // fourth entry overrides the router's CORS policy for the function,
+    // e.g. `{ origins: "*" }` for a public endpoint.
+    const functionHandlers: Array<
+      [string, FunctionHandler | RouteTable, AuthMode, CorsOverride?]
+    > = [
+      ["api", apiHandler, "optional"],
+      ["me", meHandler, "required"],
+      ["notify", notifyHandler, "optional"],
+      ["webhook", webhookHandler, "optional"],
     ];
 
-    for (const [name, handler] of functionHandlers) {
+    for (const [name, entry, auth, cors] of functionHandlers) {
+      const routes = entry instanceof RouteTable
+        ? entry
+        : RouteTable.fromHandler(entry);
+
+      this.routes.mount(`/${name}`, routes, { auth, cors });
       this.functions.set(name, {
         name,
-        handler,
+        routes,
+        auth,
+        cors,
       });
-      console.log(`✅ Registered function: ${name} -> /${name}`);
     }
-    
-    console.log(`🎉 Registered ${this.functions.size} functions\n`);
+
+    log("info", "functions registered", {
+      functions: this.getRegisteredFunctions().map((name) => `/${name}`),
+    });
   }
 
   /**
    * Handle incoming requests and route to appropriate function
    */
-  async handleRequest(req: Request): Promise<Response> {
+  async handleRequest(
+    req: Request,
+    info?: Deno.ServeHandlerInfo,
+  ): Promise<Response> {
     const url = new URL(req.url);
-    const pathname = url.pathname;
-    const method = req.method;
-
-    // CORS headers
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    // Preflights are matched against the method they ask about, so the
+    // target function's CORS policy applies. Only a request with an Origin
+    // is one; cors() answers it before dispatch.
+    const preflightMethod = req.method === "OPTIONS" &&
+      req.headers.has("Origin") &&
+      req.headers.get("Access-Control-Request-Method");
+    const method = preflightMethod || req.method;
+    const ctx: RequestContext = {
+      url,
+      requestId: "",
+      startTime: performance.now(),
+      timings: [],
+      match: this.routes.match(method, url.pathname),
+      auth: null,
+      clientIp: info && "hostname" in info.remoteAddr
+        ? info.remoteAddr.hostname
+        : null,
     };
 
-    // Handle preflight requests
-    if (method === "OPTIONS") {
-      return new Response(null, {
-        status: 200,
-        headers: corsHeaders,
-      });
-    }
+    return await compose(
+      this.middlewares,
+      (req, ctx) => this.dispatch(req, ctx),
+    )(req, ctx);
+  }
+
+  /**
+   * Call the matched route's handler, the innermost step of the pipeline
+   */
+  private async dispatch(req: Request, ctx: RequestContext): Promise<Response> {
+    const { pathname } = ctx.url;
+    const method = req.method;
 
     // Root path - show available functions
     if (pathname === "/" || pathname === "") {
-      return this.createIndexResponse(corsHeaders);
+      return this.createIndexResponse();
+    }
+
+    // API reference built from the registered route tables
+    if (pathname === "/openapi.json") {
+      return new Response(
+        JSON.stringify(this.getOpenApiDocument(ctx.url.origin), null, 2),
+        { headers: { "Content-Type": "application/json" } },
+      );
+    }
+    if (pathname === "/docs") {
+      return new Response(
+        renderDocsPage(this.getOpenApiDocument(ctx.url.origin)),
+        { headers: { "Content-Type": "text/html; charset=utf-8" } },
+      );
     }
 
     // Extract function name from path (e.g., /hello -> hello)
     const functionName = pathname.slice(1).split('/')[0];
-    
-    if (this.functions.has(functionName)) {
-      try {
-        const functionInfo = this.functions.get(functionName)!;
-        console.log(`📡 Routing ${method} ${pathname} -> ${functionInfo.name}`);
-        
-        // Call the function handler
-        const response = await functionInfo.handler(req);
-        
-        // Add CORS headers to the response
-        const headers = new Headers(response.headers);
-        Object.entries(corsHeaders).forEach(([key, value]) => {
-          headers.set(key, value);
-        });
-        
-        return new Response(response.body, {
-          status: response.status,
-          statusText: response.statusText,
-          headers,
-        });
-      } catch (error) {
-        console.error(`❌ Error in function ${functionName}:`, error);
-        return this.createErrorResponse(
-          `Error executing function: ${error instanceof Error ? error.message : String(error)}`,
-          corsHeaders,
-          500
-        );
-      }
+    // A route matched for another method (a preflight's) never runs
+    const match = ctx.match.type === "found" &&
+        !routeServes(ctx.match.route, method)
+      ? this.routes.match(method, pathname)
+      : ctx.match;
+
+    if (match.type === "method_not_allowed" && method === "OPTIONS") {
+      return new Response(null, {
+        status: 204,
+        headers: { "Allow": match.allow.join(", ") },
+      });
     }
 
-    // Function not found
-    return this.createErrorResponse(
-      `Function '${functionName}' not found`,
-      corsHeaders,
-      404
-    );
+    if (match.type === "method_not_allowed") {
+      throw new HttpError(405, `Method ${method} not allowed on ${pathname}`, {
+        headers: { "Allow": match.allow.join(", ") },
+      });
+    }
+
+    if (match.type === "not_found") {
+      throw new HttpError(
+        404,
+        this.functions.has(functionName)
+          ? `Route ${method} ${pathname} not found`
+          : `Function '${functionName}' not found`,
+      );
+    }
+
+    // Call the route handler
+    const start = performance.now();
+    const response = await match.route.handler(req, {
+      auth: ctx.auth,
+      params: match.params,
+      query: Object.fromEntries(ctx.url.searchParams),
+      body: undefined,
+      requestId: ctx.requestId,
+    });
+    ctx.timings.push({ name: "handler", dur: performance.now() - start });
+
+    if (method === "HEAD") {
+      return new Response(null, response);
+    }
+    return response;
   }
 
   /**
    * Create index response showing available functions
    */
-  private createIndexResponse(corsHeaders: Record<string, string>): Response {
+  private createIndexResponse(): Response {
     const functionList = Array.from(this.functions.values()).map(func => ({
       name: func.name,
+      title: func.routes.info.title ?? func.name,
       endpoint: `/${func.name}`,
-      description: `Function handler for ${func.name}`,
+      description: func.routes.info.description ??
+        `Function handler for ${func.name}`,
     }));
 
-    const responseData = {
+    const responseData: RouterResponse<RouterIndex> = {
       success: true,
       message: "Hola",
+      data: {
+        functions: functionList,
+        openapi: "/openapi.json",
+        docs: "/docs",
+      },
       timestamp: new Date().toISOString(),
     };
 
@@ -136,32 +260,15 @@ class FunctionRouter {
       status: 200,
       headers: {
         "Content-Type": "application/json",
-        ...corsHeaders,
       },
     });
   }
 
   /**
-   * Create error response
+   * OpenAPI document for every registered function
    */
-  private createErrorResponse(
-    message: string,
-    corsHeaders: Record<string, string>,
-    status = 400
-  ): Response {
-    const responseData: RouterResponse = {
-      success: false,
-      message,
-      timestamp: new Date().toISOString(),
-    };
-
-    return new Response(JSON.stringify(responseData, null, 2), {
-      status,
-      headers: {
-        "Content-Type": "application/json",
-        ...corsHeaders,
-      },
-    });
+  getOpenApiDocument(serverUrl?: string): OpenApiDocument {
+    return buildOpenApiDocument([...this.functions.values()], { serverUrl });
   }
 
   /**
@@ -178,12 +285,18 @@ const router = new FunctionRouter();
 /**
  * Main handler function for the router
  */
-export default async function handler(req: Request): Promise<Response> {
-  return await router.handleRequest(req);
+export default async function handler(
+  req: Request,
+  info?: Deno.ServeHandlerInfo,
+): Promise<Response> {
+  return await router.handleRequest(req, info);
 }
 
 // For local development with Deno serve
-if (import.meta.main) {
+if (import.meta.main && Deno.args.includes("--openapi")) {
+  // Used by scripts/generate-api-client.js; one line so it stands out from logs
+  console.log(JSON.stringify(router.getOpenApiDocument()));
+} else if (import.meta.main) {
   console.log("🚀 Static Function Router starting on port 8000");
   console.log("🔗 Visit: http://localhost:8000");
   console.log("📋 Available functions:");
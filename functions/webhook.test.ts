@@ -0,0 +1,285 @@
+/**
+ * Webhook tests through the router, with events signed by a local app key
+ * the way scripts/send-webhook-event.js signs them
+ */
+
+import assert from "node:assert/strict";
+import { getNotificationStore } from "./lib/notifications.ts";
+
+Deno.env.set("KV_PATH", ":memory:");
+Deno.env.set("RATE_LIMIT_STORE", "memory");
+const { default: handler } = await import("./router.ts");
+
+const MOCK_URL = "http://localhost:8010/notify";
+
+interface AppKey {
+  privateKey: CryptoKey;
+  /** `0x`-prefixed hex public key, as in the signature header */
+  key: string;
+}
+
+async function createAppKey(): Promise<AppKey> {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    "Ed25519",
+    true,
+    ["sign", "verify"],
+  ) as CryptoKeyPair;
+  const raw = new Uint8Array(await crypto.subtle.exportKey("raw", publicKey));
+  const hex = Array.from(raw, (byte) => byte.toString(16).padStart(2, "0"));
+  return { privateKey, key: `0x${hex.join("")}` };
+}
+
+function base64Url(value: string | Uint8Array): string {
+  const bytes = typeof value === "string"
+    ? new TextEncoder().encode(value)
+    : value;
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function signEvent(
+  appKey: AppKey,
+  fid: number,
+  payload: Record<string, unknown>,
+) {
+  const header = base64Url(
+    JSON.stringify({ fid, type: "app_key", key: appKey.key }),
+  );
+  const encodedPayload = base64Url(JSON.stringify(payload));
+  const signature = await crypto.subtle.sign(
+    "Ed25519",
+    appKey.privateKey,
+    new TextEncoder().encode(`${header}.${encodedPayload}`),
+  );
+  return {
+    header,
+    payload: encodedPayload,
+    signature: base64Url(new Uint8Array(signature)),
+  };
+}
+
+async function postEvent(
+  body: unknown,
+): Promise<{ status: number; code?: string }> {
+  const response = await handler(
+    new Request("http://localhost:8000/webhook", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  );
+  const { code } = await response.json();
+  return { status: response.status, code };
+}
+
+async function withEnv(
+  env: Record<string, string | undefined>,
+  test: () => Promise<void>,
+) {
+  const previous = Object.keys(env).map((key) => [key, Deno.env.get(key)]);
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) {
+      Deno.env.delete(key);
+    } else {
+      Deno.env.set(key, value);
+    }
+  }
+  try {
+    await test();
+  } finally {
+    for (const [key, value] of previous) {
+      if (value === undefined) {
+        Deno.env.delete(key as string);
+      } else {
+        Deno.env.set(key as string, value);
+      }
+    }
+  }
+}
+
+const INSECURE_DEV = {
+  APP_ENV: "development",
+  FARCASTER_HUB_URL: undefined,
+  NOTIFICATIONS_INSECURE_DEV: "true",
+};
+
+async function tokensOf(fid: number): Promise<string[]> {
+  const subscriptions = await (await getNotificationStore()).list([fid]);
+  return subscriptions.map((subscription) => subscription.token);
+}
+
+Deno.test("stores and removes notification tokens", () =>
+  withEnv(INSECURE_DEV, async () => {
+    const appKey = await createAppKey();
+
+    assert.deepEqual(
+      await postEvent(
+        await signEvent(appKey, 101, {
+          event: "miniapp_added",
+          notificationDetails: { url: MOCK_URL, token: "token-101" },
+        }),
+      ),
+      { status: 200, code: undefined },
+    );
+    const [subscription] = await (await getNotificationStore()).list([101]);
+    assert.equal(subscription.url, MOCK_URL);
+    assert.equal(subscription.token, "token-101");
+    assert.equal(subscription.appKey, appKey.key);
+
+    await postEvent(
+      await signEvent(appKey, 101, { event: "notifications_disabled" }),
+    );
+    assert.deepEqual(await tokensOf(101), []);
+  }));
+
+Deno.test("rejects events whose signature does not match", () =>
+  withEnv(INSECURE_DEV, async () => {
+    const appKey = await createAppKey();
+    const signed = await signEvent(appKey, 102, {
+      event: "miniapp_added",
+      notificationDetails: { url: MOCK_URL, token: "token-102" },
+    });
+    const forged = await signEvent(appKey, 102, {
+      event: "miniapp_added",
+      notificationDetails: { url: MOCK_URL, token: "forged-102" },
+    });
+
+    assert.deepEqual(
+      await postEvent({ ...signed, payload: forged.payload }),
+      { status: 401, code: "invalid_signature" },
+    );
+    assert.deepEqual(
+      await postEvent({
+        ...signed,
+        signature: (await signEvent(
+          await createAppKey(),
+          102,
+          { event: "miniapp_added" },
+        )).signature,
+      }),
+      { status: 401, code: "invalid_signature" },
+    );
+    assert.deepEqual(
+      await postEvent({ ...signed, header: "not-json" }),
+      { status: 400, code: "malformed_signature" },
+    );
+    assert.deepEqual(await tokensOf(102), []);
+  }));
+
+Deno.test("rejects events when no hub checks the app key", () =>
+  withEnv(
+    { ...INSECURE_DEV, NOTIFICATIONS_INSECURE_DEV: undefined },
+    async () => {
+      const event = await signEvent(await createAppKey(), 103, {
+        event: "miniapp_added",
+        notificationDetails: {
+          url: "https://api.farcaster.xyz/v1/frame-notifications",
+          token: "token-103",
+        },
+      });
+
+      assert.deepEqual(await postEvent(event), {
+        status: 503,
+        code: "app_key_check_failed",
+      });
+      assert.deepEqual(await tokensOf(103), []);
+    },
+  ));
+
+Deno.test("rejects app keys the hub does not list for the FID", async () => {
+  const known = await createAppKey();
+  const hub = Deno.serve({ port: 0, onListen() {} }, (req) => {
+    const signer = new URL(req.url).searchParams.get("signer");
+    return signer === known.key
+      ? Response.json({
+        signerEventBody: { eventType: "SIGNER_EVENT_TYPE_ADD" },
+      })
+      : new Response(null, { status: 404 });
+  });
+  const details = {
+    url: "https://api.farcaster.xyz/v1/frame-notifications",
+    token: "token-104",
+  };
+
+  try {
+    await withEnv({
+      ...INSECURE_DEV,
+      FARCASTER_HUB_URL: `http://localhost:${hub.addr.port}`,
+      NOTIFICATIONS_INSECURE_DEV: undefined,
+    }, async () => {
+      assert.deepEqual(
+        await postEvent(
+          await signEvent(await createAppKey(), 104, {
+            event: "miniapp_added",
+            notificationDetails: details,
+          }),
+        ),
+        { status: 401, code: "invalid_app_key" },
+      );
+      assert.deepEqual(await tokensOf(104), []);
+
+      assert.deepEqual(
+        await postEvent(
+          await signEvent(known, 104, {
+            event: "miniapp_added",
+            notificationDetails: details,
+          }),
+        ),
+        { status: 200, code: undefined },
+      );
+      assert.deepEqual(await tokensOf(104), ["token-104"]);
+    });
+  } finally {
+    await hub.shutdown();
+  }
+});
+
+Deno.test("rejects notification URLs outside the known client hosts", () =>
+  withEnv(INSECURE_DEV, async () => {
+    const appKey = await createAppKey();
+
+    for (
+      const url of [
+        "https://169.254.169.254/latest/meta-data",
+        "https://evil.example/notify",
+      ]
+    ) {
+      assert.deepEqual(
+        await postEvent(
+          await signEvent(appKey, 105, {
+            event: "notifications_enabled",
+            notificationDetails: { url, token: "token-105" },
+          }),
+        ),
+        { status: 400, code: "notification_url_not_allowed" },
+      );
+    }
+    assert.deepEqual(await tokensOf(105), []);
+  }));
+
+Deno.test("accepts bursts of events from one client IP", () =>
+  withEnv(INSECURE_DEV, async () => {
+    const appKey = await createAppKey();
+
+    for (let fid = 1000; fid < 1150; fid++) {
+      const response = await handler(
+        new Request("http://localhost:8000/webhook", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            await signEvent(appKey, fid, {
+              event: "miniapp_added",
+              notificationDetails: { url: MOCK_URL, token: `token-${fid}` },
+            }),
+          ),
+        }),
+        {
+          remoteAddr: { transport: "tcp", hostname: "10.0.0.1", port: 443 },
+          completed: Promise.resolve(),
+        },
+      );
+      assert.equal(response.status, 200);
+      await response.body?.cancel();
+    }
+    assert.deepEqual(await tokensOf(1149), ["token-1149"]);
+  }));
@@ -0,0 +1,229 @@
+/**
+ * Webhook Function - Deno Deploy
+ * Receives signed mini app events from Farcaster clients (the manifest's
+ * webhookUrl) and keeps each user's notification token in Deno KV, next to
+ * the add and notification state the app reports
+ */
+
+import type { ApiResponse, FunctionContext } from "./router.ts";
+import type { MiniAppState } from "../shared/types.ts";
+import { AuthError } from "./lib/auth.ts";
+import { HttpError, ValidationError } from "./lib/errors.ts";
+import { verifySignedMessage } from "./lib/jfs.ts";
+import { log } from "./lib/log.ts";
+import {
+  getNotificationStore,
+  isNotificationUrlAllowed,
+  type NotificationDetails,
+  notificationUrlPolicyFromEnv,
+} from "./lib/notifications.ts";
+import { RouteTable } from "./lib/routes.ts";
+import { type Infer, schema } from "./lib/schema.ts";
+
+const signedEvent = schema.object({
+  header: schema.string({ minLength: 1 }),
+  payload: schema.string({ minLength: 1 }),
+  signature: schema.string({ minLength: 1 }),
+});
+
+const notificationDetails = schema.object({
+  url: schema.string({ format: "url" }),
+  token: schema.string({ minLength: 1, maxLength: 256 }),
+});
+
+type MiniAppEvent =
+  | "miniapp_added"
+  | "miniapp_removed"
+  | "notifications_enabled"
+  | "notifications_disabled";
+
+interface EventPayload {
+  event: MiniAppEvent;
+  notificationDetails?: NotificationDetails;
+}
+
+const reportedState = schema.object({
+  added: schema.boolean(),
+  notificationsEnabled: schema.boolean(),
+  lastAddError: schema.enum(["rejected_by_user", "invalid_domain_manifest"])
+    .optional()
+    .describe("Why the user's last add prompt failed"),
+});
+
+/**
+ * POST /webhook - Handle a signed mini app event
+ */
+async function receiveEvent(
+  _req: Request,
+  ctx: FunctionContext<unknown, unknown, Infer<typeof signedEvent>>,
+): Promise<Response> {
+  const { fid, appKey, payload } = await verifySignedMessage<EventPayload>(
+    ctx.body,
+  );
+  const store = await getNotificationStore();
+  let notificationsEnabled: boolean;
+
+  switch (payload.event) {
+    case "miniapp_added":
+    case "notifications_enabled": {
+      // Adding the app only enables notifications when the client sends
+      // details; otherwise any earlier opt-in is left as it was
+      if (payload.notificationDetails === undefined) {
+        if (payload.event === "notifications_enabled") {
+          throw new HttpError(400, "notifications_enabled without details", {
+            code: "missing_notification_details",
+          });
+        }
+        notificationsEnabled = (await store.list([fid]))
+          .some((subscription) => subscription.appKey === appKey);
+        break;
+      }
+      const details = notificationDetails.parse(payload.notificationDetails, {
+        path: "payload.notificationDetails",
+      });
+      if (!details.ok) {
+        throw new ValidationError(details.errors);
+      }
+      // The server POSTs to this URL later, so only known clients qualify
+      if (
+        !isNotificationUrlAllowed(
+          notificationUrlPolicyFromEnv(),
+          details.value.url,
+        )
+      ) {
+        log("warn", "notification URL not allowed", {
+          requestId: ctx.requestId,
+          fid,
+          url: details.value.url,
+        });
+        throw new HttpError(
+          400,
+          "Notification URL must be https on a known Farcaster client host",
+          { code: "notification_url_not_allowed" },
+        );
+      }
+      await store.save(fid, appKey, details.value);
+      notificationsEnabled = true;
+      break;
+    }
+    case "miniapp_removed":
+    case "notifications_disabled":
+      await store.remove(fid, appKey);
+      notificationsEnabled = false;
+      break;
+    default:
+      throw new HttpError(
+        400,
+        `Unknown event: ${String((payload as { event?: unknown }).event)}`,
+        { code: "unknown_event" },
+      );
+  }
+
+  log("info", "mini app event", {
+    requestId: ctx.requestId,
+    fid,
+    event: payload.event,
+    notificationsEnabled,
+  });
+
+  const responseData: ApiResponse = {
+    success: true,
+    message: "Event processed",
+    data: { event: payload.event, fid, notificationsEnabled },
+    timestamp: new Date().toISOString(),
+  };
+
+  return new Response(JSON.stringify(responseData, null, 2), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * GET /webhook/state - The signed-in user's add and notification state
+ */
+async function getState(
+  _req: Request,
+  ctx: FunctionContext,
+): Promise<Response> {
+  return stateResponse(
+    await (await getNotificationStore()).getState(requireFid(ctx)),
+  );
+}
+
+/**
+ * PUT /webhook/state - Record the state the app saw after prompting
+ */
+async function reportState(
+  _req: Request,
+  ctx: FunctionContext<unknown, unknown, Infer<typeof reportedState>>,
+): Promise<Response> {
+  const state = await (await getNotificationStore()).reportState(
+    requireFid(ctx),
+    ctx.body,
+  );
+
+  // The webhook is the source of truth for tokens; flag disagreements
+  if (state.notificationsEnabled !== state.hasNotificationToken) {
+    log("warn", "reported state differs from webhook events", {
+      requestId: ctx.requestId,
+      fid: state.fid,
+      notificationsEnabled: state.notificationsEnabled,
+      hasNotificationToken: state.hasNotificationToken,
+    });
+  }
+  return stateResponse(state);
+}
+
+function requireFid({ auth }: Pick<FunctionContext, "auth">): number {
+  // The routes require auth, so this only guards against misconfiguration
+  if (!auth) {
+    throw new AuthError("Authentication required", "missing_token");
+  }
+  return auth.fid;
+}
+
+function stateResponse(state: MiniAppState): Response {
+  const responseData: ApiResponse<MiniAppState> = {
+    success: true,
+    message: "Mini app state retrieved successfully",
+    data: state,
+    timestamp: new Date().toISOString(),
+  };
+
+  return new Response(JSON.stringify(responseData, null, 2), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export default new RouteTable({
+  title: "Mini App Webhook",
+  description:
+    "Receives signed add/remove and notification events and tracks each " +
+    "user's mini app state",
+})
+  .post("/", receiveEvent, {
+    schema: { body: signedEvent },
+    // Farcaster clients send every user's events from a few IPs, so a per-IP
+    // limit would drop tokens; the signature check guards what is stored
+    rateLimit: false,
+    summary: "Handle a signed mini app event",
+    description:
+      "Called by Farcaster clients. The body is a JSON Farcaster Signature " +
+      "made with the user's app key; notification tokens are stored per FID.",
+  })
+  .get("/state", getState, {
+    auth: "required",
+    operationId: "miniApp.getState",
+    dataType: "MiniAppState",
+    summary: "Get the signed-in user's add and notification state",
+  })
+  .put("/state", reportState, {
+    auth: "required",
+    schema: { body: reportedState },
+    operationId: "miniApp.reportState",
+    dataType: "MiniAppState",
+    summary: "Report the user's state after an add prompt",
+    description:
+      "Sent by the app so the server knows what the user chose even when " +
+      "no webhook event arrives, e.g. after a rejected prompt.",
+  });
@@ -0,0 +1,43 @@
+// @ts-check
+
+/**
+ * Image Generation Config
+ *
+ * Brand, style and prompts for the icon, embed and splash images that
+ * scripts/generate-flux-images.js generates, and the routes
+ * scripts/generate-listing-images.js screenshots for the manifest's
+ * screenshotUrls and heroImageUrl. Everything is optional; the built-in
+ * prompts and presets are in scripts/lib/image-prompts.js.
+ *
+ * - Templates may use {name}, {tagline}, {primaryColor},
+ *   {secondaryColor} and {colors}; prompts also {style}
+ * - `brand` defaults to the manifest's name, tagline and
+ *   splashBackgroundColor
+ * - Try several candidates per image with `--variants 4` and pick from
+ *   the contact sheet it writes
+ *
+ * @type {import('./shared/images').ImageConfig}
+ */
+const config = {
+  brand: {
+    // name: 'Farcaster Mini App',
+    // tagline: 'Ship a mini app today',
+    // colors: ['#0ea5e9', '#f59e0b'],
+  },
+  style: 'minimal',
+  negativePrompt: 'misspelled text, extra letters, watermark, signature, blurry, low resolution',
+  // styles: {
+  //   neon: { prompt: 'neon outlines in {colors} on a dark background, synthwave glow', negativePrompt: 'daylight' },
+  // },
+  // prompts: {
+  //   embed: "A wide banner reading '{name}' above the caption '{tagline}', {style}",
+  // },
+  listing: {
+    screenshots: ['/'],
+    // hero: '/',
+    // url: 'http://localhost:5173',
+    // waitFor: 'main',
+  },
+};
+
+export default config;
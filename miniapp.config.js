@@ -0,0 +1,46 @@
+// @ts-check
+
+/**
+ * Mini App Manifest Source
+ *
+ * Values for the `miniapp` object of public/.well-known/farcaster.json and
+ * for app/meta-config.ts. scripts/generate-meta-config.js (run by `pnpm dev`
+ * and `pnpm build`) writes them into both.
+ *
+ * - URL fields may be paths, resolved against homeUrl
+ * - homeUrl defaults to https://$FARCASTER_DOMAIN
+ * - Fields left out keep the manifest's current value, e.g. the image URLs
+ *   written by scripts/generate-flux-images.js
+ * - `environments` name deployment targets; build one with
+ *   `MINIAPP_ENV=staging pnpm build` after signing it with
+ *   `node scripts/generate-farcaster-auth.js --env staging`
+ *
+ * @type {import('./shared/manifest').MiniAppConfig}
+ */
+const config = {
+  name: 'Farcaster Mini App',
+  subtitle: 'Remix and Deno starter',
+  description:
+    'A template for Farcaster Mini Apps with a Remix frontend, Deno Deploy functions, Quick Auth sign-in and push notifications.',
+  tagline: 'Ship a mini app today',
+  primaryCategory: 'developer-tools',
+  tags: ['template', 'remix', 'deno', 'starter'],
+  buttonTitle: 'Launch App',
+  splashBackgroundColor: '#0ea5e9',
+  ogTitle: 'Farcaster Mini App',
+  ogDescription: 'Remix and Deno template for Farcaster Mini Apps',
+  // heroImageUrl: '/images/hero.png',
+  // ogImageUrl: '/images/og.png',
+  // screenshotUrls: ['/images/screenshot-1.png'],
+  // requiredChains: ['eip155:8453'],
+  // requiredCapabilities: ['actions.addMiniApp'],
+  noindex: false,
+  environments: {
+    // A tunnel such as ngrok; the domain comes from FARCASTER_DOMAIN
+    local: { miniapp: { noindex: true } },
+    // staging: { domain: 'staging.example.com', miniapp: { name: 'Farcaster Mini App Staging', noindex: true } },
+    // production: { domain: 'example.com' },
+  },
+};
+
+export default config;
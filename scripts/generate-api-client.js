@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import { parseArgs } from './lib/args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+/**
+ * Typed API Client Generator
+ *
+ * Reads the function router's OpenAPI document and writes a typed client to
+ * app/lib/api.generated.ts. Every operation with a dotted operationId
+ * (`users.list`) becomes a method (`api.users.list({ limit })`); response
+ * types come from shared/types.ts via the operation's `x-data-type`.
+ *
+ * By default the document is built by running the router with Deno. Pass
+ * --url to read it from a running router instead.
+ *
+ * Usage:
+ *   node scripts/generate-api-client.js [--url http://localhost:8000/openapi.json] [--check]
+ */
+
+const outputPath = join(rootDir, 'app/lib/api.generated.ts');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Loads the OpenAPI document from a URL or by running the router
+ */
+async function loadDocument(url) {
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`GET ${url} returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  const output = execFileSync(
+    'deno',
+    ['run', '--allow-env', '--allow-read', 'functions/router.ts', '--openapi'],
+    { cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  // The router logs JSON lines too; the document is the line starting with it
+  const line = output.split('\n').find((l) => l.startsWith('{"openapi"'));
+  if (!line) {
+    throw new Error('The router did not print an OpenAPI document');
+  }
+  return JSON.parse(line);
+}
+
+function pascalCase(text) {
+  return text
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+function docComment(text, indent) {
+  return text ? `${indent}/** ${text.replace(/\*\//g, '*\\/')} */\n` : '';
+}
+
+/**
+ * TypeScript type for a JSON Schema
+ */
+function toType(schema = {}, indent = '') {
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  }
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return `Array<${toType(schema.items, indent)}>`;
+    case 'object':
+      return `{\n${toProperties(schema, `${indent}  `)}${indent}}`;
+    default:
+      return 'unknown';
+  }
+}
+
+function toProperties(schema, indent) {
+  const required = new Set(schema.required ?? []);
+  return Object.entries(schema.properties ?? {})
+    .map(([name, property]) =>
+      docComment(property.description, indent) +
+      `${indent}${name}${required.has(name) ? '' : '?'}: ${toType(property, indent)};\n`
+    )
+    .join('');
+}
+
+function toInterface(name, schema) {
+  return `export interface ${name} {\n${toProperties(schema, '  ')}}\n`;
+}
+
+/**
+ * Collects client operations grouped by the first part of their operationId
+ */
+function collectOperations(document) {
+  const groups = new Map();
+
+  for (const [path, methods] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      const operation = methods[method];
+      if (!operation?.operationId?.includes('.')) continue;
+
+      const [group, name] = operation.operationId.split('.');
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push({ ...operation, method, path, name });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Renders one client method plus the interfaces for its inputs
+ */
+function renderOperation(operation) {
+  const typeName = pascalCase(operation.operationId);
+  const parameters = operation.parameters ?? [];
+  const pathParams = parameters.filter((p) => p.in === 'path');
+  const queryParams = parameters.filter((p) => p.in === 'query');
+  const body = operation.requestBody?.content?.['application/json']?.schema;
+  const interfaces = [];
+  const args = [];
+  const requestOptions = ['...options'];
+
+  let path = `'${operation.path}'`;
+  if (pathParams.length > 0) {
+    interfaces.push(toInterface(`${typeName}Params`, {
+      properties: Object.fromEntries(pathParams.map((p) => [p.name, p.schema])),
+      required: pathParams.map((p) => p.name),
+    }));
+    args.push(`params: ${typeName}Params`);
+    path = '`' + operation.path.replace(
+      /\{(\w+)\}/g,
+      (_, name) => `\${encodeURIComponent(params.${name})}`
+    ) + '`';
+  }
+  if (body) {
+    interfaces.push(toInterface(`${typeName}Body`, body));
+    args.push(`body: ${typeName}Body`);
+    requestOptions.push('json: body');
+  }
+  if (queryParams.length > 0) {
+    interfaces.push(toInterface(`${typeName}Query`, {
+      properties: Object.fromEntries(queryParams.map((p) => [p.name, { ...p.schema, description: p.description }])),
+      required: queryParams.filter((p) => p.required).map((p) => p.name),
+    }));
+    const optional = queryParams.every((p) => !p.required);
+    args.push(`query${optional ? '?' : ''}: ${typeName}Query`);
+    requestOptions.push('query');
+  }
+  args.push('options?: CallOptions');
+
+  const dataType = operation['x-data-type'] ?? 'unknown';
+  const method =
+    docComment(operation.summary, '    ') +
+    `    ${operation.name}: (${args.join(', ')}) =>\n` +
+    `      request<${dataType}>('${operation.method}', ${path}, { ${requestOptions.join(', ')} }),\n`;
+
+  return { interfaces, method };
+}
+
+function render(document) {
+  const groups = collectOperations(document);
+  const dataTypes = new Set();
+  const interfaces = [];
+  const members = [];
+
+  for (const [group, operations] of groups) {
+    const methods = operations.map((operation) => {
+      if (operation['x-data-type']) dataTypes.add(operation['x-data-type']);
+      const rendered = renderOperation(operation);
+      interfaces.push(...rendered.interfaces);
+      return rendered.method;
+    });
+    members.push(`  ${group}: {\n${methods.join('')}  },\n`);
+  }
+
+  const imports = dataTypes.size > 0
+    ? `import type { ${[...dataTypes].sort().join(', ')} } from '../../shared/types';\n`
+    : '';
+
+  return `// This file is auto-generated by scripts/generate-api-client.js
+// Do not edit manually - change the function routes and run \`pnpm generate:api-client\`
+
+${imports}import { request, type CallOptions } from './api-client';
+
+${interfaces.join('\n')}
+/**
+ * Typed client for the function router (${document.info.title} ${document.info.version})
+ */
+export const api = {
+${members.join('')}};
+`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = render(await loadDocument(args.url));
+  const target = relative(process.cwd(), outputPath);
+
+  if (args.check) {
+    const current = existsSync(outputPath) ? readFileSync(outputPath, 'utf-8') : '';
+    if (current !== source) {
+      console.error(`❌ ${target} is out of date; run pnpm generate:api-client`);
+      process.exit(1);
+    }
+    console.log(`✅ ${target} is up to date`);
+    return;
+  }
+
+  writeFileSync(outputPath, source);
+  console.log(`✅ Generated ${target}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to generate API client:', error.message);
+  process.exit(1);
+});
@@ -2,36 +2,77 @@
 
 import dotenv from 'dotenv';
 import { readFileSync, writeFileSync } from 'fs';
-import { createHash } from 'crypto';
-import * as ed25519 from '@noble/ed25519';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-
-// Configure ed25519 to use Node.js crypto for SHA-512
-ed25519.etc.sha512Sync = (...m) => createHash('sha512').update(Buffer.concat(m)).digest();
+import {
+  SIGNATURE_TYPES,
+  signAccountAssociation,
+  verifyAccountAssociationSignature
+} from './lib/account-association.js';
+import { parseArgs } from './lib/args.js';
+import { migrateManifestDomain } from './lib/domain-migration.js';
+import {
+  loadMiniAppConfig,
+  MANIFEST_PATH,
+  resolveEnvironment,
+  resolveMiniAppManifest,
+  saveSignature,
+  SIGNATURES_PATH
+} from './lib/miniapp-manifest.js';
+import {
+  describeKeySource,
+  encryptKeystore,
+  keySourceFromEnv,
+  loadPrivateKey,
+  loadSigner,
+  promptSecret,
+  saveKeystore
+} from './lib/signing-keys.js';
 
 // Load environment variables from .env file
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const envPath = join(__dirname, '../.env');
-dotenv.config({ path: envPath });
+const args = parseArgs(process.argv.slice(2));
+// dotenv's banner would land in --print-only's output
+dotenv.config({ path: envPath, quiet: Boolean(args['print-only']) });
 
-// Configuration from environment variables
+// Configuration from environment variables and flags
 const config = {
   fid: process.env.FARCASTER_FID,
-  privateKey: process.env.FARCASTER_PRIVATE_KEY,
   domain: process.env.FARCASTER_DOMAIN,
-  manifestPath: process.env.FARCASTER_MANIFEST_PATH || join(__dirname, '../public/.well-known/farcaster.json')
+  manifestPath: process.env.FARCASTER_MANIFEST_PATH || MANIFEST_PATH,
+  // custody (EIP-191, the default) or app_key (Ed25519): --type app_key
+  type: typeof args.type === 'string' ? args.type : (process.env.FARCASTER_SIGNATURE_TYPE || 'custody'),
+  // Named environment from miniapp.config.js: --env staging or MINIAPP_ENV
+  environment: typeof args.env === 'string' ? args.env : process.env.MINIAPP_ENV,
+  // External signer, keystore, mnemonic or FARCASTER_PRIVATE_KEY; see
+  // lib/signing-keys.js. Set in main(), where a bad flag is reported
+  keySource: null,
+  // Print the association to stdout instead of saving it
+  printOnly: Boolean(args['print-only']),
+  // Encrypt the key into a new keystore file and stop
+  createKeystore: typeof args['create-keystore'] === 'string' ? args['create-keystore'] : undefined
 };
 
 /**
  * Validates required environment variables
  */
-function validateConfig() {
+async function validateConfig() {
   const missing = [];
   
+  // An environment brings its own domain
+  if (config.environment) {
+    try {
+      config.domain = resolveEnvironment(await loadMiniAppConfig(), config.environment).domain;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
   if (!config.fid) missing.push('FARCASTER_FID');
-  if (!config.privateKey) missing.push('FARCASTER_PRIVATE_KEY');
+  if (!config.keySource) missing.push('FARCASTER_PRIVATE_KEY (or FARCASTER_KEYSTORE, FARCASTER_MNEMONIC or FARCASTER_SIGNER_COMMAND)');
   if (!config.domain) missing.push('FARCASTER_DOMAIN');
   
   if (missing.length > 0) {
@@ -47,11 +88,8 @@ function validateConfig() {
     process.exit(1);
   }
 
-  // Validate private key format (should be hex without 0x prefix)
-  const privateKeyRegex = /^[a-fA-F0-9]{64}$/;
-  const cleanPrivateKey = config.privateKey.replace(/^0x/, '');
-  if (!privateKeyRegex.test(cleanPrivateKey)) {
-    console.error('❌ FARCASTER_PRIVATE_KEY must be a 64-character hex string (with or without 0x prefix)');
+  if (!SIGNATURE_TYPES.includes(config.type)) {
+    console.error(`❌ Signature type must be ${SIGNATURE_TYPES.join(' or ')} (got ${config.type})`);
     process.exit(1);
   }
 
@@ -61,63 +99,6 @@ function validateConfig() {
   console.log('✅ Configuration validated successfully');
 }
 
-/**
- * Converts a hex string to Uint8Array
- */
-function hexToBytes(hex) {
-  const cleanHex = hex.replace(/^0x/, '');
-  const bytes = new Uint8Array(cleanHex.length / 2);
-  for (let i = 0; i < cleanHex.length; i += 2) {
-    bytes[i / 2] = parseInt(cleanHex.substr(i, 2), 16);
-  }
-  return bytes;
-}
-
-/**
- * Converts Uint8Array to hex string
- */
-function bytesToHex(bytes) {
-  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
-}
-
-/**
- * Creates the Farcaster signature header
- */
-function createHeader(fid, publicKey) {
-  const header = {
-    fid: parseInt(fid),
-    type: 'custody',
-    key: `0x${bytesToHex(publicKey)}`
-  };
-  
-  return Buffer.from(JSON.stringify(header)).toString('base64');
-}
-
-/**
- * Creates the Farcaster signature payload
- */
-function createPayload(domain) {
-  const payload = {
-    domain: domain
-  };
-  
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
-}
-
-/**
- * Signs the message using Ed25519
- */
-async function signMessage(message, privateKeyBytes) {
-  try {
-    const messageBytes = new TextEncoder().encode(message);
-    const signature = await ed25519.sign(messageBytes, privateKeyBytes);
-    return `0x${bytesToHex(signature)}`;
-  } catch (error) {
-    console.error('❌ Failed to sign message:', error.message);
-    throw error;
-  }
-}
-
 /**
  * Generates a real Farcaster account association
  */
@@ -125,37 +106,26 @@ async function generateAccountAssociation() {
   console.log('\n🔐 Generating Real Farcaster Account Association...');
   
   try {
-    // Convert private key to bytes
-    const privateKeyBytes = hexToBytes(config.privateKey);
-    
-    // Generate public key from private key
-    const publicKey = await ed25519.getPublicKey(privateKeyBytes);
-    
     console.log('   📋 Using FID:', config.fid);
     console.log('   📋 Using Domain:', config.domain);
-    console.log('   📋 Public Key:', `0x${bytesToHex(publicKey)}`);
-    
-    // Create header and payload
-    const header = createHeader(config.fid, publicKey);
-    const payload = createPayload(config.domain);
-    
-    // Create the message to sign (header.payload format)
-    const message = `${header}.${payload}`;
+    if (config.environment) {
+      console.log('   📋 Environment:', config.environment);
+    }
+    console.log('   📋 Signature Type:', config.type === 'custody' ? 'custody (EIP-191)' : 'app_key (Ed25519)');
+    console.log('   📋 Key Source:', describeKeySource(config.keySource));
     
-    // Sign the message
-    const signature = await signMessage(message, privateKeyBytes);
+    // Sign header.payload with the custody or app key; the key is redacted from logs once loaded
+    const signer = await loadSigner(config.keySource);
+    console.log(`   📋 ${config.type === 'custody' ? 'Custody Address' : 'Public Key'}:`, signer.key);
+    const accountAssociation = await signAccountAssociation({
+      fid: parseInt(config.fid),
+      domain: config.domain,
+      signer
+    });
     
     console.log('   ✅ Message signed successfully');
     
-    // Encode signature as base64
-    const signatureBytes = hexToBytes(signature);
-    const signatureBase64 = Buffer.from(signatureBytes).toString('base64');
-    
-    return {
-      header,
-      payload,
-      signature: signatureBase64
-    };
+    return accountAssociation;
     
   } catch (error) {
     console.error('❌ Failed to generate account association:', error.message);
@@ -164,13 +134,16 @@ async function generateAccountAssociation() {
 }
 
 /**
- * Loads existing manifest or creates a new one
+ * Loads existing manifest or creates a new one from miniapp.config.js
  */
-function loadOrCreateManifest() {
+async function loadOrCreateManifest() {
   try {
     if (readFileSync(config.manifestPath, 'utf-8')) {
       const content = readFileSync(config.manifestPath, 'utf-8');
-      return JSON.parse(content);
+      // Move URLs on the previous domain along with the new signature
+      const { manifest, changes } = await migrateManifestDomain(JSON.parse(content), config.domain);
+      changes.forEach(({ field, from, to }) => console.log(`🔄 Moved ${field}: ${from} → ${to}`));
+      return manifest;
     }
   } catch (error) {
     console.log('📝 Creating new manifest file...');
@@ -179,16 +152,7 @@ function loadOrCreateManifest() {
   // Default manifest structure
   return {
     accountAssociation: {},
-    miniapp: {
-      version: "1",
-      name: "Farcaster Mini App",
-      iconUrl: `https://${config.domain}/images/flux-icon-2025-08-17T06-04-24-740Z.png`,
-      homeUrl: `https://${config.domain}`,
-      imageUrl: `https://${config.domain}/images/flux-embed-2025-08-17T06-04-35-570Z.png`,
-      buttonTitle: "Launch App",
-      splashImageUrl: `https://${config.domain}/images/flux-splash-2025-08-17T06-04-46-411Z.png`,
-      splashBackgroundColor: "#0ea5e9"
-    }
+    miniapp: resolveMiniAppManifest(await loadMiniAppConfig(), { domain: config.domain })
   };
 }
 
@@ -213,37 +177,46 @@ async function verifySignature(accountAssociation) {
   try {
     console.log('\n🔍 Verifying generated signature...');
     
-    // Decode header to get public key
-    const headerJson = JSON.parse(Buffer.from(accountAssociation.header, 'base64').toString('utf-8'));
-    const publicKeyBytes = hexToBytes(headerJson.key);
-    
-    // Recreate the signed message
-    const message = `${accountAssociation.header}.${accountAssociation.payload}`;
-    const messageBytes = new TextEncoder().encode(message);
-    
-    // Decode signature
-    const signatureBytes = Buffer.from(accountAssociation.signature, 'base64');
-    
-    // Verify signature
-    const isValid = await ed25519.verify(signatureBytes, messageBytes, publicKeyBytes);
+    const { valid, recoveredAddress } = await verifyAccountAssociationSignature(accountAssociation);
     
-    if (isValid) {
+    if (recoveredAddress) {
+      console.log('   📋 Recovered Address:', recoveredAddress);
+    }
+    if (valid) {
       console.log('   ✅ Signature verification: VALID');
     } else {
       console.log('   ❌ Signature verification: INVALID');
     }
     
-    return isValid;
+    return valid;
   } catch (error) {
     console.error('   ❌ Signature verification failed:', error.message);
     return false;
   }
 }
 
+/**
+ * Encrypts the configured key into a new V3 keystore at `path`
+ */
+async function createKeystore(path) {
+  if (!config.keySource || config.keySource.kind === 'command') {
+    throw new Error('--create-keystore needs FARCASTER_PRIVATE_KEY, FARCASTER_MNEMONIC or FARCASTER_KEYSTORE to encrypt');
+  }
+  const privateKey = await loadPrivateKey(config.keySource);
+  const password = process.env.FARCASTER_KEYSTORE_PASSWORD || await promptSecret('New keystore password: ');
+  if (!process.env.FARCASTER_KEYSTORE_PASSWORD && await promptSecret('Repeat the password: ') !== password) {
+    throw new Error('The passwords do not match');
+  }
+
+  saveKeystore(path, await encryptKeystore(privateKey, password, { type: config.type }));
+  console.log('✅ Keystore saved to:', path);
+  console.log(`💡 Set FARCASTER_KEYSTORE=${path} and remove FARCASTER_PRIVATE_KEY / FARCASTER_MNEMONIC from .env`);
+}
+
 /**
  * Displays the results
  */
-function displayResults(accountAssociation, manifest) {
+function displayResults(accountAssociation) {
   console.log('\n🎉 Real Account Association Generated Successfully!');
   console.log('\n📋 Generated Data:');
   console.log('   FID:', config.fid);
@@ -258,13 +231,16 @@ function displayResults(accountAssociation, manifest) {
   console.log('   3. Test your manifest at: https://warpcast.com/~/developers/mini-apps');
   
   console.log('\n✅ Production Ready:');
-  console.log('   - This script uses real Ed25519 cryptographic signatures');
+  console.log(config.type === 'custody'
+    ? '   - Signed by your custody address (EIP-191), as Farcaster clients expect'
+    : '   - Signed by an Ed25519 app key; it must be registered to your FID');
   console.log('   - Signatures are generated using your actual private key');
   console.log('   - Domain format follows Farcaster specification');
   console.log('   - Ready for production deployment');
   
   console.log('\n🔐 Security Notes:');
-  console.log('   - Keep your FARCASTER_PRIVATE_KEY secure and never commit it');
+  console.log('   - Prefer a keystore (--create-keystore) or an external signer to a raw FARCASTER_PRIVATE_KEY');
+  console.log('   - Never commit keys, keystore passwords or mnemonics');
   console.log('   - The signature proves ownership of your Farcaster account');
   console.log('   - Domain must match exactly where you host the manifest');
 }
@@ -274,29 +250,54 @@ function displayResults(accountAssociation, manifest) {
  */
 async function main() {
   try {
+    // With --print-only, stdout carries just the association
+    if (config.printOnly) {
+      console.log = console.error;
+    }
+    
     console.log('🚀 Farcaster Account Association Generator (Real Signatures)');
     console.log('=' .repeat(65));
     
+    config.keySource = keySourceFromEnv(process.env, args);
+    
+    if (config.createKeystore) {
+      await createKeystore(config.createKeystore);
+      return;
+    }
+    
     // Validate configuration
-    validateConfig();
+    await validateConfig();
     
     // Generate real account association
     const accountAssociation = await generateAccountAssociation();
     
-    // Verify the signature
-    await verifySignature(accountAssociation);
-    
-    // Load or create manifest
-    const manifest = loadOrCreateManifest();
+    // Verify the signature; an external signer may have used another key
+    if (!await verifySignature(accountAssociation)) {
+      throw new Error(`The signature does not verify against ${config.type === 'custody' ? 'the custody address' : 'the public key'}; nothing was saved`);
+    }
     
-    // Update manifest with new account association
-    manifest.accountAssociation = accountAssociation;
+    if (config.printOnly) {
+      process.stdout.write(JSON.stringify({ accountAssociation }, null, 2) + '\n');
+      return;
+    }
     
-    // Save manifest
-    saveManifest(manifest);
+    if (config.environment) {
+      // Environment signatures live beside the config, not in the source manifest
+      saveSignature(config.environment, accountAssociation);
+      console.log(`✅ Signature for ${config.environment} saved to:`, SIGNATURES_PATH);
+    } else {
+      // Load or create manifest
+      const manifest = await loadOrCreateManifest();
+      
+      // Update manifest with new account association
+      manifest.accountAssociation = accountAssociation;
+      
+      // Save manifest
+      saveManifest(manifest);
+    }
     
     // Display results
-    displayResults(accountAssociation, manifest);
+    displayResults(accountAssociation);
     
     console.log('\n🎯 Next Steps:');
     console.log('   1. Deploy your app to the domain specified in FARCASTER_DOMAIN');
@@ -311,5 +312,8 @@ async function main() {
 
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  main().catch((error) => {
+    console.error('❌ Failed to generate the account association:', error.message);
+    process.exit(1);
+  });
 }
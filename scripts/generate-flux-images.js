@@ -1,10 +1,27 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import Together from "together-ai";
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { createInterface } from 'readline/promises';
+import { parseArgs } from './lib/args.js';
+import { migrateManifestDomain, signerFromEnv } from './lib/domain-migration.js';
+import { chooseImageProvider, fileImageProvider, FLUX_MODEL, IMAGE_PROVIDERS } from './lib/image-providers.js';
+import { CANDIDATES_DIR, CONTACT_SHEET_FILENAME, loadCandidates, parsePick, saveCandidates } from './lib/image-candidates.js';
+import { ASSET_SPECS, deriveSiteIcons, generationSize, processImage } from './lib/image-processing.js';
+import { buildPrompt, loadImageConfig, resolveBrand } from './lib/image-prompts.js';
+import {
+  addImageVersion,
+  adoptExistingImages,
+  hashedFilename,
+  IMAGE_KINDS,
+  loadImageVersions,
+  pruneImageVersions,
+  saveImageVersions,
+  VERSIONS_FILENAME
+} from './lib/image-versions.js';
+import { findSystemFont, loadFont } from './lib/offline-images.js';
 
 // Get script directory for relative imports
 const __filename = fileURLToPath(import.meta.url);
@@ -13,94 +30,61 @@ const __dirname = dirname(__filename);
 /**
  * FLUX AI Image Generation Script for Farcaster Mini Apps
  *
- * This script generates text-based logo images using the FLUX.1-schnell-Free model via the Together AI API.
- * It automatically creates a logo featuring the Mini App name from farcaster.json configuration.
+ * This script generates text-based logo images featuring the Mini App name from farcaster.json
+ * configuration, through one of the providers in lib/image-providers.js: FLUX.1-schnell-Free on
+ * Together AI, FLUX on the AI/ML API, or an offline renderer that needs no key or network.
  * Environment variables are automatically loaded from .env file using dotenv.
  *
- * Required environment variables:
- *   TOGETHER_API_KEY - Your Together AI API key (set in .env file)
+ * Environment variables:
+ *   TOGETHER_API_KEY - Your Together AI API key (together provider)
+ *   AIML_API_KEY     - Your AI/ML API key (aiml provider)
+ *   IMAGE_PROVIDER   - Default provider; otherwise the first one with a key, then offline
+ *   IMAGE_FONT       - TrueType font for the offline provider (a system bold sans by default)
  *   FARCASTER_DOMAIN - Your domain for automatic farcaster.json updates (optional)
  *
+ * Every image is cropped and resized to its exact Farcaster size, stripped of metadata and
+ * checked against its file-size limit (lib/image-processing.js); the icon also yields
+ * public/favicon.ico, the Apple touch icons and the logo-light/logo-dark wordmarks.
+ * --from uses an existing image instead of generating one.
+ *
+ * Prompts come from templates filled with the brand's name, tagline and colors and a style
+ * preset, all set in images.config.js (see lib/image-prompts.js). --variants N generates N
+ * candidates per image and a contact sheet to pick from before anything is saved.
+ *
+ * Images are never deleted or overwritten: each run adds a version of content-hashed files,
+ * recorded in public/images/versions.json (see lib/image-versions.js).
+ *
  * Usage:
- *   node scripts/generate-flux-images.js
+ *   node scripts/generate-flux-images.js [--provider together|aiml|offline] [--font path.ttf] [--skip-site-icons]
+ *   node scripts/generate-flux-images.js --from path/to/image.png
+ *   node scripts/generate-flux-images.js --variants 4
+ *   node scripts/generate-flux-images.js --pick icon=2,embed=1,splash=3
+ *   node scripts/generate-flux-images.js versions
+ *   node scripts/generate-flux-images.js --rollback <version>
+ *   node scripts/generate-flux-images.js prune --keep <N>
  */
 
-// FLUX model configuration - using only the free model
-const FLUX_MODEL = {
-  id: 'black-forest-labs/FLUX.1-schnell-Free',
-  description: 'Free FLUX model for fast generation',
-  defaultSteps: 4,
-  maxSteps: 4
-};
-
-// Farcaster Mini App dimensions based on specification
-// Different dimensions for different use cases, all multiples of 16 for FLUX compatibility
+// Sizes requested from the provider: icon 1024x1024, embed 1200x800 (3:2) and
+// splash 200x200 rounded up to multiples of 16, then cropped back by processImage()
 const FARCASTER_DIMENSIONS = {
-  // Icon image - square format for app icons (200x200 rounded to 208x208)
-  icon: {
-    width: 208,
-    height: 208
-  },
-  // Embed image - 3:2 aspect ratio for social feed display (optimized for embeds)
-  embed: {
-    width: 768, // 3:2 ratio, multiple of 16
-    height: 512
-  },
-  // Splash image - vertical format for splash screens (original requirement)
-  splash: {
-    width: 432, // 424 rounded up to nearest multiple of 16
-    height: 704 // 695 rounded up to nearest multiple of 16
-  }
+  icon: generationSize(ASSET_SPECS.icon),
+  embed: generationSize(ASSET_SPECS.embed),
+  splash: generationSize(ASSET_SPECS.splash)
 };
 
-/**
- * Creates a prompt for icon image generation (square format)
- * @param {string} appName - The app name from farcaster.json
- * @returns {string} - The generated prompt for icon creation
- */
-function createIconPrompt(appName) {
-  if (!appName || typeof appName !== 'string' || appName.trim().length === 0) {
-    appName = 'Mini App';
-  }
-
-  const cleanAppName = appName.trim();
-  const prompt = `Create a clean, minimalist app icon with the text '${cleanAppName}' in bold, modern typography. Square format, centered text, simple background, high contrast, professional design suitable for mobile app icon. Clean and readable at small sizes.`;
-
-  console.log(`🎨 Generated icon prompt for: "${cleanAppName}"`);
-  return prompt;
-}
-
-/**
- * Creates a prompt for embed image generation (3:2 aspect ratio)
- * @param {string} appName - The app name from farcaster.json
- * @returns {string} - The generated prompt for embed image creation
- */
-function createEmbedPrompt(appName) {
-  if (!appName || typeof appName !== 'string' || appName.trim().length === 0) {
-    appName = 'Mini App';
-  }
-
-  const cleanAppName = appName.trim();
-  const prompt = `Create an attractive social media embed image featuring the text '${cleanAppName}' in bold, eye-catching typography. 3:2 aspect ratio, modern design with subtle background elements, optimized for social feed display. Professional and engaging visual style.`;
-
-  console.log(`🎨 Generated embed prompt for: "${cleanAppName}"`);
-  return prompt;
-}
+// Most candidates per image with --variants
+const MAX_VARIANTS = 8;
 
 /**
- * Creates a prompt for splash screen image generation (vertical format)
- * @param {string} appName - The app name from farcaster.json
- * @returns {string} - The generated prompt for splash screen creation
+ * Creates the prompt and negative prompt for one image from images.config.js
+ * @param {string} kind - Type of image (icon, embed, splash)
+ * @param {object} imageConfig - The loaded images.config.js
+ * @param {object} brand - App name, tagline and colors from resolveBrand()
+ * @returns {object} - Object with prompt, negativePrompt and style
  */
-function createSplashPrompt(appName) {
-  if (!appName || typeof appName !== 'string' || appName.trim().length === 0) {
-    appName = 'Mini App';
-  }
-
-  const cleanAppName = appName.trim();
-  const prompt = `Create a beautiful splash screen image with the text '${cleanAppName}' in large, bold typography. Vertical format, centered layout, modern gradient or clean background, professional mobile app splash screen design. Elegant and welcoming visual style.`;
-
-  console.log(`🎨 Generated splash prompt for: "${cleanAppName}"`);
+function createPrompt(kind, imageConfig, brand) {
+  const prompt = buildPrompt(kind, imageConfig, brand);
+  console.log(`🎨 Generated ${kind} prompt for: "${brand.name}" (${prompt.style} style)`);
   return prompt;
 }
 
@@ -153,49 +137,35 @@ function extractFarcasterParams(config) {
 }
 
 /**
- * Clears all existing images from the public/images directory
+ * Creates the public/images directory if needed and returns its path
  */
-function clearExistingImages() {
+function prepareImagesDirectory() {
   const imagesDir = join(process.cwd(), 'public/images');
 
   if (!existsSync(imagesDir)) {
     console.log('📁 Creating public/images directory...');
     mkdirSync(imagesDir, { recursive: true });
-    return;
   }
 
-  console.log('🗑️  Clearing existing images...');
-  const files = readdirSync(imagesDir);
-
-  files.forEach(file => {
-    const filePath = join(imagesDir, file);
-    try {
-      unlinkSync(filePath);
-      console.log(`   Deleted: ${file}`);
-    } catch (error) {
-      console.warn(`   Failed to delete: ${file}`);
-    }
-  });
+  return imagesDir;
 }
 
 /**
- * Downloads an image from URL and saves it to the public/images directory
- * @param {string} imageUrl - URL of the image to download
+ * Saves image bytes to the public/images directory
+ * @param {Buffer} buffer - The image data
  * @param {string} filename - Filename to save the image as
  */
-async function downloadAndSaveImage(imageUrl, filename) {
+function saveImage(buffer, filename) {
   try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
-    }
-
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-
     const imagesDir = join(process.cwd(), 'public/images');
     const filePath = join(imagesDir, filename);
 
+    // Content-hashed names: an existing file already has these bytes
+    if (existsSync(filePath)) {
+      console.log(`♻️  Image unchanged: ${filename}`);
+      return filePath;
+    }
+
     writeFileSync(filePath, buffer);
     console.log(`💾 Image saved: ${filename}`);
 
@@ -207,58 +177,91 @@ async function downloadAndSaveImage(imageUrl, filename) {
 }
 
 /**
- * Generates a single image with specific dimensions and prompt
- * @param {object} together - Together AI client instance
- * @param {string} prompt - The prompt for image generation
+ * Downloads an image from URL and saves it to the public/images directory
+ * @param {string} imageUrl - URL of the image to download
+ * @param {string} filename - Filename to save the image as
+ */
+async function downloadAndSaveImage(imageUrl, filename) {
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+  }
+  return saveImage(Buffer.from(await response.arrayBuffer()), filename);
+}
+
+/**
+ * Generates a single image with specific dimensions and prompt, cropped to its exact size
+ * @param {object} generator - Created image provider, with generate() and filePrefix
+ * @param {object} prompt - Prompt and negative prompt from createPrompt()
  * @param {object} dimensions - Object with width and height properties
  * @param {string} imageType - Type of image (icon, embed, splash)
- * @returns {object} - Object with imageUrl and filename
+ * @param {object} app - App name and colors, for providers that draw locally
+ * @param {number} [variant] - Candidate number from 0, only with --variants
+ * @returns {object} - Object with the processed image data and duration
  */
-async function generateSingleImage(together, prompt, dimensions, imageType) {
-  console.log(`\n⏳ Generating ${imageType} image (${dimensions.width}x${dimensions.height})...`);
+async function generateSingleImage(generator, prompt, dimensions, imageType, app, variant) {
+  const label = variant === undefined ? `${imageType} image` : `${imageType} candidate ${variant + 1}`;
+  console.log(`\n⏳ Generating ${label} (${dimensions.width}x${dimensions.height})...`);
 
   const startTime = Date.now();
 
-  const response = await together.images.create({
-    prompt: prompt.trim(),
-    model: FLUX_MODEL.id,
+  const image = await generator.generate({
+    kind: imageType,
+    prompt: prompt.prompt,
+    negativePrompt: prompt.negativePrompt,
     width: dimensions.width,
     height: dimensions.height,
-    steps: FLUX_MODEL.defaultSteps,
+    app,
+    variant: variant ?? 0
   });
 
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(1);
 
-  // Handle response
-  if (!response.data || !response.data[0] || !response.data[0].url) {
-    throw new Error(`Invalid response from Together AI API for ${imageType} image - no image URL received`);
+  // Crop to the exact size and strip metadata
+  const { data, width, height, original } = await processImage(image, imageType, { backgroundColor: app.backgroundColor });
+  console.log(`✂️  Processed ${original.format} ${original.width}x${original.height} (${(original.bytes / 1024).toFixed(0)} KB) → png ${width}x${height} (${(data.length / 1024).toFixed(0)} KB)`);
+  if (original.width < width || original.height < height) {
+    console.warn(`⚠️  The ${imageType} image was upscaled; a source of at least ${width}x${height} would be sharper`);
   }
 
-  const imageUrl = response.data[0].url;
-
-  // Create filename with timestamp and type
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `flux-${imageType}-${timestamp}.png`;
-
-  // Download and save the image
-  await downloadAndSaveImage(imageUrl, filename);
-
-  console.log(`✅ ${imageType} image generated in ${duration}s`);
+  console.log(`✅ ${label} generated in ${duration}s`);
 
   return {
-    imageUrl,
-    filename,
+    data,
     duration
   };
 }
 
+/**
+ * Writes favicon.ico, the Apple touch icons and the logo wordmarks into public/
+ * @param {Buffer} icon - The processed icon
+ * @param {string} appName - The app name for the logos
+ * @param {string} [fontPath] - --font, else IMAGE_FONT, else a system font
+ */
+async function updateSiteIcons(icon, appName, fontPath) {
+  console.log('\n🔖 Deriving site icons from the icon...');
+  const path = fontPath || process.env.IMAGE_FONT || findSystemFont();
+  let font = null;
+  try {
+    font = path ? loadFont(path) : null;
+  } catch (error) {
+    console.warn(`⚠️  Warning: Could not load font ${path}: ${error.message}`);
+  }
+  if (!font) {
+    console.warn('⚠️  Warning: No font for the logos; keeping logo-light.png and logo-dark.png (set IMAGE_FONT)');
+  }
+
+  const written = await deriveSiteIcons(icon, { publicDir: join(process.cwd(), 'public'), appName, font });
+  written.forEach((filename) => console.log(`💾 Saved: public/${filename}`));
+}
+
 /**
  * Updates the farcaster.json file with the correct domain and generated image URLs
  * @param {string} domain - The FARCASTER_DOMAIN to use
  * @param {object} imageFilenames - Object containing filenames for icon, embed, and splash images
  */
-function updateFarcasterConfig(domain, imageFilenames) {
+async function updateFarcasterConfig(domain, imageFilenames) {
   try {
     const configPath = join(process.cwd(), 'public/.well-known/farcaster.json');
 
@@ -282,37 +285,24 @@ function updateFarcasterConfig(domain, imageFilenames) {
     const embedUrl = `https://${cleanDomain}/images/${imageFilenames.embed}`;
     const splashUrl = `https://${cleanDomain}/images/${imageFilenames.splash}`;
 
-    // Update domain references in miniapp section
+    // Point the image fields at the generated images
     if (config.miniapp) {
-      // Update iconUrl to point to generated icon image
-      if (config.miniapp.iconUrl) {
-        const oldIconUrl = config.miniapp.iconUrl;
-        config.miniapp.iconUrl = iconUrl;
-        updates.push(`iconUrl: ${oldIconUrl} → ${config.miniapp.iconUrl}`);
-      }
-
-      // Update homeUrl domain
-      if (config.miniapp.homeUrl && config.miniapp.homeUrl.includes('your-domain.com')) {
-        const oldHomeUrl = config.miniapp.homeUrl;
-        config.miniapp.homeUrl = config.miniapp.homeUrl.replace(/https:\/\/your-domain\.com/g, `https://${cleanDomain}`);
-        updates.push(`homeUrl: ${oldHomeUrl} → ${config.miniapp.homeUrl}`);
-      }
-
-      // Update imageUrl to point to generated embed image
-      if (config.miniapp.imageUrl) {
-        const oldImageUrl = config.miniapp.imageUrl;
-        config.miniapp.imageUrl = embedUrl;
-        updates.push(`imageUrl: ${oldImageUrl} → ${config.miniapp.imageUrl}`);
-      }
-
-      // Update splashImageUrl to point to generated splash image
-      if (config.miniapp.splashImageUrl) {
-        const oldSplashImageUrl = config.miniapp.splashImageUrl;
-        config.miniapp.splashImageUrl = splashUrl;
-        updates.push(`splashImageUrl: ${oldSplashImageUrl} → ${config.miniapp.splashImageUrl}`);
+      const imageUrls = { iconUrl, imageUrl: embedUrl, splashImageUrl: splashUrl };
+      for (const [field, url] of Object.entries(imageUrls)) {
+        if (config.miniapp[field]) {
+          updates.push(`miniapp.${field}: ${config.miniapp[field]} → ${url}`);
+          config.miniapp[field] = url;
+        }
       }
     }
 
+    // Move every other URL on the previous domain (homeUrl included), and
+    // re-sign when FARCASTER_FID and a signing key are set
+    const migration = await migrateManifestDomain(config, cleanDomain, { signer: signerFromEnv() });
+    config = migration.manifest;
+    migration.changes.forEach(({ field, from, to }) => updates.push(`${field}: ${from} → ${to}`));
+    migration.warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
     // Write updated config back to file
     const updatedContent = JSON.stringify(config, null, 2);
     writeFileSync(configPath, updatedContent, 'utf8');
@@ -335,21 +325,214 @@ function updateFarcasterConfig(domain, imageFilenames) {
   }
 }
 
+/**
+ * Saves a processed icon, embed and splash as a new version, derives the site icons
+ * and points farcaster.json at the set when a domain is configured
+ * @param {object} images - Processed image data for icon, embed and splash
+ * @param {object} options - provider, filePrefix, model, appName, farcasterConfig, farcasterDomain and args
+ */
+async function saveImageSet(images, { provider, filePrefix, model, appName, farcasterConfig, farcasterDomain, args }) {
+  // New images go next to the existing ones, named after their content
+  const imagesDir = prepareImagesDirectory();
+  const imageFilenames = {};
+  for (const kind of IMAGE_KINDS) {
+    imageFilenames[kind] = hashedFilename(filePrefix, kind, images[kind], 'png');
+    saveImage(images[kind], imageFilenames[kind]);
+  }
+
+  // favicon.ico, Apple touch icons and logos follow the icon
+  if (!args['skip-site-icons']) {
+    await updateSiteIcons(images.icon, appName, typeof args.font === 'string' ? args.font : undefined);
+  }
+
+  // Record the set as a version, after the images farcaster.json used until now
+  const versions = loadImageVersions(imagesDir);
+  const adopted = adoptExistingImages(versions, farcasterConfig, imagesDir);
+  if (adopted) {
+    console.log(`\n📦 Recorded the images farcaster.json used so far as version ${adopted.version}`);
+  }
+  const { entry, added } = addImageVersion(versions, { images: imageFilenames, provider, model });
+  console.log(added
+    ? `📦 Saved as image version ${entry.version} in public/images/${VERSIONS_FILENAME}`
+    : `📦 Same images as version ${entry.version}; no new version`);
+
+  // Update farcaster.json if domain is configured
+  if (farcasterDomain) {
+    console.log('\n🔧 Updating farcaster.json configuration...');
+    if (await updateFarcasterConfig(farcasterDomain, imageFilenames)) {
+      versions.current = entry.version;
+    }
+  }
+  saveImageVersions(imagesDir, versions);
+
+  // Display success message with results
+  console.log('\n✅ All images generated and saved successfully!');
+  console.log('=' .repeat(60));
+  console.log(`📱 Icon image: public/images/${imageFilenames.icon}`);
+  console.log(`🖼️  Embed image: public/images/${imageFilenames.embed}`);
+  console.log(`🚀 Splash image: public/images/${imageFilenames.splash}`);
+  console.log(`🎨 Model used: ${model}`);
+  console.log('=' .repeat(60));
+
+  // Show integration suggestions based on whether domain is configured
+  if (farcasterDomain) {
+    const cleanDomain = farcasterDomain.replace(/^https?:\/\//, '');
+    console.log('\n🎯 Farcaster configuration updated automatically!');
+    console.log(`   Your Mini App is now configured for: https://${cleanDomain}`);
+    console.log(`   📱 Icon URL: https://${cleanDomain}/images/${imageFilenames.icon}`);
+    console.log(`   🖼️  Embed URL: https://${cleanDomain}/images/${imageFilenames.embed}`);
+    console.log(`   🚀 Splash URL: https://${cleanDomain}/images/${imageFilenames.splash}`);
+  } else {
+    console.log('\n💡 Manual integration needed:');
+    console.log(`   1. Set FARCASTER_DOMAIN in your .env file`);
+    console.log(`   2. Update your farcaster.json iconUrl to: https://your-domain.com/images/${imageFilenames.icon}`);
+    console.log(`   3. Update your farcaster.json imageUrl to: https://your-domain.com/images/${imageFilenames.embed}`);
+    console.log(`   4. Update your farcaster.json splashImageUrl to: https://your-domain.com/images/${imageFilenames.splash}`);
+  }
+
+  console.log(`\n🎯 Generated for: ${appName}`);
+}
+
+/**
+ * Asks which candidate of each image to keep
+ * @param {object} run - The saved candidates
+ * @returns {Promise<object>} - Candidate number per image, from 1
+ */
+async function askForPick(run) {
+  const readline = createInterface({ input: process.stdin, output: process.stdout });
+  const pick = {};
+  try {
+    console.log('\n👉 Open the contact sheet, then pick one of each (Enter for 1):');
+    for (const kind of IMAGE_KINDS) {
+      const count = run.images[kind].files.length;
+      while (!pick[kind]) {
+        const answer = (await readline.question(`   ${kind} [1-${count}]: `)).trim() || '1';
+        const choice = Number(answer);
+        if (Number.isInteger(choice) && choice >= 1 && choice <= count) {
+          pick[kind] = choice;
+        }
+      }
+    }
+  } finally {
+    readline.close();
+  }
+  return pick;
+}
+
+/**
+ * Saves the picked candidates as a new image version
+ * @param {object} pick - Candidate number per image, from 1
+ * @param {object} options - The saved candidates run, farcasterDomain and args
+ */
+async function pickCandidates(pick, { run, farcasterDomain, args }) {
+  const candidatesDir = join(process.cwd(), CANDIDATES_DIR);
+  const images = Object.fromEntries(IMAGE_KINDS.map((kind) => {
+    const file = run.images[kind].files[pick[kind] - 1];
+    console.log(`✔️  ${kind}: candidate ${pick[kind]} (${file})`);
+    return [kind, readFileSync(join(candidatesDir, file))];
+  }));
+
+  await saveImageSet(images, {
+    provider: run.provider,
+    filePrefix: run.filePrefix,
+    model: run.model,
+    appName: run.appName,
+    farcasterConfig: readFarcasterConfig(),
+    farcasterDomain,
+    args
+  });
+}
+
+/**
+ * Saves candidates from the last --variants run, picked with --pick icon=2,embed=1,splash=3
+ * @param {object} args - Parsed arguments with pick
+ */
+async function pickSavedCandidates(args) {
+  const run = loadCandidates(join(process.cwd(), CANDIDATES_DIR));
+  if (!run) {
+    console.error(`❌ Error: No candidates in ${CANDIDATES_DIR}; generate some with --variants <N>`);
+    process.exit(1);
+  }
+
+  let pick;
+  try {
+    pick = parsePick(String(args.pick), run);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const farcasterDomain = process.env.FARCASTER_DOMAIN;
+  if (!farcasterDomain) {
+    console.warn('⚠️  Warning: FARCASTER_DOMAIN is not set; farcaster.json will not be updated.');
+  }
+  console.log(`🗂️  Picking from the candidates of ${run.createdAt} (${run.provider})`);
+  await pickCandidates(pick, { run, farcasterDomain, args });
+}
+
 /**
  * Main image generation function
  */
 async function generateImage() {
+  const args = parseArgs(process.argv.slice(2));
+  let provider;
   try {
-    // Check for Together AI API key (loaded from .env file via dotenv)
-    const apiKey = process.env.TOGETHER_API_KEY;
-    if (!apiKey) {
-      console.error('❌ Error: TOGETHER_API_KEY is not set.');
+    // Handle help flag
+    if (args.help || args.h) {
+      console.log('\n📋 FLUX Multi-Image Generation for Farcaster Mini Apps');
+      console.log('=' .repeat(60));
+      console.log('\n💡 Usage:');
+      console.log('   node scripts/generate-flux-images.js [--provider together|aiml|offline] [--font path.ttf]');
+      console.log('   node scripts/generate-flux-images.js --from image.png      Use an existing image, skip generation');
+      console.log('   node scripts/generate-flux-images.js --skip-site-icons     Leave favicon.ico, touch icons and logos alone');
+      console.log(`   node scripts/generate-flux-images.js --variants <N>        N candidates per image (up to ${MAX_VARIANTS}) and a contact sheet`);
+      console.log('   node scripts/generate-flux-images.js --pick icon=2,embed=1,splash=3   Save candidates from the last --variants run');
+      console.log('   node scripts/generate-flux-images.js versions                List image versions');
+      console.log('   node scripts/generate-flux-images.js --rollback <version>    Point farcaster.json at a version');
+      console.log('   node scripts/generate-flux-images.js prune --keep <N>        Delete all but the N newest versions');
+      console.log('\n🎯 What it does:');
+      console.log('   - Reads your app name from farcaster.json, and brand, style and prompts from images.config.js');
+      console.log('   - Generates THREE optimized images for different use cases:');
+      console.log('     📱 Icon image (1024x1024px) - Square app icon, no transparency');
+      console.log('     🖼️  Embed image (1200x800px) - 3:2 ratio for social feeds');
+      console.log('     🚀 Splash image (200x200px) - Square splash screen');
+      console.log('   - Crops them to those exact sizes, strips metadata and checks file-size limits');
+      console.log('   - Derives public/favicon.ico, Apple touch icons and logo-light/logo-dark.png from the icon');
+      console.log('   - Saves them next to earlier versions, named by content hash');
+      console.log('   - Automatically updates farcaster.json with all three image URLs');
+      console.log('\n🎨 Providers (--provider, or IMAGE_PROVIDER):');
+      Object.values(IMAGE_PROVIDERS).forEach(({ name, description, apiKeyEnv }) => {
+        console.log(`   ${name.padEnd(10)} ${description}${apiKeyEnv ? ` (${apiKeyEnv})` : ' (no key or network)'}`);
+      });
+      console.log('   Without --provider: the first one with an API key set, else offline');
+      console.log('\n⚙️  Configuration (.env file):');
+      console.log('   TOGETHER_API_KEY=your-api-key-here     (together)');
+      console.log('   AIML_API_KEY=your-api-key-here         (aiml)');
+      console.log('   IMAGE_FONT=path/to/font.ttf            (offline, optional)');
+      console.log('   FARCASTER_DOMAIN=your-domain.com       (optional)');
+      console.log('📐 Optimized dimensions for Farcaster Mini App guidelines');
+      return;
+    }
+
+    // Pick the image provider; API keys are loaded from .env file via dotenv
+    try {
+      provider = typeof args.from === 'string'
+        ? fileImageProvider(args.from)
+        : chooseImageProvider(typeof args.provider === 'string' ? args.provider : undefined);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (provider.apiKeyEnv && !process.env[provider.apiKeyEnv]) {
+      console.error(`❌ Error: ${provider.apiKeyEnv} is not set.`);
       console.log('\n💡 To fix this:');
-      console.log('   1. Get your API key from: https://api.together.xyz/settings/api-keys');
+      console.log(`   1. Get your API key from: ${provider.apiKeyUrl}`);
       console.log('   2. Create a .env file in the project root with:');
-      console.log('      TOGETHER_API_KEY=your-actual-api-key-here');
+      console.log(`      ${provider.apiKeyEnv}=your-actual-api-key-here`);
       console.log('   3. Or set it as an environment variable:');
-      console.log('      export TOGETHER_API_KEY="your-api-key-here"');
+      console.log(`      export ${provider.apiKeyEnv}="your-api-key-here"`);
+      console.log('   4. Or draw the images locally with no key:');
+      console.log('      node scripts/generate-flux-images.js --provider offline');
       console.log('\n📝 Note: The script automatically loads environment variables from .env file');
       process.exit(1);
     }
@@ -369,52 +552,42 @@ async function generateImage() {
     const farcasterConfig = readFarcasterConfig();
     const farcasterParams = extractFarcasterParams(farcasterConfig);
 
-    // Handle help flag
-    if (process.argv[2] === '--help' || process.argv[2] === '-h') {
-      console.log('\n📋 FLUX Multi-Image Generation for Farcaster Mini Apps');
-      console.log('=' .repeat(60));
-      console.log('\n💡 Usage:');
-      console.log('   node scripts/generate-flux-images.js');
-      console.log('\n🎯 What it does:');
-      console.log('   - Reads your app name from farcaster.json');
-      console.log('   - Generates THREE optimized images for different use cases:');
-      console.log('     📱 Icon image (208x208px) - Square app icon');
-      console.log('     🖼️  Embed image (768x512px) - 3:2 ratio for social feeds');
-      console.log('     🚀 Splash image (432x704px) - Vertical splash screen');
-      console.log('   - Automatically updates farcaster.json with all three image URLs');
-      console.log('\n⚙️  Configuration (.env file):');
-      console.log('   TOGETHER_API_KEY=your-api-key-here     (required)');
-      console.log('   FARCASTER_DOMAIN=your-domain.com       (optional)');
-      console.log('\n🎨 Model: black-forest-labs/FLUX.1-schnell-Free');
-      console.log('📐 Optimized dimensions for Farcaster Mini App guidelines');
-      return;
+    // Candidates per image; more than one writes a contact sheet to pick from
+    const variants = args.variants === undefined ? 1 : Number(args.variants);
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+      console.error(`❌ Error: --variants must be a whole number from 1 to ${MAX_VARIANTS}`);
+      process.exit(1);
     }
 
-    // Extract app name from farcaster config for text logo generation
-    const appName = farcasterParams.appName || 'Mini App';
+    // Brand and prompts from images.config.js, defaulting to farcaster.json
+    const imageConfig = await loadImageConfig();
+    const brand = resolveBrand(imageConfig, farcasterConfig?.miniapp);
+    const appName = brand.name;
+    const app = { appName, backgroundColor: farcasterParams.backgroundColor, colors: brand.colors };
 
     // Create prompts for each image type
-    const iconPrompt = createIconPrompt(appName);
-    const embedPrompt = createEmbedPrompt(appName);
-    const splashPrompt = createSplashPrompt(appName);
-
-    console.log('\n🎯 Generating three images for your Mini App...');
-    console.log('   📱 Icon image (200x200 → 208x208px)');
-    console.log('   🖼️  Embed image (3:2 ratio → 768x512px)');
-    console.log('   🚀 Splash image (vertical → 432x704px)');
+    const prompts = {
+      icon: createPrompt('icon', imageConfig, brand),
+      embed: createPrompt('embed', imageConfig, brand),
+      splash: createPrompt('splash', imageConfig, brand)
+    };
 
-    // Clear existing images and prepare directory
-    clearExistingImages();
+    console.log(`\n🎯 Generating ${variants > 1 ? `${variants} candidates for each of ` : ''}three images for your Mini App...`);
+    console.log(`   📱 Icon image (${ASSET_SPECS.icon.width}x${ASSET_SPECS.icon.height}px)`);
+    console.log(`   🖼️  Embed image (3:2 ratio → ${ASSET_SPECS.embed.width}x${ASSET_SPECS.embed.height}px)`);
+    console.log(`   🚀 Splash image (${ASSET_SPECS.splash.width}x${ASSET_SPECS.splash.height}px)`);
 
-    // Initialize Together AI client
-    console.log('\n🚀 Initializing Together AI client...');
-    const together = new Together({ apiKey });
+    console.log(`\n🚀 Initializing ${provider.description}...`);
+    const generator = {
+      ...provider.create({ env: process.env, font: typeof args.font === 'string' ? args.font : undefined }),
+      filePrefix: provider.filePrefix
+    };
 
     // Display generation parameters
     console.log('\n📝 Generation Parameters:');
     console.log('=' .repeat(50));
-    console.log(`🎨 Model: ${FLUX_MODEL.id}`);
-    console.log(`🔢 Steps: ${FLUX_MODEL.defaultSteps}`);
+    console.log(`🔌 Provider: ${provider.name}`);
+    console.log(`🎨 Model: ${generator.model}`);
     console.log(`📱 Icon: ${FARCASTER_DIMENSIONS.icon.width}x${FARCASTER_DIMENSIONS.icon.height}px`);
     console.log(`🖼️  Embed: ${FARCASTER_DIMENSIONS.embed.width}x${FARCASTER_DIMENSIONS.embed.height}px`);
     console.log(`🚀 Splash: ${FARCASTER_DIMENSIONS.splash.width}x${FARCASTER_DIMENSIONS.splash.height}px`);
@@ -424,85 +597,60 @@ async function generateImage() {
     console.log('\n⏳ Generating images... This may take a few moments.');
     const overallStartTime = Date.now();
 
-    // Generate icon image
-    const iconResult = await generateSingleImage(
-      together,
-      iconPrompt,
-      FARCASTER_DIMENSIONS.icon,
-      'icon'
-    );
-
-    // Generate embed image
-    const embedResult = await generateSingleImage(
-      together,
-      embedPrompt,
-      FARCASTER_DIMENSIONS.embed,
-      'embed'
-    );
-
-    // Generate splash image
-    const splashResult = await generateSingleImage(
-      together,
-      splashPrompt,
-      FARCASTER_DIMENSIONS.splash,
-      'splash'
-    );
+    const candidates = { icon: [], embed: [], splash: [] };
+    for (const kind of IMAGE_KINDS) {
+      for (let variant = 0; variant < variants; variant++) {
+        const result = await generateSingleImage(
+          generator,
+          prompts[kind],
+          FARCASTER_DIMENSIONS[kind],
+          kind,
+          app,
+          variants > 1 ? variant : undefined
+        );
+        candidates[kind].push(result.data);
+      }
+    }
 
     const overallEndTime = Date.now();
     const totalDuration = ((overallEndTime - overallStartTime) / 1000).toFixed(1);
+    console.log(`\n⏱️  Total generation time: ${totalDuration}s`);
 
-    // Collect all generated filenames
-    const imageFilenames = {
-      icon: iconResult.filename,
-      embed: embedResult.filename,
-      splash: splashResult.filename
-    };
-
-    // Update farcaster.json if domain is configured
-    if (farcasterDomain) {
-      console.log('\n🔧 Updating farcaster.json configuration...');
-      updateFarcasterConfig(farcasterDomain, imageFilenames);
-    }
-
-    // Display success message with results
-    console.log('\n✅ All images generated and saved successfully!');
-    console.log('=' .repeat(60));
-    console.log(`📱 Icon image: public/images/${imageFilenames.icon}`);
-    console.log(`🖼️  Embed image: public/images/${imageFilenames.embed}`);
-    console.log(`🚀 Splash image: public/images/${imageFilenames.splash}`);
-    console.log(`⏱️  Total generation time: ${totalDuration}s`);
-    console.log(`🎨 Model used: ${FLUX_MODEL.id}`);
-    console.log('=' .repeat(60));
-
-    // Show integration suggestions based on whether domain is configured
-    if (farcasterDomain) {
-      const cleanDomain = farcasterDomain.replace(/^https?:\/\//, '');
-      console.log('\n🎯 Farcaster configuration updated automatically!');
-      console.log(`   Your Mini App is now configured for: https://${cleanDomain}`);
-      console.log(`   📱 Icon URL: https://${cleanDomain}/images/${imageFilenames.icon}`);
-      console.log(`   🖼️  Embed URL: https://${cleanDomain}/images/${imageFilenames.embed}`);
-      console.log(`   🚀 Splash URL: https://${cleanDomain}/images/${imageFilenames.splash}`);
-    } else {
-      console.log('\n💡 Manual integration needed:');
-      console.log(`   1. Set FARCASTER_DOMAIN in your .env file`);
-      console.log(`   2. Update your farcaster.json iconUrl to: https://your-domain.com/images/${imageFilenames.icon}`);
-      console.log(`   3. Update your farcaster.json imageUrl to: https://your-domain.com/images/${imageFilenames.embed}`);
-      console.log(`   4. Update your farcaster.json splashImageUrl to: https://your-domain.com/images/${imageFilenames.splash}`);
+    const source = { provider: provider.name, filePrefix: generator.filePrefix, model: generator.model };
+    if (variants === 1) {
+      await saveImageSet({ icon: candidates.icon[0], embed: candidates.embed[0], splash: candidates.splash[0] }, {
+        ...source, appName, farcasterConfig, farcasterDomain, args
+      });
+      return;
     }
 
-    if (farcasterParams.appName) {
-      console.log(`\n🎯 Generated for: ${farcasterParams.appName}`);
+    // Park the candidates outside public/ until one of each is picked
+    const candidatesDir = join(process.cwd(), CANDIDATES_DIR);
+    const run = saveCandidates(candidatesDir, {
+      createdAt: new Date().toISOString(),
+      appName,
+      ...source,
+      images: Object.fromEntries(IMAGE_KINDS.map((kind) => [kind, { ...prompts[kind], data: candidates[kind] }]))
+    });
+    console.log(`\n🗂️  Candidates saved to ${CANDIDATES_DIR}/`);
+    console.log(`   Contact sheet: ${pathToFileURL(join(candidatesDir, CONTACT_SHEET_FILENAME)).href}`);
+
+    if (!process.stdin.isTTY) {
+      console.log('\n💡 Open the contact sheet, then save your picks (farcaster.json is unchanged until then):');
+      console.log('   node scripts/generate-flux-images.js --pick icon=1,embed=1,splash=1');
+      return;
     }
+    await pickCandidates(await askForPick(run), { run, farcasterDomain, args });
 
   } catch (error) {
     console.error('\n❌ Error generating image:');
     
     if (error.message.includes('API key')) {
-      console.error('🔑 API Key Error: Please check your TOGETHER_API_KEY');
+      console.error(`🔑 API Key Error: Please check your ${provider?.apiKeyEnv ?? 'API key'}`);
     } else if (error.message.includes('rate limit')) {
       console.error('⏰ Rate Limit: Please wait before making another request');
     } else if (error.message.includes('quota')) {
-      console.error('💳 Quota Exceeded: Please check your Together AI account balance');
+      console.error('💳 Quota Exceeded: Please check your image provider account balance');
     } else if (error.message.includes('network') || error.code === 'ENOTFOUND') {
       console.error('🌐 Network Error: Please check your internet connection');
     } else {
@@ -519,22 +667,133 @@ async function generateImage() {
   }
 }
 
+/**
+ * Prints the recorded image versions, marking the one farcaster.json uses
+ */
+function listImageVersions() {
+  const { current, versions } = loadImageVersions(prepareImagesDirectory());
+  if (versions.length === 0) {
+    console.log(`📦 No image versions recorded in public/images/${VERSIONS_FILENAME} yet`);
+    return;
+  }
+  console.log('📦 Image versions:');
+  versions.forEach(({ version, createdAt, provider, images }) => {
+    console.log(`${version === current ? ' →' : '  '} ${String(version).padStart(3)}  ${createdAt}  ${provider}`);
+    console.log(`        ${images.icon}, ${images.embed}, ${images.splash}`);
+  });
+}
+
+/**
+ * Points farcaster.json back at an earlier image version
+ * @param {string} version - The version number to restore
+ */
+async function rollbackImages(version) {
+  const imagesDir = prepareImagesDirectory();
+  const versions = loadImageVersions(imagesDir);
+  const entry = versions.versions.find((candidate) => candidate.version === Number(version));
+  if (!entry) {
+    console.error(`❌ Error: No image version ${version}`);
+    listImageVersions();
+    process.exit(1);
+  }
+
+  const missing = Object.values(entry.images).filter((file) => !existsSync(join(imagesDir, file)));
+  if (missing.length > 0) {
+    console.error(`❌ Error: Version ${entry.version} is missing ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Keep the manifest's own domain unless FARCASTER_DOMAIN moves it
+  const homeUrl = readFarcasterConfig()?.miniapp?.homeUrl;
+  const domain = process.env.FARCASTER_DOMAIN || (homeUrl && URL.canParse(homeUrl) ? new URL(homeUrl).host : undefined);
+  if (!domain) {
+    console.error('❌ Error: Set FARCASTER_DOMAIN to roll back; farcaster.json has no homeUrl to take it from');
+    process.exit(1);
+  }
+
+  console.log(`⏪ Rolling back to image version ${entry.version} (${entry.provider}, ${entry.createdAt})...`);
+  if (!await updateFarcasterConfig(domain, entry.images)) {
+    process.exit(1);
+  }
+  versions.current = entry.version;
+  saveImageVersions(imagesDir, versions);
+}
+
+/**
+ * Deletes image versions beyond the newest `keep`, except any farcaster.json uses
+ * @param {object} args - Parsed arguments with keep
+ */
+function pruneImages(args) {
+  const keep = Number(args.keep);
+  if (args.keep === undefined || !Number.isInteger(keep) || keep < 0) {
+    console.error('❌ Error: prune needs --keep <N>, the number of newest versions to keep');
+    process.exit(1);
+  }
+
+  const imagesDir = prepareImagesDirectory();
+  const versions = loadImageVersions(imagesDir);
+  const { removed, deleted } = pruneImageVersions(versions, { keep, imagesDir, manifest: readFarcasterConfig() });
+  saveImageVersions(imagesDir, versions);
+
+  if (removed.length === 0) {
+    console.log(`📦 Nothing to prune; ${versions.versions.length} version(s) kept`);
+    return;
+  }
+  console.log(`🗑️  Pruned version(s) ${removed.map(({ version }) => version).join(', ')}`);
+  deleted.forEach((file) => console.log(`   Deleted: ${file}`));
+  console.log(`📦 ${versions.versions.length} version(s) kept`);
+}
+
+/**
+ * Runs the `versions` or `prune` command, a rollback, or image generation
+ */
+async function main() {
+  const command = process.argv[2] && !process.argv[2].startsWith('-') ? process.argv[2] : undefined;
+  const args = parseArgs(process.argv.slice(command ? 3 : 2));
+
+  if (command === 'versions') {
+    return listImageVersions();
+  }
+  if (command === 'prune') {
+    return pruneImages(args);
+  }
+  if (command) {
+    console.error(`❌ Error: Unknown command "${command}"; see --help`);
+    process.exit(1);
+  }
+  if (args.rollback !== undefined) {
+    return rollbackImages(args.rollback);
+  }
+  if (args.pick !== undefined) {
+    return pickSavedCandidates(args);
+  }
+  return generateImage();
+}
+
 // Run the main function
 if (import.meta.url === `file://${process.argv[1]}`) {
-  generateImage();
+  main().catch((error) => {
+    console.error('❌ Image command failed:', error.message);
+    process.exit(1);
+  });
 }
 
 export {
   generateImage,
   FLUX_MODEL,
   FARCASTER_DIMENSIONS,
-  createIconPrompt,
-  createEmbedPrompt,
-  createSplashPrompt,
+  createPrompt,
   generateSingleImage,
+  saveImage,
+  saveImageSet,
+  pickCandidates,
+  updateSiteIcons,
   readFarcasterConfig,
   extractFarcasterParams,
-  clearExistingImages,
+  prepareImagesDirectory,
+  listImageVersions,
+  rollbackImages,
+  pruneImages,
   downloadAndSaveImage,
   updateFarcasterConfig
 };
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, resolve } from 'path';
+import { parseArgs } from './lib/args.js';
+import { loadImageConfig, resolveBrand } from './lib/image-prompts.js';
+import { hashedFilename, referencedImages } from './lib/image-versions.js';
+import {
+  captureRoutes,
+  checkAppRunning,
+  composeHero,
+  DEFAULT_APP_URL,
+  frameScreenshot,
+  LISTING_SPECS,
+  MAX_SCREENSHOTS
+} from './lib/listing-images.js';
+import { loadMiniAppConfig, MANIFEST_FIELDS, MANIFEST_PATH } from './lib/miniapp-manifest.js';
+import { findSystemFont, loadFont } from './lib/offline-images.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Listing Image Generator
+ *
+ * Builds the manifest's screenshotUrls (portrait 1284x2778) and
+ * heroImageUrl (1200x630) from the running app: each configured route is
+ * rendered in headless Chrome at a phone viewport and framed on the brand
+ * color with the app name, tagline and icon (lib/listing-images.js). The
+ * routes and app URL come from `listing` in images.config.js, the brand
+ * from `brand` there or the manifest.
+ *
+ * Start the app first (`pnpm dev:remix`); this script never starts it.
+ * Images are saved to public/images under content-hashed names and
+ * written to public/.well-known/farcaster.json; the listing images they
+ * replace are deleted.
+ *
+ * Usage:
+ *   node scripts/generate-listing-images.js [--url http://localhost:5173] [--paths /,/settings]
+ *     [--hero /] [--skip-hero] [--font path.ttf] [--manifest path] [--public dir]
+ */
+
+// Files this script writes, which it may delete once nothing uses them
+const LISTING_FILE_PATTERN = /^listing-(screenshot|hero)-[0-9a-f]{12}\.png$/;
+
+function printHelp() {
+  console.log('\n📋 Listing Images for Farcaster Mini Apps');
+  console.log('=' .repeat(60));
+  console.log('\n💡 Usage:');
+  console.log('   node scripts/generate-listing-images.js [--url http://localhost:5173] [--paths /,/settings]');
+  console.log('     [--hero /] [--skip-hero] [--font path.ttf] [--manifest path] [--public dir]');
+  console.log('\n🎯 What it does:');
+  console.log(`   - Renders up to ${MAX_SCREENSHOTS} routes of the running app in headless Chrome at a phone viewport`);
+  console.log(`   - Frames them as ${LISTING_SPECS.screenshot.width}x${LISTING_SPECS.screenshot.height} screenshots with the app name and tagline`);
+  console.log(`   - Builds a ${LISTING_SPECS.hero.width}x${LISTING_SPECS.hero.height} hero image from one route and the icon`);
+  console.log('   - Saves them to public/images and sets screenshotUrls and heroImageUrl in farcaster.json');
+  console.log('\n⚙️  Configuration:');
+  console.log('   images.config.js  listing.screenshots, listing.hero, listing.url, listing.waitFor, brand');
+  console.log('   FARCASTER_DOMAIN  Domain for the image URLs (defaults to the manifest\'s homeUrl)');
+  console.log('   IMAGE_FONT        TrueType font for the text (a system bold sans by default)');
+  console.log('\n🌐 Start the app first: pnpm dev:remix');
+}
+
+/**
+ * Loads the font for the framing text, or null (no text) with a warning
+ */
+function loadTextFont(fontPath) {
+  const path = fontPath || process.env.IMAGE_FONT || findSystemFont();
+  try {
+    if (path) return loadFont(path);
+  } catch (error) {
+    console.warn(`⚠️  Warning: Could not load font ${path}: ${error.message}`);
+    return null;
+  }
+  console.warn('⚠️  Warning: No font found; the images will have no text (set IMAGE_FONT or pass --font)');
+  return null;
+}
+
+/**
+ * Sets screenshotUrls and heroImageUrl, keeping the manifest's field order
+ */
+function setListingUrls(miniapp, { screenshotUrls, heroImageUrl }) {
+  const updated = { ...miniapp, screenshotUrls, ...(heroImageUrl && { heroImageUrl }) };
+  const ordered = {};
+  for (const field of [...MANIFEST_FIELDS, ...Object.keys(updated)]) {
+    if (updated[field] !== undefined && !(field in ordered)) {
+      ordered[field] = updated[field];
+    }
+  }
+  return ordered;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.h) {
+    printHelp();
+    return;
+  }
+
+  const manifestPath = args.manifest ? resolve(args.manifest) : MANIFEST_PATH;
+  const publicDir = args.public ? resolve(args.public) : join(__dirname, '../public');
+  const imagesDir = join(publicDir, 'images');
+  if (!existsSync(manifestPath)) {
+    console.error(`❌ Error: ${relative(process.cwd(), manifestPath)} not found`);
+    process.exit(1);
+  }
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  const miniapp = manifest.miniapp ?? {};
+
+  const imageConfig = await loadImageConfig();
+  const listing = imageConfig.listing ?? {};
+  const baseUrl = typeof args.url === 'string' ? args.url : (listing.url ?? DEFAULT_APP_URL);
+  const paths = typeof args.paths === 'string'
+    ? args.paths.split(',').map((path) => path.trim()).filter(Boolean)
+    : (listing.screenshots ?? ['/']);
+  if (paths.length === 0 || paths.length > MAX_SCREENSHOTS) {
+    console.error(`❌ Error: Screenshot 1 to ${MAX_SCREENSHOTS} routes; got ${paths.length}`);
+    process.exit(1);
+  }
+  const heroPath = args['skip-hero'] || listing.hero === false
+    ? null
+    : (typeof args.hero === 'string' ? args.hero : (listing.hero ?? paths[0]));
+
+  // Image URLs go on the deployed domain
+  const domain = process.env.FARCASTER_DOMAIN?.replace(/^https?:\/\//, '');
+  const origin = domain ? `https://${domain}` : (miniapp.homeUrl && URL.canParse(miniapp.homeUrl) ? new URL(miniapp.homeUrl).origin : null);
+  if (!origin) {
+    console.error('❌ Error: Set FARCASTER_DOMAIN; farcaster.json has no homeUrl to take it from');
+    process.exit(1);
+  }
+
+  const brand = resolveBrand(imageConfig, miniapp);
+  const font = loadTextFont(typeof args.font === 'string' ? args.font : undefined);
+  const iconFile = referencedImages(manifest).icon;
+  const icon = iconFile && existsSync(join(imagesDir, iconFile)) ? readFileSync(join(imagesDir, iconFile)) : null;
+
+  console.log(`🌐 Rendering ${baseUrl}`);
+  console.log(`   Screenshots: ${paths.join(', ')}`);
+  console.log(`   Hero: ${heroPath ?? '(skipped)'}`);
+
+  let captures;
+  try {
+    await checkAppRunning(baseUrl);
+    captures = await captureRoutes(baseUrl, [...new Set([...paths, ...(heroPath ? [heroPath] : [])])], { waitFor: listing.waitFor });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    if (/Could not find Chrome|Failed to launch/.test(error.message)) {
+      console.error('💡 Install the browser once with: pnpm exec puppeteer browsers install chrome');
+    }
+    process.exit(1);
+  }
+
+  const saved = [];
+  const save = (kind, data) => {
+    const filename = hashedFilename('listing', kind, data, 'png');
+    mkdirSync(imagesDir, { recursive: true });
+    writeFileSync(join(imagesDir, filename), data);
+    saved.push(filename);
+    console.log(`💾 Saved: public/images/${filename}`);
+    return `${origin}/images/${filename}`;
+  };
+
+  const screenshotUrls = [];
+  for (const path of paths) {
+    screenshotUrls.push(save('screenshot', await frameScreenshot(captures[path], { brand, font })));
+  }
+  const heroImageUrl = heroPath ? save('hero', await composeHero(captures[heroPath], { brand, font, icon })) : undefined;
+
+  // Listing images the manifest used until now; a skipped hero keeps its image
+  const previous = [...(miniapp.screenshotUrls ?? []), ...(heroImageUrl ? [miniapp.heroImageUrl] : [])]
+    .filter((url) => typeof url === 'string' && URL.canParse(url))
+    .map((url) => decodeURIComponent(new URL(url).pathname.replace(/^\/images\//, '')))
+    .filter((file) => LISTING_FILE_PATTERN.test(file) && !saved.includes(file));
+
+  manifest.miniapp = setListingUrls(miniapp, { screenshotUrls, heroImageUrl });
+  writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+  console.log(`\n✅ Updated ${relative(process.cwd(), manifestPath)}:`);
+  screenshotUrls.forEach((url, i) => console.log(`   screenshotUrls[${i}]: ${url}`));
+  if (heroImageUrl) console.log(`   heroImageUrl: ${heroImageUrl}`);
+
+  for (const file of new Set(previous)) {
+    if (existsSync(join(imagesDir, file))) {
+      unlinkSync(join(imagesDir, file));
+      console.log(`🗑️  Deleted: public/images/${file}`);
+    }
+  }
+
+  // miniapp.config.js values win when generate-meta-config.js builds the served manifest
+  const config = await loadMiniAppConfig();
+  const overridden = ['screenshotUrls', 'heroImageUrl'].filter((field) => config[field] !== undefined);
+  if (overridden.length > 0) {
+    console.warn(`\n⚠️  miniapp.config.js sets ${overridden.join(' and ')}, which replaces these; remove it to use the generated images`);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Failed to generate listing images:', error.message);
+    process.exit(1);
+  });
+}
@@ -4,61 +4,58 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  buildEnvironmentManifest,
+  buildMetaConfig,
+  loadMiniAppConfig,
+  MANIFEST_PATH,
+  OUTPUT_MANIFEST_PATH,
+  resolveEnvironment
+} from './lib/miniapp-manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Load environment variables
 const envPath = path.join(__dirname, '../.env');
-dotenv.config({ path: envPath });
+dotenv.config({ path: envPath, quiet: true });
 
-// Read the farcaster.json config
-const configPath = path.join(__dirname, '../public/.well-known/farcaster.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+// Environment to build: --env <name> or MINIAPP_ENV
+const envFlag = process.argv.indexOf('--env');
+const environmentName = envFlag === -1 ? undefined : process.argv[envFlag + 1];
 
-// Get current domain from environment (remove https:// if present)
-const currentDomain = process.env.FARCASTER_DOMAIN?.replace(/^https?:\/\//, '') || 
-                     config.miniapp.homeUrl?.replace(/^https?:\/\//, '');
+// Read the committed source manifest; it is never modified here
+const source = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+const config = await loadMiniAppConfig();
 
-// Update homeUrl to match current domain if needed
-const correctHomeUrl = `https://${currentDomain}`;
-let homeUrlUpdated = false;
-
-if (config.miniapp.homeUrl !== correctHomeUrl) {
-  console.log(`🔄 Updating homeUrl: ${config.miniapp.homeUrl} → ${correctHomeUrl}`);
-  config.miniapp.homeUrl = correctHomeUrl;
-  homeUrlUpdated = true;
-  
-  // Save the updated config back to farcaster.json
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-  console.log('✅ Updated farcaster.json with correct homeUrl');
+let environment;
+try {
+  environment = resolveEnvironment(config, environmentName);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
 
+// Apply miniapp.config.js, the environment and its signature, moving URLs
+// and (with a signing key) the signature to the current domain
+const { manifest, changes, warnings } = await buildEnvironmentManifest(config, { source, environment });
+changes.forEach(({ field, from, to }) => console.log(`🔄 Moved ${field}: ${from} → ${to}`));
+warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+fs.mkdirSync(path.dirname(OUTPUT_MANIFEST_PATH), { recursive: true });
+fs.writeFileSync(OUTPUT_MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+console.log(
+  `✅ Built farcaster.json for ${environment ? `the ${environment.name} environment` : 'FARCASTER_DOMAIN'}` +
+  ` (${manifest.miniapp.homeUrl ?? 'no homeUrl'})`
+);
+
 // Generate the metadata configuration
-const metaConfig = {
-  title: config.miniapp.name,
-  description: "Welcome to Remix!",
-  farcasterMiniapp: {
-    version: config.miniapp.version,
-    imageUrl: config.miniapp.imageUrl,
-    button: {
-      title: config.miniapp.buttonTitle,
-      action: {
-        type: "launch_miniapp",
-        name: config.miniapp.name,
-        url: config.miniapp.homeUrl,
-        splashImageUrl: config.miniapp.splashImageUrl,
-        splashBackgroundColor: config.miniapp.splashBackgroundColor
-      }
-    }
-  },
-  config: config.miniapp
-};
+const metaConfig = buildMetaConfig(manifest.miniapp);
 
 // Write the config to a TypeScript file that can be imported
 const outputPath = path.join(__dirname, '../app/meta-config.ts');
 const outputContent = `// This file is auto-generated by scripts/generate-meta-config.js
-// Do not edit manually - edit public/.well-known/farcaster.json instead
+// Do not edit manually - edit miniapp.config.js instead
 
 export const META_CONFIG = ${JSON.stringify(metaConfig, null, 2)} as const;
 
@@ -0,0 +1,342 @@
+import { createHash } from 'crypto';
+import * as ed25519 from '@noble/ed25519';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+
+// Configure ed25519 to use Node.js crypto for SHA-512
+ed25519.etc.sha512Sync = (...m) => createHash('sha512').update(Buffer.concat(m)).digest();
+
+/**
+ * Account Association Signing
+ *
+ * Creates and verifies the JSON Farcaster Signature in a manifest's
+ * `accountAssociation`: base64url `header`, `payload` and `signature`, where
+ * the signature covers `${header}.${payload}`.
+ *
+ * - `custody`: the FID's custody address signs with EIP-191 (personal_sign,
+ *   secp256k1). The header's `key` is the address the signature recovers to.
+ * - `app_key`: an Ed25519 app key registered to the FID signs the raw
+ *   message. The header's `key` is the 32-byte public key.
+ *
+ * Shared by generate-farcaster-auth.js and verify-farcaster-signature.js.
+ */
+
+export const SIGNATURE_TYPES = ['custody', 'app_key'];
+
+/**
+ * Why a verification check failed
+ *
+ * @typedef {'missing_field' | 'invalid_header' | 'invalid_payload' | 'invalid_fid' | 'unsupported_type' | 'invalid_key' | 'invalid_domain' | 'domain_mismatch' | 'malformed_signature' | 'invalid_signature'} VerificationErrorCode
+ */
+
+/**
+ * @typedef {object} VerificationCheck
+ * @property {'fields' | 'header' | 'payload' | 'fid' | 'type' | 'key' | 'domain' | 'signature'} check
+ * @property {boolean} ok
+ * @property {VerificationErrorCode} [code] Set when `ok` is false
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} VerificationResult
+ * @property {boolean} valid True when every check passed
+ * @property {number} [fid]
+ * @property {string} [type]
+ * @property {string} [key]
+ * @property {string} [domain]
+ * @property {string} [recoveredAddress] The address a custody signature recovers to
+ * @property {VerificationCheck[]} checks In the order they ran; later checks are skipped once one they depend on fails
+ */
+
+/**
+ * Converts a hex string, with or without 0x, to bytes
+ */
+export function hexToBytes(hex) {
+  const cleanHex = hex.replace(/^0x/, '');
+  if (cleanHex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(cleanHex)) {
+    throw new Error('Invalid hex string');
+  }
+  return Uint8Array.from(Buffer.from(cleanHex, 'hex'));
+}
+
+/**
+ * Converts bytes to a hex string without 0x
+ */
+export function bytesToHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function encodeJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decodes a base64url (or base64) JSON segment
+ */
+export function decodeJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+}
+
+/**
+ * Domain an account association was signed for, or null
+ */
+export function signedDomain(accountAssociation) {
+  try {
+    const payload = decodeJson(accountAssociation.payload);
+    return typeof payload.domain === 'string' ? payload.domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * EIP-55 checksummed address for a 20-byte address
+ */
+function toChecksumAddress(addressBytes) {
+  const address = bytesToHex(addressBytes);
+  const hash = bytesToHex(keccak_256(new TextEncoder().encode(address)));
+  return '0x' + [...address].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+/**
+ * Ethereum address for a secp256k1 public key (compressed or not)
+ */
+function publicKeyToAddress(publicKey) {
+  const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+  return toChecksumAddress(keccak_256(uncompressed.slice(1)).slice(-20));
+}
+
+/**
+ * Ethereum address of a secp256k1 private key
+ */
+export function custodyAddress(privateKey) {
+  return publicKeyToAddress(secp256k1.getPublicKey(hexToBytes(privateKey), false));
+}
+
+/**
+ * EIP-191 version 0x45 hash: keccak256("\x19Ethereum Signed Message:\n" + length + message)
+ */
+export function hashPersonalMessage(message) {
+  const messageBytes = new TextEncoder().encode(message);
+  const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${messageBytes.length}`);
+  return keccak_256(new Uint8Array([...prefix, ...messageBytes]));
+}
+
+/**
+ * Signs a message the way personal_sign does; returns r || s || v with v 27 or 28
+ */
+export function signPersonalMessage(message, privateKey) {
+  const signature = secp256k1.sign(hashPersonalMessage(message), hexToBytes(privateKey));
+  return new Uint8Array([...signature.toCompactRawBytes(), 27 + signature.recovery]);
+}
+
+/**
+ * Recovers the checksummed address that produced a personal_sign signature
+ */
+export function recoverPersonalMessageAddress(message, signature) {
+  if (signature.length !== 65) {
+    throw new Error(`Expected a 65-byte signature, got ${signature.length} bytes`);
+  }
+  const v = signature[64];
+  const recovery = v >= 27 ? v - 27 : v;
+  if (recovery !== 0 && recovery !== 1) {
+    throw new Error(`Invalid recovery byte ${v}`);
+  }
+  const publicKey = secp256k1.Signature.fromCompact(signature.slice(0, 64))
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(hashPersonalMessage(message));
+  return publicKeyToAddress(publicKey.toRawBytes(false));
+}
+
+/**
+ * Something that can sign an account association: the header `key` it
+ * signs as, and a `sign` that gets only the message. See privateKeySigner()
+ * here and lib/signing-keys.js for keystores, mnemonics and external
+ * signers.
+ *
+ * @typedef {object} Signer
+ * @property {'custody' | 'app_key'} type
+ * @property {string} key Custody address or 0x Ed25519 public key
+ * @property {(message: string) => Promise<Uint8Array>} sign
+ */
+
+/**
+ * Signer for a raw hex private key
+ *
+ * @param {string} privateKey
+ * @param {'custody' | 'app_key'} [type]
+ * @returns {Promise<Signer>}
+ */
+export async function privateKeySigner(privateKey, type = 'custody') {
+  if (!SIGNATURE_TYPES.includes(type)) {
+    throw new Error(`Unknown signature type "${type}", expected ${SIGNATURE_TYPES.join(' or ')}`);
+  }
+  const secret = hexToBytes(privateKey);
+  if (secret.length !== 32) {
+    throw new Error(`Expected a 32-byte private key, got ${secret.length} bytes`);
+  }
+
+  if (type === 'custody') {
+    return {
+      type,
+      key: custodyAddress(privateKey),
+      sign: async (message) => signPersonalMessage(message, privateKey),
+    };
+  }
+  return {
+    type,
+    key: `0x${bytesToHex(await ed25519.getPublicKeyAsync(secret))}`,
+    sign: (message) => ed25519.signAsync(new TextEncoder().encode(message), secret),
+  };
+}
+
+/**
+ * Creates an account association for `domain`, signed by `signer` or by a
+ * raw `privateKey`
+ *
+ * @param {{ fid: number, domain: string, signer?: Signer, privateKey?: string, type?: 'custody' | 'app_key' }} options
+ * @returns {Promise<{ header: string, payload: string, signature: string }>}
+ */
+export async function signAccountAssociation({ fid, domain, signer, privateKey, type = 'custody' }) {
+  const { key, sign, type: signedType } = signer ?? await privateKeySigner(privateKey, type);
+  const header = encodeJson({ fid, type: signedType, key });
+  const payload = encodeJson({ domain });
+  const signature = await sign(`${header}.${payload}`);
+
+  return { header, payload, signature: Buffer.from(signature).toString('base64url') };
+}
+
+/**
+ * Checks an account association's signature against the key in its header.
+ * Returns the decoded header and payload and whether the signature is
+ * valid; for custody signatures, also the recovered address. Whether the
+ * key actually belongs to the FID is an on-chain check this does not make.
+ *
+ * @param {{ header: string, payload: string, signature: string }} accountAssociation
+ */
+export async function verifyAccountAssociationSignature(accountAssociation) {
+  const header = decodeJson(accountAssociation.header);
+  const payload = decodeJson(accountAssociation.payload);
+  const signature = Uint8Array.from(Buffer.from(accountAssociation.signature, 'base64url'));
+  const message = `${accountAssociation.header}.${accountAssociation.payload}`;
+
+  if (header.type === 'custody') {
+    const recoveredAddress = recoverPersonalMessageAddress(message, signature);
+    const valid = typeof header.key === 'string' && recoveredAddress.toLowerCase() === header.key.toLowerCase();
+    return { header, payload, valid, recoveredAddress };
+  }
+
+  if (header.type === 'app_key') {
+    const valid = await ed25519.verifyAsync(signature, new TextEncoder().encode(message), hexToBytes(header.key));
+    return { header, payload, valid };
+  }
+
+  throw new Error(`Unknown signature type "${header.type}"`);
+}
+
+/**
+ * Format of the header `key` for each signature type
+ */
+export const KEY_PATTERNS = {
+  custody: /^0x[0-9a-fA-F]{40}$/,
+  app_key: /^0x[0-9a-fA-F]{64}$/,
+};
+const SIGNATURE_LENGTHS = { custody: 65, app_key: 64 };
+
+function decodeObject(segment) {
+  try {
+    const value = decodeJson(segment);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifies an account association without printing anything. With
+ * `domain`, also requires the payload to be signed for it (e.g. the host
+ * the manifest is served from).
+ *
+ * @param {unknown} accountAssociation
+ * @param {{ domain?: string }} [options]
+ * @returns {Promise<VerificationResult>}
+ */
+export async function verifyAccountAssociation(accountAssociation, { domain: expectedDomain } = {}) {
+  /** @type {VerificationCheck[]} */
+  const checks = [];
+  const pass = (check, message) => checks.push({ check, ok: true, message });
+  const fail = (check, code, message) => checks.push({ check, ok: false, code, message });
+  const decoded = {};
+  const result = () => ({ valid: checks.every(({ ok }) => ok), ...decoded, checks });
+
+  const association = /** @type {Record<string, unknown>} */ (accountAssociation ?? {});
+  const missing = ['header', 'payload', 'signature'].filter((field) => typeof association[field] !== 'string' || !association[field]);
+  if (missing.length > 0) {
+    fail('fields', 'missing_field', `accountAssociation is missing ${missing.join(', ')}`);
+    return result();
+  }
+  pass('fields', 'header, payload and signature are present');
+
+  const header = decodeObject(association.header);
+  const payload = decodeObject(association.payload);
+  if (header) pass('header', 'Header decodes to JSON');
+  else fail('header', 'invalid_header', 'Header is not base64url-encoded JSON');
+  if (payload) pass('payload', 'Payload decodes to JSON');
+  else fail('payload', 'invalid_payload', 'Payload is not base64url-encoded JSON');
+
+  if (header) {
+    decoded.fid = header.fid;
+    decoded.type = header.type;
+    decoded.key = header.key;
+    if (Number.isInteger(header.fid) && header.fid > 0) pass('fid', `FID ${header.fid}`);
+    else fail('fid', 'invalid_fid', `FID must be a positive integer (got ${JSON.stringify(header.fid)})`);
+
+    if (SIGNATURE_TYPES.includes(header.type)) {
+      pass('type', `Signed with ${header.type === 'custody' ? 'the custody address (EIP-191)' : 'an app key (Ed25519)'}`);
+      if (typeof header.key === 'string' && KEY_PATTERNS[header.type].test(header.key)) {
+        pass('key', `Key ${header.key}`);
+      } else {
+        fail('key', 'invalid_key', header.type === 'custody'
+          ? 'Custody key must be a 0x-prefixed 20-byte address'
+          : 'App key must be a 0x-prefixed 32-byte Ed25519 public key');
+      }
+    } else {
+      fail('type', 'unsupported_type', `Signature type must be ${SIGNATURE_TYPES.join(' or ')} (got ${JSON.stringify(header.type)})`);
+    }
+  }
+
+  if (payload) {
+    decoded.domain = payload.domain;
+    if (typeof payload.domain !== 'string' || !/^[^\s/:]+(:\d+)?$/.test(payload.domain)) {
+      fail('domain', 'invalid_domain', `Domain must be a bare host like example.com (got ${JSON.stringify(payload.domain)})`);
+    } else if (expectedDomain && payload.domain !== expectedDomain) {
+      fail('domain', 'domain_mismatch', `Signed for ${payload.domain}, expected ${expectedDomain}`);
+    } else {
+      pass('domain', `Signed for ${payload.domain}`);
+    }
+  }
+
+  // The signature needs a usable header
+  if (!checks.some(({ check, ok }) => !ok && ['header', 'type', 'key'].includes(check))) {
+    const signature = Uint8Array.from(Buffer.from(/** @type {string} */ (association.signature), 'base64url'));
+    if (signature.length !== SIGNATURE_LENGTHS[header.type]) {
+      fail('signature', 'malformed_signature',
+        `A ${header.type} signature is ${SIGNATURE_LENGTHS[header.type]} bytes (got ${signature.length})`);
+    } else {
+      try {
+        const { valid, recoveredAddress } = await verifyAccountAssociationSignature(
+          /** @type {{ header: string, payload: string, signature: string }} */ (association)
+        );
+        if (recoveredAddress) decoded.recoveredAddress = recoveredAddress;
+        if (valid) pass('signature', 'Signature is valid');
+        else fail('signature', 'invalid_signature', recoveredAddress
+          ? `Signature recovers to ${recoveredAddress}, not ${header.key}`
+          : 'Signature does not verify against the app key');
+      } catch (error) {
+        fail('signature', 'malformed_signature', `Signature could not be checked: ${error.message}`);
+      }
+    }
+  }
+
+  return result();
+}
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  bytesToHex,
+  custodyAddress,
+  privateKeySigner,
+  recoverPersonalMessageAddress,
+  signAccountAssociation,
+  signPersonalMessage,
+  verifyAccountAssociation
+} from './account-association.js';
+
+/**
+ * Account association signing tests, against published vectors: the
+ * web3.js accounts.sign example for personal_sign and RFC 8032 test 1 for
+ * Ed25519
+ */
+
+const WEB3_PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const WEB3_ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+const WEB3_SIGNATURE = 'b91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd' +
+  '6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c';
+
+const RFC8032_SECRET = '0x9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60';
+const RFC8032_PUBLIC_KEY = '0xd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a';
+const RFC8032_SIGNATURE = 'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e06522490155' +
+  '5fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b';
+
+const OTHER_KEY = '0x' + '11'.repeat(32);
+const DOMAIN = 'miniapp.example';
+
+const KEYS = { custody: WEB3_PRIVATE_KEY, app_key: RFC8032_SECRET };
+const LABELS = { custody: 'a custody', app_key: 'an app key' };
+
+function failedChecks(result) {
+  return result.checks.filter(({ ok }) => !ok).map(({ check, code }) => `${check}:${code}`);
+}
+
+test('matches the web3.js personal_sign vector', () => {
+  assert.equal(custodyAddress(WEB3_PRIVATE_KEY), WEB3_ADDRESS);
+
+  const signature = signPersonalMessage('Some data', WEB3_PRIVATE_KEY);
+  assert.equal(bytesToHex(signature), WEB3_SIGNATURE);
+  assert.equal(recoverPersonalMessageAddress('Some data', signature), WEB3_ADDRESS);
+});
+
+test('matches the RFC 8032 Ed25519 vector', async () => {
+  const signer = await privateKeySigner(RFC8032_SECRET, 'app_key');
+
+  assert.equal(signer.key, RFC8032_PUBLIC_KEY);
+  assert.equal(bytesToHex(await signer.sign('')), RFC8032_SIGNATURE);
+});
+
+for (const type of ['custody', 'app_key']) {
+  test(`verifies ${LABELS[type]} association it signed`, async () => {
+    const association = await signAccountAssociation({ fid: 3621, domain: DOMAIN, privateKey: KEYS[type], type });
+    const result = await verifyAccountAssociation(association, { domain: DOMAIN });
+
+    assert.deepEqual(failedChecks(result), []);
+    assert.equal(result.valid, true);
+    assert.equal(result.fid, 3621);
+    assert.equal(result.type, type);
+    assert.equal(result.domain, DOMAIN);
+    if (type === 'custody') {
+      assert.equal(result.key, WEB3_ADDRESS);
+      assert.equal(result.recoveredAddress, WEB3_ADDRESS);
+    } else {
+      assert.equal(result.key, RFC8032_PUBLIC_KEY);
+    }
+  });
+
+  test(`rejects ${LABELS[type]} signature made by another key`, async () => {
+    const { key } = await privateKeySigner(KEYS[type], type);
+    const other = await privateKeySigner(OTHER_KEY, type);
+    const association = await signAccountAssociation({ fid: 3621, domain: DOMAIN, signer: { ...other, key } });
+
+    const result = await verifyAccountAssociation(association);
+    assert.equal(result.valid, false);
+    assert.deepEqual(failedChecks(result), ['signature:invalid_signature']);
+    if (type === 'custody') {
+      assert.equal(result.recoveredAddress, custodyAddress(OTHER_KEY));
+    }
+  });
+
+  test(`rejects ${LABELS[type]} association whose payload was changed`, async () => {
+    const association = await signAccountAssociation({ fid: 3621, domain: DOMAIN, privateKey: KEYS[type], type });
+    const tampered = {
+      ...association,
+      payload: btoa(JSON.stringify({ domain: 'evil.example' }))
+    };
+
+    const result = await verifyAccountAssociation(tampered, { domain: DOMAIN });
+    assert.equal(result.valid, false);
+    assert.deepEqual(failedChecks(result), ['domain:domain_mismatch', 'signature:invalid_signature']);
+  });
+}
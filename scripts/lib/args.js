@@ -0,0 +1,26 @@
+/**
+ * Command-line Arguments
+ *
+ * The flag parsing every script in scripts/ shares: `--name value` pairs
+ * and bare `--flag`s, with no short options or `--name=value` forms.
+ */
+
+/**
+ * Parses `--name value` pairs and bare `--flag`s from argv; a flag followed
+ * by another flag, or last, is `true`
+ *
+ * @param {string[]} argv
+ * @returns {Record<string, string | true>}
+ */
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
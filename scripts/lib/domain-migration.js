@@ -0,0 +1,126 @@
+import { signAccountAssociation, signedDomain } from './account-association.js';
+import { isNonInteractive, keySourceFromEnv, loadSigner } from './signing-keys.js';
+
+/**
+ * Manifest Domain Migration
+ *
+ * Moves a manifest to a new domain: every absolute URL on the old app host
+ * (homeUrl's host, the signed domain, or the your-domain.com placeholder)
+ * is rewritten, URLs on other hosts such as the function router's
+ * webhookUrl are left alone, and the account association is re-signed when
+ * a key is available or reported when it no longer matches. Shared by
+ * generate-meta-config.js, generate-farcaster-auth.js and
+ * generate-flux-images.js.
+ */
+
+const PLACEHOLDER_HOSTS = ['your-domain.com'];
+
+/**
+ * Strips the protocol and trailing slashes from a domain
+ */
+export function cleanDomain(domain) {
+  return domain?.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+function hostOf(url) {
+  return typeof url === 'string' && URL.canParse(url) ? new URL(url).host : undefined;
+}
+
+/**
+ * Rewrites absolute URLs on any of `fromHosts` to https://`domain`, at any
+ * depth of `value`. Returns the rewritten copy and a `{ field, from, to }`
+ * entry per changed URL.
+ *
+ * @template T
+ * @param {T} value
+ * @param {string[]} fromHosts
+ * @param {string} domain
+ * @returns {{ value: T, changes: { field: string, from: string, to: string }[] }}
+ */
+export function rewriteUrls(value, fromHosts, domain, field = '') {
+  const changes = [];
+  const hosts = fromHosts.filter((host) => host && host !== domain);
+
+  const rewrite = (current, path) => {
+    if (typeof current === 'string') {
+      if (!/^https?:\/\//.test(current) || !hosts.includes(hostOf(current))) {
+        return current;
+      }
+      const url = new URL(current);
+      const next = `https://${domain}${url.pathname === '/' && !current.endsWith('/') ? '' : url.pathname}${url.search}${url.hash}`;
+      changes.push({ field: path, from: current, to: next });
+      return next;
+    }
+    if (Array.isArray(current)) {
+      return current.map((item, i) => rewrite(item, `${path}[${i}]`));
+    }
+    if (current && typeof current === 'object') {
+      return Object.fromEntries(
+        Object.entries(current).map(([key, item]) => [key, rewrite(item, path ? `${path}.${key}` : key)])
+      );
+    }
+    return current;
+  };
+
+  return { value: rewrite(value, field), changes };
+}
+
+/**
+ * Hosts a manifest currently lives on
+ */
+export function manifestHosts(manifest) {
+  const miniapp = manifest.miniapp ?? manifest.frame ?? {};
+  const signed = manifest.accountAssociation?.payload ? signedDomain(manifest.accountAssociation) : null;
+  return [...new Set([hostOf(miniapp.homeUrl), signed, ...PLACEHOLDER_HOSTS].filter(Boolean))];
+}
+
+/**
+ * Signing options from FARCASTER_FID and the key source the environment
+ * configures (see lib/signing-keys.js), or null when either is missing or
+ * the key would need a prompt
+ *
+ * @returns {{ fid: number, keySource: import('./signing-keys.js').KeySource } | null}
+ */
+export function signerFromEnv(env = process.env) {
+  const fid = parseInt(env.FARCASTER_FID);
+  const keySource = keySourceFromEnv(env);
+  if (isNaN(fid) || !keySource || !isNonInteractive(keySource)) {
+    return null;
+  }
+  return { fid, keySource };
+}
+
+/**
+ * Moves a full farcaster.json to `domain`. With `signer`, an association
+ * signed for another domain is replaced; without one it is kept and
+ * reported in `warnings`.
+ *
+ * @param {Record<string, any>} manifest
+ * @param {string} domain
+ * @param {{ signer?: ReturnType<typeof signerFromEnv>, fromHosts?: string[] }} [options]
+ */
+export async function migrateManifestDomain(manifest, domain, { signer, fromHosts = manifestHosts(manifest) } = {}) {
+  const target = cleanDomain(domain);
+  const warnings = [];
+  const { accountAssociation, ...rest } = manifest;
+  const { value, changes } = rewriteUrls(rest, fromHosts, target);
+  const migrated = { accountAssociation, ...value };
+
+  const signed = accountAssociation?.payload ? signedDomain(accountAssociation) : null;
+  if (signed !== target) {
+    if (signer) {
+      migrated.accountAssociation = await signAccountAssociation({
+        fid: signer.fid,
+        domain: target,
+        signer: await loadSigner(signer.keySource, { prompt: null }),
+      });
+      changes.push({ field: 'accountAssociation', from: signed ?? '(unsigned)', to: target });
+    } else {
+      warnings.push(signed
+        ? `The accountAssociation is signed for ${signed}, not ${target}; re-sign with node scripts/generate-farcaster-auth.js`
+        : `The manifest is not signed for ${target}; run node scripts/generate-farcaster-auth.js`);
+    }
+  }
+
+  return { manifest: migrated, changes, warnings };
+}
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { custodyAddress, signAccountAssociation, verifyAccountAssociation } from './account-association.js';
+import { cleanDomain, manifestHosts, migrateManifestDomain, rewriteUrls, signerFromEnv } from './domain-migration.js';
+
+/**
+ * Moving a manifest between domains: which URLs are rewritten, and when the
+ * account association is re-signed or only reported
+ */
+
+const PRIVATE_KEY = '0x' + '42'.repeat(32);
+const OLD = 'old.example';
+const NEW = 'new.example';
+
+async function manifest({ signedFor = OLD } = {}) {
+  return {
+    accountAssociation: signedFor
+      ? await signAccountAssociation({ fid: 3621, domain: signedFor, privateKey: PRIVATE_KEY })
+      : {},
+    miniapp: {
+      version: '1',
+      name: 'old.example app',
+      homeUrl: `https://${OLD}`,
+      iconUrl: `https://${OLD}/images/icon.png?v=2#top`,
+      screenshotUrls: [`https://${OLD}/images/one.png`, 'https://cdn.example/two.png'],
+      webhookUrl: 'https://api.deno.dev/webhook'
+    }
+  };
+}
+
+test('rewrites URLs on the old hosts at any depth', () => {
+  const { value, changes } = rewriteUrls({
+    homeUrl: `http://${OLD}/`,
+    nested: { deep: [{ url: `https://${OLD}/a%20b/?q=1` }, 'https://your-domain.com/images/x.png'] },
+    foreign: ['https://cdn.example/old.example.png', 'https://old.example.evil/'],
+    text: 'see https://old.example',
+    count: 3
+  }, [OLD, 'your-domain.com'], NEW);
+
+  assert.deepEqual(value, {
+    homeUrl: `https://${NEW}/`,
+    nested: { deep: [{ url: `https://${NEW}/a%20b/?q=1` }, `https://${NEW}/images/x.png`] },
+    foreign: ['https://cdn.example/old.example.png', 'https://old.example.evil/'],
+    text: 'see https://old.example',
+    count: 3
+  });
+  assert.deepEqual(changes.map(({ field }) => field), ['homeUrl', 'nested.deep[0].url', 'nested.deep[1]']);
+});
+
+test('keeps bare origins with or without their trailing slash', () => {
+  const { value } = rewriteUrls(
+    [`https://${OLD}`, `https://${OLD}/`, `https://${OLD}?ref=cast`, `https://${OLD}:8443`],
+    [OLD],
+    NEW
+  );
+
+  // old.example:8443 is another host
+  assert.deepEqual(value, [`https://${NEW}`, `https://${NEW}/`, `https://${NEW}?ref=cast`, `https://${OLD}:8443`]);
+  assert.deepEqual(rewriteUrls([`https://${NEW}/x`], [NEW], NEW).changes, []);
+  assert.equal(cleanDomain(`https://${NEW}//`), NEW);
+});
+
+test('moves a manifest from its homeUrl host and signed domain', async () => {
+  const source = await manifest();
+  source.miniapp.homeUrl = 'https://your-domain.com';
+  assert.deepEqual(manifestHosts(source), ['your-domain.com', OLD]);
+
+  const { manifest: migrated, changes } = await migrateManifestDomain(source, `https://${NEW}/`);
+  assert.equal(migrated.miniapp.homeUrl, `https://${NEW}`);
+  assert.equal(migrated.miniapp.iconUrl, `https://${NEW}/images/icon.png?v=2#top`);
+  assert.deepEqual(migrated.miniapp.screenshotUrls, [`https://${NEW}/images/one.png`, 'https://cdn.example/two.png']);
+  assert.equal(migrated.miniapp.webhookUrl, 'https://api.deno.dev/webhook');
+  assert.equal(migrated.miniapp.name, 'old.example app');
+  assert.deepEqual(changes.map(({ field }) => field), [
+    'miniapp.homeUrl',
+    'miniapp.iconUrl',
+    'miniapp.screenshotUrls[0]'
+  ]);
+});
+
+test('reports a stale signature when there is no signer', async () => {
+  const signed = await manifest();
+  const { manifest: migrated, changes, warnings } = await migrateManifestDomain(signed, NEW);
+  assert.deepEqual(migrated.accountAssociation, signed.accountAssociation);
+  assert.ok(!changes.some(({ field }) => field === 'accountAssociation'));
+  assert.deepEqual(warnings, [
+    `The accountAssociation is signed for ${OLD}, not ${NEW}; re-sign with node scripts/generate-farcaster-auth.js`
+  ]);
+
+  const unsigned = await migrateManifestDomain(await manifest({ signedFor: null }), NEW);
+  assert.deepEqual(unsigned.manifest.accountAssociation, {});
+  assert.deepEqual(unsigned.warnings, [`The manifest is not signed for ${NEW}; run node scripts/generate-farcaster-auth.js`]);
+
+  const current = await migrateManifestDomain(await manifest({ signedFor: NEW }), NEW);
+  assert.deepEqual(current.warnings, []);
+});
+
+test('re-signs for the new domain with a signer', async () => {
+  const signer = signerFromEnv({ FARCASTER_FID: '3621', FARCASTER_PRIVATE_KEY: PRIVATE_KEY });
+  assert.equal(signer.fid, 3621);
+
+  const { manifest: migrated, changes, warnings } = await migrateManifestDomain(await manifest(), NEW, { signer });
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(changes.at(-1), { field: 'accountAssociation', from: OLD, to: NEW });
+  const result = await verifyAccountAssociation(migrated.accountAssociation, { domain: NEW });
+  assert.equal(result.valid, true);
+  assert.equal(result.key, custodyAddress(PRIVATE_KEY));
+
+  // Already signed for the domain: kept as is
+  const current = await manifest({ signedFor: NEW });
+  const unchanged = await migrateManifestDomain(current, NEW, { signer });
+  assert.deepEqual(unchanged.manifest.accountAssociation, current.accountAssociation);
+  assert.ok(!unchanged.changes.some(({ field }) => field === 'accountAssociation'));
+});
+
+test('signs only with a FID and a key that needs no prompt', () => {
+  assert.equal(signerFromEnv({ FARCASTER_PRIVATE_KEY: PRIVATE_KEY }), null);
+  assert.equal(signerFromEnv({ FARCASTER_FID: '3621' }), null);
+  assert.equal(signerFromEnv({ FARCASTER_FID: '3621', FARCASTER_KEYSTORE: 'key.json' }), null);
+  assert.equal(
+    signerFromEnv({ FARCASTER_FID: '3621', FARCASTER_KEYSTORE: 'key.json', FARCASTER_KEYSTORE_PASSWORD: 'hunter22' })?.keySource.kind,
+    'keystore'
+  );
+});
@@ -0,0 +1,155 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { IMAGE_KINDS } from './image-versions.js';
+
+/**
+ * Image Candidates
+ *
+ * With --variants N, generate-flux-images.js generates N candidates per
+ * image into .cache/images/candidates/ instead of public/images, together
+ * with candidates.json and contact-sheet.html, a page showing them side by
+ * side with their prompts. Picking one per image (at the prompt, or later
+ * with --pick icon=2,embed=1,splash=3) saves that set as a new version and
+ * only then updates farcaster.json. Each run replaces the previous
+ * candidates.
+ */
+
+export const CANDIDATES_DIR = '.cache/images/candidates';
+export const CANDIDATES_FILENAME = 'candidates.json';
+export const CONTACT_SHEET_FILENAME = 'contact-sheet.html';
+
+/**
+ * @typedef {object} CandidateRun
+ * @property {string} createdAt ISO timestamp
+ * @property {string} appName
+ * @property {string} provider
+ * @property {string} filePrefix
+ * @property {string} model
+ * @property {Record<'icon' | 'embed' | 'splash', { prompt: string, negativePrompt?: string, files: string[] }>} images
+ */
+
+/**
+ * Writes the candidates, candidates.json and the contact sheet into `dir`,
+ * after removing the previous run's
+ *
+ * @param {string} dir
+ * @param {Omit<CandidateRun, 'images'> & { images: Record<string, { prompt: string, negativePrompt?: string, data: Buffer[] }> }} run
+ * @returns {CandidateRun}
+ */
+export function saveCandidates(dir, { images, ...run }) {
+  rmSync(dir, { recursive: true, force: true });
+  mkdirSync(dir, { recursive: true });
+
+  const saved = { ...run, images: {} };
+  for (const kind of IMAGE_KINDS) {
+    const { data, ...prompts } = images[kind];
+    const files = data.map((image, i) => {
+      const file = `${kind}-${i + 1}.png`;
+      writeFileSync(join(dir, file), image);
+      return file;
+    });
+    saved.images[kind] = { ...prompts, files };
+  }
+
+  writeFileSync(join(dir, CANDIDATES_FILENAME), JSON.stringify(saved, null, 2) + '\n', 'utf-8');
+  writeFileSync(join(dir, CONTACT_SHEET_FILENAME), renderContactSheet(saved), 'utf-8');
+  return saved;
+}
+
+/**
+ * The last run's candidates.json, or null
+ *
+ * @returns {CandidateRun | null}
+ */
+export function loadCandidates(dir) {
+  const path = join(dir, CANDIDATES_FILENAME);
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+}
+
+/**
+ * Reads a pick: `icon=2,embed=1,splash=3`, or one number for all three.
+ * Numbers start at 1.
+ *
+ * @param {string} value
+ * @param {CandidateRun} run
+ * @returns {Record<'icon' | 'embed' | 'splash', number>}
+ */
+export function parsePick(value, run) {
+  const picks = /^\d+$/.test(value.trim())
+    ? Object.fromEntries(IMAGE_KINDS.map((kind) => [kind, Number(value)]))
+    : Object.fromEntries(value.split(',').map((part) => part.split('=').map((item) => item.trim())).map(([kind, n]) => [kind, Number(n)]));
+
+  for (const kind of IMAGE_KINDS) {
+    const count = run.images[kind].files.length;
+    if (!Number.isInteger(picks[kind]) || picks[kind] < 1 || picks[kind] > count) {
+      throw new Error(`--pick needs a ${kind} candidate from 1 to ${count}, e.g. --pick icon=1,embed=1,splash=1`);
+    }
+  }
+  return /** @type {Record<'icon' | 'embed' | 'splash', number>} */ (picks);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Display widths; the files keep their full size
+const THUMBNAIL_WIDTHS = { icon: 160, embed: 300, splash: 160 };
+
+/**
+ * contact-sheet.html: every candidate per image, selectable, with the
+ * --pick command for the selection
+ *
+ * @param {CandidateRun} run
+ */
+export function renderContactSheet(run) {
+  const sections = IMAGE_KINDS.map((kind) => {
+    const { prompt, negativePrompt, files } = run.images[kind];
+    const candidates = files.map((file, i) => `
+      <label class="candidate">
+        <input type="radio" name="${kind}" value="${i + 1}"${i === 0 ? ' checked' : ''}>
+        <img src="${escapeHtml(file)}" width="${THUMBNAIL_WIDTHS[kind]}" alt="${kind} ${i + 1}">
+        <span>${kind} ${i + 1}</span>
+      </label>`).join('');
+    return `
+  <section>
+    <h2>${kind}</h2>
+    <p class="prompt">${escapeHtml(prompt)}</p>
+    ${negativePrompt ? `<p class="prompt">Negative: ${escapeHtml(negativePrompt)}</p>` : ''}
+    <div class="candidates">${candidates}
+    </div>
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(run.appName)} image candidates</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; background: #f5f5f5; }
+    .prompt { color: #555; max-width: 60rem; }
+    .candidates { display: flex; flex-wrap: wrap; gap: 1rem; }
+    .candidate { display: flex; flex-direction: column; align-items: center; gap: 0.5rem; padding: 0.5rem; border: 3px solid transparent; border-radius: 8px; background: #fff; cursor: pointer; }
+    .candidate:has(input:checked) { border-color: #0ea5e9; }
+    .candidate input { display: none; }
+    pre { padding: 1rem; background: #111; color: #fff; border-radius: 8px; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(run.appName)}</h1>
+  <p>${escapeHtml(run.provider)} (${escapeHtml(run.model)}), ${escapeHtml(run.createdAt)}. Pick one of each, then run:</p>
+  <pre id="command"></pre>
+  ${sections}
+  <script>
+    const kinds = ${JSON.stringify(IMAGE_KINDS)};
+    function update() {
+      const pick = kinds.map((kind) => kind + '=' + document.querySelector('input[name="' + kind + '"]:checked').value).join(',');
+      document.getElementById('command').textContent = 'node scripts/generate-flux-images.js --pick ' + pick;
+    }
+    document.addEventListener('change', update);
+    update();
+  </script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { loadCandidates, parsePick, saveCandidates } from './image-candidates.js';
+
+/**
+ * Saving --variants candidates with their contact sheet, and reading --pick
+ */
+
+const RUN = {
+  createdAt: '2026-01-02T03:04:05.000Z',
+  appName: 'Tips & <Tricks>',
+  provider: 'offline',
+  filePrefix: 'offline',
+  model: 'offline (test)'
+};
+
+function candidates(counts = { icon: 3, embed: 2, splash: 1 }) {
+  return {
+    ...RUN,
+    images: Object.fromEntries(Object.entries(counts).map(([kind, count]) => [kind, {
+      prompt: `A "${kind}" prompt`,
+      negativePrompt: kind === 'icon' ? 'blurry' : undefined,
+      data: Array.from({ length: count }, (_, i) => new TextEncoder().encode(`${kind} ${i + 1}`))
+    }]))
+  };
+}
+
+test('reads one number for all images or one per image', () => {
+  const run = { images: { icon: { files: ['a', 'b', 'c'] }, embed: { files: ['a', 'b'] }, splash: { files: ['a', 'b'] } } };
+
+  assert.deepEqual(parsePick('2', run), { icon: 2, embed: 2, splash: 2 });
+  assert.deepEqual(parsePick(' icon=3, embed = 1,splash=2 ', run), { icon: 3, embed: 1, splash: 2 });
+
+  for (const [pick, kind, count] of [
+    ['3', 'embed', 2],
+    ['0', 'icon', 3],
+    ['icon=1,embed=1', 'splash', 2],
+    ['icon=x,embed=1,splash=1', 'icon', 3],
+    ['icon=1.5,embed=1,splash=1', 'icon', 3],
+    ['', 'icon', 3]
+  ]) {
+    assert.throws(
+      () => parsePick(pick, run),
+      new RegExp(`^Error: --pick needs a ${kind} candidate from 1 to ${count}, e\\.g\\. --pick icon=1,embed=1,splash=1$`),
+      pick
+    );
+  }
+});
+
+test('saves candidates, candidates.json and the contact sheet, replacing the last run', (t) => {
+  const tempDir = mkdtempSync(join(tmpdir(), 'candidates-'));
+  t.after(() => rmSync(tempDir, { recursive: true, force: true }));
+  const dir = join(tempDir, 'candidates');
+  assert.equal(loadCandidates(dir), null);
+
+  saveCandidates(dir, candidates({ icon: 4, embed: 4, splash: 4 }));
+  writeFileSync(join(dir, 'notes.txt'), 'stale');
+  const saved = saveCandidates(dir, candidates());
+
+  assert.deepEqual(saved.images.icon, { prompt: 'A "icon" prompt', negativePrompt: 'blurry', files: ['icon-1.png', 'icon-2.png', 'icon-3.png'] });
+  assert.deepEqual(saved.images.splash.files, ['splash-1.png']);
+  assert.deepEqual(readdirSync(dir).sort(), [
+    'candidates.json', 'contact-sheet.html',
+    'embed-1.png', 'embed-2.png',
+    'icon-1.png', 'icon-2.png', 'icon-3.png',
+    'splash-1.png'
+  ]);
+  assert.equal(existsSync(join(dir, 'icon-4.png')), false);
+  assert.deepEqual(loadCandidates(dir), JSON.parse(JSON.stringify(saved)));
+
+  const html = readFileSync(join(dir, 'contact-sheet.html'), 'utf-8');
+  assert.match(html, /<title>Tips &#38; &#60;Tricks&#62; image candidates<\/title>/);
+  assert.match(html, /A &#34;embed&#34; prompt/);
+  assert.match(html, /Negative: blurry/);
+  assert.equal(html.match(/<input type="radio" name="icon"/g).length, 3);
+  assert.match(html, /<input type="radio" name="embed" value="1" checked>/);
+  assert.ok(!html.includes('<Tricks>'));
+});
@@ -0,0 +1,182 @@
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import sharp from 'sharp';
+import { sceneToSvg, textScene } from './offline-images.js';
+
+/**
+ * Image Post-Processing
+ *
+ * Turns whatever an image provider (or --from) returns into the files
+ * Farcaster clients expect: each image is turned upright, center-cropped
+ * and resized to its exact size, re-encoded as PNG without its metadata
+ * (EXIF, ICC, XMP) and checked against its file-size limit, trying
+ * smaller palette encodings before giving up. Icons are flattened onto
+ * the splash color, since clients reject icons with transparency.
+ *
+ * The processed icon also yields the web app's own icons in public/:
+ * favicon.ico, Apple touch icons and the logo-light.png / logo-dark.png
+ * wordmarks.
+ */
+
+/**
+ * Exact sizes from the Farcaster Mini App spec. The embed limit is the
+ * spec's; icons and splash images load on every launch, so they get 1 MB.
+ */
+export const ASSET_SPECS = {
+  icon: { width: 1024, height: 1024, maxBytes: 1024 * 1024, opaque: true },
+  embed: { width: 1200, height: 800, maxBytes: 10 * 1024 * 1024 },
+  splash: { width: 200, height: 200, maxBytes: 1024 * 1024 }
+};
+
+// Lossless first, then palettes of fewer colors
+const PNG_ENCODINGS = [
+  { compressionLevel: 9, adaptiveFiltering: true },
+  { compressionLevel: 9, palette: true, quality: 90 },
+  { compressionLevel: 9, palette: true, quality: 70, colours: 128 }
+];
+
+export const FAVICON_SIZES = [16, 32, 48];
+
+export const APPLE_TOUCH_ICONS = [
+  { size: 180, filename: 'apple-touch-icon.png' },
+  { size: 167, filename: 'apple-touch-icon-167x167.png' },
+  { size: 152, filename: 'apple-touch-icon-152x152.png' }
+];
+
+// Same size as the Remix template's logos, which app pages may still use
+const LOGO_SIZE = { width: 434, height: 144 };
+
+export const LOGOS = [
+  { filename: 'logo-light.png', color: '#111111' },
+  { filename: 'logo-dark.png', color: '#ffffff' }
+];
+
+/**
+ * Size to ask a provider for: the asset's size rounded up to a multiple
+ * of 16, which FLUX requires; processImage() crops it back
+ */
+export function generationSize({ width, height }) {
+  return { width: Math.ceil(width / 16) * 16, height: Math.ceil(height / 16) * 16 };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(0)} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Crops, resizes and re-encodes an icon, embed or splash image
+ *
+ * @param {Buffer} input PNG, JPEG, WebP or any other format sharp reads
+ * @param {'icon' | 'embed' | 'splash'} kind
+ * @param {{ backgroundColor?: string }} [options] Color icons are flattened onto
+ * @returns {Promise<{ data: Buffer, width: number, height: number, original: { format?: string, width?: number, height?: number, bytes: number } }>}
+ */
+export async function processImage(input, kind, { backgroundColor } = {}) {
+  const spec = ASSET_SPECS[kind];
+  const metadata = await sharp(input).metadata();
+
+  // rotate() applies the EXIF orientation; output drops all metadata
+  let pipeline = sharp(input).rotate().resize(spec.width, spec.height, { fit: 'cover', position: 'centre' });
+  if (spec.opaque) {
+    pipeline = pipeline.flatten({ background: backgroundColor || '#ffffff' });
+  }
+
+  let data;
+  for (const encoding of PNG_ENCODINGS) {
+    data = await pipeline.clone().png(encoding).toBuffer();
+    if (data.length <= spec.maxBytes) {
+      return {
+        data,
+        width: spec.width,
+        height: spec.height,
+        original: { format: metadata.format, width: metadata.width, height: metadata.height, bytes: input.length }
+      };
+    }
+  }
+  throw new Error(`The ${kind} image is still ${formatBytes(data.length)} after compression; the limit is ${formatBytes(spec.maxBytes)}`);
+}
+
+/**
+ * An ICO file holding PNG images, which every current browser reads
+ *
+ * @param {{ size: number, data: Buffer }[]} images
+ */
+export function encodeIco(images) {
+  const header = Buffer.alloc(6 + images.length * 16);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length;
+  images.forEach(({ size, data }, i) => {
+    const entry = 6 + i * 16;
+    // 0 means 256 pixels
+    header[entry] = size >= 256 ? 0 : size;
+    header[entry + 1] = size >= 256 ? 0 : size;
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+
+  return Buffer.concat([header, ...images.map(({ data }) => data)]);
+}
+
+async function resizedPng(icon, size) {
+  return sharp(icon).resize(size, size).png({ compressionLevel: 9 }).toBuffer();
+}
+
+/**
+ * The icon with rounded corners at the left, the app name in `color` to
+ * its right, on a transparent background
+ */
+async function renderLogo(icon, { appName, color, font }) {
+  const { width, height } = LOGO_SIZE;
+  const side = Math.round(height * 0.75);
+  const margin = Math.round((height - side) / 2);
+  const corners = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${side}" height="${side}"><rect width="${side}" height="${side}" rx="${side * 0.22}"/></svg>`);
+  const roundedIcon = await sharp(icon).resize(side, side).ensureAlpha()
+    .composite([{ input: corners, blend: 'dest-in' }]).png().toBuffer();
+
+  const textLeft = margin + side + margin;
+  const text = sceneToSvg(textScene({ width: width - textLeft - margin, height, text: appName, color, font }));
+
+  return sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([
+      { input: roundedIcon, left: margin, top: margin },
+      { input: Buffer.from(text), left: textLeft, top: 0 }
+    ])
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Writes favicon.ico, the Apple touch icons and, when a font is given, the
+ * logo wordmarks into `publicDir`, replacing any there
+ *
+ * @param {Buffer} icon The processed icon
+ * @param {{ publicDir: string, appName: string, font?: ReturnType<typeof import('./offline-images.js').loadFont> | null }} options
+ * @returns {Promise<string[]>} The files written, relative to publicDir
+ */
+export async function deriveSiteIcons(icon, { publicDir, appName, font }) {
+  const written = [];
+  const write = (filename, data) => {
+    writeFileSync(join(publicDir, filename), data);
+    written.push(filename);
+  };
+
+  const favicons = await Promise.all(FAVICON_SIZES.map(async (size) => ({ size, data: await resizedPng(icon, size) })));
+  write('favicon.ico', encodeIco(favicons));
+
+  for (const { size, filename } of APPLE_TOUCH_ICONS) {
+    write(filename, await resizedPng(icon, size));
+  }
+
+  if (font) {
+    for (const { filename, color } of LOGOS) {
+      write(filename, await renderLogo(icon, { appName, color, font }));
+    }
+  }
+
+  return written;
+}
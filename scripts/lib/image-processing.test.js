@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import sharp from 'sharp';
+import { APPLE_TOUCH_ICONS, ASSET_SPECS, deriveSiteIcons, encodeIco, FAVICON_SIZES, processImage } from './image-processing.js';
+import { findSystemFont, loadFont } from './offline-images.js';
+
+/**
+ * Cropping, compression and metadata stripping on images generated with
+ * sharp, and the site icons derived from the processed icon
+ */
+
+/**
+ * A `width` x `height` PNG in three vertical stripes: red, blue, green
+ */
+function stripes(width, height, { alpha = false } = {}) {
+  const third = Math.round(width / 3);
+  const stripe = (color, left) => ({
+    input: { create: { width: third, height, channels: 4, background: color } },
+    left,
+    top: 0
+  });
+  return sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: alpha ? 0 : 1 } } })
+    .composite([
+      stripe('#ff0000', 0),
+      stripe(alpha ? { r: 0, g: 0, b: 0, alpha: 0 } : '#0000ff', third),
+      stripe('#00ff00', width - third)
+    ])
+    .png()
+    .toBuffer();
+}
+
+async function pixel(png, x, y) {
+  const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+  const index = (y * info.width + x) * info.channels;
+  return [...data.subarray(index, index + info.channels)];
+}
+
+test('crops each image from the centre to its exact size', async () => {
+  const input = await stripes(1500, 500);
+
+  for (const kind of ['icon', 'embed', 'splash']) {
+    const { data, width, height, original } = await processImage(input, kind);
+    const metadata = await sharp(data).metadata();
+
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['png', ASSET_SPECS[kind].width, ASSET_SPECS[kind].height], kind);
+    assert.deepEqual([width, height], [ASSET_SPECS[kind].width, ASSET_SPECS[kind].height]);
+    assert.deepEqual(original, { format: 'png', width: 1500, height: 500, bytes: input.length });
+    // The square crops keep only the middle stripe
+    const edge = await pixel(data, Math.round(width * 0.05), height / 2);
+    assert.deepEqual(edge.slice(0, 3), kind === 'embed' ? [255, 0, 0] : [0, 0, 255], kind);
+  }
+});
+
+test('flattens icons onto the background color', async () => {
+  const { data } = await processImage(await stripes(300, 300, { alpha: true }), 'icon', { backgroundColor: '#0ea5e9' });
+  const metadata = await sharp(data).metadata();
+
+  assert.equal(metadata.hasAlpha, false);
+  assert.deepEqual(await pixel(data, 512, 512), [14, 165, 233]);
+});
+
+test('falls back to palettes to fit the size limit, or fails', async (t) => {
+  const noise = await sharp(randomBytes(200 * 200 * 3), { raw: { width: 200, height: 200, channels: 3 } }).png().toBuffer();
+  const { maxBytes } = ASSET_SPECS.splash;
+  t.after(() => { ASSET_SPECS.splash.maxBytes = maxBytes; });
+
+  const lossless = await processImage(noise, 'splash');
+  assert.equal((await sharp(lossless.data).metadata()).isPalette, false);
+
+  // Noise barely compresses losslessly
+  ASSET_SPECS.splash.maxBytes = Math.round(lossless.data.length * 0.8);
+  const { data } = await processImage(noise, 'splash');
+  assert.ok(data.length <= ASSET_SPECS.splash.maxBytes, `${data.length} bytes`);
+  assert.equal((await sharp(data).metadata()).isPalette, true);
+
+  ASSET_SPECS.splash.maxBytes = 1024;
+  await assert.rejects(processImage(noise, 'splash'), /^Error: The splash image is still \d+ KB after compression; the limit is 1 KB$/);
+});
+
+test('applies the EXIF orientation and strips metadata', async () => {
+  // 600x400 as stored, 400x600 as displayed; red on the left as displayed
+  const photo = await sharp(await stripes(400, 600))
+    .rotate(-90)
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Someone', Artist: 'Someone' } } })
+    .toBuffer();
+  const before = await sharp(photo).metadata();
+  assert.equal(before.orientation, 6);
+  assert.ok(before.exif);
+
+  const { data, original } = await processImage(photo, 'embed');
+  const after = await sharp(data).metadata();
+
+  assert.equal(original.format, 'jpeg');
+  assert.equal(after.exif, undefined);
+  assert.equal(after.orientation, undefined);
+  assert.equal(after.icc, undefined);
+  const [r, g, b] = await pixel(data, 600, 10);
+  assert.ok(b > 200 && r < 60 && g < 60, `the middle of the upright photo is blue (got ${r},${g},${b})`);
+});
+
+test('writes favicon.ico, the Apple touch icons and the logos', async (t) => {
+  const publicDir = mkdtempSync(join(tmpdir(), 'site-icons-'));
+  t.after(() => rmSync(publicDir, { recursive: true, force: true }));
+  const { data: icon } = await processImage(await stripes(1024, 1024), 'icon');
+  const fontPath = findSystemFont();
+
+  const written = await deriveSiteIcons(icon, { publicDir, appName: 'Test App', font: fontPath && loadFont(fontPath) });
+  assert.deepEqual(written.slice(0, 4), ['favicon.ico', ...APPLE_TOUCH_ICONS.map(({ filename }) => filename)]);
+
+  // ICONDIR, one ICONDIRENTRY per size, then the PNGs
+  const ico = readFileSync(join(publicDir, 'favicon.ico'));
+  assert.deepEqual([ico.readUInt16LE(0), ico.readUInt16LE(2), ico.readUInt16LE(4)], [0, 1, FAVICON_SIZES.length]);
+  for (const [i, size] of FAVICON_SIZES.entries()) {
+    const entry = 6 + i * 16;
+    assert.deepEqual([ico[entry], ico[entry + 1]], [size, size]);
+    const image = ico.subarray(ico.readUInt32LE(entry + 12), ico.readUInt32LE(entry + 12) + ico.readUInt32LE(entry + 8));
+    const metadata = await sharp(image).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['png', size, size]);
+  }
+
+  for (const { size, filename } of APPLE_TOUCH_ICONS) {
+    const metadata = await sharp(readFileSync(join(publicDir, filename))).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [size, size], filename);
+  }
+  if (fontPath) {
+    const logo = await sharp(readFileSync(join(publicDir, 'logo-light.png'))).metadata();
+    assert.deepEqual([logo.width, logo.height, logo.hasAlpha], [434, 144, true]);
+  }
+});
+
+test('encodes 256-pixel ICO entries as 0', () => {
+  const ico = encodeIco([{ size: 256, data: new Uint8Array(4) }]);
+
+  assert.deepEqual([ico[6], ico[7]], [0, 0]);
+  assert.equal(ico.readUInt32LE(6 + 12), 22);
+  assert.equal(ico.length, 26);
+});
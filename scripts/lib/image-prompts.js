@@ -0,0 +1,135 @@
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Image Prompts
+ *
+ * Builds the icon, embed and splash prompts from images.config.js (typed
+ * by shared/images.ts): a template per image, a style preset substituted
+ * for {style}, and brand variables that default to the manifest's name,
+ * tagline and splash color. Negative prompts from the preset, the config
+ * and the template are joined.
+ */
+
+export const IMAGE_CONFIG_PATH = join(__dirname, '../../images.config.js');
+
+export const DEFAULT_STYLE = 'minimal';
+
+export const DEFAULT_NEGATIVE_PROMPT = 'misspelled text, extra letters, watermark, blurry';
+
+/** @type {Record<string, import('../../shared/images').PromptTemplate>} */
+export const STYLE_PRESETS = {
+  minimal: {
+    prompt: 'flat minimalist design on a solid {primaryColor} background, simple shapes, high contrast',
+    negativePrompt: 'photorealistic, clutter, busy background'
+  },
+  gradient: {
+    prompt: 'smooth modern gradient from {primaryColor} to {secondaryColor}, soft glow, clean layout',
+    negativePrompt: 'clutter, noise, harsh edges'
+  },
+  illustrated: {
+    prompt: 'playful flat vector illustration with friendly shapes in {colors}',
+    negativePrompt: 'photorealistic, 3d render'
+  },
+  '3d': {
+    prompt: 'glossy 3D rendered shapes in {colors}, soft studio lighting, subtle shadows',
+    negativePrompt: 'flat, sketch, grainy'
+  }
+};
+
+/** @type {Record<import('../../shared/images').ImageKind, import('../../shared/images').PromptTemplate>} */
+export const DEFAULT_PROMPTS = {
+  icon: {
+    prompt: "Create a clean, minimalist app icon with the text '{name}' in bold, modern typography. Square format, centered text, {style}, professional design suitable for mobile app icon. Clean and readable at small sizes."
+  },
+  embed: {
+    prompt: "Create an attractive social media embed image featuring the text '{name}' in bold, eye-catching typography. 3:2 aspect ratio, {style}, optimized for social feed display. Professional and engaging visual style."
+  },
+  splash: {
+    prompt: "Create a beautiful splash screen image with the text '{name}' in large, bold typography. Square format, centered layout, {style}, professional mobile app splash screen design. Elegant and welcoming visual style."
+  }
+};
+
+/**
+ * Loads images.config.js, or an empty config (built-in prompts) when it
+ * does not exist
+ *
+ * @returns {Promise<import('../../shared/images').ImageConfig>}
+ */
+export async function loadImageConfig(path = IMAGE_CONFIG_PATH) {
+  if (!existsSync(path)) {
+    return {};
+  }
+  const module = await import(pathToFileURL(path).href);
+  return module.default ?? {};
+}
+
+/**
+ * Brand values from the config, falling back to the manifest's `miniapp`
+ *
+ * @param {import('../../shared/images').ImageConfig} config
+ * @param {Record<string, any>} [miniapp]
+ * @returns {{ name: string, tagline: string, colors: string[] }}
+ */
+export function resolveBrand(config, miniapp = {}) {
+  const brand = config.brand ?? {};
+  const name = (brand.name ?? miniapp.name ?? '').trim() || 'Mini App';
+  const colors = brand.colors?.length ? brand.colors : [miniapp.splashBackgroundColor ?? '#0ea5e9'];
+  return { name, tagline: brand.tagline ?? miniapp.tagline ?? miniapp.subtitle ?? '', colors };
+}
+
+/**
+ * Replaces {variable}s in `template`; unknown ones are an error so typos
+ * don't reach the prompt
+ */
+function fillTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, variable) => {
+    if (!(variable in variables)) {
+      throw new Error(`Unknown variable ${match} in an image prompt; use ${Object.keys(variables).map((key) => `{${key}}`).join(', ')}`);
+    }
+    return variables[variable];
+  });
+}
+
+/**
+ * The prompt and negative prompt for one image
+ *
+ * @param {import('../../shared/images').ImageKind} kind
+ * @param {import('../../shared/images').ImageConfig} config
+ * @param {ReturnType<typeof resolveBrand>} brand
+ * @returns {{ prompt: string, negativePrompt: string, style: string }}
+ */
+export function buildPrompt(kind, config, brand) {
+  const styleName = config.style ?? DEFAULT_STYLE;
+  const style = config.styles?.[styleName] ?? STYLE_PRESETS[styleName];
+  if (!style) {
+    throw new Error(`Unknown image style "${styleName}", expected ${[...Object.keys(STYLE_PRESETS), ...Object.keys(config.styles ?? {})].join(', ')}`);
+  }
+
+  const configured = config.prompts?.[kind];
+  const template = typeof configured === 'string' ? { prompt: configured } : (configured ?? DEFAULT_PROMPTS[kind]);
+
+  const variables = {
+    name: brand.name,
+    tagline: brand.tagline,
+    primaryColor: brand.colors[0],
+    secondaryColor: brand.colors[1] ?? brand.colors[0],
+    colors: brand.colors.join(', ')
+  };
+  const stylePrompt = fillTemplate(style.prompt, variables);
+
+  const negativePrompt = [style.negativePrompt, config.negativePrompt ?? DEFAULT_NEGATIVE_PROMPT, template.negativePrompt]
+    .filter(Boolean)
+    .map((text) => fillTemplate(text, variables))
+    .join(', ');
+
+  return {
+    prompt: fillTemplate(template.prompt, { ...variables, style: stylePrompt }),
+    negativePrompt,
+    style: styleName
+  };
+}
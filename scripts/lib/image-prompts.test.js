@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { buildPrompt, DEFAULT_NEGATIVE_PROMPT, loadImageConfig, resolveBrand } from './image-prompts.js';
+
+/**
+ * Prompt templates, style presets and the brand values they are filled with
+ */
+
+const MINIAPP = { name: '  Tip Jar ', subtitle: 'Tips for casters', splashBackgroundColor: '#123456' };
+
+test('takes brand values from the manifest unless configured', () => {
+  assert.deepEqual(resolveBrand({}, MINIAPP), { name: 'Tip Jar', tagline: 'Tips for casters', colors: ['#123456'] });
+  assert.deepEqual(resolveBrand({ brand: { colors: [] } }, { ...MINIAPP, tagline: 'Tip anyone' }), {
+    name: 'Tip Jar',
+    tagline: 'Tip anyone',
+    colors: ['#123456']
+  });
+  assert.deepEqual(resolveBrand({ brand: { name: 'Jar', tagline: '', colors: ['#ff0000', '#00ff00'] } }, MINIAPP), {
+    name: 'Jar',
+    tagline: '',
+    colors: ['#ff0000', '#00ff00']
+  });
+  assert.deepEqual(resolveBrand({}), { name: 'Mini App', tagline: '', colors: ['#0ea5e9'] });
+});
+
+test('fills the default template with the style preset', () => {
+  const { prompt, negativePrompt, style } = buildPrompt('icon', {}, resolveBrand({}, MINIAPP));
+
+  assert.equal(style, 'minimal');
+  assert.match(prompt, /^Create a clean, minimalist app icon with the text 'Tip Jar' in bold/);
+  assert.match(prompt, /, flat minimalist design on a solid #123456 background, simple shapes, high contrast, /);
+  assert.equal(negativePrompt, `photorealistic, clutter, busy background, ${DEFAULT_NEGATIVE_PROMPT}`);
+});
+
+test('substitutes every variable in configured templates', () => {
+  const config = {
+    style: 'gradient',
+    negativePrompt: 'text in {primaryColor}',
+    prompts: {
+      embed: { prompt: '{name}: {tagline} | {primaryColor} {secondaryColor} | {colors} | {style}', negativePrompt: 'no {name}' },
+      splash: 'Just {name}'
+    }
+  };
+  const brand = resolveBrand({ brand: { colors: ['#ff0000', '#00ff00', '#0000ff'] } }, MINIAPP);
+
+  const embed = buildPrompt('embed', config, brand);
+  assert.equal(embed.prompt, 'Tip Jar: Tips for casters | #ff0000 #00ff00 | #ff0000, #00ff00, #0000ff | ' +
+    'smooth modern gradient from #ff0000 to #00ff00, soft glow, clean layout');
+  assert.equal(embed.negativePrompt, 'clutter, noise, harsh edges, text in #ff0000, no Tip Jar');
+  assert.equal(buildPrompt('splash', config, brand).prompt, 'Just Tip Jar');
+
+  // With one color, the gradient runs from it to itself
+  assert.match(buildPrompt('icon', { style: 'gradient' }, resolveBrand({}, MINIAPP)).prompt, /from #123456 to #123456/);
+});
+
+test('uses configured styles and rejects unknown names', () => {
+  const config = { style: 'neon', styles: { neon: { prompt: 'neon {colors} glow' } }, negativePrompt: '' };
+  const { prompt, negativePrompt } = buildPrompt('icon', config, resolveBrand({}, MINIAPP));
+  assert.match(prompt, /, neon #123456 glow, /);
+  assert.equal(negativePrompt, '');
+
+  assert.throws(
+    () => buildPrompt('icon', { prompts: { icon: 'The {nmae} app' } }, resolveBrand({}, MINIAPP)),
+    /^Error: Unknown variable \{nmae\} in an image prompt; use \{name\}, \{tagline\}, \{primaryColor\}, \{secondaryColor\}, \{colors\}, \{style\}$/
+  );
+  assert.throws(
+    () => buildPrompt('icon', { style: 'vaporwave' }, resolveBrand({}, MINIAPP)),
+    /^Error: Unknown image style "vaporwave", expected minimal, gradient, illustrated, 3d$/
+  );
+});
+
+test('loads images.config.js, or nothing when it is missing', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'image-config-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  // .mjs, since the temp directory has no package.json with "type": "module"
+  const path = join(dir, 'images.config.mjs');
+  writeFileSync(path, "export default { style: '3d', brand: { colors: ['#000000'] } };\n");
+
+  assert.deepEqual(await loadImageConfig(path), { style: '3d', brand: { colors: ['#000000'] } });
+  assert.deepEqual(await loadImageConfig(join(dir, 'missing.js')), {});
+});
@@ -0,0 +1,208 @@
+import { existsSync, readFileSync } from 'fs';
+import { basename } from 'path';
+import Together from 'together-ai';
+import { appImageScene, findSystemFont, loadFont, sceneToPng } from './offline-images.js';
+
+/**
+ * Image Providers
+ *
+ * Where generate-flux-images.js gets its icon, embed and splash images:
+ *
+ * - `together`: FLUX.1-schnell-Free on Together AI (TOGETHER_API_KEY)
+ * - `aiml`: FLUX schnell on the AI/ML API (AIML_API_KEY; AIML_IMAGE_MODEL
+ *   picks another model)
+ * - `offline`: draws the app name in a local font on the splash background
+ *   color (lib/offline-images.js); no key or network needed
+ *
+ * With --from, fileImageProvider() stands in for them and returns an
+ * existing image for every asset.
+ *
+ * Each provider's `create()` checks its configuration and returns
+ * `{ model, generate(request) }`, where `generate` resolves to the image
+ * bytes in any format sharp reads; lib/image-processing.js turns them into
+ * PNGs of the exact sizes.
+ */
+
+// FLUX model configuration - using only the free model
+export const FLUX_MODEL = {
+  id: 'black-forest-labs/FLUX.1-schnell-Free',
+  description: 'Free FLUX model for fast generation',
+  defaultSteps: 4,
+  maxSteps: 4
+};
+
+const AIML_API_URL = 'https://api.aimlapi.com/v1/images/generations';
+const AIML_DEFAULT_MODEL = 'flux/schnell';
+
+/**
+ * @typedef {object} ImageRequest
+ * @property {'icon' | 'embed' | 'splash'} kind
+ * @property {string} prompt
+ * @property {string} [negativePrompt]
+ * @property {number} width
+ * @property {number} height
+ * @property {{ appName: string, backgroundColor?: string, colors?: string[] }} app
+ * @property {number} [variant] Candidate number from 0, with --variants
+ */
+
+/**
+ * @typedef {object} ImageProvider
+ * @property {string} name
+ * @property {string} description
+ * @property {string} [apiKeyEnv] Environment variable holding the API key
+ * @property {string} [apiKeyUrl] Where to get one
+ * @property {string} filePrefix Prefix for generated file names
+ * @property {(options: { env: Record<string, string | undefined>, font?: string }) => { model: string, generate: (request: ImageRequest) => Promise<Buffer> }} create
+ */
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+function requireApiKey(provider, env) {
+  const apiKey = env[provider.apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`${provider.apiKeyEnv} is not set; add it to .env or use --provider offline`);
+  }
+  return apiKey;
+}
+
+/** @type {Record<string, ImageProvider>} */
+export const IMAGE_PROVIDERS = {
+  together: {
+    name: 'together',
+    description: 'FLUX.1-schnell-Free on Together AI',
+    apiKeyEnv: 'TOGETHER_API_KEY',
+    apiKeyUrl: 'https://api.together.xyz/settings/api-keys',
+    filePrefix: 'flux',
+    create({ env }) {
+      const together = new Together({ apiKey: requireApiKey(this, env) });
+      return {
+        model: FLUX_MODEL.id,
+        async generate({ kind, prompt, negativePrompt, width, height }) {
+          const response = await together.images.create({
+            prompt: prompt.trim(),
+            ...(negativePrompt && { negative_prompt: negativePrompt }),
+            model: FLUX_MODEL.id,
+            width,
+            height,
+            steps: FLUX_MODEL.defaultSteps,
+          });
+          if (!response.data || !response.data[0] || !response.data[0].url) {
+            throw new Error(`Invalid response from Together AI API for ${kind} image - no image URL received`);
+          }
+          return download(response.data[0].url);
+        },
+      };
+    },
+  },
+
+  aiml: {
+    name: 'aiml',
+    description: 'FLUX schnell on the AI/ML API',
+    apiKeyEnv: 'AIML_API_KEY',
+    apiKeyUrl: 'https://aimlapi.com/app/keys',
+    filePrefix: 'flux',
+    create({ env }) {
+      const apiKey = requireApiKey(this, env);
+      const model = env.AIML_IMAGE_MODEL || AIML_DEFAULT_MODEL;
+      return {
+        model,
+        async generate({ kind, prompt, negativePrompt, width, height }) {
+          // FLUX models there take no negative prompt
+          const negative = negativePrompt && !model.startsWith('flux') ? { negative_prompt: negativePrompt } : {};
+          const response = await fetch(AIML_API_URL, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, prompt: prompt.trim(), ...negative, image_size: { width, height } }),
+          });
+          if (!response.ok) {
+            throw new Error(`AI/ML API returned ${response.status} for the ${kind} image: ${(await response.text()).slice(0, 200)}`);
+          }
+          // FLUX models answer with images[], OpenAI-style models with data[]
+          const result = await response.json();
+          const image = result.images?.[0] ?? result.data?.[0];
+          if (image?.b64_json) {
+            return Buffer.from(image.b64_json, 'base64');
+          }
+          if (!image?.url) {
+            throw new Error(`Invalid response from AI/ML API for ${kind} image - no image URL received`);
+          }
+          return download(image.url);
+        },
+      };
+    },
+  },
+
+  offline: {
+    name: 'offline',
+    description: 'App name drawn locally in a TrueType font',
+    filePrefix: 'offline',
+    create({ env, font }) {
+      const fontPath = font || env.IMAGE_FONT || findSystemFont();
+      if (!fontPath) {
+        throw new Error('No font found for the offline provider; pass --font path/to/font.ttf or set IMAGE_FONT');
+      }
+      const loadedFont = loadFont(fontPath);
+      return {
+        model: `offline (${fontPath})`,
+        async generate({ kind, width, height, app, variant = 0 }) {
+          // Candidates differ only in color, cycling through the brand colors
+          const backgroundColor = app.colors?.length ? app.colors[variant % app.colors.length] : app.backgroundColor;
+          return sceneToPng(appImageScene({ kind, width, height, appName: app.appName, backgroundColor, font: loadedFont }));
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Provider that skips generation and uses the image at `path` for every
+ * asset; lib/image-processing.js crops it to each size
+ *
+ * @param {string} path
+ * @returns {ImageProvider}
+ */
+export function fileImageProvider(path) {
+  return {
+    name: 'file',
+    description: `Existing image ${basename(path)}`,
+    filePrefix: 'custom',
+    create() {
+      if (!existsSync(path)) {
+        throw new Error(`--from image ${path} does not exist`);
+      }
+      const data = readFileSync(path);
+      return {
+        model: `--from ${basename(path)}`,
+        async generate() {
+          return data;
+        },
+      };
+    },
+  };
+}
+
+/**
+ * The provider to use: `name` (from --provider) if given, else
+ * IMAGE_PROVIDER, else the first one with an API key set, else offline
+ *
+ * @param {string | undefined} name
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {ImageProvider}
+ */
+export function chooseImageProvider(name, env = process.env) {
+  const chosen = name || env.IMAGE_PROVIDER;
+  if (chosen) {
+    if (!IMAGE_PROVIDERS[chosen]) {
+      throw new Error(`Unknown image provider "${chosen}", expected ${Object.keys(IMAGE_PROVIDERS).join(', ')}`);
+    }
+    return IMAGE_PROVIDERS[chosen];
+  }
+  return Object.values(IMAGE_PROVIDERS).find(({ apiKeyEnv }) => apiKeyEnv && env[apiKeyEnv]) ?? IMAGE_PROVIDERS.offline;
+}
+
@@ -0,0 +1,165 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Generated Image Versions
+ *
+ * generate-flux-images.js never deletes or overwrites images. Each run saves
+ * its icon, embed and splash under content-hashed names next to the earlier
+ * ones and records the set as a new version in public/images/versions.json;
+ * files that aren't listed there (hand-made assets) are never touched.
+ * farcaster.json points at the `current` version, which --rollback moves,
+ * and `prune --keep N` deletes versions that are neither recent nor in use.
+ */
+
+export const VERSIONS_FILENAME = 'versions.json';
+
+export const IMAGE_KINDS = ['icon', 'embed', 'splash'];
+
+const IMAGE_FIELDS = { icon: 'iconUrl', embed: 'imageUrl', splash: 'splashImageUrl' };
+
+/**
+ * @typedef {object} ImageVersion
+ * @property {number} version
+ * @property {string} createdAt ISO timestamp
+ * @property {string} provider Image provider name, or `existing` for images adopted from farcaster.json
+ * @property {string} [model]
+ * @property {Record<'icon' | 'embed' | 'splash', string>} images Filenames in public/images
+ */
+
+/**
+ * @typedef {object} ImageVersions
+ * @property {number | null} current The version farcaster.json points at
+ * @property {ImageVersion[]} versions Oldest first
+ */
+
+/**
+ * Reads versions.json from `imagesDir`; empty when there is none
+ *
+ * @returns {ImageVersions}
+ */
+export function loadImageVersions(imagesDir) {
+  const path = join(imagesDir, VERSIONS_FILENAME);
+  if (!existsSync(path)) {
+    return { current: null, versions: [] };
+  }
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * @param {string} imagesDir
+ * @param {ImageVersions} versions
+ */
+export function saveImageVersions(imagesDir, versions) {
+  writeFileSync(join(imagesDir, VERSIONS_FILENAME), JSON.stringify(versions, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * `${prefix}-${kind}-${hash}.${extension}`, with the first 12 hex digits
+ * of the content's SHA-256
+ */
+export function hashedFilename(prefix, kind, data, extension) {
+  const hash = createHash('sha256').update(data).digest('hex').slice(0, 12);
+  return `${prefix}-${kind}-${hash}.${extension}`;
+}
+
+// What hashedFilename() produces; prune deletes nothing else
+const HASHED_FILENAME_PATTERN = new RegExp(`^[a-z0-9]+-(${IMAGE_KINDS.join('|')})-[0-9a-f]{12}\\.[a-z]+$`);
+
+/**
+ * Filenames in /images/ that a farcaster.json's image fields point at,
+ * by image kind
+ */
+export function referencedImages(manifest) {
+  const miniapp = manifest?.miniapp ?? manifest?.frame ?? {};
+  const images = {};
+  for (const [kind, field] of Object.entries(IMAGE_FIELDS)) {
+    const url = miniapp[field];
+    const match = typeof url === 'string' && URL.canParse(url) && /^\/images\/([^/]+)$/.exec(new URL(url).pathname);
+    if (match) {
+      images[kind] = decodeURIComponent(match[1]);
+    }
+  }
+  return images;
+}
+
+/**
+ * Records `images` as the newest version; a set identical to the newest
+ * version reuses it instead. `current` is left for the caller to move once
+ * farcaster.json points at the set.
+ *
+ * @param {ImageVersions} versions
+ * @param {{ images: ImageVersion['images'], provider: string, model?: string }} entry
+ * @returns {{ entry: ImageVersion, added: boolean }}
+ */
+export function addImageVersion(versions, { images, provider, model }) {
+  const latest = versions.versions[versions.versions.length - 1];
+  if (latest && IMAGE_KINDS.every((kind) => latest.images[kind] === images[kind])) {
+    return { entry: latest, added: false };
+  }
+
+  const entry = {
+    version: (latest?.version ?? 0) + 1,
+    createdAt: new Date().toISOString(),
+    provider,
+    ...(model && { model }),
+    images,
+  };
+  versions.versions.push(entry);
+  return { entry, added: true };
+}
+
+/**
+ * Records the images farcaster.json already points at as version 1, so the
+ * first generated set can be rolled back. Does nothing once versions.json
+ * has versions, or when any of the three images is missing.
+ *
+ * @param {ImageVersions} versions
+ * @param {Record<string, any> | null} manifest
+ * @param {string} imagesDir
+ */
+export function adoptExistingImages(versions, manifest, imagesDir) {
+  const images = referencedImages(manifest);
+  if (versions.versions.length > 0 || !IMAGE_KINDS.every((kind) => images[kind] && existsSync(join(imagesDir, images[kind])))) {
+    return null;
+  }
+  const { entry } = addImageVersion(versions, { images, provider: 'existing' });
+  versions.current = entry.version;
+  return entry;
+}
+
+/**
+ * Keeps the `keep` newest versions, the current one and any farcaster.json
+ * points at, and deletes the rest along with files no kept version uses.
+ * Only generated (content-hashed) files are deleted: images adopted from
+ * before versioning (`existing`) and any other file a version lists are
+ * forgotten but kept.
+ *
+ * @param {ImageVersions} versions
+ * @param {{ keep: number, imagesDir: string, manifest?: Record<string, any> | null }} options
+ * @returns {{ removed: ImageVersion[], deleted: string[] }}
+ */
+export function pruneImageVersions(versions, { keep, imagesDir, manifest = null }) {
+  const inUse = new Set(Object.values(referencedImages(manifest)));
+  const recent = new Set(versions.versions.slice(versions.versions.length - keep).map(({ version }) => version));
+  const kept = versions.versions.filter(({ version, images }) =>
+    recent.has(version) || version === versions.current || Object.values(images).some((file) => inUse.has(file)));
+  const removed = versions.versions.filter((entry) => !kept.includes(entry));
+
+  const keptFiles = new Set([...inUse, ...kept.flatMap(({ images }) => Object.values(images))]);
+  const deleted = [];
+  for (const { provider, images } of removed) {
+    if (provider === 'existing') continue;
+    for (const file of Object.values(images)) {
+      const path = join(imagesDir, file);
+      if (HASHED_FILENAME_PATTERN.test(file) && !keptFiles.has(file) && !deleted.includes(file) && existsSync(path)) {
+        unlinkSync(path);
+        deleted.push(file);
+      }
+    }
+  }
+
+  versions.versions = kept;
+  return { removed, deleted };
+}
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import {
+  addImageVersion,
+  adoptExistingImages,
+  hashedFilename,
+  loadImageVersions,
+  pruneImageVersions,
+  referencedImages,
+  saveImageVersions
+} from './image-versions.js';
+
+/**
+ * Image versions in a temp images directory: hashed names, recording
+ * versions, and what prune --keep deletes
+ */
+
+const ORIGIN = 'https://miniapp.example';
+
+let imagesDir;
+
+beforeEach(() => {
+  imagesDir = mkdtempSync(join(tmpdir(), 'image-versions-'));
+});
+
+afterEach(() => rmSync(imagesDir, { recursive: true, force: true }));
+
+/**
+ * Writes a generated set to the directory and records it as a version
+ */
+function generate(versions, run) {
+  const images = {};
+  for (const kind of ['icon', 'embed', 'splash']) {
+    images[kind] = hashedFilename('offline', kind, `${kind} ${run}`, 'png');
+    writeFileSync(join(imagesDir, images[kind]), `${kind} ${run}`);
+  }
+  const { entry } = addImageVersion(versions, { images, provider: 'offline', model: 'offline (test)' });
+  versions.current = entry.version;
+  return entry;
+}
+
+function manifestFor({ images }) {
+  return {
+    miniapp: {
+      iconUrl: `${ORIGIN}/images/${images.icon}`,
+      imageUrl: `${ORIGIN}/images/${images.embed}`,
+      splashImageUrl: `${ORIGIN}/images/${images.splash}`
+    }
+  };
+}
+
+test('names files by a hash of their content', () => {
+  const name = hashedFilename('flux', 'icon', 'same bytes', 'png');
+
+  assert.match(name, /^flux-icon-[0-9a-f]{12}\.png$/);
+  assert.equal(hashedFilename('flux', 'icon', 'same bytes', 'png'), name);
+  assert.notEqual(hashedFilename('flux', 'icon', 'other bytes', 'png'), name);
+});
+
+test('records new sets and reuses an identical latest one', () => {
+  const versions = loadImageVersions(imagesDir);
+  assert.deepEqual(versions, { current: null, versions: [] });
+
+  const first = generate(versions, 1);
+  assert.equal(first.version, 1);
+  assert.equal(first.provider, 'offline');
+  const again = addImageVersion(versions, { images: { ...first.images }, provider: 'offline' });
+  assert.deepEqual(again, { entry: first, added: false });
+  assert.equal(generate(versions, 2).version, 2);
+
+  saveImageVersions(imagesDir, versions);
+  assert.deepEqual(loadImageVersions(imagesDir), versions);
+});
+
+test('adopts the images farcaster.json points at as the first version', () => {
+  writeFileSync(join(imagesDir, 'icon.png'), 'icon');
+  writeFileSync(join(imagesDir, 'embed file.png'), 'embed');
+  const manifest = manifestFor({ images: { icon: 'icon.png', embed: 'embed%20file.png', splash: 'splash.png' } });
+  const versions = loadImageVersions(imagesDir);
+
+  assert.deepEqual(referencedImages(manifest), { icon: 'icon.png', embed: 'embed file.png', splash: 'splash.png' });
+  // splash.png is missing
+  assert.equal(adoptExistingImages(versions, manifest, imagesDir), null);
+
+  writeFileSync(join(imagesDir, 'splash.png'), 'splash');
+  const adopted = adoptExistingImages(versions, manifest, imagesDir);
+  assert.equal(adopted.provider, 'existing');
+  assert.equal(versions.current, 1);
+  assert.equal(adoptExistingImages(versions, manifest, imagesDir), null);
+});
+
+test('keeps the N newest versions and deletes the files of the rest', () => {
+  const versions = loadImageVersions(imagesDir);
+  const [first, second] = [generate(versions, 1), generate(versions, 2), generate(versions, 3), generate(versions, 4)];
+
+  const { removed, deleted } = pruneImageVersions(versions, { keep: 2, imagesDir });
+
+  assert.deepEqual(removed.map(({ version }) => version), [1, 2]);
+  assert.deepEqual(versions.versions.map(({ version }) => version), [3, 4]);
+  assert.deepEqual(deleted.sort(), [...Object.values(first.images), ...Object.values(second.images)].sort());
+  assert.equal(readdirSync(imagesDir).length, 6);
+});
+
+test('keeps the versions farcaster.json and current point at', () => {
+  const versions = loadImageVersions(imagesDir);
+  const first = generate(versions, 1);
+  const second = generate(versions, 2);
+  generate(versions, 3);
+  generate(versions, 4);
+  // Rolled back to version 2, with a manifest still on version 1's icon
+  versions.current = 2;
+  const manifest = manifestFor({ images: { ...second.images, icon: first.images.icon } });
+
+  const { removed, deleted } = pruneImageVersions(versions, { keep: 1, imagesDir, manifest });
+
+  assert.deepEqual(versions.versions.map(({ version }) => version), [1, 2, 4]);
+  assert.deepEqual(removed.map(({ version }) => version), [3]);
+  assert.equal(deleted.length, 3);
+  for (const { images } of versions.versions) {
+    Object.values(images).forEach((file) => assert.ok(existsSync(join(imagesDir, file)), file));
+  }
+});
+
+test('never deletes hand-made files or adopted images', () => {
+  for (const file of ['hero.png', 'screenshot-1.png', 'icon.png', 'embed.png', 'splash.png']) {
+    writeFileSync(join(imagesDir, file), file);
+  }
+  const versions = loadImageVersions(imagesDir);
+  adoptExistingImages(versions, manifestFor({ images: { icon: 'icon.png', embed: 'embed.png', splash: 'splash.png' } }), imagesDir);
+  const first = generate(versions, 1);
+  // A later set that reuses the hand-made embed
+  const { entry: second } = addImageVersion(versions, { images: { ...first.images, embed: 'embed.png', icon: 'hero.png' }, provider: 'offline' });
+  generate(versions, 3);
+
+  const { removed, deleted } = pruneImageVersions(versions, { keep: 1, imagesDir });
+
+  assert.deepEqual(removed.map(({ version }) => version), [1, 2, second.version]);
+  assert.deepEqual(deleted.sort(), Object.values(first.images).sort());
+  for (const file of ['hero.png', 'screenshot-1.png', 'icon.png', 'embed.png', 'splash.png']) {
+    assert.ok(existsSync(join(imagesDir, file)), file);
+  }
+});
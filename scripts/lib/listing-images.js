@@ -0,0 +1,189 @@
+import puppeteer from 'puppeteer';
+import sharp from 'sharp';
+import { sceneToSvg, textColorOn, textScene } from './offline-images.js';
+
+/**
+ * Listing Images
+ *
+ * The manifest's screenshotUrls and heroImageUrl, built from the running
+ * app: each route is rendered headless (puppeteer) at a phone viewport,
+ * then framed on the brand color. Screenshots put the app name and tagline
+ * above the capture; the hero puts them and the icon beside the top of it.
+ * Used by scripts/generate-listing-images.js.
+ */
+
+export const LISTING_SPECS = {
+  screenshot: { width: 1284, height: 2778 },
+  hero: { width: 1200, height: 630 }
+};
+
+// Where `pnpm dev:remix` (vite) serves the app
+export const DEFAULT_APP_URL = 'http://localhost:5173';
+
+// The spec's limit for screenshotUrls
+export const MAX_SCREENSHOTS = 3;
+
+// Screenshot frame: a header for the name and tagline, the capture below
+const SCREENSHOT_MARGIN = 96;
+const SCREENSHOT_HEADER = 440;
+const CORNER_RADIUS = 48;
+
+// A common phone width in CSS pixels, captured at 3x
+const PHONE_WIDTH = 390;
+const DEVICE_SCALE_FACTOR = 3;
+
+/**
+ * Where the capture goes in a framed screenshot, and the phone viewport
+ * whose shape matches it
+ */
+function screenshotLayout() {
+  const { width, height } = LISTING_SPECS.screenshot;
+  const capture = {
+    left: SCREENSHOT_MARGIN,
+    top: SCREENSHOT_HEADER,
+    width: width - 2 * SCREENSHOT_MARGIN,
+    height: height - SCREENSHOT_HEADER - SCREENSHOT_MARGIN
+  };
+  const viewport = {
+    width: PHONE_WIDTH,
+    height: Math.round(PHONE_WIDTH * capture.height / capture.width),
+    deviceScaleFactor: DEVICE_SCALE_FACTOR,
+    isMobile: true,
+    hasTouch: true
+  };
+  return { capture, viewport };
+}
+
+/**
+ * Resolves when something answers at `url`; rejects with a hint to start
+ * the dev server otherwise
+ */
+export async function checkAppRunning(url) {
+  try {
+    await fetch(url, { signal: AbortSignal.timeout(5000) });
+  } catch {
+    throw new Error(`Nothing answers at ${url}; start the app with \`pnpm dev:remix\` or pass --url`);
+  }
+}
+
+/**
+ * Renders each route path at the phone viewport and returns PNG captures
+ * by path
+ *
+ * @param {string} baseUrl
+ * @param {string[]} paths
+ * @param {{ waitFor?: string, timeout?: number }} [options]
+ * @returns {Promise<Record<string, Buffer>>}
+ */
+export async function captureRoutes(baseUrl, paths, { waitFor, timeout = 30000 } = {}) {
+  // Chrome's sandbox refuses to run as root, as in most CI containers
+  const browser = await puppeteer.launch({ args: process.getuid?.() === 0 ? ['--no-sandbox'] : [] });
+  try {
+    const page = await browser.newPage();
+    await page.setViewport(screenshotLayout().viewport);
+
+    const captures = {};
+    for (const path of paths) {
+      const url = new URL(path, baseUrl).href;
+      // networkidle2 tolerates vite's HMR connection
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout });
+      if (response && !response.ok()) {
+        throw new Error(`${url} answered ${response.status()}`);
+      }
+      if (waitFor) {
+        await page.waitForSelector(waitFor, { timeout });
+      }
+      captures[path] = Buffer.from(await page.screenshot({ type: 'png' }));
+    }
+    return captures;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * `image` cropped from the top to width x height, with rounded corners;
+ * `squareBottom` for captures cut off by the frame's edge
+ */
+async function roundedImage(image, width, height, { radius = CORNER_RADIUS, squareBottom = false } = {}) {
+  const maskHeight = squareBottom ? height + radius : height;
+  const mask = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="${width}" height="${maskHeight}" rx="${radius}"/></svg>`);
+  return sharp(image)
+    .resize(width, height, { fit: 'cover', position: 'top' })
+    .ensureAlpha()
+    .composite([{ input: mask, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * SVG overlays for the app name and tagline, stacked from `top`
+ */
+function brandText({ brand, font, left, top, width, nameHeight, taglineHeight }) {
+  if (!font) return [];
+  const color = textColorOn(brand.colors[0]);
+  const layers = [
+    { input: Buffer.from(sceneToSvg(textScene({ width, height: nameHeight, text: brand.name, color, font }))), left, top }
+  ];
+  if (brand.tagline) {
+    layers.push({
+      input: Buffer.from(sceneToSvg(textScene({ width, height: taglineHeight, text: brand.tagline, color, font }))),
+      left,
+      top: top + nameHeight
+    });
+  }
+  return layers;
+}
+
+function brandCanvas({ width, height }, brand) {
+  return sharp({ create: { width, height, channels: 3, background: brand.colors[0] } });
+}
+
+/**
+ * A 1284x2778 screenshot: the capture under the app name and tagline
+ *
+ * @param {Buffer} capture
+ * @param {{ brand: { name: string, tagline: string, colors: string[] }, font?: object | null }} options
+ */
+export async function frameScreenshot(capture, { brand, font }) {
+  const { capture: area } = screenshotLayout();
+  const screen = await roundedImage(capture, area.width, area.height);
+
+  return brandCanvas(LISTING_SPECS.screenshot, brand)
+    .composite([
+      ...brandText({ brand, font, left: area.left, top: 80, width: area.width, nameHeight: 200, taglineHeight: 130 }),
+      { input: screen, left: area.left, top: area.top }
+    ])
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * A 1200x630 hero image: the icon, app name and tagline at the left, the
+ * top of the capture at the right running off the bottom edge
+ *
+ * @param {Buffer} capture
+ * @param {{ brand: { name: string, tagline: string, colors: string[] }, font?: object | null, icon?: Buffer | null }} options
+ */
+export async function composeHero(capture, { brand, font, icon }) {
+  const { width, height } = LISTING_SPECS.hero;
+  const margin = 72;
+  const phoneWidth = 300;
+  const phoneLeft = width - margin - phoneWidth;
+  // Only the top of the capture fits; its bottom corners stay square
+  const phone = await roundedImage(capture, phoneWidth, height - margin, { radius: 32, squareBottom: true });
+
+  const textWidth = phoneLeft - 2 * margin;
+  const layers = [{ input: phone, left: phoneLeft, top: margin }];
+  let textTop = 150;
+  if (icon) {
+    layers.push({ input: await roundedImage(icon, 128, 128, { radius: 28 }), left: margin, top: margin });
+    textTop = margin + 128 + 40;
+  }
+  layers.push(...brandText({ brand, font, left: margin, top: textTop, width: textWidth, nameHeight: 150, taglineHeight: 100 }));
+
+  return brandCanvas(LISTING_SPECS.hero, brand)
+    .composite(layers)
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
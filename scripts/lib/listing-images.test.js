@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import sharp from 'sharp';
+import { composeHero, frameScreenshot, LISTING_SPECS } from './listing-images.js';
+import { findSystemFont, loadFont } from './offline-images.js';
+
+/**
+ * Framing captures into listing images, on captures generated with sharp
+ * instead of headless Chrome
+ */
+
+const fontPath = findSystemFont();
+const FONT = fontPath && loadFont(fontPath);
+const BRAND = { name: 'Tip Jar', tagline: 'Tips for casters', colors: ['#0ea5e9'] };
+
+/**
+ * A solid PNG the size of a 390x844 phone viewport at 3x
+ */
+function capture(color = '#ff0000', { width = 1170, height = 2532 } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+}
+
+async function pixel(png, x, y) {
+  const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+  const index = (y * info.width + x) * info.channels;
+  return [...data.subarray(index, index + 3)];
+}
+
+test('frames a screenshot at 1284x2778 below the name and tagline', async () => {
+  for (const font of [FONT, null]) {
+    const png = await frameScreenshot(await capture(), { brand: BRAND, font });
+    const { format, width, height } = await sharp(png).metadata();
+
+    assert.deepEqual([format, width, height], ['png', LISTING_SPECS.screenshot.width, LISTING_SPECS.screenshot.height]);
+    assert.deepEqual(await pixel(png, 10, 10), [14, 165, 233], 'brand color around the capture');
+    assert.deepEqual(await pixel(png, 642, 1600), [255, 0, 0], 'the capture in the middle');
+    // Rounded corners show the brand color
+    assert.deepEqual(await pixel(png, 97, 441), [14, 165, 233]);
+  }
+
+  // Captures of another shape are cropped from the top, not stretched
+  const wide = await frameScreenshot(await capture('#00ff00', { width: 2000, height: 1000 }), { brand: BRAND, font: FONT });
+  const { width, height } = await sharp(wide).metadata();
+  assert.deepEqual([width, height], [1284, 2778]);
+});
+
+test('composes a 1200x630 hero with the icon and the top of the capture', async () => {
+  const icon = await sharp({ create: { width: 1024, height: 1024, channels: 3, background: '#ffff00' } }).png().toBuffer();
+
+  for (const options of [{ font: FONT, icon }, { font: null, icon: null }]) {
+    const png = await composeHero(await capture(), { brand: BRAND, ...options });
+    const { format, width, height } = await sharp(png).metadata();
+
+    assert.deepEqual([format, width, height], ['png', LISTING_SPECS.hero.width, LISTING_SPECS.hero.height]);
+    assert.deepEqual(await pixel(png, 5, 5), [14, 165, 233]);
+    assert.deepEqual(await pixel(png, 978, 400), [255, 0, 0], 'the capture at the right');
+    // It runs off the bottom edge with square corners
+    assert.deepEqual(await pixel(png, 829, 629), [255, 0, 0]);
+    assert.deepEqual(await pixel(png, 136, 136), options.icon ? [255, 255, 0] : [14, 165, 233], 'the icon at the top left');
+  }
+});
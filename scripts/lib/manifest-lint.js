@@ -0,0 +1,318 @@
+import { existsSync, readFileSync } from 'fs';
+import { extname, join } from 'path';
+import { signedDomain } from './account-association.js';
+
+/**
+ * Mini App Manifest Checks
+ *
+ * Rules from the Farcaster mini app manifest spec (and the SDK's manifest
+ * schema), plus checks that referenced images exist in public/ with the
+ * sizes clients expect. Used by scripts/lint-manifest.js.
+ */
+
+export const PRIMARY_CATEGORIES = [
+  'games', 'social', 'finance', 'utility', 'productivity', 'health-fitness', 'news-media',
+  'music', 'shopping', 'education', 'developer-tools', 'entertainment', 'art-creativity'
+];
+
+export const REQUIRED_CAPABILITIES = [
+  'wallet.getEthereumProvider', 'wallet.getSolanaProvider', 'actions.ready', 'actions.openUrl',
+  'actions.close', 'actions.setPrimaryButton', 'actions.addMiniApp', 'actions.signIn',
+  'actions.viewCast', 'actions.viewProfile', 'actions.composeCast', 'actions.viewToken',
+  'actions.sendToken', 'actions.swapToken', 'actions.openMiniApp',
+  'actions.requestCameraAndMicrophoneAccess', 'haptics.impactOccurred',
+  'haptics.notificationOccurred', 'haptics.selectionChanged', 'back'
+];
+
+// Chains Farcaster clients know about; others are reported as warnings
+export const KNOWN_CHAINS = [
+  'eip155:1', 'eip155:8453', 'eip155:42161', 'eip155:421614', 'eip155:84532', 'eip155:666666666',
+  'eip155:100', 'eip155:10', 'eip155:11155420', 'eip155:137', 'eip155:11155111', 'eip155:7777777',
+  'eip155:130', 'eip155:10143', 'eip155:42220', 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp'
+];
+
+/**
+ * Length limits; fields marked simple also follow the character rules
+ */
+const TEXT_FIELDS = {
+  name: { max: 32 },
+  buttonTitle: { max: 32 },
+  subtitle: { max: 30, simple: true },
+  description: { max: 170, simple: true },
+  tagline: { max: 30, simple: true },
+  ogTitle: { max: 30, simple: true },
+  ogDescription: { max: 100, simple: true }
+};
+
+const EMOJI_PATTERN = /[\u{1F300}-\u{1F9FF}]|[\u{2702}-\u{27B0}]|[\u{2600}-\u{26FF}]|[\u{2B00}-\u{2BFF}]/u;
+const SPECIAL_CHARS_PATTERN = /[@#$%^&*+=/\\|~«»]/;
+const REPEATED_PUNCTUATION_PATTERN = /(!{2,}|\?{2,}|-{2,})/;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Expected image shapes. `ratio` mismatches are errors; `size` is the
+ * recommended size, reported as a warning.
+ */
+const IMAGE_RULES = {
+  iconUrl: { ratio: [1, 1], size: [1024, 1024], label: 'square icon', noAlpha: true },
+  imageUrl: { ratio: [3, 2], label: '3:2 embed image' },
+  splashImageUrl: { ratio: [1, 1], size: [200, 200], label: 'square splash image' },
+  heroImageUrl: { ratio: [1200, 630], size: [1200, 630], label: '1.91:1 hero image' },
+  ogImageUrl: { ratio: [1200, 630], size: [1200, 630], label: '1.91:1 OG image' },
+  screenshotUrls: { ratio: [1284, 2778], size: [1284, 2778], label: 'portrait screenshot' }
+};
+
+// Fields of the spec's miniapp object; others are reported as warnings,
+// since clients ignore them silently (e.g. a misspelled iconURL)
+const MANIFEST_FIELDS = new Set([
+  'version', 'name', 'homeUrl', 'iconUrl', 'imageUrl', 'buttonTitle', 'splashImageUrl',
+  'splashBackgroundColor', 'webhookUrl', 'subtitle', 'description', 'primaryCategory', 'tags',
+  'screenshotUrls', 'heroImageUrl', 'tagline', 'ogTitle', 'ogDescription', 'ogImageUrl',
+  'castShareUrl', 'requiredChains', 'requiredCapabilities', 'noindex'
+]);
+
+// URL fields that may live on another domain, e.g. the function router
+const OFF_DOMAIN_FIELDS = new Set(['webhookUrl']);
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp']);
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+/**
+ * Reads the format, width, height and alpha flag from a PNG's IHDR chunk or
+ * a JPEG's start-of-frame segment; null for other files
+ */
+export function readImageHeader(path) {
+  const buffer = readFileSync(path);
+  if (buffer.length >= 26 && buffer.subarray(0, 8).toString('hex') === PNG_SIGNATURE &&
+      buffer.toString('ascii', 12, 16) === 'IHDR') {
+    const colorType = buffer[25];
+    return {
+      format: 'png',
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+      // Grayscale + alpha and RGBA
+      hasAlpha: colorType === 4 || colorType === 6
+    };
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return {
+          format: 'jpeg',
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+          hasAlpha: false
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function checkText(report, field, value, { max, simple }) {
+  if (typeof value !== 'string') {
+    report.error(field, 'must be a string');
+    return;
+  }
+  if (value.trim().length === 0) {
+    report.error(field, 'must not be empty');
+  }
+  if (value.length > max) {
+    report.error(field, `is ${value.length} characters; the limit is ${max}`);
+  }
+  if (simple) {
+    checkCharacters(report, field, value);
+  }
+}
+
+function checkCharacters(report, field, value) {
+  if (EMOJI_PATTERN.test(value)) {
+    report.error(field, 'must not contain emojis or symbols');
+  }
+  if (SPECIAL_CHARS_PATTERN.test(value)) {
+    report.error(field, 'must not contain @ # $ % ^ & * + = / \\ | ~ « »');
+  }
+  if (REPEATED_PUNCTUATION_PATTERN.test(value)) {
+    report.error(field, 'must not repeat punctuation (!!, ??, --)');
+  }
+}
+
+/**
+ * Checks a URL field and returns the file it maps to in public/, if any
+ */
+function checkUrl(report, field, value, { domain, publicDir }) {
+  if (typeof value !== 'string' || !URL.canParse(value)) {
+    report.error(field, 'must be an absolute URL');
+    return null;
+  }
+  const url = new URL(value);
+  if (url.protocol !== 'https:') {
+    report.error(field, `must use https (got ${url.protocol.replace(':', '')})`);
+  }
+  if (value.length > 1024) {
+    report.error(field, 'must be at most 1024 characters');
+  }
+  if (/\s/.test(value)) {
+    report.error(field, 'must not contain spaces');
+  }
+  if (url.hostname === 'localhost' || url.hostname.endsWith('.localhost') ||
+      /^(\d{1,3}\.){3}\d{1,3}$/.test(url.hostname) || url.hostname.startsWith('[')) {
+    report.error(field, 'must not point at localhost or an IP address');
+  }
+  if (domain && url.host !== domain) {
+    const message = `is on ${url.host}, not the signed domain ${domain}`;
+    if (OFF_DOMAIN_FIELDS.has(field.split('.').pop())) {
+      report.warn(field, message);
+    } else {
+      report.error(field, message);
+    }
+    return null;
+  }
+  return IMAGE_EXTENSIONS.has(extname(url.pathname).toLowerCase())
+    ? join(publicDir, decodeURIComponent(url.pathname))
+    : null;
+}
+
+function checkImage(report, field, file, rule) {
+  if (!existsSync(file)) {
+    report.error(field, `points at ${file.replace(/^.*?public\//, 'public/')}, which does not exist`);
+    return;
+  }
+  const header = readImageHeader(file);
+  if (!header) {
+    report.warn(field, 'is not a PNG or JPEG; its size was not checked');
+    return;
+  }
+
+  const { format, width, height, hasAlpha } = header;
+  const extension = extname(file).toLowerCase();
+  if ((format === 'png') !== (extension === '.png')) {
+    report.warn(field, `is a ${format.toUpperCase()} file with a ${extension} extension`);
+  }
+  const [rw, rh] = rule.ratio;
+  // Allow a 1% difference so 1200x630 passes as 1.91:1
+  if (Math.abs(width / height - rw / rh) > 0.01 * (rw / rh)) {
+    report.error(field, `is ${width}x${height}; expected a ${rule.label}`);
+  } else if (rule.size && (width !== rule.size[0] || height !== rule.size[1])) {
+    report.warn(field, `is ${width}x${height}; ${rule.size[0]}x${rule.size[1]} is recommended`);
+  }
+  if (rule.noAlpha && hasAlpha) {
+    report.warn(field, 'has an alpha channel; clients may render transparent areas black');
+  }
+}
+
+/**
+ * Checks a parsed farcaster.json. Returns `{ errors, warnings }`, each a
+ * list of `{ field, message }`.
+ *
+ * @param {object} manifest
+ * @param {{ publicDir: string }} options
+ */
+export function lintManifest(manifest, { publicDir }) {
+  const errors = [];
+  const warnings = [];
+  const report = {
+    error: (field, message) => errors.push({ field, message }),
+    warn: (field, message) => warnings.push({ field, message })
+  };
+
+  const association = manifest.accountAssociation;
+  if (!association?.header || !association?.payload || !association?.signature) {
+    report.error('accountAssociation', 'must have header, payload and signature');
+  }
+  const domain = association?.payload ? signedDomain(association) : null;
+  if (association?.payload && !domain) {
+    report.error('accountAssociation.payload', 'does not decode to { "domain": ... }');
+  }
+
+  const miniapp = manifest.miniapp ?? manifest.frame;
+  if (!miniapp || typeof miniapp !== 'object') {
+    report.error('miniapp', 'is missing');
+    return { errors, warnings, domain };
+  }
+  if (manifest.miniapp && manifest.frame && JSON.stringify(manifest.miniapp) !== JSON.stringify(manifest.frame)) {
+    report.error('frame', 'must match miniapp when both are present');
+  }
+  const key = manifest.miniapp ? 'miniapp' : 'frame';
+  const at = (field) => `${key}.${field}`;
+
+  if (miniapp.version !== '1') {
+    report.error(at('version'), `must be "1" (got ${JSON.stringify(miniapp.version)})`);
+  }
+  for (const field of ['name', 'homeUrl', 'iconUrl']) {
+    if (miniapp[field] === undefined) report.error(at(field), 'is required');
+  }
+  Object.keys(miniapp).filter((field) => !MANIFEST_FIELDS.has(field)).forEach((field) => {
+    report.warn(at(field), 'is not a manifest field; clients ignore it');
+  });
+
+  for (const [field, rule] of Object.entries(TEXT_FIELDS)) {
+    if (miniapp[field] !== undefined) checkText(report, at(field), miniapp[field], rule);
+  }
+
+  if (miniapp.splashBackgroundColor !== undefined && !HEX_COLOR_PATTERN.test(String(miniapp.splashBackgroundColor))) {
+    report.error(at('splashBackgroundColor'), 'must be a hex color like #RRGGBB or #RGB');
+  }
+  if (miniapp.primaryCategory !== undefined && !PRIMARY_CATEGORIES.includes(miniapp.primaryCategory)) {
+    report.error(at('primaryCategory'), `must be one of: ${PRIMARY_CATEGORIES.join(', ')}`);
+  }
+  if (miniapp.tags !== undefined) {
+    if (!Array.isArray(miniapp.tags)) {
+      report.error(at('tags'), 'must be a list');
+    } else {
+      if (miniapp.tags.length > 5) report.error(at('tags'), `has ${miniapp.tags.length} tags; the limit is 5`);
+      miniapp.tags.forEach((tag, i) => {
+        const field = at(`tags[${i}]`);
+        if (typeof tag !== 'string') return report.error(field, 'must be a string');
+        if (tag.length > 20) report.error(field, `is ${tag.length} characters; the limit is 20`);
+        if (/\s/.test(tag)) report.error(field, 'must not contain spaces');
+        if (tag !== tag.toLowerCase()) report.warn(field, 'should be lowercase');
+        checkCharacters(report, field, tag);
+      });
+    }
+  }
+  if (miniapp.noindex !== undefined && typeof miniapp.noindex !== 'boolean') {
+    report.error(at('noindex'), 'must be true or false');
+  }
+  for (const [field, known, severity] of [
+    ['requiredChains', KNOWN_CHAINS, 'warn'],
+    ['requiredCapabilities', REQUIRED_CAPABILITIES, 'error']
+  ]) {
+    if (miniapp[field] === undefined) continue;
+    if (!Array.isArray(miniapp[field])) {
+      report.error(at(field), 'must be a list');
+      continue;
+    }
+    miniapp[field].filter((value) => !known.includes(value)).forEach((value) => {
+      report[severity](at(field), `${JSON.stringify(value)} is not a known value`);
+    });
+  }
+
+  // URLs, and the images they point at
+  const urlFields = ['homeUrl', 'iconUrl', 'imageUrl', 'splashImageUrl', 'heroImageUrl', 'ogImageUrl', 'webhookUrl', 'castShareUrl'];
+  const checks = urlFields
+    .filter((field) => miniapp[field] !== undefined)
+    .map((field) => [field, miniapp[field], IMAGE_RULES[field]]);
+  if (miniapp.screenshotUrls !== undefined) {
+    if (!Array.isArray(miniapp.screenshotUrls)) {
+      report.error(at('screenshotUrls'), 'must be a list');
+    } else {
+      if (miniapp.screenshotUrls.length > 3) {
+        report.error(at('screenshotUrls'), `has ${miniapp.screenshotUrls.length} URLs; the limit is 3`);
+      }
+      miniapp.screenshotUrls.forEach((url, i) => checks.push([`screenshotUrls[${i}]`, url, IMAGE_RULES.screenshotUrls]));
+    }
+  }
+
+  for (const [field, value, rule] of checks) {
+    const file = checkUrl(report, at(field), value, { domain, publicDir });
+    if (file && rule) checkImage(report, at(field), file, rule);
+  }
+
+  return { errors, warnings, domain };
+}
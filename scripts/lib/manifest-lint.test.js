@@ -0,0 +1,283 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { lintManifest, readImageHeader } from './manifest-lint.js';
+
+/**
+ * Manifest lint rules and their severity, on images written to a temp
+ * public/ directory, and lint-manifest.js --json
+ */
+
+const SCRIPT = join(dirname(fileURLToPath(import.meta.url)), '../lint-manifest.js');
+const DOMAIN = 'miniapp.example';
+const ORIGIN = `https://${DOMAIN}`;
+
+let tempDir;
+let publicDir;
+
+/**
+ * The PNG signature and IHDR chunk, all readImageHeader reads
+ */
+function png(width, height, { alpha = false } = {}) {
+  const bytes = new Uint8Array(33);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  bytes[24] = 8;
+  bytes[25] = alpha ? 6 : 2;
+  return bytes;
+}
+
+before(() => {
+  tempDir = mkdtempSync(join(tmpdir(), 'manifest-lint-'));
+  publicDir = join(tempDir, 'public');
+  mkdirSync(join(publicDir, 'images'), { recursive: true });
+  const images = {
+    'icon.png': png(1024, 1024),
+    'icon-alpha.png': png(1024, 1024, { alpha: true }),
+    'icon-small.png': png(512, 512),
+    'embed.png': png(1200, 800),
+    'square.png': png(800, 800),
+    'splash.png': png(200, 200),
+    'hero.png': png(1200, 630),
+    'screenshot.png': png(1284, 2778),
+    'renamed.jpg': png(1200, 800),
+    'embed.webp': new Uint8Array([0x52, 0x49, 0x46, 0x46])
+  };
+  for (const [name, bytes] of Object.entries(images)) {
+    writeFileSync(join(publicDir, 'images', name), bytes);
+  }
+});
+
+after(() => rmSync(tempDir, { recursive: true, force: true }));
+
+function manifest(miniapp = {}) {
+  return {
+    accountAssociation: {
+      header: 'eyJmaWQiOjM2MjF9',
+      payload: btoa(JSON.stringify({ domain: DOMAIN })).replace(/=+$/, ''),
+      signature: 'c2lnbmF0dXJl'
+    },
+    miniapp: {
+      version: '1',
+      name: 'Test App',
+      homeUrl: ORIGIN,
+      iconUrl: `${ORIGIN}/images/icon.png`,
+      imageUrl: `${ORIGIN}/images/embed.png`,
+      buttonTitle: 'Open',
+      splashImageUrl: `${ORIGIN}/images/splash.png`,
+      splashBackgroundColor: '#0ea5e9',
+      ...miniapp
+    }
+  };
+}
+
+/**
+ * Lints the base manifest with `miniapp` merged in; returns the errors and
+ * warnings as "field message" lines
+ */
+function lint(miniapp) {
+  const { errors, warnings } = lintManifest(manifest(miniapp), { publicDir });
+  const lines = (list) => list.map(({ field, message }) => `${field} ${message}`);
+  return { errors: lines(errors), warnings: lines(warnings) };
+}
+
+test('passes a manifest that follows the spec', () => {
+  const result = lintManifest(manifest({
+    heroImageUrl: `${ORIGIN}/images/hero.png`,
+    screenshotUrls: [`${ORIGIN}/images/screenshot.png`],
+    webhookUrl: 'https://api.miniapp.example/webhook',
+    primaryCategory: 'developer-tools',
+    tags: ['starter', 'deno'],
+    requiredCapabilities: ['actions.signIn'],
+    noindex: true
+  }), { publicDir });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, [{
+    field: 'miniapp.webhookUrl',
+    message: `is on api.miniapp.example, not the signed domain ${DOMAIN}`
+  }]);
+  assert.equal(result.domain, DOMAIN);
+});
+
+test('checks field lengths and characters', () => {
+  assert.deepEqual(lint({
+    name: 'A'.repeat(33),
+    buttonTitle: '  ',
+    subtitle: 'Ship it 🚀',
+    description: 'Email me @ home',
+    tagline: 'Wow!!',
+    ogTitle: 'Fine',
+    ogDescription: 'D'.repeat(101)
+  }).errors, [
+    'miniapp.name is 33 characters; the limit is 32',
+    'miniapp.buttonTitle must not be empty',
+    'miniapp.subtitle must not contain emojis or symbols',
+    'miniapp.description must not contain @ # $ % ^ & * + = / \\ | ~ « »',
+    'miniapp.tagline must not repeat punctuation (!!, ??, --)',
+    'miniapp.ogDescription is 101 characters; the limit is 100'
+  ]);
+
+  // name and buttonTitle only have a length limit
+  assert.deepEqual(lint({ name: 'Tips & Tricks!!' }).errors, []);
+});
+
+test('checks colors, categories, tags, chains and capabilities', () => {
+  const { errors, warnings } = lint({
+    splashBackgroundColor: 'blue',
+    primaryCategory: 'gaming',
+    tags: ['one', 'two', 'three', 'four', 'Five Six', 'seven'],
+    requiredChains: ['eip155:8453', 'eip155:999999'],
+    requiredCapabilities: ['actions.ready', 'actions.teleport'],
+    noindex: 'yes'
+  });
+
+  assert.deepEqual(errors, [
+    'miniapp.splashBackgroundColor must be a hex color like #RRGGBB or #RGB',
+    `miniapp.primaryCategory must be one of: ${[
+      'games', 'social', 'finance', 'utility', 'productivity', 'health-fitness', 'news-media',
+      'music', 'shopping', 'education', 'developer-tools', 'entertainment', 'art-creativity'
+    ].join(', ')}`,
+    'miniapp.tags has 6 tags; the limit is 5',
+    'miniapp.tags[4] must not contain spaces',
+    'miniapp.noindex must be true or false',
+    'miniapp.requiredCapabilities "actions.teleport" is not a known value'
+  ]);
+  assert.deepEqual(warnings, [
+    'miniapp.tags[4] should be lowercase',
+    'miniapp.requiredChains "eip155:999999" is not a known value'
+  ]);
+  assert.deepEqual(lint({ splashBackgroundColor: '#FFF' }).errors, []);
+});
+
+test('requires https URLs on the signed domain', () => {
+  const { errors, warnings } = lint({
+    homeUrl: `http://${DOMAIN}`,
+    iconUrl: '/images/icon.png',
+    imageUrl: 'https://cdn.example/images/embed.png',
+    splashImageUrl: 'https://localhost/images/splash.png',
+    heroImageUrl: 'https://192.168.1.10/hero.png',
+    castShareUrl: `${ORIGIN}/share?text=a b`,
+    webhookUrl: 'https://functions.example/webhook'
+  });
+
+  assert.deepEqual(errors, [
+    'miniapp.homeUrl must use https (got http)',
+    'miniapp.iconUrl must be an absolute URL',
+    `miniapp.imageUrl is on cdn.example, not the signed domain ${DOMAIN}`,
+    'miniapp.splashImageUrl must not point at localhost or an IP address',
+    `miniapp.splashImageUrl is on localhost, not the signed domain ${DOMAIN}`,
+    'miniapp.heroImageUrl must not point at localhost or an IP address',
+    `miniapp.heroImageUrl is on 192.168.1.10, not the signed domain ${DOMAIN}`,
+    'miniapp.castShareUrl must not contain spaces'
+  ]);
+  // The function router may live elsewhere
+  assert.deepEqual(warnings, [`miniapp.webhookUrl is on functions.example, not the signed domain ${DOMAIN}`]);
+});
+
+test('requires a signed domain and the required fields', () => {
+  const unsigned = lintManifest({ ...manifest(), accountAssociation: {} }, { publicDir });
+  assert.deepEqual(unsigned.errors, [{ field: 'accountAssociation', message: 'must have header, payload and signature' }]);
+  assert.equal(unsigned.domain, null);
+
+  const badPayload = manifest();
+  badPayload.accountAssociation.payload = btoa('not json');
+  assert.deepEqual(lintManifest(badPayload, { publicDir }).errors, [
+    { field: 'accountAssociation.payload', message: 'does not decode to { "domain": ... }' }
+  ]);
+
+  assert.deepEqual(lint({ version: 1, name: undefined }).errors, [
+    'miniapp.version must be "1" (got 1)',
+    'miniapp.name is required'
+  ]);
+  assert.deepEqual(lintManifest({ accountAssociation: manifest().accountAssociation }, { publicDir }).errors, [
+    { field: 'miniapp', message: 'is missing' }
+  ]);
+});
+
+test('checks that images exist with the expected shape', () => {
+  const { errors, warnings } = lint({
+    iconUrl: `${ORIGIN}/images/icon-small.png`,
+    imageUrl: `${ORIGIN}/images/square.png`,
+    splashImageUrl: `${ORIGIN}/images/missing.png`,
+    heroImageUrl: `${ORIGIN}/images/renamed.jpg`,
+    ogImageUrl: `${ORIGIN}/images/embed.webp`,
+    screenshotUrls: Array(4).fill(`${ORIGIN}/images/screenshot.png`)
+  });
+
+  assert.deepEqual(errors, [
+    'miniapp.screenshotUrls has 4 URLs; the limit is 3',
+    'miniapp.imageUrl is 800x800; expected a 3:2 embed image',
+    'miniapp.splashImageUrl points at public/images/missing.png, which does not exist',
+    'miniapp.heroImageUrl is 1200x800; expected a 1.91:1 hero image'
+  ]);
+  assert.deepEqual(warnings, [
+    'miniapp.iconUrl is 512x512; 1024x1024 is recommended',
+    'miniapp.heroImageUrl is a PNG file with a .jpg extension',
+    'miniapp.ogImageUrl is not a PNG or JPEG; its size was not checked'
+  ]);
+
+  assert.deepEqual(lint({ iconUrl: `${ORIGIN}/images/icon-alpha.png` }).warnings, [
+    'miniapp.iconUrl has an alpha channel; clients may render transparent areas black'
+  ]);
+  assert.deepEqual(readImageHeader(join(publicDir, 'images/hero.png')), {
+    format: 'png',
+    width: 1200,
+    height: 630,
+    hasAlpha: false
+  });
+});
+
+test('warns about fields the spec does not define', () => {
+  const { errors, warnings } = lint({ iconUrl: undefined, iconURL: `${ORIGIN}/images/icon.png` });
+
+  assert.deepEqual(errors, ['miniapp.iconUrl is required']);
+  assert.deepEqual(warnings, ['miniapp.iconURL is not a manifest field; clients ignore it']);
+});
+
+/**
+ * Runs lint-manifest.js, resolving with its exit code and output
+ */
+function lintCommand(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('prints the result as JSON with --json', async () => {
+  const valid = join(tempDir, 'valid.json');
+  const invalid = join(tempDir, 'invalid.json');
+  const broken = join(tempDir, 'broken.json');
+  writeFileSync(valid, JSON.stringify(manifest()));
+  writeFileSync(invalid, JSON.stringify(manifest({ splashBackgroundColor: 'blue', iconURL: 'x' })));
+  writeFileSync(broken, '{');
+
+  const passed = await lintCommand('--manifest', valid, '--public', publicDir, '--json');
+  assert.equal(passed.status, 0);
+  const { manifest: target, ...result } = JSON.parse(passed.stdout);
+  assert.match(target, /valid\.json$/);
+  assert.deepEqual(result, { domain: DOMAIN, errors: [], warnings: [] });
+
+  const failed = await lintCommand('--manifest', invalid, '--public', publicDir, '--json');
+  assert.equal(failed.status, 1);
+  const { errors, warnings } = JSON.parse(failed.stdout);
+  assert.deepEqual(errors, [{ field: 'miniapp.splashBackgroundColor', message: 'must be a hex color like #RRGGBB or #RGB' }]);
+  assert.deepEqual(warnings, [{ field: 'miniapp.iconURL', message: 'is not a manifest field; clients ignore it' }]);
+
+  const unreadable = await lintCommand('--manifest', broken, '--json');
+  assert.equal(unreadable.status, 1);
+  assert.match(JSON.parse(unreadable.stdout).errors[0].message, /^is not valid JSON/);
+
+  const readable = await lintCommand('--manifest', invalid, '--public', publicDir);
+  assert.equal(readable.status, 1);
+  assert.match(readable.stdout, /❌ miniapp\.splashBackgroundColor must be a hex color/);
+  assert.match(readable.stdout, /❌ 1 error\(s\), 1 warning\(s\)/);
+});
@@ -0,0 +1,265 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { cleanDomain, manifestHosts, migrateManifestDomain, signerFromEnv } from './domain-migration.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '../..');
+
+/**
+ * Mini App Manifest Helpers
+ *
+ * Builds the manifest's `miniapp` object from miniapp.config.js (typed by
+ * shared/manifest.ts) and the current manifest, and the META_CONFIG object
+ * the Remix app reads. Shared by generate-meta-config.js and
+ * generate-farcaster-auth.js.
+ *
+ * Environments: miniapp.config.js may name deployment targets (a local
+ * tunnel, staging, production), each with its own domain and field
+ * overrides, and miniapp.signatures.json holds each one's signed
+ * accountAssociation. With no environment selected, the domain comes from
+ * FARCASTER_DOMAIN and the signature from the source manifest.
+ */
+
+export const CONFIG_PATH = join(rootDir, 'miniapp.config.js');
+/** The committed source manifest */
+export const MANIFEST_PATH = join(rootDir, 'public/.well-known/farcaster.json');
+export const SIGNATURES_PATH = join(rootDir, 'miniapp.signatures.json');
+/** The manifest built for the selected environment, served and deployed by vite.config.ts */
+export const OUTPUT_MANIFEST_PATH = join(rootDir, '.cache/miniapp/farcaster.json');
+
+/**
+ * Manifest fields in the order they are written
+ */
+export const MANIFEST_FIELDS = [
+  'version',
+  'name',
+  'subtitle',
+  'description',
+  'tagline',
+  'primaryCategory',
+  'tags',
+  'iconUrl',
+  'homeUrl',
+  'imageUrl',
+  'buttonTitle',
+  'splashImageUrl',
+  'splashBackgroundColor',
+  'heroImageUrl',
+  'screenshotUrls',
+  'ogTitle',
+  'ogDescription',
+  'ogImageUrl',
+  'webhookUrl',
+  'requiredChains',
+  'requiredCapabilities',
+  'noindex',
+];
+
+/**
+ * Values used when neither the config nor the manifest sets a field
+ */
+export const MANIFEST_DEFAULTS = {
+  version: '1',
+  name: 'Farcaster Mini App',
+  buttonTitle: 'Launch App',
+  splashBackgroundColor: '#0ea5e9',
+};
+
+const URL_FIELDS = ['iconUrl', 'imageUrl', 'splashImageUrl', 'heroImageUrl', 'ogImageUrl', 'webhookUrl'];
+
+/**
+ * Loads miniapp.config.js, or an empty config when it does not exist
+ *
+ * @returns {Promise<import('../../shared/manifest').MiniAppConfig>}
+ */
+export async function loadMiniAppConfig(path = CONFIG_PATH) {
+  if (!existsSync(path)) {
+    console.warn(`⚠️  ${path} not found, using the manifest's values`);
+    return {};
+  }
+  const module = await import(pathToFileURL(path).href);
+  return module.default ?? {};
+}
+
+/**
+ * Loads the signed account associations, keyed by environment name
+ *
+ * @returns {Record<string, import('../../shared/manifest').AccountAssociation>}
+ */
+export function loadSignatures(path = SIGNATURES_PATH) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : {};
+}
+
+/**
+ * Stores an environment's signed account association
+ *
+ * @param {string} name
+ * @param {import('../../shared/manifest').AccountAssociation} accountAssociation
+ */
+export function saveSignature(name, accountAssociation, path = SIGNATURES_PATH) {
+  const signatures = { ...loadSignatures(path), [name]: accountAssociation };
+  writeFileSync(path, JSON.stringify(signatures, null, 2) + '\n');
+}
+
+/**
+ * Picks the environment to build: `name`, else MINIAPP_ENV. Returns null
+ * when neither is set; throws for a name the config does not define.
+ *
+ * @param {import('../../shared/manifest').MiniAppConfig} config
+ * @param {string | undefined} name
+ * @returns {{ name: string, domain: string, miniapp: import('../../shared/manifest').MiniAppSourceConfig } | null}
+ */
+export function resolveEnvironment(config, name, env = process.env) {
+  const selected = name || env.MINIAPP_ENV;
+  if (!selected) {
+    return null;
+  }
+  const environment = config.environments?.[selected];
+  if (!environment) {
+    const known = Object.keys(config.environments ?? {});
+    throw new Error(
+      `Unknown environment "${selected}"; miniapp.config.js defines ${known.length > 0 ? known.join(', ') : 'none'}`
+    );
+  }
+  const domain = cleanDomain(environment.domain || env.FARCASTER_DOMAIN);
+  if (!domain) {
+    throw new Error(`Environment "${selected}" has no domain; set it in miniapp.config.js or FARCASTER_DOMAIN`);
+  }
+  return { name: selected, domain, miniapp: environment.miniapp ?? {} };
+}
+
+/**
+ * Builds the full farcaster.json for an environment (or, with none, for
+ * FARCASTER_DOMAIN) from the config, the signatures and the source
+ * manifest, without modifying any of them. URLs left on an old domain are
+ * moved to the current one, and a signature for another domain is replaced
+ * when `signer` (by default from FARCASTER_FID and the configured signing key)
+ * is available. `warnings` lists problems worth reporting, such as a
+ * missing signature; `changes` lists rewritten fields.
+ *
+ * @param {import('../../shared/manifest').MiniAppConfig} config
+ * @param {{ source: Record<string, any>, environment: ReturnType<typeof resolveEnvironment>, signatures?: Record<string, import('../../shared/manifest').AccountAssociation>, signer?: ReturnType<typeof signerFromEnv>, env?: Record<string, string | undefined> }} options
+ */
+export async function buildEnvironmentManifest(
+  config,
+  { source, environment, signatures = loadSignatures(), env = process.env, signer = signerFromEnv(env) }
+) {
+  const miniapp = resolveMiniAppManifest(
+    { ...config, ...environment?.miniapp },
+    { domain: environment?.domain, existing: source.miniapp, env }
+  );
+
+  const accountAssociation = environment ? signatures[environment.name] : source.accountAssociation;
+  const manifest = { ...source, accountAssociation, miniapp };
+  const domain = miniapp.homeUrl ? new URL(miniapp.homeUrl).host : undefined;
+  if (!domain) {
+    return { manifest, changes: [], warnings: ['The manifest has no homeUrl; set FARCASTER_DOMAIN'] };
+  }
+
+  const { manifest: migrated, changes, warnings } = await migrateManifestDomain(manifest, domain, {
+    signer,
+    fromHosts: manifestHosts(source),
+  });
+  return {
+    manifest: { ...migrated, accountAssociation: migrated.accountAssociation ?? {} },
+    changes,
+    warnings: environment && !migrated.accountAssociation
+      ? [`No signature for "${environment.name}"; run node scripts/generate-farcaster-auth.js --env ${environment.name}`]
+      : warnings,
+  };
+}
+
+/**
+ * Resolves a path like `/images/hero.png` against the home URL
+ */
+function resolveUrl(value, homeUrl) {
+  return typeof value === 'string' && value.startsWith('/') ? `${homeUrl}${value}` : value;
+}
+
+/**
+ * webhookUrl from the environment: FARCASTER_WEBHOOK_URL, or /webhook on the
+ * deployed function router (clients require https)
+ */
+function webhookUrlFromEnv(env) {
+  const apiBaseUrl = env.VITE_API_BASE_URL?.replace(/\/+$/, '');
+  return env.FARCASTER_WEBHOOK_URL ||
+    (apiBaseUrl?.startsWith('https://') ? `${apiBaseUrl}/webhook` : undefined);
+}
+
+/**
+ * Builds the manifest's `miniapp` object. Precedence, highest first: the
+ * environment (homeUrl from FARCASTER_DOMAIN, webhookUrl), the source
+ * config, the existing manifest, then MANIFEST_DEFAULTS.
+ *
+ * @param {import('../../shared/manifest').MiniAppConfig} source
+ * @param {{ domain?: string, existing?: Record<string, unknown>, env?: Record<string, string | undefined> }} options
+ * @returns {import('../../shared/manifest').MiniAppManifest}
+ */
+export function resolveMiniAppManifest(source, { domain, existing = {}, env = process.env } = {}) {
+  const currentDomain = cleanDomain(domain || env.FARCASTER_DOMAIN);
+  const homeUrl = currentDomain
+    ? `https://${currentDomain}`
+    : (source.homeUrl ?? existing.homeUrl);
+
+  const merged = {
+    ...MANIFEST_DEFAULTS,
+    ...existing,
+    ...Object.fromEntries(
+      Object.entries(source).filter(([field, value]) => field !== 'environments' && value !== undefined)
+    ),
+    version: MANIFEST_DEFAULTS.version,
+    homeUrl,
+  };
+  merged.webhookUrl = webhookUrlFromEnv(env) ?? merged.webhookUrl;
+
+  for (const field of URL_FIELDS) {
+    merged[field] = resolveUrl(merged[field], homeUrl);
+  }
+  if (Array.isArray(merged.screenshotUrls)) {
+    merged.screenshotUrls = merged.screenshotUrls.map((url) => resolveUrl(url, homeUrl));
+  }
+
+  // Known fields in spec order, then anything else the manifest had
+  const ordered = {};
+  for (const field of [...MANIFEST_FIELDS, ...Object.keys(merged)]) {
+    if (merged[field] !== undefined && !(field in ordered)) {
+      ordered[field] = merged[field];
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Builds META_CONFIG for app/meta-config.ts from the manifest's `miniapp`
+ *
+ * @param {import('../../shared/manifest').MiniAppManifest} miniapp
+ */
+export function buildMetaConfig(miniapp) {
+  return {
+    title: miniapp.name,
+    description: miniapp.description ?? miniapp.subtitle ?? miniapp.name,
+    og: {
+      title: miniapp.ogTitle ?? miniapp.name,
+      description: miniapp.ogDescription ?? miniapp.description ?? miniapp.subtitle ?? miniapp.name,
+      imageUrl: miniapp.ogImageUrl ?? miniapp.imageUrl,
+    },
+    noindex: miniapp.noindex ?? false,
+    farcasterMiniapp: {
+      version: miniapp.version,
+      imageUrl: miniapp.imageUrl ?? miniapp.ogImageUrl,
+      button: {
+        title: miniapp.buttonTitle,
+        action: {
+          type: 'launch_miniapp',
+          name: miniapp.name,
+          url: miniapp.homeUrl,
+          splashImageUrl: miniapp.splashImageUrl,
+          splashBackgroundColor: miniapp.splashBackgroundColor
+        }
+      }
+    },
+    config: miniapp
+  };
+}
@@ -0,0 +1,510 @@
+import { existsSync, readFileSync } from 'fs';
+import { deflateSync } from 'zlib';
+
+/**
+ * Offline Image Renderer
+ *
+ * Draws the app's icon, embed and splash images without a network or any
+ * native dependency: the app name is set in a TrueType font on the splash
+ * background color, the scene is built as SVG paths, and the same paths are
+ * rasterized (4x4 supersampled, nonzero winding) into an RGB PNG. Used by
+ * the `offline` image provider in lib/image-providers.js.
+ */
+
+// Bold sans fonts that ship with common systems and CI images
+const SYSTEM_FONTS = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+  '/usr/share/fonts/TTF/DejaVuSans-Bold.ttf',
+  '/usr/share/fonts/dejavu-sans-fonts/DejaVuSans-Bold.ttf',
+  '/usr/share/fonts/truetype/liberation/LiberationSans-Bold.ttf',
+  '/System/Library/Fonts/Supplemental/Arial Bold.ttf',
+  '/Library/Fonts/Arial Bold.ttf',
+  'C:\\Windows\\Fonts\\arialbd.ttf',
+];
+
+const SUBSAMPLES = 4;
+
+/**
+ * First bold sans font found on this system, or null
+ */
+export function findSystemFont() {
+  return SYSTEM_FONTS.find((path) => existsSync(path)) ?? null;
+}
+
+// TrueType
+
+/**
+ * Reads the outlines and metrics of a TrueType font (.ttf, or the first
+ * font of a .ttc). CFF-flavoured OpenType fonts are not supported.
+ *
+ * @param {string} path
+ */
+export function loadFont(path) {
+  const data = readFileSync(path);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const fontOffset = data.toString('latin1', 0, 4) === 'ttcf' ? view.getUint32(12) : 0;
+  const signature = data.toString('latin1', fontOffset, fontOffset + 4);
+  if (signature === 'OTTO') {
+    throw new Error(`${path} is a CFF (PostScript outline) font; use a TrueType (glyf) font`);
+  }
+  if (signature !== '\0\x01\0\0' && signature !== 'true') {
+    throw new Error(`${path} is not a TrueType font`);
+  }
+
+  const tables = {};
+  const numTables = view.getUint16(fontOffset + 4);
+  for (let i = 0; i < numTables; i++) {
+    const entry = fontOffset + 12 + i * 16;
+    tables[data.toString('latin1', entry, entry + 4)] = view.getUint32(entry + 8);
+  }
+  for (const table of ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'cmap', 'glyf']) {
+    if (tables[table] === undefined) {
+      throw new Error(`${path} has no ${table} table; use a TrueType (glyf) font`);
+    }
+  }
+
+  const unitsPerEm = view.getUint16(tables.head + 18);
+  const longLoca = view.getInt16(tables.head + 50) === 1;
+  const numberOfHMetrics = view.getUint16(tables.hhea + 34);
+  const numGlyphs = view.getUint16(tables.maxp + 4);
+
+  const glyphOffset = (id) => longLoca
+    ? view.getUint32(tables.loca + id * 4)
+    : view.getUint16(tables.loca + id * 2) * 2;
+  const advanceWidth = (id) => view.getUint16(tables.hmtx + Math.min(id, numberOfHMetrics - 1) * 4);
+  const glyphIndex = readCmap(view, tables.cmap);
+
+  /**
+   * Contours of glyph `id` as lists of { x, y, onCurve } points
+   */
+  const readContours = (id, depth = 0) => {
+    if (id >= numGlyphs || depth > 8) return [];
+    const start = tables.glyf + glyphOffset(id);
+    if (glyphOffset(id + 1) === glyphOffset(id)) return [];
+
+    const numberOfContours = view.getInt16(start);
+    if (numberOfContours < 0) {
+      return readComposite(start + 10, (component) => readContours(component, depth + 1));
+    }
+
+    let offset = start + 10;
+    const endPoints = [];
+    for (let i = 0; i < numberOfContours; i++, offset += 2) endPoints.push(view.getUint16(offset));
+    const numPoints = endPoints.length ? endPoints[endPoints.length - 1] + 1 : 0;
+    offset += 2 + view.getUint16(offset);
+
+    const flags = [];
+    while (flags.length < numPoints) {
+      const flag = view.getUint8(offset++);
+      flags.push(flag);
+      if (flag & 8) {
+        for (let repeat = view.getUint8(offset++); repeat > 0; repeat--) flags.push(flag);
+      }
+    }
+    const readCoordinates = (shortBit, sameBit) => {
+      let value = 0;
+      return flags.map((flag) => {
+        if (flag & shortBit) {
+          const delta = view.getUint8(offset++);
+          value += flag & sameBit ? delta : -delta;
+        } else if (!(flag & sameBit)) {
+          value += view.getInt16(offset);
+          offset += 2;
+        }
+        return value;
+      });
+    };
+    const xs = readCoordinates(2, 16);
+    const ys = readCoordinates(4, 32);
+
+    let first = 0;
+    return endPoints.map((last) => {
+      const contour = [];
+      for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], onCurve: Boolean(flags[i] & 1) });
+      first = last + 1;
+      return contour;
+    });
+  };
+
+  const readComposite = (offset, readComponent) => {
+    const contours = [];
+    let flags;
+    do {
+      flags = view.getUint16(offset);
+      const component = view.getUint16(offset + 2);
+      offset += 4;
+      let dx = 0, dy = 0;
+      if (flags & 1) {
+        if (flags & 2) { dx = view.getInt16(offset); dy = view.getInt16(offset + 2); }
+        offset += 4;
+      } else {
+        if (flags & 2) { dx = view.getInt8(offset); dy = view.getInt8(offset + 1); }
+        offset += 2;
+      }
+      let [a, b, c, d] = [1, 0, 0, 1];
+      const f2dot14 = (at) => view.getInt16(at) / 16384;
+      if (flags & 8) {
+        a = d = f2dot14(offset); offset += 2;
+      } else if (flags & 0x40) {
+        a = f2dot14(offset); d = f2dot14(offset + 2); offset += 4;
+      } else if (flags & 0x80) {
+        a = f2dot14(offset); b = f2dot14(offset + 2); c = f2dot14(offset + 4); d = f2dot14(offset + 6); offset += 8;
+      }
+      for (const contour of readComponent(component)) {
+        contours.push(contour.map(({ x, y, onCurve }) => ({ x: a * x + c * y + dx, y: b * x + d * y + dy, onCurve })));
+      }
+    } while (flags & 0x20);
+    return contours;
+  };
+
+  const glyphs = new Map();
+  return {
+    unitsPerEm,
+    /**
+     * Advance width and outline (path commands in font units, y up) for
+     * a character
+     */
+    glyph(char) {
+      const id = glyphIndex(char.codePointAt(0));
+      if (!glyphs.has(id)) {
+        glyphs.set(id, { advance: advanceWidth(id), commands: contoursToCommands(readContours(id)) });
+      }
+      return glyphs.get(id);
+    },
+  };
+}
+
+/**
+ * Character to glyph lookup from the Unicode cmap (format 4 or 12)
+ */
+function readCmap(view, cmap) {
+  const subtables = [];
+  for (let i = 0; i < view.getUint16(cmap + 2); i++) {
+    const record = cmap + 4 + i * 8;
+    subtables.push({ platform: view.getUint16(record), encoding: view.getUint16(record + 2), offset: cmap + view.getUint32(record + 4) });
+  }
+  const unicode = subtables.filter(({ platform, encoding }) => platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10)));
+
+  const full = unicode.find(({ offset }) => view.getUint16(offset) === 12);
+  if (full) {
+    const groups = [];
+    for (let i = 0; i < view.getUint32(full.offset + 12); i++) {
+      const group = full.offset + 16 + i * 12;
+      groups.push([view.getUint32(group), view.getUint32(group + 4), view.getUint32(group + 8)]);
+    }
+    return (code) => {
+      const group = groups.find(([startCode, endCode]) => code >= startCode && code <= endCode);
+      return group ? group[2] + code - group[0] : 0;
+    };
+  }
+
+  const basic = unicode.find(({ offset }) => view.getUint16(offset) === 4);
+  if (!basic) {
+    throw new Error('The font has no Unicode character map');
+  }
+  const segCount = view.getUint16(basic.offset + 6) / 2;
+  const endCodes = basic.offset + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+  return (code) => {
+    for (let i = 0; i < segCount; i++) {
+      if (code > view.getUint16(endCodes + i * 2)) continue;
+      const startCode = view.getUint16(startCodes + i * 2);
+      if (code < startCode) return 0;
+      const rangeOffset = view.getUint16(idRangeOffsets + i * 2);
+      if (rangeOffset === 0) return (code + view.getInt16(idDeltas + i * 2)) & 0xffff;
+      const id = view.getUint16(idRangeOffsets + i * 2 + rangeOffset + (code - startCode) * 2);
+      return id === 0 ? 0 : (id + view.getInt16(idDeltas + i * 2)) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * TrueType quadratic contours to M/L/Q/Z commands; consecutive off-curve
+ * points imply an on-curve point halfway between them
+ */
+function contoursToCommands(contours) {
+  const commands = [];
+  for (const contour of contours) {
+    if (contour.length === 0) continue;
+    const midpoint = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, onCurve: true });
+    const startIndex = contour.findIndex(({ onCurve }) => onCurve);
+    const start = startIndex >= 0 ? contour[startIndex] : midpoint(contour[0], contour[1 % contour.length]);
+    const points = startIndex >= 0
+      ? [...contour.slice(startIndex + 1), ...contour.slice(0, startIndex), start]
+      : [...contour.slice(1), contour[0], start];
+
+    commands.push(['M', start.x, start.y]);
+    let control = null;
+    for (const point of points) {
+      if (point.onCurve) {
+        commands.push(control ? ['Q', control.x, control.y, point.x, point.y] : ['L', point.x, point.y]);
+        control = null;
+      } else {
+        if (control) {
+          const implied = midpoint(control, point);
+          commands.push(['Q', control.x, control.y, implied.x, implied.y]);
+        }
+        control = point;
+      }
+    }
+    commands.push(['Z']);
+  }
+  return commands;
+}
+
+// Scenes
+
+/**
+ * Path commands for a line of text in font units, with its bounding box
+ */
+function layoutText(font, text) {
+  const commands = [];
+  let x = 0;
+  for (const char of text) {
+    const { advance, commands: glyph } = font.glyph(char);
+    commands.push(...glyph.map(([op, ...coordinates]) => [op, ...coordinates.map((value, i) => (i % 2 === 0 ? value + x : value))]));
+    x += advance;
+  }
+  const xs = commands.flatMap(([, ...coordinates]) => coordinates.filter((_, i) => i % 2 === 0));
+  const ys = commands.flatMap(([, ...coordinates]) => coordinates.filter((_, i) => i % 2 === 1));
+  return { commands, box: xs.length ? { x0: Math.min(...xs), x1: Math.max(...xs), y0: Math.min(...ys), y1: Math.max(...ys) } : null };
+}
+
+/**
+ * Text scaled to fit a `width` x `height` box centred on (cx, cy), in
+ * pixel coordinates (y down)
+ */
+function fitText(font, text, { cx, cy, width, height }) {
+  const { commands, box } = layoutText(font, text);
+  if (!box) return [];
+  const scale = Math.min(width / (box.x1 - box.x0), height / (box.y1 - box.y0));
+  const ox = cx - ((box.x0 + box.x1) / 2) * scale;
+  const oy = cy + ((box.y0 + box.y1) / 2) * scale;
+  return commands.map(([op, ...coordinates]) => [op, ...coordinates.map((value, i) => (i % 2 === 0 ? ox + value * scale : oy - value * scale))]);
+}
+
+function parseColor(color, fallback) {
+  const hex = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(color ?? '')?.[1];
+  if (!hex) return parseColor(fallback);
+  const full = hex.length === 3 ? [...hex].map((c) => c + c).join('') : hex;
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+  return '#' + rgb.map((value) => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * White or near-black, whichever reads better on `background`
+ */
+function contrastColor([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map((value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb > 0.4 ? [17, 17, 17] : [255, 255, 255];
+}
+
+/**
+ * White or near-black as a hex color, whichever reads better on the hex
+ * color `background`
+ */
+export function textColorOn(background) {
+  return toHex(contrastColor(parseColor(background, '#6200ea')));
+}
+
+/**
+ * Up to two initials of the app name, for square images
+ */
+export function initials(name) {
+  const words = name.trim().split(/[\s_-]+/).filter(Boolean);
+  const letters = words.length > 1 ? words.slice(0, 2).map((word) => [...word][0]) : [...(words[0] ?? 'M')].slice(0, 2);
+  return letters.join('').toUpperCase();
+}
+
+/**
+ * Vector scene for an icon, embed or splash image: a background and the
+ * app name (or its initials, on square images) in the font
+ *
+ * @param {{ kind: 'icon' | 'embed' | 'splash', width: number, height: number, appName: string, backgroundColor?: string, font: ReturnType<typeof loadFont> }} options
+ * @returns {{ width: number, height: number, paths: { fill: number[], commands: any[][] }[] }}
+ */
+export function appImageScene({ kind, width, height, appName, backgroundColor, font }) {
+  const background = parseColor(backgroundColor, '#6200ea');
+  const foreground = contrastColor(background);
+  const paths = [{ fill: background, commands: [['M', 0, 0], ['L', width, 0], ['L', width, height], ['L', 0, height], ['Z']] }];
+
+  const side = Math.min(width, height);
+  const text = kind === 'embed' ? appName.trim() || 'Mini App' : initials(appName || 'Mini App');
+  const box = kind === 'embed'
+    ? { cx: width / 2, cy: height / 2, width: width * 0.8, height: height * 0.24 }
+    : { cx: width / 2, cy: height / 2, width: side * 0.64, height: side * 0.42 };
+  paths.push({ fill: foreground, commands: fitText(font, text, box) });
+
+  return { width, height, paths };
+}
+
+/**
+ * Vector scene with one line of text in `color`, left-aligned and
+ * vertically centred, and no background
+ *
+ * @param {{ width: number, height: number, text: string, color: string, font: ReturnType<typeof loadFont> }} options
+ */
+export function textScene({ width, height, text, color, font }) {
+  const commands = fitText(font, text.trim() || 'Mini App', { cx: width / 2, cy: height / 2, width, height: height * 0.36 });
+  const left = Math.min(...commands.flatMap(([, ...coordinates]) => coordinates.filter((_, i) => i % 2 === 0)));
+  const shifted = commands.map(([op, ...coordinates]) => [op, ...coordinates.map((value, i) => (i % 2 === 0 ? value - left : value))]);
+  return { width, height, paths: [{ fill: parseColor(color, '#111111'), commands: shifted }] };
+}
+
+// Output
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * The scene as an SVG document
+ */
+export function sceneToSvg({ width, height, paths }) {
+  const elements = paths.map(({ fill, commands }) => {
+    const d = commands.map(([op, ...coordinates]) => op + coordinates.map(formatNumber).join(' ')).join('');
+    return `  <path fill="${toHex(fill)}" d="${d}"/>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${elements.join('\n')}\n</svg>\n`;
+}
+
+/**
+ * Line segments of a path, with quadratic curves flattened
+ */
+function flatten(commands) {
+  const edges = [];
+  let start = null;
+  let current = null;
+  for (const [op, ...c] of commands) {
+    if (op === 'M') {
+      start = current = [c[0], c[1]];
+    } else if (op === 'L') {
+      edges.push([...current, c[0], c[1]]);
+      current = [c[0], c[1]];
+    } else if (op === 'Q') {
+      const steps = Math.max(2, Math.min(16, Math.ceil(Math.hypot(c[2] - current[0], c[3] - current[1]) / 4)));
+      let [px, py] = current;
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const x = (1 - t) ** 2 * current[0] + 2 * (1 - t) * t * c[0] + t ** 2 * c[2];
+        const y = (1 - t) ** 2 * current[1] + 2 * (1 - t) * t * c[1] + t ** 2 * c[3];
+        edges.push([px, py, x, y]);
+        [px, py] = [x, y];
+      }
+      current = [c[2], c[3]];
+    } else if (op === 'Z' && start) {
+      if (current[0] !== start[0] || current[1] !== start[1]) edges.push([...current, ...start]);
+      current = start;
+    }
+  }
+  return edges.filter(([, y0, , y1]) => y0 !== y1);
+}
+
+/**
+ * Fills the scene's paths into RGB pixels with nonzero winding and
+ * SUBSAMPLES x SUBSAMPLES anti-aliasing
+ */
+function rasterize({ width, height, paths }) {
+  const pixels = new Float32Array(width * height * 3);
+  const coverage = new Float32Array(width + 1);
+
+  for (const { fill, commands } of paths) {
+    const edges = flatten(commands);
+    for (let row = 0; row < height; row++) {
+      coverage.fill(0);
+      let touched = false;
+      for (let sub = 0; sub < SUBSAMPLES; sub++) {
+        const y = row + (sub + 0.5) / SUBSAMPLES;
+        const crossings = [];
+        for (const [x0, y0, x1, y1] of edges) {
+          if ((y0 <= y && y1 > y) || (y1 <= y && y0 > y)) {
+            crossings.push({ x: x0 + ((y - y0) / (y1 - y0)) * (x1 - x0), winding: y1 > y0 ? 1 : -1 });
+          }
+        }
+        crossings.sort((a, b) => a.x - b.x);
+        let winding = 0;
+        for (let i = 0; i < crossings.length - 1; i++) {
+          winding += crossings[i].winding;
+          if (winding === 0) continue;
+          touched = true;
+          // Horizontal supersampling: count covered sample columns
+          const from = Math.max(0, Math.round(crossings[i].x * SUBSAMPLES));
+          const to = Math.min(width * SUBSAMPLES, Math.round(crossings[i + 1].x * SUBSAMPLES));
+          for (let sample = from; sample < to; sample++) {
+            coverage[sample / SUBSAMPLES | 0] += 1 / (SUBSAMPLES * SUBSAMPLES);
+          }
+        }
+      }
+      if (!touched) continue;
+      for (let column = 0; column < width; column++) {
+        const alpha = Math.min(1, coverage[column]);
+        if (alpha === 0) continue;
+        const index = (row * width + column) * 3;
+        for (let channel = 0; channel < 3; channel++) {
+          pixels[index + channel] += (fill[channel] - pixels[index + channel]) * alpha;
+        }
+      }
+    }
+  }
+  return pixels;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes RGB pixels (0-255 floats) as an opaque 8-bit PNG
+ */
+export function encodePng(width, height, pixels) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw[row * (width * 3 + 1)] = 0;
+    for (let i = 0; i < width * 3; i++) {
+      raw[row * (width * 3 + 1) + 1 + i] = Math.round(pixels[row * width * 3 + i]);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * The scene as a PNG
+ */
+export function sceneToPng(scene) {
+  return encodePng(scene.width, scene.height, rasterize(scene));
+}
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import sharp from 'sharp';
+import { ASSET_SPECS, generationSize, processImage } from './image-processing.js';
+import { chooseImageProvider, IMAGE_PROVIDERS } from './image-providers.js';
+import { appImageScene, findSystemFont, initials, loadFont, sceneToSvg, textColorOn } from './offline-images.js';
+
+/**
+ * The offline image provider, rendering with whatever bold system font
+ * findSystemFont() finds
+ */
+
+const FONT = findSystemFont();
+const skip = !FONT && 'no system font found';
+const APP = { appName: 'Farcaster Mini App', backgroundColor: '#0ea5e9' };
+
+/**
+ * RGB of the pixel at (x, y)
+ */
+async function pixel(png, x, y) {
+  const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+  const index = (y * info.width + x) * info.channels;
+  return [...data.subarray(index, index + 3)];
+}
+
+test('renders the icon, embed and splash at the requested sizes', { skip }, async () => {
+  const provider = IMAGE_PROVIDERS.offline.create({ env: {}, font: FONT });
+  assert.equal(provider.model, `offline (${FONT})`);
+
+  for (const kind of ['icon', 'embed', 'splash']) {
+    const { width, height } = generationSize(ASSET_SPECS[kind]);
+    const png = await provider.generate({ kind, prompt: '', width, height, app: APP });
+
+    const { format, width: pngWidth, height: pngHeight, hasAlpha } = await sharp(png).metadata();
+    assert.deepEqual({ format, width: pngWidth, height: pngHeight, hasAlpha }, { format: 'png', width, height, hasAlpha: false }, kind);
+    assert.deepEqual(await pixel(png, 0, 0), [14, 165, 233], `${kind} background`);
+
+    const processed = await processImage(png, kind, { backgroundColor: APP.backgroundColor });
+    const metadata = await sharp(processed.data).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [ASSET_SPECS[kind].width, ASSET_SPECS[kind].height], kind);
+  }
+});
+
+test('draws the initials in a color that reads on the background', { skip }, async () => {
+  const provider = IMAGE_PROVIDERS.offline.create({ env: { IMAGE_FONT: FONT } });
+  const dark = await provider.generate({ kind: 'splash', width: 200, height: 200, app: { ...APP, backgroundColor: '#111827' } });
+
+  const colors = new Set();
+  for (let x = 40; x < 160; x += 4) colors.add((await pixel(dark, x, 100)).join());
+  assert.ok(colors.has('255,255,255'), 'white text on a dark background');
+
+  // Candidates cycle through the brand colors
+  const second = await provider.generate({ kind: 'icon', width: 64, height: 64, variant: 1, app: { ...APP, colors: ['#000000', '#ff0000'] } });
+  assert.deepEqual(await pixel(second, 0, 0), [255, 0, 0]);
+});
+
+test('describes the same scene as SVG', { skip }, () => {
+  const scene = appImageScene({ kind: 'embed', width: 1200, height: 800, appName: 'Mini', font: loadFont(FONT) });
+  const svg = sceneToSvg(scene);
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1200" height="800" viewBox="0 0 1200 800">/);
+  assert.equal(svg.match(/<path /g).length, 2);
+  assert.match(svg, /<path fill="#6200ea" d="M0 0L1200 0L1200 800L0 800Z"\/>/);
+});
+
+test('picks initials, text colors and the provider', () => {
+  assert.equal(initials('Farcaster Mini App'), 'FM');
+  assert.equal(initials('snake_case-name'), 'SC');
+  assert.equal(initials('solo'), 'SO');
+  assert.equal(textColorOn('#ffffff'), '#111111');
+  assert.equal(textColorOn('#0b0b45'), '#ffffff');
+
+  assert.equal(chooseImageProvider(undefined, {}).name, 'offline');
+  assert.equal(chooseImageProvider(undefined, { AIML_API_KEY: 'key' }).name, 'aiml');
+  assert.equal(chooseImageProvider('offline', { TOGETHER_API_KEY: 'key' }).name, 'offline');
+  assert.throws(() => chooseImageProvider('dalle', {}), /Unknown image provider "dalle"/);
+});
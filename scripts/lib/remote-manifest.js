@@ -0,0 +1,200 @@
+import { verifyAccountAssociation } from './account-association.js';
+import { buildMetaConfig } from './miniapp-manifest.js';
+
+/**
+ * Deployed Manifest Checks
+ *
+ * Fetches a deployed app's /.well-known/farcaster.json and its home page's
+ * `fc:miniapp` meta tag, and checks them against the local manifest: same
+ * content, served as JSON without redirects, signed for the host, and every
+ * referenced image reachable. Used by verify-farcaster-signature.js --url.
+ */
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * GETs (or HEADs) a URL, following up to MAX_REDIRECTS redirects by hand so
+ * the chain can be reported
+ */
+async function fetchFollowing(url, { method = 'GET', fetch: fetchImpl = fetch } = {}) {
+  const redirects = [];
+  let current = url;
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    const response = await fetchImpl(current, { method, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, redirects, finalUrl: current };
+    }
+    const next = new URL(location, current).href;
+    redirects.push({ status: response.status, from: current, to: next });
+    current = next;
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects from ${url}`);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeHtml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Content of `<meta name="..." content="...">` (or property=), in any
+ * attribute order
+ */
+export function readMetaTag(html, name) {
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = Object.fromEntries(
+      [...tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)].map((match) => [
+        match[1].toLowerCase(),
+        decodeHtml(match[3] ?? match[4]),
+      ])
+    );
+    if (attributes.name === name || attributes.property === name) {
+      return attributes.content ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Paths at which two JSON values differ, ignoring key order
+ */
+export function diffJson(local, remote, path = '') {
+  if (typeof local !== typeof remote || Array.isArray(local) !== Array.isArray(remote) ||
+      local === null || remote === null || typeof local !== 'object') {
+    return JSON.stringify(local) === JSON.stringify(remote) ? [] : [path || '(root)'];
+  }
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  return [...keys].flatMap((key) => {
+    const child = Array.isArray(local) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    return diffJson(local[key], remote[key], child);
+  });
+}
+
+function imageUrls(miniapp, embed) {
+  const urls = [
+    ['miniapp.iconUrl', miniapp?.iconUrl],
+    ['miniapp.imageUrl', miniapp?.imageUrl],
+    ['miniapp.splashImageUrl', miniapp?.splashImageUrl],
+    ['miniapp.heroImageUrl', miniapp?.heroImageUrl],
+    ['miniapp.ogImageUrl', miniapp?.ogImageUrl],
+    ...(miniapp?.screenshotUrls ?? []).map((url, i) => [`miniapp.screenshotUrls[${i}]`, url]),
+    ['fc:miniapp.imageUrl', embed?.imageUrl],
+    ['fc:miniapp.button.action.splashImageUrl', embed?.button?.action?.splashImageUrl],
+  ];
+  return urls.filter(([, url]) => typeof url === 'string');
+}
+
+/**
+ * Checks the app deployed at `origin` against `localManifest`. Returns a
+ * report whose `checks` each have `{ check, ok, severity, message }`; `ok`
+ * is false when any error-severity check failed.
+ *
+ * @param {string} origin e.g. https://myapp.com
+ * @param {{ localManifest?: Record<string, any> | null, fetch?: typeof fetch }} [options]
+ */
+export async function checkDeployedManifest(origin, { localManifest = null, fetch: fetchImpl = fetch } = {}) {
+  const base = new URL(origin.includes('://') ? origin : `https://${origin}`);
+  const checks = [];
+  const record = (check, ok, message, severity = 'error') => checks.push({ check, ok, severity, message });
+  const report = { origin: base.origin, manifestUrl: new URL('/.well-known/farcaster.json', base).href, checks };
+
+  // The manifest
+  let manifest = null;
+  try {
+    const { response, redirects } = await fetchFollowing(report.manifestUrl, { fetch: fetchImpl });
+    record('manifest.status', response.ok, `GET /.well-known/farcaster.json returned ${response.status}`);
+    record('manifest.redirects', redirects.length === 0, redirects.length === 0
+      ? 'Served without redirects'
+      : `Redirected: ${redirects.map(({ status, to }) => `${status} → ${to}`).join(', ')}`, 'warning');
+    const contentType = response.headers.get('content-type') ?? '';
+    const isJson = /^application\/json\b/i.test(contentType);
+    record('manifest.contentType', isJson, isJson
+      ? `Served as ${contentType}`
+      : `Content-Type is ${contentType || '(none)'}; expected application/json`);
+    if (response.ok) {
+      const text = await response.text();
+      try {
+        manifest = JSON.parse(text);
+        record('manifest.json', true, 'Manifest is valid JSON');
+      } catch {
+        record('manifest.json', false, 'Manifest is not valid JSON');
+      }
+    }
+  } catch (error) {
+    record('manifest.status', false, `Could not fetch the manifest: ${error.message}`);
+  }
+  report.manifest = manifest;
+
+  // The signature, which must be for this host
+  if (manifest) {
+    const { checks: signatureChecks } = await verifyAccountAssociation(manifest.accountAssociation, { domain: base.host });
+    signatureChecks.forEach(({ check, ok, message }) => record(`accountAssociation.${check}`, ok, message));
+  }
+
+  if (manifest && localManifest) {
+    const differences = diffJson(localManifest, manifest);
+    record('manifest.matchesLocal', differences.length === 0, differences.length === 0
+      ? 'Deployed manifest matches the local copy'
+      : `Deployed manifest differs from the local copy at ${differences.join(', ')}`);
+  }
+
+  // The home page embed
+  const homeUrl = manifest?.miniapp?.homeUrl ?? base.href;
+  let embed = null;
+  try {
+    const { response, redirects } = await fetchFollowing(homeUrl, { fetch: fetchImpl });
+    record('homePage.status', response.ok, `GET ${homeUrl} returned ${response.status}` +
+      (redirects.length > 0 ? ` after ${redirects.length} redirect(s)` : ''));
+    const content = response.ok ? readMetaTag(await response.text(), 'fc:miniapp') : null;
+    if (content === null) {
+      record('homePage.embed', false, 'The home page has no fc:miniapp meta tag');
+    } else {
+      try {
+        embed = JSON.parse(content);
+        record('homePage.embed', true, 'fc:miniapp meta tag is valid JSON');
+      } catch {
+        record('homePage.embed', false, 'fc:miniapp meta tag is not valid JSON');
+      }
+    }
+  } catch (error) {
+    record('homePage.status', false, `Could not fetch ${homeUrl}: ${error.message}`);
+  }
+  report.embed = embed;
+
+  const expectedManifest = localManifest ?? manifest;
+  if (embed && expectedManifest?.miniapp) {
+    const differences = diffJson(buildMetaConfig(expectedManifest.miniapp).farcasterMiniapp, embed);
+    record('homePage.embedMatches', differences.length === 0, differences.length === 0
+      ? `fc:miniapp matches the ${localManifest ? 'local' : 'deployed'} manifest`
+      : `fc:miniapp differs from the ${localManifest ? 'local' : 'deployed'} manifest at ${differences.join(', ')}`);
+  }
+
+  // Every referenced image
+  const seen = new Set();
+  for (const [field, url] of imageUrls(manifest?.miniapp, embed)) {
+    if (seen.has(url)) continue;
+    seen.add(url);
+    try {
+      let { response } = await fetchFollowing(url, { method: 'HEAD', fetch: fetchImpl });
+      if (response.status === 405) {
+        ({ response } = await fetchFollowing(url, { fetch: fetchImpl }));
+      }
+      const contentType = response.headers.get('content-type') ?? '';
+      record(`image.${field}`, response.ok && contentType.startsWith('image/'), response.ok
+        ? `${url} is ${contentType || 'missing a Content-Type'}`
+        : `${url} returned ${response.status}`);
+    } catch (error) {
+      record(`image.${field}`, false, `${url} could not be fetched: ${error.message}`);
+    }
+  }
+
+  report.ok = checks.every(({ ok, severity }) => ok || severity !== 'error');
+  return report;
+}
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { signAccountAssociation } from './account-association.js';
+import { buildMetaConfig } from './miniapp-manifest.js';
+import { checkDeployedManifest, diffJson, readMetaTag } from './remote-manifest.js';
+
+/**
+ * Deployed manifest checks against a local static server playing the
+ * deployed app
+ */
+
+const PRIVATE_KEY = '0x' + '42'.repeat(32);
+const PNG = { 'Content-Type': 'image/png' };
+
+let server;
+let origin;
+/** @type {Record<string, { status?: number, headers?: Record<string, string>, body?: string }>} */
+let routes;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const route = routes[new URL(req.url, origin).pathname];
+    res.writeHead(route?.status ?? (route ? 200 : 404), route?.headers ?? {});
+    res.end(req.method === 'HEAD' ? undefined : route?.body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function buildManifest(domain = new URL(origin).host) {
+  return {
+    accountAssociation: await signAccountAssociation({ fid: 3621, domain, privateKey: PRIVATE_KEY }),
+    miniapp: {
+      version: '1',
+      name: 'Test App',
+      homeUrl: `${origin}/`,
+      iconUrl: `${origin}/images/icon.png`,
+      imageUrl: `${origin}/images/embed.png`,
+      buttonTitle: 'Open',
+      splashImageUrl: `${origin}/images/splash.png`,
+      splashBackgroundColor: '#0ea5e9'
+    }
+  };
+}
+
+function homePage(miniapp) {
+  const embed = JSON.stringify(buildMetaConfig(miniapp).farcasterMiniapp).replace(/"/g, '&quot;');
+  return `<!DOCTYPE html><html><head><meta content="${embed}" name="fc:miniapp"></head></html>`;
+}
+
+/**
+ * Serves `manifest` the way a correct deployment does
+ */
+function deploy(manifest) {
+  routes = {
+    '/.well-known/farcaster.json': { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(manifest) },
+    '/': { headers: { 'Content-Type': 'text/html' }, body: homePage(manifest.miniapp) },
+    '/images/icon.png': { headers: PNG },
+    '/images/embed.png': { headers: PNG },
+    '/images/splash.png': { headers: PNG }
+  };
+}
+
+function failed(report) {
+  return report.checks.filter(({ ok }) => !ok).map(({ check }) => check);
+}
+
+beforeEach(() => {
+  routes = {};
+});
+
+test('passes a deployment that matches the local manifest', async () => {
+  const manifest = await buildManifest();
+  deploy(manifest);
+
+  const report = await checkDeployedManifest(origin, { localManifest: manifest });
+  assert.deepEqual(failed(report), []);
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.manifest, manifest);
+  assert.deepEqual(report.embed, buildMetaConfig(manifest.miniapp).farcasterMiniapp);
+});
+
+test('fails a manifest signed for another domain or differing from the local copy', async () => {
+  const manifest = await buildManifest('other.example');
+  deploy(manifest);
+
+  const report = await checkDeployedManifest(origin, {
+    localManifest: { ...manifest, miniapp: { ...manifest.miniapp, name: 'Local Name' } }
+  });
+  assert.equal(report.ok, false);
+  assert.deepEqual(failed(report), ['accountAssociation.domain', 'manifest.matchesLocal', 'homePage.embedMatches']);
+});
+
+test('fails a manifest served as text, and warns about redirects', async () => {
+  const manifest = await buildManifest();
+  deploy(manifest);
+  routes['/.well-known/farcaster.json'].headers = { 'Content-Type': 'text/plain' };
+  routes['/farcaster.json'] = routes['/.well-known/farcaster.json'];
+  routes['/.well-known/farcaster.json'] = { status: 301, headers: { Location: '/farcaster.json' } };
+
+  const report = await checkDeployedManifest(origin, { localManifest: manifest });
+  assert.equal(report.ok, false);
+  assert.deepEqual(failed(report), ['manifest.redirects', 'manifest.contentType']);
+  assert.equal(report.checks.find(({ check }) => check === 'manifest.redirects').severity, 'warning');
+});
+
+test('fails a missing embed tag and missing images', async () => {
+  const manifest = await buildManifest();
+  deploy(manifest);
+  routes['/'].body = '<html><head></head></html>';
+  delete routes['/images/splash.png'];
+
+  const report = await checkDeployedManifest(origin, { localManifest: manifest });
+  assert.equal(report.ok, false);
+  assert.deepEqual(failed(report), ['homePage.embed', 'image.miniapp.splashImageUrl']);
+});
+
+test('reports a missing manifest and home page', async () => {
+  const report = await checkDeployedManifest(origin);
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(failed(report), ['manifest.status', 'manifest.contentType', 'homePage.status', 'homePage.embed']);
+});
+
+test('reads meta tags in any attribute order and diffs JSON by path', () => {
+  const html = '<meta property="og:title" content="A &amp; B"><meta content=\'{"a":1}\' name="fc:miniapp">';
+  assert.equal(readMetaTag(html, 'og:title'), 'A & B');
+  assert.equal(readMetaTag(html, 'fc:miniapp'), '{"a":1}');
+  assert.equal(readMetaTag(html, 'missing'), null);
+
+  assert.deepEqual(diffJson({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 3] }, a: 1 }), ['b.c[1]']);
+});
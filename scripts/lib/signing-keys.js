@@ -0,0 +1,405 @@
+import { spawn } from 'child_process';
+import { createCipheriv, createDecipheriv, pbkdf2, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { format, promisify } from 'util';
+import { HDKey } from '@scure/bip32';
+import { mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { scryptAsync as nobleScrypt } from '@noble/hashes/scrypt';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, custodyAddress, hexToBytes, KEY_PATTERNS, privateKeySigner, SIGNATURE_TYPES } from './account-association.js';
+
+/**
+ * Signing Keys
+ *
+ * Where the account association signer comes from, in order of precedence:
+ *
+ * - an external signer command (FARCASTER_SIGNER_COMMAND), which gets the
+ *   message to sign on stdin and prints the signature; the key it signs as
+ *   is FARCASTER_SIGNER_KEY. The key itself never reaches this process.
+ * - an encrypted keystore file (FARCASTER_KEYSTORE) in the Ethereum V3
+ *   format geth and `cast wallet` use, unlocked with
+ *   FARCASTER_KEYSTORE_PASSWORD or a password prompt
+ * - a BIP-39 mnemonic (FARCASTER_MNEMONIC, or a prompt) and derivation
+ *   path, m/44'/60'/0'/0/0 by default as for the Farcaster recovery phrase
+ * - a raw hex FARCASTER_PRIVATE_KEY
+ *
+ * Every secret loadSigner() reads or derives is redacted from console
+ * output from then on.
+ */
+
+export const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+const scryptAsync = promisify(scrypt);
+const pbkdf2Async = promisify(pbkdf2);
+
+/**
+ * @typedef {(
+ *   { kind: 'command', command: string, key?: string } |
+ *   { kind: 'keystore', path: string, password?: string } |
+ *   { kind: 'mnemonic', mnemonic?: string, path: string, passphrase?: string } |
+ *   { kind: 'privateKey', privateKey: string }
+ * ) & { type: 'custody' | 'app_key' }} KeySource
+ */
+
+// Redaction
+
+// Shorter secrets are not redacted: masking a one-character password would
+// mask that character everywhere
+const MIN_SECRET_LENGTH = 4;
+
+const secrets = new Set();
+let consoleScrubbed = false;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replaces every registered secret in `text` with [redacted]
+ */
+export function redact(text) {
+  return [...secrets].reduce((result, secret) => result.replace(new RegExp(escapeRegExp(secret), 'gi'), '[redacted]'), text);
+}
+
+/**
+ * Registers a secret (and its hex form without 0x) for redaction and
+ * makes sure console output goes through redact(). Secrets shorter than
+ * MIN_SECRET_LENGTH are skipped.
+ */
+export function addSecret(value) {
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) {
+    return;
+  }
+  secrets.add(value);
+  if (/^0x[0-9a-fA-F]+$/.test(value) && value.length - 2 >= MIN_SECRET_LENGTH) {
+    secrets.add(value.slice(2));
+  }
+
+  if (!consoleScrubbed) {
+    consoleScrubbed = true;
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => original(redact(format(...args)));
+    }
+  }
+}
+
+// Prompts
+
+/**
+ * Reads a line from the terminal without echoing it
+ *
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+export function promptSecret(question, { input = process.stdin, output = process.stderr } = {}) {
+  if (!input.isTTY) {
+    return Promise.reject(new Error(`${question.replace(/:\s*$/, '')} is needed but there is no terminal to ask on`));
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (error) => {
+      input.off('data', onData);
+      input.setRawMode(false);
+      input.pause();
+      output.write('\n');
+      if (error) reject(error); else resolve(value);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') return finish();
+        if (char === '\u0003') return finish(new Error('Cancelled'));
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+
+    output.write(question);
+    input.setEncoding('utf8');
+    input.setRawMode(true);
+    input.resume();
+    input.on('data', onData);
+  });
+}
+
+// Keystores
+
+async function deriveKeystoreKey(password, { kdf, kdfparams }) {
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = kdfparams;
+    // OpenSSL refuses N >= 2^(16r), which keystores with r = 1 (the Web3
+    // Secret Storage test vector among them) often use
+    if (n >= 2 ** (16 * r)) {
+      return Buffer.from(await nobleScrypt(password, salt, { N: n, r, p, dkLen: dklen }));
+    }
+    // geth's defaults (N = 2^18, r = 8) need 256 MB, past Node's 32 MB default
+    return scryptAsync(password, salt, dklen, { N: n, r, p, maxmem: 128 * r * (n + p + 2) });
+  }
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore PRF ${kdfparams.prf}`);
+    }
+    return pbkdf2Async(password, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+  }
+  throw new Error(`Unsupported keystore KDF ${kdf}`);
+}
+
+function keystoreMac(derivedKey, ciphertext) {
+  return Buffer.from(keccak_256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])));
+}
+
+/**
+ * Decrypts a V3 keystore to its 0x private key
+ *
+ * @param {Record<string, any>} keystore
+ * @param {string} password
+ */
+export async function decryptKeystore(keystore, password) {
+  const crypto = keystore.crypto ?? keystore.Crypto;
+  if (keystore.version !== 3 || !crypto) {
+    throw new Error('Not a version 3 keystore');
+  }
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher ${crypto.cipher}`);
+  }
+
+  const derivedKey = await deriveKeystoreKey(password, crypto);
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+  const mac = Buffer.from(crypto.mac, 'hex');
+  const expected = keystoreMac(derivedKey, ciphertext);
+  if (mac.length !== expected.length || !timingSafeEqual(mac, expected)) {
+    throw new Error('Wrong keystore password');
+  }
+
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'));
+  return `0x${bytesToHex(Buffer.concat([decipher.update(ciphertext), decipher.final()]))}`;
+}
+
+/**
+ * Encrypts a private key as a V3 keystore (scrypt, aes-128-ctr). Custody
+ * keystores carry their address.
+ *
+ * @param {string} privateKey
+ * @param {string} password
+ * @param {{ type?: 'custody' | 'app_key', n?: number }} [options]
+ */
+export async function encryptKeystore(privateKey, password, { type = 'custody', n = 262144 } = {}) {
+  const kdfparams = { dklen: 32, n, r: 8, p: 1, salt: randomBytes(32).toString('hex') };
+  const derivedKey = await deriveKeystoreKey(password, { kdf: 'scrypt', kdfparams });
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(hexToBytes(privateKey)), cipher.final()]);
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    ...(type === 'custody' && { address: custodyAddress(privateKey).slice(2).toLowerCase() }),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: keystoreMac(derivedKey, ciphertext).toString('hex'),
+    },
+  };
+}
+
+/**
+ * Writes a keystore readable only by the current user; never overwrites
+ */
+export function saveKeystore(path, keystore) {
+  if (existsSync(path)) {
+    throw new Error(`${path} already exists`);
+  }
+  writeFileSync(path, JSON.stringify(keystore, null, 2), { encoding: 'utf-8', mode: 0o600 });
+}
+
+// Mnemonics
+
+/**
+ * Derives the 0x secp256k1 private key at `path` from a BIP-39 mnemonic
+ *
+ * @param {string} mnemonic
+ * @param {{ path?: string, passphrase?: string }} [options]
+ */
+export function mnemonicToPrivateKey(mnemonic, { path = DEFAULT_DERIVATION_PATH, passphrase = '' } = {}) {
+  const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+  if (!validateMnemonic(normalized, wordlist)) {
+    throw new Error('The mnemonic is not a valid BIP-39 English phrase');
+  }
+  const { privateKey } = HDKey.fromMasterSeed(mnemonicToSeedSync(normalized, passphrase)).derive(path);
+  if (!privateKey) {
+    throw new Error(`No private key at ${path}`);
+  }
+  return `0x${bytesToHex(privateKey)}`;
+}
+
+// External signers
+
+/**
+ * Signer that runs `command` through the shell with the message on stdin
+ * and reads the signature (hex or base64url) from stdout. The command runs
+ * without the FARCASTER_* secrets in its environment.
+ *
+ * @param {string} command
+ * @param {{ type: 'custody' | 'app_key', key: string }} options
+ * @returns {import('./account-association.js').Signer}
+ */
+export function commandSigner(command, { type, key }) {
+  if (!KEY_PATTERNS[type]?.test(key ?? '')) {
+    throw new Error(type === 'custody'
+      ? 'FARCASTER_SIGNER_KEY must be the custody address (0x + 40 hex characters)'
+      : 'FARCASTER_SIGNER_KEY must be the Ed25519 public key (0x + 64 hex characters)');
+  }
+
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) =>
+    !['FARCASTER_PRIVATE_KEY', 'FARCASTER_MNEMONIC', 'FARCASTER_MNEMONIC_PASSPHRASE', 'FARCASTER_KEYSTORE_PASSWORD'].includes(name)));
+
+  const sign = (message) => new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, env, stdio: ['pipe', 'pipe', 'inherit'] });
+    let stdout = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      const output = stdout.trim();
+      if (code !== 0) {
+        reject(new Error(`The signer command exited with ${code}`));
+      } else if (/^(0x)?[0-9a-fA-F]+$/.test(output)) {
+        resolve(hexToBytes(output));
+      } else if (/^[A-Za-z0-9_-]+$/.test(output)) {
+        resolve(Uint8Array.from(Buffer.from(output, 'base64url')));
+      } else {
+        reject(new Error('The signer command did not print a hex or base64url signature'));
+      }
+    });
+    child.stdin.end(message);
+  });
+
+  return { type, key, sign };
+}
+
+// Key sources
+
+/**
+ * The key source configured by the environment and command-line `args`
+ * (--signer-command, --signer-key, --keystore, --mnemonic,
+ * --derivation-path, --type), or null when there is none. A phrase given
+ * to --mnemonic is refused, since it would land in shell history.
+ *
+ * @param {Record<string, string | undefined>} [env]
+ * @param {Record<string, string | boolean>} [args]
+ * @returns {KeySource | null}
+ */
+export function keySourceFromEnv(env = process.env, args = {}) {
+  const value = (name, variable) => (typeof args[name] === 'string' ? args[name] : env[variable]) || undefined;
+  const type = value('type', 'FARCASTER_SIGNATURE_TYPE') ?? 'custody';
+  if (typeof args.mnemonic === 'string') {
+    throw new Error('--mnemonic takes no value; pass it alone to be prompted for the phrase, or set FARCASTER_MNEMONIC');
+  }
+
+  const command = value('signer-command', 'FARCASTER_SIGNER_COMMAND');
+  if (command) {
+    return { kind: 'command', type, command, key: value('signer-key', 'FARCASTER_SIGNER_KEY') };
+  }
+  const keystore = value('keystore', 'FARCASTER_KEYSTORE');
+  if (keystore) {
+    return { kind: 'keystore', type, path: keystore, password: env.FARCASTER_KEYSTORE_PASSWORD || undefined };
+  }
+  if (env.FARCASTER_MNEMONIC || args.mnemonic === true) {
+    return {
+      kind: 'mnemonic',
+      type,
+      mnemonic: env.FARCASTER_MNEMONIC || undefined,
+      path: value('derivation-path', 'FARCASTER_DERIVATION_PATH') ?? DEFAULT_DERIVATION_PATH,
+      passphrase: env.FARCASTER_MNEMONIC_PASSPHRASE || undefined,
+    };
+  }
+  if (env.FARCASTER_PRIVATE_KEY) {
+    return { kind: 'privateKey', type, privateKey: env.FARCASTER_PRIVATE_KEY };
+  }
+  return null;
+}
+
+/**
+ * Whether a key source can be loaded without asking anyone
+ *
+ * @param {KeySource} source
+ */
+export function isNonInteractive(source) {
+  return (source.kind !== 'keystore' || Boolean(source.password)) &&
+    (source.kind !== 'mnemonic' || Boolean(source.mnemonic));
+}
+
+/**
+ * Where a key source loads from, for logs
+ *
+ * @param {KeySource} source
+ */
+export function describeKeySource(source) {
+  switch (source.kind) {
+    case 'command': return `external signer (${source.command.split(/\s/)[0]})`;
+    case 'keystore': return `keystore ${source.path}`;
+    case 'mnemonic': return `mnemonic at ${source.path}`;
+    default: return 'FARCASTER_PRIVATE_KEY';
+  }
+}
+
+/**
+ * The 0x private key a keystore or mnemonic source holds, prompting for a
+ * missing password or mnemonic when `prompt` is given
+ *
+ * @param {Exclude<KeySource, { kind: 'command' }>} source
+ * @param {{ prompt?: typeof promptSecret | null }} [options]
+ */
+export async function loadPrivateKey(source, { prompt = promptSecret } = {}) {
+  const ask = async (question, variable) => {
+    if (!prompt) {
+      throw new Error(`Set ${variable} to unlock the ${source.kind}`);
+    }
+    return prompt(question);
+  };
+
+  let privateKey;
+  if (source.kind === 'keystore') {
+    const keystore = JSON.parse(readFileSync(source.path, 'utf-8'));
+    const password = source.password ?? await ask(`Password for ${source.path}: `, 'FARCASTER_KEYSTORE_PASSWORD');
+    addSecret(password);
+    privateKey = await decryptKeystore(keystore, password);
+  } else if (source.kind === 'mnemonic') {
+    if (source.type !== 'custody') {
+      throw new Error('A mnemonic derives a custody key; app_key signers need a keystore, private key or signer command');
+    }
+    const mnemonic = source.mnemonic ?? await ask('Mnemonic: ', 'FARCASTER_MNEMONIC');
+    addSecret(mnemonic);
+    addSecret(source.passphrase);
+    privateKey = mnemonicToPrivateKey(mnemonic, { path: source.path, passphrase: source.passphrase });
+  } else {
+    privateKey = source.privateKey;
+  }
+
+  addSecret(privateKey);
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new Error('The private key must be a 64-character hex string (with or without 0x prefix)');
+  }
+  return privateKey;
+}
+
+/**
+ * Signer for a key source
+ *
+ * @param {KeySource} source
+ * @param {{ prompt?: typeof promptSecret | null }} [options] `prompt: null` fails instead of asking
+ * @returns {Promise<import('./account-association.js').Signer>}
+ */
+export async function loadSigner(source, options) {
+  if (!SIGNATURE_TYPES.includes(source.type)) {
+    throw new Error(`Signature type must be ${SIGNATURE_TYPES.join(' or ')} (got ${source.type})`);
+  }
+  if (source.kind === 'command') {
+    return commandSigner(source.command, { type: source.type, key: source.key });
+  }
+  return privateKeySigner(await loadPrivateKey(source, options), source.type);
+}
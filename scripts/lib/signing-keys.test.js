@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { custodyAddress, signAccountAssociation, verifyAccountAssociation } from './account-association.js';
+import {
+  addSecret,
+  commandSigner,
+  decryptKeystore,
+  DEFAULT_DERIVATION_PATH,
+  encryptKeystore,
+  keySourceFromEnv,
+  mnemonicToPrivateKey,
+  redact
+} from './signing-keys.js';
+
+/**
+ * Key source selection, secret redaction, keystores against the Web3
+ * Secret Storage test vectors, mnemonic derivation against the Hardhat
+ * default account, and the external command signer
+ */
+
+const VECTOR_PASSWORD = 'testpassword';
+const VECTOR_PRIVATE_KEY = '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d';
+
+const PBKDF2_KEYSTORE = {
+  version: 3,
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+    ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+    kdf: 'pbkdf2',
+    kdfparams: {
+      c: 262144,
+      dklen: 32,
+      prf: 'hmac-sha256',
+      salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd',
+    },
+    mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2',
+  },
+};
+
+const SCRYPT_KEYSTORE = {
+  version: 3,
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '83dbcc02d8ccb40e466191a123791e0e' },
+    ciphertext: 'd172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c',
+    kdf: 'scrypt',
+    kdfparams: {
+      dklen: 32,
+      n: 262144,
+      p: 8,
+      r: 1,
+      salt: 'ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19',
+    },
+    mac: '2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097',
+  },
+};
+
+const HARDHAT_MNEMONIC = 'test test test test test test test test test test test junk';
+const HARDHAT_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const HARDHAT_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+const DOMAIN = 'miniapp.example';
+
+test('prompts for the mnemonic only with a bare --mnemonic', () => {
+  assert.deepEqual(keySourceFromEnv({}, { mnemonic: true }), {
+    kind: 'mnemonic',
+    type: 'custody',
+    mnemonic: undefined,
+    path: DEFAULT_DERIVATION_PATH,
+    passphrase: undefined,
+  });
+  assert.throws(
+    () => keySourceFromEnv({}, { mnemonic: HARDHAT_MNEMONIC }),
+    /--mnemonic takes no value; pass it alone to be prompted for the phrase, or set FARCASTER_MNEMONIC/
+  );
+});
+
+test('redacts secrets, but not ones too short to mask safely', () => {
+  addSecret('a');
+  addSecret('pw12');
+  addSecret('0xabcdef');
+  addSecret('');
+
+  assert.equal(redact('banana'), 'banana');
+  assert.equal(redact('password pw12, key 0xABCDEF (abcdef)'), 'password [redacted], key [redacted] ([redacted])');
+});
+
+test('decrypts the pbkdf2 and scrypt keystore vectors', async () => {
+  assert.equal(await decryptKeystore(PBKDF2_KEYSTORE, VECTOR_PASSWORD), VECTOR_PRIVATE_KEY);
+  assert.equal(await decryptKeystore(SCRYPT_KEYSTORE, VECTOR_PASSWORD), VECTOR_PRIVATE_KEY);
+  await assert.rejects(decryptKeystore(PBKDF2_KEYSTORE, 'wrongpassword'), /Wrong keystore password/);
+  await assert.rejects(decryptKeystore({ ...PBKDF2_KEYSTORE, version: 1 }, VECTOR_PASSWORD), /Not a version 3 keystore/);
+});
+
+test('decrypts the keystores it encrypts', async () => {
+  const keystore = await encryptKeystore(HARDHAT_PRIVATE_KEY, 'correct horse', { n: 1024 });
+
+  assert.equal(keystore.address, HARDHAT_ADDRESS.slice(2).toLowerCase());
+  assert.equal(await decryptKeystore(keystore, 'correct horse'), HARDHAT_PRIVATE_KEY);
+  await assert.rejects(decryptKeystore(keystore, 'wrong horse'), /Wrong keystore password/);
+});
+
+test('derives the first account of a mnemonic', () => {
+  const privateKey = mnemonicToPrivateKey(`  ${HARDHAT_MNEMONIC.toUpperCase()}\n`);
+
+  assert.equal(privateKey, HARDHAT_PRIVATE_KEY);
+  assert.equal(custodyAddress(privateKey), HARDHAT_ADDRESS);
+  assert.notEqual(mnemonicToPrivateKey(HARDHAT_MNEMONIC, { path: "m/44'/60'/0'/0/1" }), HARDHAT_PRIVATE_KEY);
+  assert.throws(() => mnemonicToPrivateKey('test test test'), /not a valid BIP-39 English phrase/);
+});
+
+test('signs with an external command, without the FARCASTER_* secrets', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'signer-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const script = join(dir, 'sign.mjs');
+  writeFileSync(script, [
+    `import { bytesToHex, signPersonalMessage } from ${JSON.stringify(new URL('./account-association.js', import.meta.url).href)};`,
+    "if (process.env.FARCASTER_PRIVATE_KEY) throw new Error('FARCASTER_PRIVATE_KEY leaked');",
+    'let message = \'\';',
+    'for await (const chunk of process.stdin) message += chunk;',
+    'console.log(bytesToHex(signPersonalMessage(message, process.env.TEST_SIGNER_PRIVATE_KEY)));',
+  ].join('\n'));
+
+  process.env.FARCASTER_PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+  process.env.TEST_SIGNER_PRIVATE_KEY = HARDHAT_PRIVATE_KEY;
+  t.after(() => {
+    delete process.env.FARCASTER_PRIVATE_KEY;
+    delete process.env.TEST_SIGNER_PRIVATE_KEY;
+  });
+
+  const signer = commandSigner(`"${process.execPath}" "${script}"`, { type: 'custody', key: HARDHAT_ADDRESS });
+  const accountAssociation = await signAccountAssociation({ fid: 3621, domain: DOMAIN, signer });
+  const result = await verifyAccountAssociation(accountAssociation, { domain: DOMAIN });
+  assert.equal(result.valid, true);
+  assert.equal(result.key, HARDHAT_ADDRESS);
+
+  const failing = commandSigner('exit 3', { type: 'custody', key: HARDHAT_ADDRESS });
+  await assert.rejects(failing.sign('message'), /The signer command exited with 3/);
+  assert.throws(() => commandSigner('true', { type: 'custody', key: '0x1234' }), /FARCASTER_SIGNER_KEY must be the custody address/);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, resolve } from 'path';
+import { parseArgs } from './lib/args.js';
+import { lintManifest } from './lib/manifest-lint.js';
+import { MANIFEST_PATH } from './lib/miniapp-manifest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Mini App Manifest Linter
+ *
+ * Checks farcaster.json against the mini app manifest spec: field lengths
+ * and characters, hex colors, https URLs on the signed domain, and that
+ * every /images/... file exists in public/ with the right dimensions.
+ * Exits with 1 when there are errors; warnings alone pass.
+ *
+ * Usage:
+ *   node scripts/lint-manifest.js [--manifest path] [--public dir] [--json]
+ */
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const manifestPath = args.manifest ? resolve(args.manifest) : MANIFEST_PATH;
+  const publicDir = args.public ? resolve(args.public) : join(__dirname, '../public');
+  const target = relative(process.cwd(), manifestPath);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    const message = existsSync(manifestPath) ? `is not valid JSON: ${error.message}` : 'not found';
+    if (args.json) {
+      console.log(JSON.stringify({ manifest: target, errors: [{ field: '', message }], warnings: [] }, null, 2));
+    } else {
+      console.error(`❌ ${target} ${message}`);
+    }
+    process.exit(1);
+  }
+
+  const { errors, warnings, domain } = lintManifest(manifest, { publicDir });
+
+  if (args.json) {
+    console.log(JSON.stringify({ manifest: target, domain, errors, warnings }, null, 2));
+  } else {
+    console.log(`🔍 Linting ${target}${domain ? ` (signed for ${domain})` : ''}`);
+    errors.forEach(({ field, message }) => console.log(`❌ ${field} ${message}`));
+    warnings.forEach(({ field, message }) => console.log(`⚠️  ${field} ${message}`));
+    if (errors.length > 0) {
+      console.log(`\n❌ ${errors.length} error(s), ${warnings.length} warning(s)`);
+    } else {
+      console.log(`\n✅ Manifest is valid${warnings.length > 0 ? ` with ${warnings.length} warning(s)` : ''}`);
+    }
+  }
+
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
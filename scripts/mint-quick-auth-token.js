@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import { parseArgs } from './lib/args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env'), quiet: true });
+
+/**
+ * Local Quick Auth Token Minter
+ *
+ * Mints EdDSA-signed JWTs shaped like Farcaster Quick Auth session tokens,
+ * signed by a local development key. Point the function router at the
+ * generated JWKS file to exercise the sign-in flow with no network:
+ *
+ *   QUICK_AUTH_JWKS_PATH=.quick-auth/jwks.json pnpm dev:functions
+ *
+ * Usage:
+ *   node scripts/mint-quick-auth-token.js [--fid 3621] [--domain localhost] [--ttl 3600]
+ */
+
+const QUICK_AUTH_ISSUER = 'https://auth.farcaster.xyz';
+const KEY_ID = 'local-dev';
+const keyDir = join(__dirname, '../.quick-auth');
+const keyPath = join(keyDir, 'dev-key.json');
+const jwksPath = join(keyDir, 'jwks.json');
+
+/**
+ * Loads the local signing key, generating it and its JWKS on first use
+ */
+function loadOrCreateKey() {
+  if (existsSync(keyPath)) {
+    return createPrivateKey({ key: JSON.parse(readFileSync(keyPath, 'utf-8')), format: 'jwk' });
+  }
+
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const publicJwk = createPublicKey(privateKey).export({ format: 'jwk' });
+
+  mkdirSync(keyDir, { recursive: true });
+  writeFileSync(keyPath, JSON.stringify(privateKey.export({ format: 'jwk' }), null, 2));
+  writeFileSync(jwksPath, JSON.stringify({
+    keys: [{ ...publicJwk, kid: KEY_ID, alg: 'EdDSA', use: 'sig' }]
+  }, null, 2));
+
+  console.error('🔑 Generated local Quick Auth key:', relative(process.cwd(), keyPath));
+  return privateKey;
+}
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Mints a signed token for the given FID and domain
+ */
+function mintToken({ fid, domain, ttl }, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: KEY_ID };
+  const payload = {
+    iss: QUICK_AUTH_ISSUER,
+    sub: fid,
+    aud: domain,
+    iat: now,
+    exp: now + ttl
+  };
+
+  const signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const signature = sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${base64Url(signature)}`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fid = parseInt(args.fid || process.env.FARCASTER_FID || '1');
+  const domain = (args.domain || process.env.FARCASTER_DOMAIN || 'localhost').replace(/^https?:\/\//, '');
+  const ttl = parseInt(args.ttl || '3600');
+
+  if (isNaN(fid) || fid <= 0 || isNaN(ttl)) {
+    console.error('❌ --fid must be a positive number and --ttl a number of seconds');
+    process.exit(1);
+  }
+
+  const token = mintToken({ fid, domain, ttl }, loadOrCreateKey());
+
+  console.error(`✅ Minted token for FID ${fid} on ${domain} (expires in ${ttl}s)`);
+  console.error(`   Verify with: QUICK_AUTH_JWKS_PATH=${relative(process.cwd(), jwksPath)}`);
+  console.log(token);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { mintToken };
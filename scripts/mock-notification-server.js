@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+import { createServer } from 'http';
+import { parseArgs } from './lib/args.js';
+
+/**
+ * Mock Farcaster Notification Server
+ *
+ * Stands in for a Farcaster client's notification URL during local testing.
+ * It checks each send request against the spec limits, logs it, and answers
+ * by token name:
+ *
+ *   invalid-*      → invalidTokens (the function removes them)
+ *   ratelimited-*  → rateLimitedTokens the first time, then successful
+ *   anything else  → successfulTokens
+ *
+ * --fail N answers the first N requests with 503 to exercise retries.
+ * GET /notifications lists what was received; DELETE clears it.
+ *
+ * Point webhook events at it with scripts/send-webhook-event.js, whose
+ * default notification URL is this server.
+ *
+ * Usage:
+ *   node scripts/mock-notification-server.js [--port 8010] [--fail 0]
+ */
+
+/**
+ * Problems with a send request, per the Farcaster notification spec
+ */
+function validate(body) {
+  const problems = [];
+  if (typeof body.notificationId !== 'string' || body.notificationId.length === 0 || body.notificationId.length > 128) {
+    problems.push('notificationId must be 1-128 characters');
+  }
+  if (typeof body.title !== 'string' || body.title.length === 0 || body.title.length > 32) {
+    problems.push('title must be 1-32 characters');
+  }
+  if (typeof body.body !== 'string' || body.body.length === 0 || body.body.length > 128) {
+    problems.push('body must be 1-128 characters');
+  }
+  if (typeof body.targetUrl !== 'string' || !URL.canParse(body.targetUrl) || body.targetUrl.length > 1024) {
+    problems.push('targetUrl must be a URL of at most 1024 characters');
+  }
+  if (!Array.isArray(body.tokens) || body.tokens.length === 0 || body.tokens.length > 100) {
+    problems.push('tokens must list 1-100 tokens');
+  }
+  return problems;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates the mock server; exported for scripted tests
+ */
+export function createMockNotificationServer({ fail = 0 } = {}) {
+  const received = [];
+  const limitedOnce = new Set();
+  let failuresLeft = fail;
+
+  return createServer(async (req, res) => {
+    if (req.url === '/notifications') {
+      if (req.method === 'DELETE') received.length = 0;
+      return sendJson(res, 200, { notifications: received });
+    }
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Use POST' });
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log('💥 Answering with 503 (--fail)');
+      return sendJson(res, 503, { error: 'Simulated outage' });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { error: 'Body is not JSON' });
+    }
+    const problems = validate(body);
+    if (problems.length > 0) {
+      console.log('❌ Rejected request:', problems.join('; '));
+      return sendJson(res, 400, { error: problems.join('; ') });
+    }
+
+    const result = { successfulTokens: [], invalidTokens: [], rateLimitedTokens: [] };
+    for (const token of body.tokens) {
+      if (token.startsWith('invalid-')) {
+        result.invalidTokens.push(token);
+      } else if (token.startsWith('ratelimited-') && !limitedOnce.has(token)) {
+        limitedOnce.add(token);
+        result.rateLimitedTokens.push(token);
+      } else {
+        result.successfulTokens.push(token);
+      }
+    }
+
+    received.push({ ...body, receivedAt: new Date().toISOString() });
+    console.log(`🔔 "${body.title}" (${body.notificationId}) → ${body.tokens.length} token(s):`,
+      `${result.successfulTokens.length} ok, ${result.invalidTokens.length} invalid,`,
+      `${result.rateLimitedTokens.length} rate limited`);
+    sendJson(res, 200, { result });
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port || '8010');
+  const fail = parseInt(args.fail || '0');
+
+  if (isNaN(port) || isNaN(fail) || fail < 0) {
+    console.error('❌ --port and --fail must be numbers');
+    process.exit(1);
+  }
+
+  createMockNotificationServer({ fail }).listen(port, () => {
+    console.log(`📬 Mock notification server on http://localhost:${port}/notify`);
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import { parseArgs } from './lib/args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env'), quiet: true });
+
+/**
+ * Local Webhook Event Sender
+ *
+ * Posts mini app events to the webhook function the way a Farcaster client
+ * does: as a JSON Farcaster Signature made with an app key. The key is a
+ * local development key no hub knows, so run the router without
+ * FARCASTER_HUB_URL and with NOTIFICATIONS_INSECURE_DEV=true: app keys are
+ * then not checked, and the mock's http://localhost URL is accepted.
+ *
+ * Events: miniapp_added, miniapp_removed, notifications_enabled,
+ * notifications_disabled. Added and enabled events carry notification
+ * details pointing at scripts/mock-notification-server.js by default.
+ *
+ * Usage:
+ *   node scripts/send-webhook-event.js <event> [--fid 3621] [--token dev-token]
+ *     [--webhook http://localhost:8000/webhook] [--notification-url http://localhost:8010/notify]
+ */
+
+const EVENTS = ['miniapp_added', 'miniapp_removed', 'notifications_enabled', 'notifications_disabled'];
+const keyPath = join(__dirname, '../.quick-auth/app-key.json');
+
+/**
+ * Loads the local app key, generating it on first use
+ */
+function loadOrCreateKey() {
+  if (existsSync(keyPath)) {
+    return createPrivateKey({ key: JSON.parse(readFileSync(keyPath, 'utf-8')), format: 'jwk' });
+  }
+
+  const { privateKey } = generateKeyPairSync('ed25519');
+  mkdirSync(dirname(keyPath), { recursive: true });
+  writeFileSync(keyPath, JSON.stringify(privateKey.export({ format: 'jwk' }), null, 2));
+
+  console.error('🔑 Generated local app key:', relative(process.cwd(), keyPath));
+  return privateKey;
+}
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Signs an event payload for the given FID with an Ed25519 app key
+ */
+function signEvent(fid, payload, privateKey) {
+  const publicKey = createPublicKey(privateKey).export({ format: 'jwk' });
+  const header = {
+    fid,
+    type: 'app_key',
+    key: `0x${Buffer.from(publicKey.x, 'base64url').toString('hex')}`
+  };
+
+  const encodedHeader = base64Url(JSON.stringify(header));
+  const encodedPayload = base64Url(JSON.stringify(payload));
+  const signature = sign(null, Buffer.from(`${encodedHeader}.${encodedPayload}`), privateKey);
+  return { header: encodedHeader, payload: encodedPayload, signature: base64Url(signature) };
+}
+
+async function main() {
+  const [event, ...flags] = process.argv.slice(2);
+  const args = { ...parseArgs(flags), event };
+  const fid = parseInt(args.fid || process.env.FARCASTER_FID || '1');
+  const webhookUrl = args.webhook || `${process.env.VITE_API_BASE_URL || 'http://localhost:8000'}/webhook`;
+
+  if (!EVENTS.includes(args.event)) {
+    console.error(`❌ Event must be one of: ${EVENTS.join(', ')}`);
+    process.exit(1);
+  }
+  if (isNaN(fid) || fid <= 0) {
+    console.error('❌ --fid must be a positive number');
+    process.exit(1);
+  }
+
+  const payload = { event: args.event };
+  if (args.event === 'miniapp_added' || args.event === 'notifications_enabled') {
+    payload.notificationDetails = {
+      url: args['notification-url'] || 'http://localhost:8010/notify',
+      token: args.token || `dev-token-${fid}`
+    };
+  }
+
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(signEvent(fid, payload, loadOrCreateKey()))
+  });
+  const body = await response.text();
+
+  if (!response.ok) {
+    console.error(`❌ ${webhookUrl} returned ${response.status}: ${body}`);
+    process.exit(1);
+  }
+  console.error(`✅ Sent ${args.event} for FID ${fid} to ${webhookUrl}`);
+  console.log(body);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('❌ Failed to send webhook event:', error.message);
+    process.exit(1);
+  });
+}
+
+export { signEvent };
@@ -1,184 +1,174 @@
 #!/usr/bin/env node
 
-import { readFileSync } from 'fs';
-import { createHash } from 'crypto';
-import * as ed25519 from '@noble/ed25519';
+import { existsSync, readFileSync } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Configure ed25519 to use Node.js crypto for SHA-512
-ed25519.etc.sha512Sync = (...m) => createHash('sha512').update(Buffer.concat(m)).digest();
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { verifyAccountAssociation } from './lib/account-association.js';
+import { parseArgs } from './lib/args.js';
+import { MANIFEST_PATH, OUTPUT_MANIFEST_PATH } from './lib/miniapp-manifest.js';
+import { checkDeployedManifest } from './lib/remote-manifest.js';
 
 /**
  * Verify Farcaster Account Association Signature
  * 
  * This script verifies if the signature in the farcaster.json manifest
- * matches the domain and other payload data.
+ * matches the domain and other payload data. Custody signatures (EIP-191)
+ * must recover to the address in the header; app_key signatures (Ed25519)
+ * must verify against the public key in the header.
+ *
+ * With --url, checks the deployed app instead: its manifest and home page
+ * embed must match the local copy, be signed for the host, and reference
+ * images that resolve.
+ *
+ * The checks themselves are verifyAccountAssociation() in
+ * lib/account-association.js, which returns a result with an error code
+ * per failed check and prints nothing. Exits with 0 when valid, 1 when a
+ * check fails, and 2 when there is nothing to verify or the check could
+ * not run (errors are JSON too with --json).
+ *
+ * Usage:
+ *   node scripts/verify-farcaster-signature.js [--manifest path] [--domain example.com] [--json]
+ *   node scripts/verify-farcaster-signature.js --url https://myapp.com [--manifest path] [--json]
  */
 
+// Exit codes: 0 valid, 1 verification failed, 2 nothing to verify or an error
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
 function decodeBase64(base64String) {
   try {
-    const decoded = Buffer.from(base64String, 'base64').toString('utf-8');
+    const decoded = Buffer.from(base64String, 'base64url').toString('utf-8');
     return JSON.parse(decoded);
-  } catch (error) {
-    console.error('❌ Failed to decode Base64:', error.message);
+  } catch {
     return null;
   }
 }
 
-function hexToBytes(hex) {
+function loadFarcasterManifest(manifestPath) {
   try {
-    const cleanHex = hex.replace(/^0x/, '');
-    const bytes = new Uint8Array(cleanHex.length / 2);
-    for (let i = 0; i < cleanHex.length; i += 2) {
-      bytes[i / 2] = parseInt(cleanHex.substr(i, 2), 16);
-    }
-    return bytes;
-  } catch (error) {
-    console.error('❌ Failed to decode hex:', error.message);
+    return JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  } catch {
     return null;
   }
 }
 
-async function verifyAccountAssociation(accountAssociation) {
-  console.log('\n🔍 Verifying Account Association...\n');
-
-  // Decode header
-  const header = decodeBase64(accountAssociation.header);
-  if (!header) {
-    console.log('❌ Failed to decode header');
-    return false;
+/**
+ * Reports a problem that stops verification before it starts
+ */
+function exitWithError(args, code, message) {
+  if (args.json) {
+    console.log(JSON.stringify({ valid: false, error: { code, message } }, null, 2));
+  } else {
+    console.error(`❌ ${message}`);
   }
+  process.exit(EXIT_USAGE);
+}
 
-  console.log('📋 Header Data:');
-  console.log('   FID:', header.fid);
-  console.log('   Type:', header.type);
-  console.log('   Key:', header.key);
-
-  // Decode payload
-  const payload = decodeBase64(accountAssociation.payload);
-  if (!payload) {
-    console.log('❌ Failed to decode payload');
-    return false;
+/**
+ * Prints a verification result for people
+ */
+function printResult(result, manifestPath) {
+  console.log('🔐 Farcaster Account Association Signature Verifier');
+  console.log('=' .repeat(60));
+  console.log(`   Manifest: ${manifestPath}`);
+
+  console.log('\n📋 Header Data:');
+  console.log('   FID:', result.fid ?? '(unknown)');
+  console.log('   Type:', result.type ?? '(unknown)');
+  console.log('   Key:', result.key ?? '(unknown)');
+  if (result.recoveredAddress) {
+    console.log('   Recovered address:', result.recoveredAddress);
   }
 
   console.log('\n📋 Payload Data:');
-  console.log('   Domain:', payload.domain);
-
-  // Decode signature from base64
-  const signatureBytes = Buffer.from(accountAssociation.signature, 'base64');
-  console.log('\n📋 Signature Data:');
-  console.log('   Signature length:', signatureBytes.length, 'bytes');
-  console.log('   Signature (base64):', accountAssociation.signature.slice(0, 32) + '...');
-
-  // Create the message that should have been signed
-  const message = accountAssociation.header + '.' + accountAssociation.payload;
-  console.log('\n🔐 Verification Details:');
-  console.log('   Message to verify:', message.slice(0, 100) + '...');
-
-  // Extract public key from header
-  const publicKeyBytes = hexToBytes(header.key);
-  if (!publicKeyBytes) {
-    console.log('❌ Failed to decode public key');
-    return false;
-  }
+  console.log('   Domain:', result.domain ?? '(unknown)');
 
-  // Perform Ed25519 signature verification
-  let signatureValid = false;
-  try {
-    const messageBytes = new TextEncoder().encode(message);
-    signatureValid = await ed25519.verify(signatureBytes, messageBytes, publicKeyBytes);
-    
-    console.log('\n🔐 Ed25519 Signature Verification:');
-    if (signatureValid) {
-      console.log('   ✅ Signature verification: VALID');
-      console.log('   ✅ This is a real cryptographic signature');
+  console.log('\n📊 Verification Summary:');
+  console.log('=' .repeat(40));
+  result.checks.forEach(({ ok, code, message }) => {
+    console.log(ok ? `✅ ${message}` : `❌ ${message} (${code})`);
+  });
+
+  console.log('\n💡 Status:');
+  if (result.valid) {
+    console.log('   ✅ This is a production-ready signature');
+    console.log('   ✅ Ready for Farcaster Mini App deployment');
+    console.log('   🔗 Test your manifest at: https://warpcast.com/~/developers/mini-apps');
+  } else {
+    console.log('   ❌ Signature verification failed');
+    if (result.type === 'custody' && /^0x[0-9a-fA-F]{64}$/.test(result.key ?? '')) {
+      console.log('   💡 Ed25519 signatures labelled custody need regenerating: node scripts/generate-farcaster-auth.js');
     } else {
-      console.log('   ❌ Signature verification: INVALID');
+      console.log('   🔧 Check your private key and regenerate if needed');
     }
-  } catch (error) {
-    console.log('\n❌ Signature verification failed:', error.message);
   }
-
-  // Check if domain matches expected format (domain only, no protocol)
-  const domainValid = payload.domain && !payload.domain.startsWith('http://') && !payload.domain.startsWith('https://');
-  console.log('\n✅ Domain Format Check:');
-  console.log('   Domain format valid:', domainValid ? '✅ Yes' : '❌ No');
-  console.log('   Domain value:', payload.domain);
-  console.log('   Expected format: domain.com (without https://)');
-
-  // Check if FID is present and valid
-  const fidValid = header.fid && typeof header.fid === 'number' && header.fid > 0;
-  console.log('\n✅ FID Check:');
-  console.log('   FID valid:', fidValid ? '✅ Yes' : '❌ No');
-  console.log('   FID value:', header.fid);
-
-  return {
-    headerValid: !!header,
-    payloadValid: !!payload,
-    domainFormatValid: domainValid,
-    fidValid: fidValid,
-    signatureValid: signatureValid,
-    signatureFormat: signatureValid ? 'real/ed25519' : 'invalid',
-    canVerifySignature: true,
-    message: signatureValid ? 'Real Ed25519 signature verified successfully' : 'Signature verification failed'
-  };
 }
 
-function loadFarcasterManifest() {
-  try {
-    const manifestPath = path.join(__dirname, '..', 'public', '.well-known', 'farcaster.json');
-    const manifestContent = readFileSync(manifestPath, 'utf-8');
-    return JSON.parse(manifestContent);
-  } catch (error) {
-    console.error('❌ Failed to load farcaster.json:', error.message);
-    return null;
+/**
+ * Checks the deployed app at `url` and prints the report
+ */
+async function verifyDeployment(url, args) {
+  // Compare with the manifest the last build produced, else the source
+  const manifestPath = args.manifest
+    ? path.resolve(args.manifest)
+    : (existsSync(OUTPUT_MANIFEST_PATH) ? OUTPUT_MANIFEST_PATH : MANIFEST_PATH);
+  const localManifest = existsSync(manifestPath) ? JSON.parse(readFileSync(manifestPath, 'utf-8')) : null;
+
+  const report = await checkDeployedManifest(url, { localManifest });
+  report.localManifest = localManifest ? path.relative(process.cwd(), manifestPath) : null;
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log('🌐 Farcaster Mini App Deployment Verifier');
+    console.log('=' .repeat(60));
+    console.log(`   Origin: ${report.origin}`);
+    console.log(`   Local manifest: ${report.localManifest ?? '(none)'}\n`);
+    report.checks.forEach(({ ok, severity, message }) => {
+      console.log(`${ok ? '✅' : severity === 'error' ? '❌' : '⚠️ '} ${message}`);
+    });
+    const failed = report.checks.filter(({ ok, severity }) => !ok && severity === 'error').length;
+    console.log(failed === 0 ? '\n✅ Deployment verified' : `\n❌ ${failed} check(s) failed`);
   }
+
+  process.exit(report.ok ? 0 : EXIT_INVALID);
 }
 
-async function main() {
-  console.log('🔐 Farcaster Account Association Signature Verifier');
-  console.log('=' .repeat(60));
+async function main(args) {
+  if (typeof args.url === 'string') {
+    return verifyDeployment(args.url, args);
+  }
 
-  const manifest = loadFarcasterManifest();
+  const manifestPath = args.manifest ? path.resolve(args.manifest) : MANIFEST_PATH;
+  const target = path.relative(process.cwd(), manifestPath);
+  const manifest = loadFarcasterManifest(manifestPath);
   if (!manifest) {
-    process.exit(1);
+    exitWithError(args, 'manifest_unreadable', `Could not read ${target}`);
   }
-
   if (!manifest.accountAssociation) {
-    console.log('❌ No accountAssociation found in manifest');
-    process.exit(1);
+    exitWithError(args, 'missing_account_association', `No accountAssociation found in ${target}`);
   }
 
-  const result = await verifyAccountAssociation(manifest.accountAssociation);
+  // The signature must cover the domain the manifest's homeUrl is on
+  const homeUrl = manifest.miniapp?.homeUrl ?? manifest.frame?.homeUrl;
+  const domain = typeof args.domain === 'string'
+    ? args.domain
+    : (homeUrl && URL.canParse(homeUrl) ? new URL(homeUrl).host : undefined);
 
-  console.log('\n📊 Verification Summary:');
-  console.log('=' .repeat(40));
-  console.log('Header decoded:', result.headerValid ? '✅' : '❌');
-  console.log('Payload decoded:', result.payloadValid ? '✅' : '❌');
-  console.log('Domain format:', result.domainFormatValid ? '✅' : '❌');
-  console.log('FID valid:', result.fidValid ? '✅' : '❌');
-  console.log('Signature verification:', result.signatureValid ? '✅' : '❌');
-  console.log('Signature type:', result.signatureFormat);
-  console.log('Can verify signature:', result.canVerifySignature ? '✅' : '❌');
+  const result = await verifyAccountAssociation(manifest.accountAssociation, { domain });
 
-  console.log('\n💡 Status:');
-  if (result.signatureValid) {
-    console.log('   ✅ This is a production-ready signature');
-    console.log('   ✅ Ed25519 cryptographic verification passed');
-    console.log('   ✅ Ready for Farcaster Mini App deployment');
-    console.log('   🔗 Test your manifest at: https://warpcast.com/~/developers/mini-apps');
+  if (args.json) {
+    console.log(JSON.stringify({ manifest: target, ...result }, null, 2));
   } else {
-    console.log('   ❌ Signature verification failed');
-    console.log('   🔧 Check your private key and regenerate if needed');
+    printResult(result, target);
   }
+  process.exit(result.valid ? 0 : EXIT_INVALID);
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  const args = parseArgs(process.argv.slice(2));
+  main(args).catch((error) => {
+    exitWithError(args, 'verification_error', `Verification failed: ${error.message}`);
+  });
 }
 
 export { verifyAccountAssociation, decodeBase64 };
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { dirname, extname, join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { signAccountAssociation } from './lib/account-association.js';
+import { buildMetaConfig } from './lib/miniapp-manifest.js';
+
+/**
+ * verify-farcaster-signature.js run as a command: on manifest files, and
+ * with --url against a local static server serving a built app
+ */
+
+const SCRIPT = join(dirname(fileURLToPath(import.meta.url)), 'verify-farcaster-signature.js');
+const PRIVATE_KEY = '0x' + '42'.repeat(32);
+const CONTENT_TYPES = { '.json': 'application/json', '.html': 'text/html', '.png': 'image/png' };
+
+let siteDir;
+let server;
+let origin;
+
+before(async () => {
+  siteDir = mkdtempSync(join(tmpdir(), 'verify-signature-'));
+  server = createServer((req, res) => {
+    const pathname = new URL(req.url, origin).pathname;
+    const file = join(siteDir, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    try {
+      const body = readFileSync(file);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] ?? 'application/octet-stream' });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(siteDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes a signed manifest, its home page and images into the site
+ */
+async function buildSite() {
+  const manifest = {
+    accountAssociation: await signAccountAssociation({ fid: 3621, domain: new URL(origin).host, privateKey: PRIVATE_KEY }),
+    miniapp: {
+      version: '1',
+      name: 'Test App',
+      homeUrl: `${origin}/`,
+      iconUrl: `${origin}/images/icon.png`,
+      imageUrl: `${origin}/images/embed.png`,
+      buttonTitle: 'Open',
+      splashImageUrl: `${origin}/images/splash.png`,
+      splashBackgroundColor: '#0ea5e9'
+    }
+  };
+  const embed = JSON.stringify(buildMetaConfig(manifest.miniapp).farcasterMiniapp).replace(/"/g, '&quot;');
+
+  mkdirSync(join(siteDir, '.well-known'), { recursive: true });
+  mkdirSync(join(siteDir, 'images'), { recursive: true });
+  writeFileSync(join(siteDir, '.well-known/farcaster.json'), JSON.stringify(manifest));
+  writeFileSync(join(siteDir, 'index.html'), `<html><head><meta name="fc:miniapp" content="${embed}"></head></html>`);
+  for (const image of ['icon', 'embed', 'splash']) {
+    writeFileSync(join(siteDir, `images/${image}.png`), '');
+  }
+  return manifest;
+}
+
+function writeManifest(manifest) {
+  const path = join(siteDir, `local-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(path, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  return path;
+}
+
+/**
+ * Runs the script, resolving with its exit code and output
+ */
+function verify(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('exits with 0 for a valid manifest', async () => {
+  const manifest = await buildSite();
+
+  const { status, stdout } = await verify('--manifest', writeManifest(manifest), '--json');
+  assert.equal(status, 0);
+  assert.equal(JSON.parse(stdout).valid, true);
+});
+
+test('exits with 1 when the signature does not match the payload', async () => {
+  const manifest = await buildSite();
+  manifest.accountAssociation.payload = btoa(JSON.stringify({ domain: 'evil.example' }));
+
+  const { status, stdout } = await verify('--manifest', writeManifest(manifest), '--domain', 'evil.example', '--json');
+  assert.equal(status, 1);
+  const result = JSON.parse(stdout);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.checks.filter(({ ok }) => !ok).map(({ code }) => code), ['invalid_signature']);
+});
+
+test('exits with 2 when there is no manifest', async () => {
+  const { status, stdout } = await verify('--manifest', join(siteDir, 'missing.json'), '--json');
+
+  assert.equal(status, 2);
+  assert.equal(JSON.parse(stdout).error.code, 'manifest_unreadable');
+});
+
+test('checks a deployment with --url', async () => {
+  const manifest = await buildSite();
+
+  const { status, stdout } = await verify('--url', origin, '--manifest', writeManifest(manifest), '--json');
+  assert.equal(status, 0);
+  const report = JSON.parse(stdout);
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.checks.filter(({ ok }) => !ok), []);
+});
+
+test('reports errors as JSON with --json and as a message without', async () => {
+  await buildSite();
+  const broken = writeManifest('{');
+
+  const json = await verify('--url', origin, '--manifest', broken, '--json');
+  assert.equal(json.status, 2);
+  assert.equal(JSON.parse(json.stdout).error.code, 'verification_error');
+
+  const text = await verify('--url', origin, '--manifest', broken);
+  assert.equal(text.status, 2);
+  assert.match(text.stderr, /^❌ Verification failed: /);
+});
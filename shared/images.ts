@@ -0,0 +1,59 @@
+/**
+ * Image Generation Config Types
+ * images.config.js: the brand, style preset and prompt templates
+ * scripts/generate-flux-images.js builds its prompts from, and the routes
+ * scripts/generate-listing-images.js screenshots.
+ */
+
+export type ImageKind = "icon" | "embed" | "splash";
+
+/**
+ * Values substituted into prompt templates as `{name}`, `{tagline}`,
+ * `{primaryColor}`, `{secondaryColor}` and `{colors}`
+ */
+export interface BrandConfig {
+  /** Defaults to the manifest's `name` */
+  name?: string;
+  /** Defaults to the manifest's `tagline`, then `subtitle` */
+  tagline?: string;
+  /** Hex colors, main first; defaults to the manifest's `splashBackgroundColor` */
+  colors?: string[];
+}
+
+/**
+ * A prompt, or a style preset's addition to one. Templates may use the
+ * brand variables, and prompts also `{style}`.
+ */
+export interface PromptTemplate {
+  prompt: string;
+  /** What the image should not contain */
+  negativePrompt?: string;
+}
+
+/**
+ * Screenshots (1284x2778) and hero image (1200x630) rendered from the
+ * running app at a mobile viewport
+ */
+export interface ListingConfig {
+  /** Where the app runs; defaults to the Vite dev server at http://localhost:5173 */
+  url?: string;
+  /** Route paths to screenshot, up to 3; defaults to `["/"]` */
+  screenshots?: string[];
+  /** Route path shown in the hero image, defaulting to the first screenshot; `false` skips it */
+  hero?: string | false;
+  /** CSS selector to wait for on each route before capturing */
+  waitFor?: string;
+}
+
+export interface ImageConfig {
+  brand?: BrandConfig;
+  /** Preset substituted for `{style}`: built-in (`minimal`, `gradient`, `illustrated`, `3d`) or from `styles` */
+  style?: string;
+  /** Extra presets, or replacements for built-in ones */
+  styles?: Record<string, PromptTemplate>;
+  /** Added to every image's negative prompt */
+  negativePrompt?: string;
+  /** Replace the built-in prompt for an image; a string is just the prompt */
+  prompts?: Partial<Record<ImageKind, PromptTemplate | string>>;
+  listing?: ListingConfig;
+}
@@ -0,0 +1,128 @@
+/**
+ * Mini App Manifest Types
+ * The `miniapp` object of /.well-known/farcaster.json and the source config
+ * (miniapp.config.js) the generator scripts build it from, per environment.
+ * Keep this file free of imports so both runtimes can load it.
+ */
+
+export type PrimaryCategory =
+  | "games"
+  | "social"
+  | "finance"
+  | "utility"
+  | "productivity"
+  | "health-fitness"
+  | "news-media"
+  | "music"
+  | "shopping"
+  | "education"
+  | "developer-tools"
+  | "entertainment"
+  | "art-creativity";
+
+/**
+ * SDK features a host must support to run the app
+ */
+export type RequiredCapability =
+  | "wallet.getEthereumProvider"
+  | "wallet.getSolanaProvider"
+  | "actions.ready"
+  | "actions.openUrl"
+  | "actions.close"
+  | "actions.setPrimaryButton"
+  | "actions.addMiniApp"
+  | "actions.signIn"
+  | "actions.viewCast"
+  | "actions.viewProfile"
+  | "actions.composeCast"
+  | "actions.viewToken"
+  | "actions.sendToken"
+  | "actions.swapToken"
+  | "actions.openMiniApp"
+  | "actions.requestCameraAndMicrophoneAccess"
+  | "haptics.impactOccurred"
+  | "haptics.notificationOccurred"
+  | "haptics.selectionChanged"
+  | "back";
+
+/**
+ * The manifest's `miniapp` object. URLs are absolute https URLs; lengths
+ * are the spec's maximums.
+ */
+export interface MiniAppManifest {
+  version: "1";
+  /** Max 32 characters */
+  name: string;
+  homeUrl: string;
+  /** 1024x1024 PNG, no alpha */
+  iconUrl: string;
+  /** 3:2 image for embeds; superseded by ogImageUrl */
+  imageUrl?: string;
+  /** Max 32 characters */
+  buttonTitle?: string;
+  /** 200x200 image */
+  splashImageUrl?: string;
+  /** Hex color, e.g. `#0ea5e9` */
+  splashBackgroundColor?: string;
+  /** Where clients POST signed mini app events */
+  webhookUrl?: string;
+  /** Max 30 characters */
+  subtitle?: string;
+  /** Max 170 characters */
+  description?: string;
+  primaryCategory?: PrimaryCategory;
+  /** Up to 5 lowercase tags of at most 20 characters, no spaces */
+  tags?: string[];
+  /** Up to 3 portrait screenshots, 1284x2778 */
+  screenshotUrls?: string[];
+  /** 1200x630 promotional image */
+  heroImageUrl?: string;
+  /** Max 30 characters */
+  tagline?: string;
+  /** Max 30 characters */
+  ogTitle?: string;
+  /** Max 100 characters */
+  ogDescription?: string;
+  /** 1200x630 image for link previews */
+  ogImageUrl?: string;
+  /** CAIP-2 chain IDs the app needs, e.g. `eip155:8453` for Base */
+  requiredChains?: string[];
+  requiredCapabilities?: RequiredCapability[];
+  /** Keep the app out of search and discovery */
+  noindex?: boolean;
+}
+
+/**
+ * Source values for the manifest. Every field is optional: missing ones
+ * keep the manifest's current value or take the generator's default. URL
+ * fields may be paths (`/images/hero.png`), resolved against `homeUrl`.
+ */
+export type MiniAppSourceConfig = Partial<Omit<MiniAppManifest, "version">>;
+
+/**
+ * A manifest's signed domain proof (JSON Farcaster Signature)
+ */
+export interface AccountAssociation {
+  header: string;
+  payload: string;
+  signature: string;
+}
+
+/**
+ * A named deployment target, e.g. a local tunnel, staging or production.
+ * Its signature lives in miniapp.signatures.json under the same name.
+ */
+export interface MiniAppEnvironment {
+  /** Domain the app is served from; defaults to `$FARCASTER_DOMAIN` */
+  domain?: string;
+  /** Fields that differ in this environment, e.g. `noindex: true` */
+  miniapp?: MiniAppSourceConfig;
+}
+
+/**
+ * miniapp.config.js: the manifest fields plus named environments, picked
+ * with `MINIAPP_ENV` or `--env`
+ */
+export type MiniAppConfig = MiniAppSourceConfig & {
+  environments?: Record<string, MiniAppEnvironment>;
+};
@@ -0,0 +1,113 @@
+/**
+ * Shared API Types
+ * Response envelopes and resources used by both the Deno functions and the
+ * Remix app. Keep this file free of imports so both runtimes can load it.
+ */
+
+/**
+ * One problem with a request field, e.g. `body.email` or `query.limit`
+ */
+export interface FieldError {
+  field: string;
+  code: string;
+  message: string;
+}
+
+/**
+ * Envelope returned by every function
+ */
+export interface ApiResponse<T = unknown> {
+  success: boolean;
+  message: string;
+  data?: T;
+  /** Per-field problems when the request failed validation */
+  errors?: FieldError[];
+  timestamp: string;
+}
+
+/**
+ * Envelope with the router's error fields, set on failures
+ */
+export interface RouterResponse<T = unknown> extends ApiResponse<T> {
+  /** Machine-readable error code */
+  code?: string;
+  details?: unknown;
+  requestId?: string;
+}
+
+export interface User {
+  id: number;
+  name: string;
+  email: string;
+  /** FID of the authenticated user who created the record */
+  createdBy?: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UserList {
+  users: User[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Identity behind a Quick Auth token, returned by `/me`
+ */
+export interface Me {
+  fid: number;
+  issuedAt: string;
+  expiresAt: string;
+}
+
+export interface FunctionSummary {
+  name: string;
+  title: string;
+  endpoint: string;
+  description: string;
+}
+
+/**
+ * Data returned by the router's index (`/`)
+ */
+export interface RouterIndex {
+  functions: FunctionSummary[];
+  openapi: string;
+  docs: string;
+}
+
+/**
+ * Outcome of a `/notify` send, counted in notification tokens
+ */
+export interface NotifyResult {
+  notificationId: string;
+  successful: number;
+  /** Tokens the client no longer accepts; they have been removed */
+  invalid: number;
+  /** Tokens still rate limited after retrying */
+  rateLimited: number;
+  /** Tokens whose client could not be reached */
+  failed: number;
+}
+
+/**
+ * Why adding the mini app failed: the user said no, or the manifest does
+ * not match the domain the app is served from
+ */
+export type AddMiniAppError = "rejected_by_user" | "invalid_domain_manifest";
+
+/**
+ * Whether a user has added the app and enabled notifications, as reported
+ * by the app, next to what the webhook has recorded
+ */
+export interface MiniAppState {
+  fid: number;
+  added: boolean;
+  notificationsEnabled: boolean;
+  /** Set when the user's last add prompt failed */
+  lastAddError?: AddMiniAppError;
+  /** Whether the webhook has stored a notification token for the user */
+  hasNotificationToken: boolean;
+  updatedAt: string;
+}
@@ -1,5 +1,7 @@
 import { vitePlugin as remix } from "@remix-run/dev";
-import { defineConfig } from "vite";
+import { copyFileSync, existsSync, mkdirSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { defineConfig, type Plugin } from "vite";
 import tsconfigPaths from "vite-tsconfig-paths";
 
 declare module "@remix-run/cloudflare" {
@@ -8,6 +10,38 @@ declare module "@remix-run/cloudflare" {
   }
 }
 
+/**
+ * Serves and deploys the farcaster.json that scripts/generate-meta-config.js
+ * built for the selected environment, in place of the source manifest in
+ * public/.well-known.
+ */
+function miniAppManifest(): Plugin {
+  const manifestPath = ".cache/miniapp/farcaster.json";
+  let outDir = "build/client";
+  let isClientBuild = true;
+
+  return {
+    name: "miniapp-manifest",
+    configResolved(config) {
+      outDir = config.build.outDir;
+      isClientBuild = !config.build.ssr;
+    },
+    configureServer(server) {
+      server.middlewares.use("/.well-known/farcaster.json", (_req, res, next) => {
+        if (!existsSync(manifestPath)) return next();
+        res.setHeader("Content-Type", "application/json");
+        res.end(readFileSync(manifestPath));
+      });
+    },
+    closeBundle() {
+      if (!isClientBuild || !existsSync(manifestPath)) return;
+      const target = join(outDir, ".well-known/farcaster.json");
+      mkdirSync(dirname(target), { recursive: true });
+      copyFileSync(manifestPath, target);
+    },
+  };
+}
+
 export default defineConfig({
   plugins: [
     remix({
@@ -21,6 +55,7 @@ export default defineConfig({
       },
     }),
     tsconfigPaths(),
+    miniAppManifest(),
   ],
   server: {
        allowedHosts: true, // Allow all hosts (including ngrok tunnels)